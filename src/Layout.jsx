@@ -25,6 +25,7 @@ import {
 } from "lucide-react";
 import { getCurrentUser, fetchUserAttributes, signOut } from 'aws-amplify/auth';
 import { Hub } from 'aws-amplify/utils';
+import NotificationCenter from "@/components/notifications/NotificationCenter";
 
 const PUBLIC_PAGES = [
   "Home",
@@ -309,12 +310,15 @@ export default function Layout({ children }) {
       )}
 
       <div className="flex-1 lg:ml-64">
-        <header className="bg-white border-b border-slate-200 px-4 py-3 lg:hidden">
-          <button onClick={() => setSidebarOpen(!sidebarOpen)} className="p-2">
+        <header className="sticky top-0 z-30 bg-white border-b border-slate-200 px-4 py-3 flex items-center justify-between">
+          <button onClick={() => setSidebarOpen(!sidebarOpen)} className="p-2 lg:hidden">
             <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
             </svg>
           </button>
+          <div className="ml-auto">
+            <NotificationCenter />
+          </div>
         </header>
 
         <main className="p-4 md:p-8">{children}</main>
@@ -3,9 +3,29 @@ import { awsApi } from "@/components/utils/api/awsApi";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
-import { MessageCircle, X, Send, Loader2, Sparkles } from "lucide-react";
+import { MessageCircle, X, Send, Loader2, Sparkles, Wrench, History, Plus, Download, Search, Trash2 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import ReactMarkdown from "react-markdown";
+import { useHoldings, useGoals, useCompanies } from "@/components/utils/api/queries";
+import {
+  MAX_TOOL_ROUNDS,
+  buildToolInstructions,
+  buildTranscript,
+  parseToolCall,
+  isToolCallDraft,
+  runToolCall
+} from "@/components/utils/assistant/chatTools";
+import LLMResponse from "@/components/LLMResponse";
+import useLLMStream from "@/hooks/useLLMStream";
+import {
+  listThreads,
+  saveThread,
+  deleteThread,
+  createThread,
+  searchThreads,
+  exportThreadMarkdown
+} from "@/components/utils/assistant/chatHistory";
+import { format } from "date-fns";
 
 // --- APP CONTEXT CONSTANT ---
 const APP_CONTEXT = `
@@ -345,20 +365,45 @@ All calculated using statistical formulas:
 Be specific about formulas when asked. Explain what scores mean in practical terms.
 `;
 
+const MARKDOWN_COMPONENTS = {
+  a: ({node, ...props}) => (
+    <a {...props} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700 font-medium" />
+  ),
+  p: ({node, ...props}) => (
+    <p {...props} className="mb-3 last:mb-0" />
+  ),
+  ul: ({node, ...props}) => (
+    <ul {...props} className="my-2 space-y-1" />
+  ),
+  strong: ({node, ...props}) => (
+    <strong {...props} className="font-semibold text-slate-900" />
+  )
+};
+
+const GREETING = {
+  role: "assistant",
+  content: "🛰️ **KRISZTINA: SYSTEM INITIALIZED**\n\nDirect access to quantitative models, factor analysis, and risk metrics. State your query.\n\n**CORE PROTOCOLS:**\n\n• \"Execute Stress Test: -35% Market Shock\"\n\n• \"Verify Investor IQ Calculation Logic\"\n\n• \"Analyze [SYMBOL] Fundamentals\"\n\n• \"Explain Portfolio Fragility Index\"\n\n• \"Calculate Deployment Signal: Idle Cash\"\n\n✨ Quantitative engine active. Real-time market feed synchronized."
+};
+
 export default function ChatBot() {
   const [isOpen, setIsOpen] = useState(false);
   const [showTooltip, setShowTooltip] = useState(() => {
     const dismissed = localStorage.getItem('chatbot-tooltip-dismissed');
     return dismissed !== 'true';
   });
-  const [messages, setMessages] = useState([
-    {
-      role: "assistant",
-content: "🛰️ **KRISZTINA: SYSTEM INITIALIZED**\n\nDirect access to quantitative models, factor analysis, and risk metrics. State your query.\n\n**CORE PROTOCOLS:**\n\n• \"Execute Stress Test: -35% Market Shock\"\n\n• \"Verify Investor IQ Calculation Logic\"\n\n• \"Analyze [SYMBOL] Fundamentals\"\n\n• \"Explain Portfolio Fragility Index\"\n\n• \"Calculate Deployment Signal: Idle Cash\"\n\n✨ Quantitative engine active. Real-time market feed synchronized."    }
-  ]);
+  const [messages, setMessages] = useState([GREETING]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [threads, setThreads] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyQuery, setHistoryQuery] = useState("");
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
+  const chatStream = useLLMStream();
+  // Tool context: the assistant reads these through chatTools rather than the prompt
+  const { data: holdings = [] } = useHoldings();
+  const { data: goals = [] } = useGoals();
+  const { data: companies = [] } = useCompanies();
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -368,38 +413,96 @@ content: "🛰️ **KRISZTINA: SYSTEM INITIALIZED**\n\nDirect access to quantita
     scrollToBottom();
   }, [messages]);
 
-  // === CLEANED VERSION OF handleSend and handleKeyPress ===
-  const handleSend = async () => {
-    if (!input.trim() || isLoading) return;
+  useEffect(() => {
+    if (isOpen) listThreads().then(setThreads);
+  }, [isOpen]);
+
+  // Conversation history: saved after every completed exchange, to the thread it was sent in
+  const persistThread = async (thread, history) => {
+    const saved = await saveThread({ ...thread, messages: history });
+    setActiveThread(current => (current?.id === saved.id ? saved : current));
+    setThreads(prev => [saved, ...prev.filter(t => t.id !== saved.id)]);
+  };
 
-    const userMessage = input.trim();
-    setInput("");
-    setMessages(prev => [...prev, { role: "user", content: userMessage }]);
+  const openThread = (thread) => {
+    chatStream.reset();
+    setActiveThread(thread);
+    setMessages([GREETING, ...thread.messages]);
+    setShowHistory(false);
+  };
+
+  const startNewThread = () => {
+    chatStream.reset();
+    setActiveThread(null);
+    setMessages([GREETING]);
+    setShowHistory(false);
+  };
+
+  const removeThread = async (threadId) => {
+    await deleteThread(threadId);
+    setThreads(prev => prev.filter(t => t.id !== threadId));
+    if (activeThread?.id === threadId) startNewThread();
+  };
+
+  const threadResults = searchThreads(threads, historyQuery);
+
+  // === CLEANED VERSION OF handleSend and handleKeyPress ===
+  const sendMessage = async (userMessage, priorMessages) => {
+    // Captured now: the user may open another thread before the reply finishes
+    const thread = activeThread || createThread();
+    setActiveThread(thread);
+    // The greeting is UI only; everything after it is replayed as conversation memory
+    let history = [...priorMessages.slice(1), { role: "user", content: userMessage }];
+    setMessages([...priorMessages, { role: "user", content: userMessage }]);
     setIsLoading(true);
 
     try {
       // Detect if market data is needed
       const needsMarketData = /stock|ticker|symbol|invest in|buy|sell|recommend|analysis|analyze|market|company|shares|equity|NYSE|NASDAQ/i.test(userMessage);
-
-   const result = await awsApi.invokeLLM({
-        // We inject the high-authority Quant-Core directive here
-        prompt: `${APP_CONTEXT}\n\n[SYSTEM_DIRECTIVE]: Identity: KRISZTINA. Role: Quant-Core Analytical Engine for StockSignal. Expertise: Quantitative finance, risk modeling, and portfolio stress testing. Response Protocol: Professional, high-authority, precise. Avoid casual filler. Always identify as Krisztina when asked.\n\nUser question: ${userMessage}`,
-        add_context_from_internet: needsMarketData
-      });
-
-      // UNWRAPPER: Lambda returns { response: "text" }, so we extract that string
-      const aiContent = result?.response || result?.analysis || (typeof result === 'string' ? result : "No response content received.");
-
-      setMessages(prev => [...prev, { role: "assistant", content: aiContent }]);
+      const toolContext = { holdings, goals, companies };
+
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        const toolsLeft = round < MAX_TOOL_ROUNDS;
+        const reply = await chatStream.run({
+          // We inject the high-authority Quant-Core directive here
+          prompt: `${APP_CONTEXT}\n\n[SYSTEM_DIRECTIVE]: Identity: KRISZTINA. Role: Quant-Core Analytical Engine for StockSignal. Expertise: Quantitative finance, risk modeling, and portfolio stress testing. Response Protocol: Professional, high-authority, precise. Avoid casual filler. Always identify as Krisztina when asked.\n\n${toolsLeft ? buildToolInstructions() : 'Tool budget exhausted: answer now from the tool results above.'}\n\n=== CONVERSATION ===\n${buildTranscript(history)}\n\nASSISTANT:`,
+          add_context_from_internet: needsMarketData
+        });
+        if (reply === null) break; // Cancelled; the status strip offers a retry
+
+        const call = toolsLeft ? parseToolCall(reply) : null;
+        if (!call) {
+          const aiContent = reply || "No response content received.";
+          history = [...history, { role: "assistant", content: aiContent }];
+          setMessages(prev => [...prev, { role: "assistant", content: aiContent }]);
+          break;
+        }
+
+        const toolMessage = { role: "tool", ...(await runToolCall(call, toolContext)) };
+        history = [...history, toolMessage];
+        setMessages(prev => [...prev, toolMessage]);
+      }
     } catch (error) {
+      // Shown by the status strip with a retry button
       console.error("ChatBot Error:", error);
-      setMessages(prev => [...prev, { 
-        role: "assistant", 
-        content: "Sorry, I encountered an error. Please try again." 
-      }]);
     }
 
     setIsLoading(false);
+    persistThread(thread, history);
+  };
+
+  const handleSend = () => {
+    if (!input.trim() || isLoading) return;
+    const userMessage = input.trim();
+    setInput("");
+    sendMessage(userMessage, messages);
+  };
+
+  // Resend the last question, dropping whatever partial exchange followed it
+  const retryLast = () => {
+    const lastUser = messages.map(m => m.role).lastIndexOf("user");
+    if (lastUser === -1 || isLoading) return;
+    sendMessage(messages[lastUser].content, messages.slice(0, lastUser));
   };
 
   const handleKeyPress = (e) => {
@@ -475,7 +578,7 @@ content: "🛰️ **KRISZTINA: SYSTEM INITIALIZED**\n\nDirect access to quantita
             initial={{ opacity: 0, y: 20, scale: 0.95 }}
             animate={{ opacity: 1, y: 0, scale: 1 }}
             exit={{ opacity: 0, y: 20, scale: 0.95 }}
-            className="fixed bottom-6 right-6 z-50 w-96 max-w-[calc(100vw-3rem)]"
+            className={`fixed bottom-6 right-6 z-50 ${showHistory ? 'w-[40rem]' : 'w-96'} max-w-[calc(100vw-3rem)]`}
           >
             <Card className="border-2 border-slate-800 shadow-2xl rounded-3xl overflow-hidden bg-slate-50">
               <CardHeader className="bg-slate-900 text-slate-100 p-4 border-b border-slate-800">
@@ -494,86 +597,168 @@ content: "🛰️ **KRISZTINA: SYSTEM INITIALIZED**\n\nDirect access to quantita
                       </CardTitle>
                     </div>
                   </div>
-                  <Button
-                    variant="ghost"
-                    size="icon"
-                    onClick={() => setIsOpen(false)}
-                    className="h-8 w-8 text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
-                  >
-                    <X className="w-4 h-4" />
-                  </Button>
+                  <div className="flex items-center gap-1">
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Conversation history"
+                      onClick={() => setShowHistory(!showHistory)}
+                      className={`h-8 w-8 hover:text-white hover:bg-slate-800 transition-colors ${showHistory ? 'text-emerald-400' : 'text-slate-400'}`}
+                    >
+                      <History className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="New conversation"
+                      onClick={startNewThread}
+                      className="h-8 w-8 text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+                    >
+                      <Plus className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Export to Markdown"
+                      disabled={!activeThread}
+                      onClick={() => exportThreadMarkdown(activeThread)}
+                      className="h-8 w-8 text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+                    >
+                      <Download className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setIsOpen(false)}
+                      className="h-8 w-8 text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+                    >
+                      <X className="w-4 h-4" />
+                    </Button>
+                  </div>
                 </div>
               </CardHeader>
-              <CardContent className="p-0">
-                {/* Messages */}
-                <div className="h-96 overflow-y-auto p-4 space-y-4 bg-slate-50">
-                  {messages.map((msg, idx) => (
-                    <div
-                      key={idx}
-                      className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
-                    >
+              <CardContent className="p-0 flex">
+                {/* Conversation history */}
+                {showHistory && (
+                  <aside className="w-56 flex-shrink-0 relative border-r border-slate-200 bg-white">
+                    {/* Absolutely filled so the list scrolls within the chat column height */}
+                    <div className="absolute inset-0 flex flex-col">
+                      <div className="p-3 border-b border-slate-200">
+                        <div className="relative">
+                          <Search className="w-3.5 h-3.5 absolute left-2.5 top-1/2 -translate-y-1/2 text-slate-400" />
+                          <Input
+                            placeholder="Search chats..."
+                            value={historyQuery}
+                            onChange={(e) => setHistoryQuery(e.target.value)}
+                            className="h-8 pl-8 text-xs"
+                          />
+                        </div>
+                      </div>
+                      <div className="flex-1 min-h-0 overflow-y-auto divide-y divide-slate-100">
+                        {threadResults.length === 0 ? (
+                          <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-400 text-center py-8">
+                            {historyQuery ? 'No matches' : 'No saved chats'}
+                          </p>
+                        ) : threadResults.map(({ thread, snippet }) => (
+                          <div
+                            key={thread.id}
+                            onClick={() => openThread(thread)}
+                            className={`group p-3 cursor-pointer hover:bg-blue-50/60 ${activeThread?.id === thread.id ? 'bg-blue-50 border-l-2 border-blue-600' : ''}`}
+                          >
+                            <div className="flex items-start justify-between gap-2">
+                              <p className="text-xs font-semibold text-slate-900 leading-snug line-clamp-2">{thread.title}</p>
+                              <button
+                                onClick={(e) => { e.stopPropagation(); removeThread(thread.id); }}
+                                className="opacity-0 group-hover:opacity-100 text-slate-400 hover:text-rose-600"
+                                title="Delete conversation"
+                              >
+                                <Trash2 className="w-3 h-3" />
+                              </button>
+                            </div>
+                            {snippet && <p className="text-[10px] text-slate-500 mt-1 line-clamp-2">{snippet}</p>}
+                            <p className="text-[9px] font-mono uppercase tracking-widest text-slate-400 mt-1">
+                              {format(new Date(thread.updatedAt), 'MMM d, h:mm a')}
+                              {thread.pendingSync && <span className="text-amber-600"> · offline</span>}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  </aside>
+                )}
+
+                <div className="flex-1 min-w-0">
+                  {/* Messages */}
+                  <div className="h-96 overflow-y-auto p-4 space-y-4 bg-slate-50">
+                    {messages.map((msg, idx) => msg.role === 'tool' ? (
+                      <div key={idx} className="flex justify-start">
+                        <span className="flex items-center gap-1.5 text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 bg-slate-100 border border-slate-200 px-2 py-1">
+                          <Wrench className="w-3 h-3" />
+                          {msg.name}{msg.result?.error ? `: ${msg.result.error}` : ''}
+                        </span>
+                      </div>
+                    ) : (
                       <div
-                        className={`max-w-[80%] rounded-2xl px-4 py-3 ${
-                          msg.role === 'user'
-                            ? 'bg-blue-600 text-white'
-                            : 'bg-white text-slate-900 border border-slate-200 shadow-sm'
-                        }`}
+                        key={idx}
+                        className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
                       >
-                        {msg.role === 'user' ? (
-                          <p className="text-sm whitespace-pre-wrap">{msg.content}</p>
+                        <div
+                          className={`max-w-[80%] rounded-2xl px-4 py-3 ${
+                            msg.role === 'user'
+                              ? 'bg-blue-600 text-white'
+                              : 'bg-white text-slate-900 border border-slate-200 shadow-sm'
+                          }`}
+                        >
+                          {msg.role === 'user' ? (
+                            <p className="text-sm whitespace-pre-wrap">{msg.content}</p>
+                          ) : (
+                            <div className="text-sm prose prose-sm max-w-none prose-headings:font-bold prose-headings:text-slate-900 prose-p:text-slate-700 prose-p:leading-relaxed prose-strong:text-slate-900 prose-strong:font-semibold prose-ul:text-slate-700 prose-li:my-1 prose-a:text-blue-600 prose-a:no-underline hover:prose-a:underline">
+                              <ReactMarkdown components={MARKDOWN_COMPONENTS}>
+                                {msg.content}
+                              </ReactMarkdown>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {isLoading && (
+                      <div className="flex justify-start">
+                        {chatStream.text && !isToolCallDraft(chatStream.text) ? (
+                          <div className="max-w-[80%] rounded-2xl px-4 py-3 bg-white text-slate-900 border border-slate-200 shadow-sm">
+                            <div className="text-sm prose prose-sm max-w-none prose-p:text-slate-700 prose-p:leading-relaxed">
+                              <ReactMarkdown components={MARKDOWN_COMPONENTS}>{chatStream.text}</ReactMarkdown>
+                            </div>
+                          </div>
                         ) : (
-                          <div className="text-sm prose prose-sm max-w-none prose-headings:font-bold prose-headings:text-slate-900 prose-p:text-slate-700 prose-p:leading-relaxed prose-strong:text-slate-900 prose-strong:font-semibold prose-ul:text-slate-700 prose-li:my-1 prose-a:text-blue-600 prose-a:no-underline hover:prose-a:underline">
-                            <ReactMarkdown
-                              components={{
-                                a: ({node, ...props}) => (
-                                  <a {...props} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700 font-medium" />
-                                ),
-                                p: ({node, ...props}) => (
-                                  <p {...props} className="mb-3 last:mb-0" />
-                                ),
-                                ul: ({node, ...props}) => (
-                                  <ul {...props} className="my-2 space-y-1" />
-                                ),
-                                strong: ({node, ...props}) => (
-                                  <strong {...props} className="font-semibold text-slate-900" />
-                                )
-                              }}
-                            >
-                              {msg.content}
-                            </ReactMarkdown>
+                          <div className="bg-white border border-slate-200 rounded-2xl px-4 py-3">
+                            <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
                           </div>
                         )}
                       </div>
-                    </div>
-                  ))}
-                  {isLoading && (
-                    <div className="flex justify-start">
-                      <div className="bg-white border border-slate-200 rounded-2xl px-4 py-3">
-                        <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
-                      </div>
-                    </div>
-                  )}
-                  <div ref={messagesEndRef} />
-                </div>
+                    )}
+                    <LLMResponse stream={chatStream} markdown={false} label="Response" onRetry={retryLast} />
+                    <div ref={messagesEndRef} />
+                  </div>
 
-                {/* Input */}
-                <div className="p-4 border-t border-slate-200 bg-white">
-                  <div className="flex gap-2">
-                    <Input
-                      placeholder="Ask me anything..."
-                      value={input}
-                      onChange={(e) => setInput(e.target.value)}
-                      onKeyPress={handleKeyPress}
-                      disabled={isLoading}
-                      className="flex-1"
-                    />
-                    <Button
-                      onClick={handleSend}
-                      disabled={!input.trim() || isLoading}
-                      className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700"
-                    >
-                      <Send className="w-4 h-4" />
-                    </Button>
+                  {/* Input */}
+                  <div className="p-4 border-t border-slate-200 bg-white">
+                    <div className="flex gap-2">
+                      <Input
+                        placeholder="Ask me anything..."
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        onKeyPress={handleKeyPress}
+                        disabled={isLoading}
+                        className="flex-1"
+                      />
+                      <Button
+                        onClick={handleSend}
+                        disabled={!input.trim() || isLoading}
+                        className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700"
+                      >
+                        <Send className="w-4 h-4" />
+                      </Button>
+                    </div>
                   </div>
                 </div>
               </CardContent>
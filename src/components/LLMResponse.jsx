@@ -0,0 +1,74 @@
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import { Button } from "@/components/ui/button";
+import { AlertTriangle, RotateCcw, Square, Loader2 } from "lucide-react";
+import { LLM_STATUS } from "@/hooks/useLLMStream";
+
+/**
+ * LLM Response
+ * Shared status, cancel and retry UI for a useLLMStream request. With
+ * `markdown` the reply renders incrementally; without it (JSON prompts) only
+ * the progress strip and error state are shown and the page renders the parsed result.
+ */
+export default function LLMResponse({ stream, onRetry, label = "AI Analysis", markdown = true, className = "" }) {
+  const { text, status, error, cancel } = stream;
+  const retry = onRetry || stream.retry;
+
+  if (status === LLM_STATUS.IDLE) return null;
+
+  const showText = markdown && text && status !== LLM_STATUS.ERROR;
+
+  return (
+    <div className={className}>
+      {status === LLM_STATUS.STREAMING && (
+        <div className="flex items-center gap-3 bg-slate-900 text-white px-4 py-2 mb-3">
+          <Loader2 className="w-3.5 h-3.5 animate-spin text-blue-400" />
+          <span className="text-[9px] font-black uppercase tracking-[0.3em]">Streaming {label}</span>
+          <span className="text-[9px] font-mono text-slate-400">{text.length.toLocaleString()} chars</span>
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={cancel}
+            className="ml-auto h-6 rounded-none text-[9px] font-black uppercase tracking-[0.2em] text-slate-300 hover:text-white hover:bg-slate-800"
+          >
+            <Square className="w-3 h-3 mr-1" />
+            Cancel
+          </Button>
+        </div>
+      )}
+
+      {status === LLM_STATUS.ERROR && (
+        <div className="flex items-start gap-3 border-l-4 border-rose-500 bg-rose-50 px-4 py-3 mb-3">
+          <AlertTriangle className="w-4 h-4 text-rose-600 mt-0.5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="text-[9px] font-black uppercase tracking-[0.2em] text-rose-800">{label} Failed</p>
+            <p className="text-xs text-rose-700 mt-1">{error}</p>
+          </div>
+          <Button size="sm" variant="outline" onClick={retry} className="h-7 rounded-none border-rose-300 text-rose-700 hover:bg-rose-100 text-[9px] font-black uppercase tracking-[0.2em]">
+            <RotateCcw className="w-3 h-3 mr-1" />
+            Retry
+          </Button>
+        </div>
+      )}
+
+      {status === LLM_STATUS.CANCELLED && (
+        <div className="flex items-center gap-3 border-l-4 border-slate-400 bg-slate-100 px-4 py-2 mb-3">
+          <p className="flex-1 text-[9px] font-black uppercase tracking-[0.2em] text-slate-600">
+            {label} Cancelled{text ? ' · partial response shown' : ''}
+          </p>
+          <Button size="sm" variant="outline" onClick={retry} className="h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em]">
+            <RotateCcw className="w-3 h-3 mr-1" />
+            Retry
+          </Button>
+        </div>
+      )}
+
+      {showText && (
+        <div className="text-slate-700 leading-relaxed prose prose-sm max-w-none">
+          <ReactMarkdown>{text}</ReactMarkdown>
+          {status === LLM_STATUS.STREAMING && <span className="inline-block w-2 h-4 bg-slate-700 animate-pulse align-middle" />}
+        </div>
+      )}
+    </div>
+  );
+}
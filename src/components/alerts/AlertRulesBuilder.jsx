@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from "react";
+import { awsApi } from "@/utils/awsClient";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Siren, Plus, Trash2, AlertCircle } from "lucide-react";
+import {
+  ALERT_TYPES,
+  ALERT_TYPE_LABELS,
+  ALERT_DIRECTIONS,
+  DEFAULT_ALERT_CHANNELS,
+  createAlertRule,
+  validateAlertRule,
+  describeAlertRule,
+  loadAlertRules,
+  saveAlertRules,
+  mergeAlertRules
+} from "@/components/utils/alerts/alertRules";
+
+const EMPTY_DRAFT = {
+  type: ALERT_TYPES.PRICE,
+  symbol: "",
+  direction: ALERT_DIRECTIONS.ABOVE,
+  threshold: "",
+  channels: DEFAULT_ALERT_CHANNELS
+};
+
+const THRESHOLD_UNITS = {
+  price_cross: "$",
+  portfolio_drawdown: "%",
+  holding_weight: "%",
+  vix_level: "pts"
+};
+
+// Definitions only: evaluation state (armed, peak) stays on this device
+const toProfileRule = ({ armed, state, ...rule }) => rule;
+
+const formatReading = (rule) => {
+  const value = rule.state?.lastValue;
+  if (value === undefined) return "Awaiting sync";
+  return THRESHOLD_UNITS[rule.type] === "$" ? `Last $${value.toFixed(2)}` : `Last ${value}${THRESHOLD_UNITS[rule.type] === "%" ? "%" : ""}`;
+};
+
+/**
+ * Alert Rules Builder
+ * Create price, drawdown, weight and VIX alerts. Rules are checked on every
+ * portfolio sync and saved to the user profile so they follow the account.
+ */
+export default function AlertRulesBuilder({ remoteRules }) {
+  const userId = localStorage.getItem("user_id");
+  const [rules, setRules] = useState(() => loadAlertRules(userId));
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    setRules(saveAlertRules(userId, mergeAlertRules(loadAlertRules(userId), remoteRules)));
+  }, [remoteRules, userId]);
+
+  const persist = async (next) => {
+    setRules(saveAlertRules(userId, next));
+    try {
+      await awsApi.updateUser({ alert_rules: next.map(toProfileRule) });
+    } catch (error) {
+      console.warn("⚠️ Alert rules saved on this device only:", error);
+    }
+  };
+
+  const handleAdd = () => {
+    const rule = createAlertRule(draft);
+    const ruleErrors = validateAlertRule(rule);
+    setErrors(ruleErrors);
+    if (ruleErrors.length > 0) return;
+    persist([...rules, rule]);
+    setDraft({ ...EMPTY_DRAFT, type: draft.type, channels: draft.channels });
+  };
+
+  const updateRule = (id, changes) => {
+    persist(rules.map(rule => (rule.id === id ? { ...rule, ...changes, updatedAt: new Date().toISOString() } : rule)));
+  };
+
+  const removeRule = (id) => persist(rules.filter(rule => rule.id !== id));
+
+  const setChannel = (channel, checked) => setDraft(prev => ({ ...prev, channels: { ...prev.channels, [channel]: !!checked } }));
+
+  const showSymbol = draft.type === ALERT_TYPES.PRICE || draft.type === ALERT_TYPES.WEIGHT;
+  const showDirection = draft.type !== ALERT_TYPES.DRAWDOWN;
+
+  return (
+    <Card className="border-4 border-slate-900 shadow-[8px_8px_0px_0px_rgba(15,23,42,1)] rounded-[2rem] overflow-hidden mb-10 bg-white">
+      <CardHeader className="bg-slate-900 text-white py-3 px-6 border-b-4 border-slate-900">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Siren className="w-4 h-4 text-rose-400" />
+            <CardTitle className="text-[10px] font-black uppercase tracking-[0.2em]">
+              Custom Alert Rules
+            </CardTitle>
+          </div>
+          <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+            {rules.filter(rule => rule.enabled).length} Active
+          </span>
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-6 bg-slate-50/30">
+        <p className="text-[11px] font-bold text-slate-700 leading-relaxed">
+          Checked against live quotes and the VIX on every price sync. A rule fires once when its condition is met and re-arms after it clears.
+        </p>
+
+        {/* Rule form */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Alert Type</Label>
+            <Select value={draft.type} onValueChange={(type) => setDraft(prev => ({ ...prev, type }))}>
+              <SelectTrigger className="h-11 border-2 border-slate-900 bg-white rounded-xl font-bold text-xs">
+                <SelectValue>{ALERT_TYPE_LABELS[draft.type]}</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white border-2 border-slate-900 rounded-xl">
+                {Object.values(ALERT_TYPES).map(type => (
+                  <SelectItem key={type} value={type} className="font-bold uppercase text-xs">{ALERT_TYPE_LABELS[type]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {showSymbol ? (
+            <div>
+              <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Symbol</Label>
+              <Input
+                value={draft.symbol}
+                onChange={(e) => setDraft(prev => ({ ...prev, symbol: e.target.value.toUpperCase() }))}
+                placeholder={draft.type === ALERT_TYPES.WEIGHT ? "Blank = any holding" : "AAPL"}
+                className="h-11 border-2 border-slate-200 focus:border-slate-900 rounded-xl font-bold"
+              />
+            </div>
+          ) : <div className="hidden md:block" />}
+
+          {showDirection ? (
+            <div>
+              <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Condition</Label>
+              <Select value={draft.direction} onValueChange={(direction) => setDraft(prev => ({ ...prev, direction }))}>
+                <SelectTrigger className="h-11 border-2 border-slate-900 bg-white rounded-xl font-bold text-xs">
+                  <SelectValue>{draft.direction === ALERT_DIRECTIONS.ABOVE ? "Above" : "Below"}</SelectValue>
+                </SelectTrigger>
+                <SelectContent className="bg-white border-2 border-slate-900 rounded-xl">
+                  <SelectItem value={ALERT_DIRECTIONS.ABOVE} className="font-bold uppercase text-xs">Above</SelectItem>
+                  <SelectItem value={ALERT_DIRECTIONS.BELOW} className="font-bold uppercase text-xs">Below</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          ) : (
+            <div className="h-11 flex items-center text-[10px] font-black uppercase tracking-widest text-slate-500">Drawdown from peak &gt;</div>
+          )}
+
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">
+              Threshold ({THRESHOLD_UNITS[draft.type]})
+            </Label>
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.threshold}
+              onChange={(e) => setDraft(prev => ({ ...prev, threshold: e.target.value }))}
+              placeholder={draft.type === ALERT_TYPES.VIX ? "30" : draft.type === ALERT_TYPES.PRICE ? "200" : "10"}
+              className="h-11 border-2 border-slate-200 focus:border-slate-900 rounded-xl font-bold"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+          <div className="flex items-center gap-6">
+            {[["inApp", "In-App"], ["email", "Email"]].map(([channel, label]) => (
+              <label key={channel} className="flex items-center gap-2 cursor-pointer">
+                <Checkbox checked={!!draft.channels[channel]} onCheckedChange={(checked) => setChannel(channel, checked)} />
+                <span className="text-[10px] font-black uppercase tracking-widest text-slate-700">{label}</span>
+              </label>
+            ))}
+          </div>
+          <Button
+            onClick={handleAdd}
+            className="bg-slate-900 text-white font-black uppercase text-[10px] tracking-widest rounded-2xl h-11 px-6 shadow-[4px_4px_0px_0px_rgba(244,63,94,1)]"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Rule
+          </Button>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="flex items-start gap-2 border-2 border-rose-500 bg-rose-50 rounded-xl p-3">
+            <AlertCircle className="w-4 h-4 text-rose-600 mt-0.5" />
+            <ul className="text-[11px] font-bold text-rose-700 space-y-0.5">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {/* Rule list */}
+        {rules.length === 0 ? (
+          <p className="text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400 py-4">No alert rules yet</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-center gap-4 bg-white border-2 border-slate-900 rounded-2xl px-4 py-3">
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-black truncate ${rule.enabled ? "text-slate-900" : "text-slate-400"}`}>{describeAlertRule(rule)}</p>
+                  <p className="text-[9px] font-black uppercase tracking-widest text-slate-400 mt-0.5">
+                    {ALERT_TYPE_LABELS[rule.type]} · {formatReading(rule)}
+                    {rule.enabled && !rule.armed && " · Triggered, waiting to clear"}
+                    {rule.state?.lastTriggeredAt && ` · Last fired ${new Date(rule.state.lastTriggeredAt).toLocaleString()}`}
+                  </p>
+                </div>
+                <span className="text-[9px] font-black uppercase tracking-widest text-slate-500 hidden md:inline">
+                  {[rule.channels?.inApp && "App", rule.channels?.email && "Email"].filter(Boolean).join(" + ")}
+                </span>
+                <Switch
+                  checked={!!rule.enabled}
+                  onCheckedChange={() => updateRule(rule.id, { enabled: !rule.enabled, armed: true })}
+                  className="w-12 h-6 border-2 border-slate-900 data-[state=checked]:bg-rose-500 data-[state=unchecked]:bg-slate-200"
+                />
+                <Button size="icon" variant="ghost" onClick={() => removeRule(rule.id)} className="h-8 w-8 text-slate-400 hover:text-rose-600">
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
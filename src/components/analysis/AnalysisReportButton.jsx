@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { FileDown, Loader2 } from "lucide-react";
+import { MODEL_LIMITATIONS } from "@/components/trust/ModelLimitationsDisclosure";
+import { downloadAnalysisReport } from "@/components/utils/reports/analysisReport";
+
+/**
+ * Download Report
+ * Saves the current analysis - allocations, metrics, charts and model
+ * disclosures - as a paginated PDF generated in the browser.
+ */
+export default function AnalysisReportButton({ analysisResult, className = "" }) {
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      await downloadAnalysisReport(analysisResult, { disclosures: MODEL_LIMITATIONS });
+    } catch (err) {
+      console.error("❌ PDF report failed:", err);
+      setError("Report could not be generated. Please try again.");
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center">
+      <Button
+        onClick={handleDownload}
+        disabled={isGenerating || !analysisResult?.optimal_portfolio}
+        variant="outline"
+        className={`border-2 border-slate-300 hover:bg-slate-50 ${className}`}
+      >
+        {isGenerating ? (
+          <>
+            <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+            Building Report...
+          </>
+        ) : (
+          <>
+            <FileDown className="w-5 h-5 mr-2" />
+            Download Report
+          </>
+        )}
+      </Button>
+      {error && <p className="text-xs text-rose-600 mt-2">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Eye, Plus, Trash2, Save, CheckCircle, AlertCircle } from "lucide-react";
+import { optimizeBlackLitterman } from "@/components/utils/calculations/portfolioOptimization";
+import {
+  VIEW_TYPES,
+  VIEW_CONFIDENCE_LEVELS,
+  marketCapOf,
+  validateViews,
+  loadViews,
+  saveViews
+} from "@/components/utils/calculations/blackLitterman";
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const formatPct = (value) => (isNumber(value) ? `${value.toFixed(2)}%` : "—");
+const selectTriggerClass = "h-10 rounded-none border-2 border-slate-200 font-bold text-xs bg-white";
+
+/**
+ * Black-Litterman Views
+ * Start from the returns implied by market-cap weights, add absolute or
+ * relative views with a confidence level, and compare the resulting
+ * allocation with the Optimal portfolio.
+ *
+ * @param {Object} analysisResult - Output of the Analysis page optimization
+ * @param {Array} companyRecords - Company records; analysisResult.companies has no market caps
+ */
+export default function BlackLittermanCard({ analysisResult, companyRecords = [] }) {
+  const userId = localStorage.getItem("user_id");
+  const companies = analysisResult?.companies || [];
+  const symbols = useMemo(() => companies.map(c => c.symbol), [companies]);
+  const marketCaps = useMemo(
+    () => Object.fromEntries(companyRecords.map(c => [c.symbol, marketCapOf(c)])),
+    [companyRecords]
+  );
+
+  // Saved views only apply to holdings in this analysis
+  const [views, setViews] = useState(() => loadViews(userId).filter(view => (
+    symbols.includes(view.asset) && (view.type !== 'relative' || symbols.includes(view.versus))
+  )));
+  const [saved, setSaved] = useState(false);
+
+  const errors = useMemo(() => validateViews(views, symbols), [views, symbols]);
+
+  const result = useMemo(() => {
+    if (companies.length === 0 || errors.length > 0) return null;
+    try {
+      return optimizeBlackLitterman(companies, views, {
+        marketCaps,
+        correlationTier: analysisResult?.portfolio_quality?.correlationTier
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [companies, views, errors.length, marketCaps, analysisResult?.portfolio_quality?.correlationTier]);
+
+  if (companies.length < 2) return null;
+
+  const updateView = (index, changes) => {
+    setViews(prev => prev.map((view, i) => (i === index ? { ...view, ...changes } : view)));
+    setSaved(false);
+  };
+
+  const addView = () => {
+    setViews(prev => [...prev, { type: 'absolute', asset: symbols[0], versus: symbols[1], return: '', confidence: 50 }]);
+    setSaved(false);
+  };
+
+  const removeView = (index) => {
+    setViews(prev => prev.filter((_, i) => i !== index));
+    setSaved(false);
+  };
+
+  const handleSave = () => {
+    if (errors.length > 0) return;
+    saveViews(userId, views);
+    setSaved(true);
+  };
+
+  const optimal = analysisResult.optimal_portfolio || {};
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <Eye className="w-4 h-4 text-blue-400" />
+          Black-Litterman: Your Market Views
+        </CardTitle>
+        <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+          {views.length} view{views.length === 1 ? '' : 's'}
+        </span>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        <p className="text-[11px] text-slate-600 leading-relaxed">
+          The starting point is the return each holding must have for its market-cap weight to be optimal. Views move
+          those returns in proportion to your confidence: a 50% view lands halfway between the market's figure and yours.
+          With no views the allocation is the market-cap portfolio, within the usual position limits.
+        </p>
+
+        {/* View editor */}
+        <div className="space-y-3">
+          {views.map((view, index) => (
+            <div key={index} className="grid grid-cols-2 md:grid-cols-12 gap-2 items-end border border-slate-200 bg-white p-3">
+              <div className="md:col-span-2">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-1">Type</p>
+                <Select value={view.type} onValueChange={(type) => updateView(index, { type })}>
+                  <SelectTrigger className={selectTriggerClass}><SelectValue>{VIEW_TYPES[view.type]?.label}</SelectValue></SelectTrigger>
+                  <SelectContent className="bg-white">
+                    {Object.entries(VIEW_TYPES).map(([key, type]) => (
+                      <SelectItem key={key} value={key} className="text-xs">
+                        <span className="font-bold">{type.label}</span>
+                        <span className="block text-[10px] text-slate-500">{type.description}</span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="md:col-span-2">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-1">Asset</p>
+                <Select value={view.asset} onValueChange={(asset) => updateView(index, { asset })}>
+                  <SelectTrigger className={selectTriggerClass}><SelectValue>{view.asset}</SelectValue></SelectTrigger>
+                  <SelectContent className="bg-white">
+                    {symbols.map(symbol => <SelectItem key={symbol} value={symbol} className="text-xs font-bold">{symbol}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="md:col-span-2">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-1">
+                  {view.type === 'relative' ? 'Beats' : 'Returns'}
+                </p>
+                {view.type === 'relative' ? (
+                  <Select value={view.versus} onValueChange={(versus) => updateView(index, { versus })}>
+                    <SelectTrigger className={selectTriggerClass}><SelectValue>{view.versus}</SelectValue></SelectTrigger>
+                    <SelectContent className="bg-white">
+                      {symbols.filter(symbol => symbol !== view.asset).map(symbol => (
+                        <SelectItem key={symbol} value={symbol} className="text-xs font-bold">{symbol}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                ) : (
+                  <p className="h-10 flex items-center text-[10px] font-mono text-slate-400">per year</p>
+                )}
+              </div>
+              <div className="md:col-span-2">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-1">
+                  {view.type === 'relative' ? 'By (%)' : 'Return (%)'}
+                </p>
+                <Input
+                  type="number"
+                  step="0.5"
+                  value={view.return}
+                  onChange={(e) => updateView(index, { return: e.target.value })}
+                  className="h-10 rounded-none border-2 border-slate-200 focus:border-slate-900 font-mono font-bold"
+                />
+              </div>
+              <div className="md:col-span-3">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-1">Confidence</p>
+                <Select value={String(view.confidence)} onValueChange={(confidence) => updateView(index, { confidence: Number(confidence) })}>
+                  <SelectTrigger className={selectTriggerClass}><SelectValue>{VIEW_CONFIDENCE_LEVELS[view.confidence] || `${view.confidence}%`}</SelectValue></SelectTrigger>
+                  <SelectContent className="bg-white">
+                    {Object.entries(VIEW_CONFIDENCE_LEVELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value} className="text-xs font-bold">{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button
+                variant="ghost"
+                onClick={() => removeView(index)}
+                className="h-10 rounded-none text-slate-400 hover:text-rose-600 md:col-span-1"
+                aria-label={`Remove view ${index + 1}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+              {result?.views?.[index] && (
+                <p className="col-span-2 md:col-span-12 text-[10px] font-mono text-slate-500">
+                  Market implies {formatPct(result.views[index].priorValue)} → blended {formatPct(result.views[index].posteriorValue)}
+                </p>
+              )}
+            </div>
+          ))}
+
+          <div className="flex flex-col md:flex-row gap-3">
+            <Button
+              variant="outline"
+              onClick={addView}
+              className="rounded-none border-2 border-slate-900 font-black uppercase text-[10px] tracking-widest h-10"
+            >
+              <Plus className="w-4 h-4 mr-2" />Add View
+            </Button>
+            <Button
+              onClick={handleSave}
+              disabled={errors.length > 0 || saved}
+              className="rounded-none bg-slate-900 text-white font-black uppercase text-[10px] tracking-widest h-10"
+            >
+              {saved ? <><CheckCircle className="w-4 h-4 mr-2" />Views Saved</> : <><Save className="w-4 h-4 mr-2" />Save Views</>}
+            </Button>
+          </div>
+        </div>
+
+        {(errors.length > 0 || result?.error) && (
+          <div className="flex items-start gap-2 border-2 border-rose-300 bg-rose-50 p-3">
+            <AlertCircle className="w-4 h-4 text-rose-600 mt-0.5 flex-shrink-0" />
+            <ul className="text-[11px] font-bold text-rose-700 space-y-0.5">
+              {errors.map(error => <li key={error}>{error}</li>)}
+              {result?.error && <li>{result.error}</li>}
+            </ul>
+          </div>
+        )}
+
+        {result?.allocations && (
+          <>
+            <div className="grid grid-cols-3 gap-3">
+              {[
+                { label: 'Expected Return', value: formatPct(result.expected_return), compare: formatPct(optimal.expected_return) },
+                { label: 'Risk', value: formatPct(result.risk), compare: formatPct(optimal.risk) },
+                { label: 'Sharpe', value: isNumber(result.sharpe_ratio) ? result.sharpe_ratio.toFixed(3) : "—", compare: isNumber(optimal.sharpe_ratio) ? optimal.sharpe_ratio.toFixed(3) : "—" }
+              ].map(stat => (
+                <div key={stat.label} className="border border-slate-200 bg-white p-4">
+                  <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{stat.label}</p>
+                  <p className="text-xl font-mono font-bold tracking-tighter text-slate-900">{stat.value}</p>
+                  <p className="text-[10px] font-mono text-slate-500 uppercase mt-1 tracking-tight">Optimal {stat.compare}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="border border-slate-200 bg-white overflow-x-auto">
+              <table className="w-full text-sm whitespace-nowrap">
+                <thead>
+                  <tr className="border-b border-slate-200 text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">
+                    <th className="text-left p-3">Holding</th>
+                    <th className="text-right p-3">Market Weight</th>
+                    <th className="text-right p-3">Implied Return</th>
+                    <th className="text-right p-3">With Views</th>
+                    <th className="text-right p-3">Black-Litterman</th>
+                    <th className="text-right p-3">Optimal</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {symbols.map(symbol => {
+                    const shift = result.posterior_returns[symbol] - result.implied_returns[symbol];
+                    return (
+                      <tr key={symbol} className="border-b border-slate-100 last:border-0">
+                        <td className="p-3 text-[10px] font-sans font-black uppercase tracking-[0.2em] text-slate-700">
+                          {symbol}
+                          {result.estimated_market_caps.includes(symbol) && <span className="text-amber-600"> *</span>}
+                        </td>
+                        <td className="p-3 text-right text-slate-500">{formatPct(result.market_weights[symbol])}</td>
+                        <td className="p-3 text-right text-slate-500">{formatPct(result.implied_returns[symbol])}</td>
+                        <td className={`p-3 text-right font-bold ${Math.abs(shift) < 0.005 ? 'text-slate-900' : shift > 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+                          {formatPct(result.posterior_returns[symbol])}
+                        </td>
+                        <td className="p-3 text-right font-bold text-slate-900">{formatPct(result.allocations[symbol])}</td>
+                        <td className="p-3 text-right text-slate-500">{formatPct(optimal.allocations?.[symbol])}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {result.estimated_market_caps.length > 0 && (
+              <p className="text-[10px] font-mono text-amber-700">
+                * No market cap on record for {result.estimated_market_caps.join(', ')}; the median of the other holdings was used.
+              </p>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { SlidersHorizontal, Save, RotateCcw, CheckCircle, AlertCircle, Info, Crosshair } from "lucide-react";
+import { awsApi } from "@/utils/awsClient";
+import { optimizeWithCustomConstraints } from "@/components/utils/calculations/portfolioOptimization";
+import {
+  CONSTRAINED_OBJECTIVES,
+  DEFAULT_CONSTRAINTS,
+  MIN_HOLDING_WEIGHT,
+  validateConstraints,
+  currentHoldingWeights,
+  loadConstraints,
+  saveConstraints
+} from "@/components/utils/calculations/constrainedOptimization";
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const formatPct = (value) => (isNumber(value) ? `${value.toFixed(2)}%` : "—");
+const formatWeight = (value) => (isNumber(value) ? `${value.toFixed(1)}%` : "—");
+const inputClass = "h-9 rounded-none border-2 border-slate-200 focus:border-slate-900 font-mono font-bold text-xs";
+const labelClass = "text-[9px] font-black uppercase tracking-[0.2em] text-slate-500";
+
+/**
+ * Custom Constraints
+ * Per-holding min/max weights, sector caps, maximum beta, minimum number of
+ * holdings, must-include symbols and a turnover limit versus current holdings.
+ * The optimizer solves within them exactly, or explains which ones conflict.
+ *
+ * @param {Object} analysisResult - Output of the Analysis page optimization
+ * @param {boolean} analyzing - Whether the constrained portfolio is feeding the risk and cost cards
+ * @param {Function} onAnalyzePortfolio - Called with the constrained portfolio, or null to go back to Optimal
+ */
+export default function ConstraintBuilderCard({ analysisResult, analyzing = false, onAnalyzePortfolio }) {
+  const userId = localStorage.getItem("user_id");
+  const companies = analysisResult?.companies || [];
+  const symbols = useMemo(() => companies.map(c => c.symbol), [companies]);
+  const sectors = useMemo(() => [...new Set(companies.map(c => c.sector || 'Unknown'))].sort(), [companies]);
+
+  const [constraints, setConstraints] = useState(() => {
+    const saved = loadConstraints(userId);
+    return { ...saved, mustInclude: (saved.mustInclude || []).filter(symbol => symbols.includes(symbol)) };
+  });
+  const [holdings, setHoldings] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    awsApi.getHoldings()
+      .then(data => { if (!cancelled) setHoldings(data || []); })
+      .catch(error => {
+        console.error("Error loading holdings for turnover limit:", error);
+        if (!cancelled) setHoldings([]);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const currentWeights = useMemo(
+    () => (holdings ? currentHoldingWeights(holdings, symbols) : null),
+    [holdings, symbols]
+  );
+  const errors = useMemo(() => validateConstraints(constraints, companies), [constraints, companies]);
+
+  const result = useMemo(() => {
+    if (companies.length < 2 || errors.length > 0) return null;
+    return optimizeWithCustomConstraints(companies, constraints, { currentWeights });
+  }, [companies, constraints, currentWeights, errors.length]);
+
+  // The page passes a new callback each render; read the latest one from a ref
+  const onAnalyzeRef = useRef(onAnalyzePortfolio);
+  useEffect(() => {
+    onAnalyzeRef.current = onAnalyzePortfolio;
+  }, [onAnalyzePortfolio]);
+
+  // Keep the risk and cost cards in step while the constraints are edited
+  useEffect(() => {
+    if (!analyzing) return;
+    onAnalyzeRef.current?.(result?.feasible ? { ...result, label: `Custom constraints (${CONSTRAINED_OBJECTIVES[result.objective]?.label})` } : null);
+  }, [analyzing, result]);
+
+  if (companies.length < 2) return null;
+
+  const update = (changes) => {
+    setConstraints(prev => ({ ...prev, ...changes }));
+    setSaved(false);
+  };
+  const updateAssetLimit = (symbol, field, value) => update({
+    assetLimits: { ...constraints.assetLimits, [symbol]: { ...constraints.assetLimits?.[symbol], [field]: value } }
+  });
+  const toggleMustInclude = (symbol, checked) => update({
+    mustInclude: checked
+      ? [...(constraints.mustInclude || []), symbol]
+      : (constraints.mustInclude || []).filter(s => s !== symbol)
+  });
+
+  const handleSave = () => {
+    if (errors.length > 0) return;
+    saveConstraints(userId, constraints);
+    setSaved(true);
+  };
+
+  const handleReset = () => {
+    setConstraints({ ...DEFAULT_CONSTRAINTS });
+    setSaved(false);
+    if (analyzing) onAnalyzePortfolio?.(null);
+  };
+
+  const optimal = analysisResult.optimal_portfolio || {};
+  const portfolioBeta = (allocations) => (allocations
+    ? companies.reduce((sum, c) => sum + ((allocations[c.symbol] || 0) / 100) * (isNumber(c.beta) ? c.beta : 1), 0)
+    : null);
+  const objectiveLabel = CONSTRAINED_OBJECTIVES[result?.objective || constraints.objective]?.label;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4 text-blue-400" />
+          Custom Constraints
+        </CardTitle>
+        <Select value={constraints.objective} onValueChange={(objective) => update({ objective })}>
+          <SelectTrigger className="h-8 w-44 rounded-none border-2 border-slate-700 bg-slate-900 text-white font-bold text-[10px] uppercase tracking-widest">
+            <SelectValue>{CONSTRAINED_OBJECTIVES[constraints.objective]?.label}</SelectValue>
+          </SelectTrigger>
+          <SelectContent className="bg-white">
+            {Object.entries(CONSTRAINED_OBJECTIVES).map(([key, objective]) => (
+              <SelectItem key={key} value={key} className="text-xs">
+                <span className="font-bold">{objective.label}</span>
+                <span className="block text-[10px] text-slate-500">{objective.description}</span>
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        <p className="text-[11px] text-slate-600 leading-relaxed">
+          Set your own limits and the optimizer finds the best portfolio that respects all of them. Leave a field blank
+          for no limit. A position counts as a holding at {MIN_HOLDING_WEIGHT * 100}% or more.
+        </p>
+
+        {/* Per-holding limits */}
+        <div className="border border-slate-200 bg-white overflow-x-auto">
+          <table className="w-full text-sm whitespace-nowrap">
+            <thead>
+              <tr className={`border-b border-slate-200 ${labelClass}`}>
+                <th className="text-left p-3">Holding</th>
+                <th className="text-left p-3">Sector</th>
+                <th className="text-right p-3">Beta</th>
+                <th className="text-right p-3">You Hold</th>
+                <th className="text-right p-3">Min %</th>
+                <th className="text-right p-3">Max %</th>
+                <th className="text-center p-3">Must Hold</th>
+              </tr>
+            </thead>
+            <tbody>
+              {companies.map(company => (
+                <tr key={company.symbol} className="border-b border-slate-100 last:border-0">
+                  <td className="p-3 text-[10px] font-black uppercase tracking-[0.2em] text-slate-700">{company.symbol}</td>
+                  <td className="p-3 text-xs text-slate-500">{company.sector || 'Unknown'}</td>
+                  <td className="p-3 text-right font-mono text-slate-500">{isNumber(company.beta) ? company.beta.toFixed(2) : '—'}</td>
+                  <td className="p-3 text-right font-mono text-slate-500">
+                    {currentWeights ? formatWeight((currentWeights[company.symbol] || 0) * 100) : '—'}
+                  </td>
+                  <td className="p-2 w-24">
+                    <Input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={constraints.assetLimits?.[company.symbol]?.min ?? ''}
+                      onChange={(e) => updateAssetLimit(company.symbol, 'min', e.target.value)}
+                      className={`${inputClass} text-right`}
+                      aria-label={`${company.symbol} minimum weight`}
+                    />
+                  </td>
+                  <td className="p-2 w-24">
+                    <Input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={constraints.assetLimits?.[company.symbol]?.max ?? ''}
+                      onChange={(e) => updateAssetLimit(company.symbol, 'max', e.target.value)}
+                      className={`${inputClass} text-right`}
+                      aria-label={`${company.symbol} maximum weight`}
+                    />
+                  </td>
+                  <td className="p-3 text-center">
+                    <Checkbox
+                      checked={(constraints.mustInclude || []).includes(company.symbol)}
+                      onCheckedChange={(checked) => toggleMustInclude(company.symbol, checked === true)}
+                      aria-label={`Must hold ${company.symbol}`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Portfolio-wide limits */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="border border-slate-200 bg-white p-4 space-y-3">
+            <p className={labelClass}>Sector Caps (max %)</p>
+            {sectors.map(sector => (
+              <div key={sector} className="flex items-center justify-between gap-3">
+                <span className="text-xs font-bold text-slate-700">{sector}</span>
+                <Input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={constraints.sectorCaps?.[sector] ?? ''}
+                  onChange={(e) => update({ sectorCaps: { ...constraints.sectorCaps, [sector]: e.target.value } })}
+                  className={`${inputClass} w-24 text-right`}
+                  aria-label={`${sector} sector cap`}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="border border-slate-200 bg-white p-4 space-y-3">
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-xs font-bold text-slate-700">Maximum portfolio beta</span>
+              <Input
+                type="number"
+                step="0.05"
+                min="0"
+                value={constraints.maxBeta ?? ''}
+                onChange={(e) => update({ maxBeta: e.target.value })}
+                className={`${inputClass} w-24 text-right`}
+              />
+            </div>
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-xs font-bold text-slate-700">Minimum number of holdings</span>
+              <Input
+                type="number"
+                step="1"
+                min="1"
+                value={constraints.minHoldings ?? ''}
+                onChange={(e) => update({ minHoldings: e.target.value })}
+                className={`${inputClass} w-24 text-right`}
+              />
+            </div>
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-xs font-bold text-slate-700">Maximum turnover vs current holdings (%)</span>
+              <Input
+                type="number"
+                min="0"
+                max="100"
+                value={constraints.maxTurnover ?? ''}
+                onChange={(e) => update({ maxTurnover: e.target.value })}
+                className={`${inputClass} w-24 text-right`}
+              />
+            </div>
+            <p className="text-[10px] font-mono text-slate-500">
+              {holdings === null
+                ? 'Loading your holdings…'
+                : currentWeights
+                  ? 'Turnover is the share of the portfolio bought or sold to move from what you hold today.'
+                  : "You don't hold any of these symbols, so there is no turnover to limit."}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-3">
+          <Button
+            onClick={handleSave}
+            disabled={errors.length > 0 || saved}
+            className="rounded-none bg-slate-900 text-white font-black uppercase text-[10px] tracking-widest h-10"
+          >
+            {saved ? <><CheckCircle className="w-4 h-4 mr-2" />Constraints Saved</> : <><Save className="w-4 h-4 mr-2" />Save Constraints</>}
+          </Button>
+          <Button
+            variant="outline"
+            onClick={handleReset}
+            className="rounded-none border-2 border-slate-900 font-black uppercase text-[10px] tracking-widest h-10"
+          >
+            <RotateCcw className="w-4 h-4 mr-2" />Clear All
+          </Button>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="flex items-start gap-2 border-2 border-rose-300 bg-rose-50 p-3">
+            <AlertCircle className="w-4 h-4 text-rose-600 mt-0.5 flex-shrink-0" />
+            <ul className="text-[11px] font-bold text-rose-700 space-y-0.5">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {result && !result.feasible && (
+          <div className="border-2 border-amber-300 bg-amber-50 p-4">
+            <p className="text-[10px] font-black uppercase tracking-[0.2em] text-amber-800 mb-2 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" />No portfolio meets all of these limits
+            </p>
+            <ul className="text-xs text-amber-900 space-y-1 list-disc pl-5">
+              {result.explanations.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {result?.notes?.length > 0 && (
+          <div className="flex items-start gap-2 border border-slate-200 bg-white p-3">
+            <Info className="w-4 h-4 text-slate-500 mt-0.5 flex-shrink-0" />
+            <ul className="text-[11px] text-slate-600 space-y-0.5">
+              {result.notes.map(note => <li key={note}>{note}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {result?.feasible && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {[
+                { label: 'Expected Return', value: formatPct(result.expected_return), compare: formatPct(optimal.expected_return) },
+                { label: 'Risk', value: formatPct(result.risk), compare: formatPct(optimal.risk) },
+                { label: 'Sharpe', value: isNumber(result.sharpe_ratio) ? result.sharpe_ratio.toFixed(3) : "—", compare: isNumber(optimal.sharpe_ratio) ? optimal.sharpe_ratio.toFixed(3) : "—" },
+                { label: 'Beta', value: portfolioBeta(result.allocations)?.toFixed(2) ?? "—", compare: portfolioBeta(optimal.allocations)?.toFixed(2) ?? "—" }
+              ].map(stat => (
+                <div key={stat.label} className="border border-slate-200 bg-white p-4">
+                  <p className={`${labelClass} mb-2`}>{stat.label}</p>
+                  <p className="text-xl font-mono font-bold tracking-tighter text-slate-900">{stat.value}</p>
+                  <p className="text-[10px] font-mono text-slate-500 uppercase mt-1 tracking-tight">Optimal {stat.compare}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="border border-slate-200 bg-white overflow-x-auto">
+              <table className="w-full text-sm whitespace-nowrap">
+                <thead>
+                  <tr className={`border-b border-slate-200 ${labelClass}`}>
+                    <th className="text-left p-3">Holding</th>
+                    <th className="text-right p-3">{objectiveLabel} (Constrained)</th>
+                    <th className="text-right p-3">Optimal</th>
+                    {currentWeights && <th className="text-right p-3">You Hold</th>}
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {companies.map(company => (
+                    <tr key={company.symbol} className="border-b border-slate-100 last:border-0">
+                      <td className="p-3 text-[10px] font-sans font-black uppercase tracking-[0.2em] text-slate-700">
+                        {company.symbol}
+                        {result.forced_holdings.includes(company.symbol) && <span className="text-blue-600"> *</span>}
+                      </td>
+                      <td className="p-3 text-right font-bold text-slate-900">{formatWeight(result.allocations[company.symbol])}</td>
+                      <td className="p-3 text-right text-slate-500">{formatWeight(optimal.allocations?.[company.symbol])}</td>
+                      {currentWeights && (
+                        <td className="p-3 text-right text-slate-500">{formatWeight((currentWeights[company.symbol] || 0) * 100)}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="text-[11px] text-slate-600 space-y-1">
+              {result.binding_constraints.length > 0 ? (
+                <p><span className="font-bold text-slate-900">Limits shaping this portfolio:</span> {result.binding_constraints.join('; ')}.</p>
+              ) : (
+                <p>None of your limits is binding; the optimizer would choose this portfolio anyway.</p>
+              )}
+              {result.forced_holdings.length > 0 && (
+                <p>* Raised to {MIN_HOLDING_WEIGHT * 100}% to reach the minimum number of holdings.</p>
+              )}
+              {isNumber(result.turnover) && (
+                <p>Moving from your current holdings trades {formatWeight(result.turnover)} of the portfolio.</p>
+              )}
+            </div>
+
+            <Button
+              variant={analyzing ? "outline" : "default"}
+              onClick={() => onAnalyzePortfolio?.(analyzing ? null : {
+                ...result,
+                label: `Custom constraints (${objectiveLabel})`
+              })}
+              className={`rounded-none font-black uppercase text-[10px] tracking-widest h-10 ${analyzing ? 'border-2 border-slate-900' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
+            >
+              <Crosshair className="w-4 h-4 mr-2" />
+              {analyzing ? 'Back to Optimal in Risk & Cost Cards' : 'Use in Risk & Cost Cards'}
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
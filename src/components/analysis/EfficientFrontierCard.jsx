@@ -0,0 +1,211 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { Spline, X } from "lucide-react";
+import { calculateEfficientFrontier } from "@/components/utils/calculations/portfolioOptimization";
+
+const POSITION_CAP = 0.40; // Same single-asset cap as the Optimal and Min Variance strategies
+
+const STRATEGIES = [
+  { key: 'optimal_portfolio', label: 'Optimal', color: '#3b82f6' },
+  { key: 'minimum_variance_portfolio', label: 'Min Variance', color: '#10b981' },
+  { key: 'maximum_return_portfolio', label: 'Max Return', color: '#f59e0b' }
+];
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const formatPct = (value) => (isNumber(value) ? `${value.toFixed(2)}%` : "—");
+
+function FrontierTooltip({ active, payload }) {
+  if (!active || !payload || payload.length === 0) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-white p-3 border-2 border-slate-200 shadow-lg">
+      <p className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-900">{point.name}</p>
+      <p className="text-xs font-mono mt-1">Return {formatPct(point.return)}</p>
+      <p className="text-xs font-mono">Risk {formatPct(point.risk)}</p>
+      {isNumber(point.sharpe) && <p className="text-xs font-mono">Sharpe {point.sharpe.toFixed(3)}</p>}
+      {point.frontierIndex !== undefined && (
+        <p className="text-[10px] text-slate-500 mt-1">Click to analyze this portfolio</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Efficient Frontier
+ * The long-only frontier across target returns, plotted with each holding and
+ * the three strategies. Clicking a frontier point hands its weights to the
+ * page, which runs them through the stress test, forward risk and
+ * transaction cost cards.
+ *
+ * @param {Object} analysisResult - Output of the Analysis page optimization
+ * @param {string} currentStrategy - Key of the strategy selected on the page
+ * @param {Object} selectedPoint - Frontier point currently analyzed, or null
+ * @param {Function} onSelectPoint - Called with a frontier point, or null to go back to Optimal
+ */
+export default function EfficientFrontierCard({ analysisResult, currentStrategy = 'optimal_portfolio', selectedPoint, onSelectPoint }) {
+  const [capPositions, setCapPositions] = useState(false);
+  const companies = analysisResult?.companies || [];
+
+  const frontier = useMemo(() => {
+    if (companies.length < 2) return null;
+    return calculateEfficientFrontier(companies, { maxWeight: capPositions ? POSITION_CAP : 1 });
+  }, [companies, capPositions]);
+
+  if (!frontier || frontier.points.length === 0) return null;
+
+  const frontierData = frontier.points.map((point, i) => ({
+    name: i === frontier.minimum_variance_index ? 'Minimum variance'
+      : i === frontier.max_sharpe_index ? 'Highest Sharpe' : `Frontier point ${i + 1}`,
+    return: point.expected_return,
+    risk: point.risk,
+    sharpe: point.sharpe_ratio,
+    frontierIndex: i
+  }));
+  const assetData = frontier.assets.map(asset => ({ name: asset.symbol, return: asset.expected_return, risk: asset.risk }));
+  const strategyData = STRATEGIES
+    .filter(strategy => analysisResult[strategy.key])
+    .map(strategy => ({
+      ...strategy,
+      data: [{
+        name: `${strategy.label}${strategy.key === currentStrategy ? ' (current)' : ''}`,
+        return: analysisResult[strategy.key].expected_return,
+        risk: analysisResult[strategy.key].risk,
+        sharpe: analysisResult[strategy.key].sharpe_ratio
+      }]
+    }));
+
+  const handleFrontierClick = (entry) => {
+    const index = entry?.payload?.frontierIndex ?? entry?.frontierIndex;
+    const point = frontier.points[index];
+    if (!point) return;
+    onSelectPoint?.({
+      ...point,
+      label: `${frontierData[index].name} (${formatPct(point.expected_return)} return, ${formatPct(point.risk)} risk)`,
+      position_cap: capPositions ? POSITION_CAP * 100 : null
+    });
+  };
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <Spline className="w-4 h-4 text-blue-400" />
+          Efficient Frontier
+        </CardTitle>
+        <label className="flex items-center gap-2 text-[9px] font-black uppercase tracking-widest text-slate-400 cursor-pointer">
+          Cap positions at {POSITION_CAP * 100}%
+          <Switch checked={capPositions} onCheckedChange={setCapPositions} />
+        </label>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        <p className="text-[11px] text-slate-600 leading-relaxed">
+          Each point on the curve is the lowest-risk mix of your holdings for its expected return (no short
+          positions). Strategies below the curve take more risk than they need to for their return. Click any point
+          on the curve to run its weights through the stress test, forward risk and transaction cost analysis.
+        </p>
+
+        <div className="border border-slate-200 bg-white p-4">
+          <ResponsiveContainer width="100%" height={340}>
+            <ScatterChart margin={{ top: 10, right: 20, bottom: 35, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                type="number"
+                dataKey="risk"
+                name="Risk"
+                unit="%"
+                domain={['auto', 'auto']}
+                tickFormatter={(value) => value.toFixed(0)}
+                label={{ value: 'Risk %', position: 'insideBottom', offset: -8, style: { fontSize: 11 } }}
+                tick={{ fontSize: 10 }}
+              />
+              <YAxis
+                type="number"
+                dataKey="return"
+                name="Return"
+                unit="%"
+                domain={['auto', 'auto']}
+                tickFormatter={(value) => value.toFixed(0)}
+                label={{ value: 'Return %', angle: -90, position: 'insideLeft', offset: 5, style: { fontSize: 11 } }}
+                tick={{ fontSize: 10 }}
+                width={50}
+              />
+              <ZAxis range={[60, 60]} />
+              <Tooltip content={<FrontierTooltip />} cursor={{ strokeDasharray: '3 3' }} />
+              <Legend wrapperStyle={{ fontSize: 10, paddingTop: 24 }} />
+              <Scatter
+                name="Efficient frontier"
+                data={frontierData}
+                fill="#0f172a"
+                line={{ stroke: '#0f172a', strokeWidth: 2 }}
+                lineType="joint"
+                onClick={handleFrontierClick}
+                className="cursor-pointer"
+              />
+              <Scatter name="Holdings" data={assetData} fill="#94a3b8" shape="diamond" />
+              {strategyData.map(strategy => (
+                <Scatter
+                  key={strategy.key}
+                  name={strategy.label}
+                  data={strategy.data}
+                  fill={strategy.color}
+                  shape={strategy.key === currentStrategy ? 'star' : 'circle'}
+                />
+              ))}
+              {selectedPoint && (
+                <Scatter
+                  name="Selected"
+                  data={[{ name: 'Selected point', return: selectedPoint.expected_return, risk: selectedPoint.risk, sharpe: selectedPoint.sharpe_ratio }]}
+                  fill="#e11d48"
+                  shape="cross"
+                />
+              )}
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+
+        {selectedPoint ? (
+          <div className="border-2 border-slate-900 bg-white">
+            <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3">
+              <div>
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">Analyzing frontier point</p>
+                <p className="text-sm font-mono font-bold text-slate-900">
+                  {formatPct(selectedPoint.expected_return)} return · {formatPct(selectedPoint.risk)} risk · Sharpe {isNumber(selectedPoint.sharpe_ratio) ? selectedPoint.sharpe_ratio.toFixed(3) : "—"}
+                </p>
+              </div>
+              <Button
+                variant="outline"
+                onClick={() => onSelectPoint?.(null)}
+                className="rounded-none border-2 border-slate-900 font-black uppercase text-[10px] tracking-widest h-9"
+              >
+                <X className="w-4 h-4 mr-1" />Back to Optimal
+              </Button>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-px bg-slate-200">
+              {Object.entries(selectedPoint.allocations)
+                .sort(([, a], [, b]) => b - a)
+                .map(([symbol, weight]) => (
+                  <div key={symbol} className="bg-white p-3">
+                    <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">{symbol}</p>
+                    <p className={`text-lg font-mono font-bold tracking-tighter ${weight < 0.05 ? 'text-slate-300' : 'text-slate-900'}`}>
+                      {weight.toFixed(1)}%
+                    </p>
+                  </div>
+                ))}
+            </div>
+            <p className="px-4 py-2 text-[10px] font-mono text-slate-500">
+              Stress testing, forward risk and transaction costs below use these weights.
+            </p>
+          </div>
+        ) : (
+          <p className="text-[10px] font-mono text-slate-500">
+            Click a point on the curve to use it in the stress testing, forward risk and transaction cost cards below.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
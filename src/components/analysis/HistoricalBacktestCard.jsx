@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { History, Loader2, AlertCircle } from "lucide-react";
+import { getCachedHistoricalPrices } from "@/components/utils/api/historicalPriceCache";
+import { COMMISSION_SCHEDULES } from "@/components/utils/trading/fillModel";
+import {
+  BACKTEST_BENCHMARK,
+  REBALANCE_FREQUENCIES,
+  ROLLING_WINDOWS,
+  DEFAULT_BACKTEST_SETTINGS,
+  planBacktestWindow,
+  runBacktest
+} from "@/components/utils/calculations/historicalBacktest";
+
+const LOOKBACKS = [
+  { years: 3, label: '3Y' },
+  { years: 5, label: '5Y' },
+  { years: 10, label: '10Y' },
+  { years: null, label: 'Max' }
+];
+
+const formatPct = (value) => (
+  value === null || value === undefined ? "—" : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+);
+const formatRatio = (value) => (value === null || value === undefined ? "—" : value.toFixed(2));
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+const METRIC_ROWS = [
+  { key: 'cagr', label: 'CAGR', format: formatPct },
+  { key: 'totalReturn', label: 'Total Return', format: formatPct },
+  { key: 'maxDrawdown', label: 'Max Drawdown', format: formatPct },
+  { key: 'volatility', label: 'Volatility', format: (v) => (v === null || v === undefined ? "—" : `${v.toFixed(2)}%`), higherIsWorse: true },
+  { key: 'sharpe', label: 'Sharpe', format: formatRatio },
+  { key: 'sortino', label: 'Sortino', format: formatRatio }
+];
+
+const chartTooltipStyle = { borderRadius: '0px', border: '2px solid #e2e8f0', fontFamily: 'monospace', fontSize: '10px' };
+const axisTick = { fontSize: 10, fontFamily: 'monospace', fill: '#64748b' };
+
+/**
+ * Historical Backtest
+ * Replays the recommended allocation through actual daily prices with
+ * periodic rebalancing and trading costs, against SPY.
+ *
+ * @param {Object} allocations - { [symbol]: percent } target weights
+ * @param {Array} companies - Company records (volume and risk feed the cost model)
+ */
+export default function HistoricalBacktestCard({ allocations, companies = [] }) {
+  const [lookbackYears, setLookbackYears] = useState(DEFAULT_BACKTEST_SETTINGS.lookbackYears);
+  const [rebalance, setRebalance] = useState(DEFAULT_BACKTEST_SETTINGS.rebalance);
+  const [commissionSchedule, setCommissionSchedule] = useState(DEFAULT_BACKTEST_SETTINGS.commissionSchedule);
+  const [rollingWindow, setRollingWindow] = useState('1y');
+  const [priceHistory, setPriceHistory] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const symbols = useMemo(
+    () => Object.entries(allocations || {}).filter(([, weight]) => weight > 0).map(([symbol]) => symbol).sort(),
+    [allocations]
+  );
+  const backtestWindow = useMemo(() => planBacktestWindow(symbols, lookbackYears), [symbols.join(','), lookbackYears]);
+
+  useEffect(() => {
+    if (symbols.length === 0) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    getCachedHistoricalPrices([...symbols, BACKTEST_BENCHMARK], backtestWindow.startDate, backtestWindow.endDate)
+      .then(prices => { if (!cancelled) setPriceHistory(prices || {}); })
+      .catch(err => {
+        console.error("Error loading backtest prices:", err);
+        if (!cancelled) {
+          setPriceHistory({});
+          setError("Price history unavailable — the backtest could not run");
+        }
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [symbols.join(','), backtestWindow.startDate, backtestWindow.endDate]);
+
+  const result = useMemo(() => runBacktest({
+    priceHistory,
+    weights: allocations,
+    startDate: backtestWindow.startDate,
+    endDate: backtestWindow.endDate,
+    rebalance,
+    commissionSchedule,
+    liquidity: Object.fromEntries(companies.map(c => [c.symbol, { volume: c.volume, volatility: c.risk }]))
+  }), [priceHistory, allocations, backtestWindow, rebalance, commissionSchedule, companies]);
+
+  if (symbols.length === 0) return null;
+
+  const rolling = result?.rolling[rollingWindow];
+  const rebalanceCount = result ? result.trades.filter(t => !t.initial).length : 0;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <History className="w-4 h-4 text-blue-400" />
+          Historical Backtest vs {BACKTEST_BENCHMARK}
+        </CardTitle>
+        <div className="flex items-center gap-1">
+          {LOOKBACKS.map(option => (
+            <Button
+              key={option.label}
+              size="sm"
+              variant="ghost"
+              onClick={() => setLookbackYears(option.years)}
+              className={`h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em] px-3 ${
+                lookbackYears === option.years ? 'bg-blue-600 text-white hover:bg-blue-600' : 'text-slate-300 hover:bg-slate-800'
+              }`}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Rebalancing</p>
+            <Select value={rebalance} onValueChange={setRebalance}>
+              <SelectTrigger className="h-10 rounded-none border-2 border-slate-200 font-bold text-xs bg-white">
+                <SelectValue>{REBALANCE_FREQUENCIES[rebalance].label}</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white">
+                {Object.entries(REBALANCE_FREQUENCIES).map(([key, option]) => (
+                  <SelectItem key={key} value={key} className="text-xs">
+                    <span className="font-bold">{option.label}</span>
+                    <span className="block text-[10px] text-slate-500">{option.description}</span>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Commissions</p>
+            <Select value={commissionSchedule} onValueChange={setCommissionSchedule}>
+              <SelectTrigger className="h-10 rounded-none border-2 border-slate-200 font-bold text-xs bg-white">
+                <SelectValue>{COMMISSION_SCHEDULES[commissionSchedule].label}</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white">
+                {Object.entries(COMMISSION_SCHEDULES).map(([key, schedule]) => (
+                  <SelectItem key={key} value={key} className="text-xs">
+                    <span className="font-bold">{schedule.label}</span>
+                    <span className="block text-[10px] text-slate-500">{schedule.description}</span>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {(backtestWindow.truncated || result?.missingSymbols.length > 0) && (
+          <div className="flex items-start gap-2 border-2 border-amber-300 bg-amber-50 p-3">
+            <AlertCircle className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+            <div className="text-[11px] font-bold text-amber-800 space-y-1">
+              {backtestWindow.truncated && (
+                <p>History starts {backtestWindow.earliestCommonDate}, the first date every holding was trading — not {backtestWindow.requestedStart}.</p>
+              )}
+              {result?.missingSymbols.length > 0 && (
+                <p>No price history for {result.missingSymbols.join(', ')}; the remaining weights were scaled up to 100%.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="py-16 flex items-center justify-center gap-2 text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" />Loading price history
+          </div>
+        ) : !result ? (
+          <p className="py-16 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            No price history for this allocation
+          </p>
+        ) : (
+          <>
+            {/* Portfolio vs benchmark */}
+            <div className="border border-slate-200 bg-white overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-slate-200 text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">
+                    <th className="text-left p-3">{result.startDate} → {result.endDate}</th>
+                    <th className="text-right p-3">Portfolio</th>
+                    <th className="text-right p-3">{BACKTEST_BENCHMARK}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRIC_ROWS.map(row => {
+                    const portfolio = result.metrics.portfolio?.[row.key];
+                    const benchmark = result.metrics.benchmark?.[row.key];
+                    const better = portfolio !== null && portfolio !== undefined && benchmark !== null && benchmark !== undefined
+                      ? (row.higherIsWorse ? portfolio < benchmark : portfolio > benchmark)
+                      : null;
+                    return (
+                      <tr key={row.key} className="border-b border-slate-100 last:border-0">
+                        <td className="p-3 text-[10px] font-black uppercase tracking-[0.2em] text-slate-700">{row.label}</td>
+                        <td className={`p-3 text-right font-mono font-bold ${better === null ? 'text-slate-900' : better ? 'text-emerald-600' : 'text-rose-600'}`}>
+                          {row.format(portfolio)}
+                        </td>
+                        <td className="p-3 text-right font-mono text-slate-500">{row.format(benchmark)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Growth of the initial capital */}
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">
+                Growth of {formatMoney(result.initialCapital)}
+              </p>
+              <ResponsiveContainer width="100%" height={280}>
+                <LineChart data={result.series} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="2 2" stroke="#e2e8f0" vertical={false} />
+                  <XAxis dataKey="date" tick={axisTick} axisLine={false} tickLine={false} minTickGap={40} />
+                  <YAxis tickFormatter={(v) => `$${(v / 1000).toFixed(0)}k`} tick={axisTick} axisLine={false} tickLine={false} />
+                  <Tooltip formatter={(value, name) => [formatMoney(value), name]} contentStyle={chartTooltipStyle} />
+                  <Legend wrapperStyle={{ fontSize: '10px', fontWeight: 900, textTransform: 'uppercase' }} />
+                  <Line type="monotone" dataKey="portfolio" name="Portfolio" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                  <Line type="monotone" dataKey="benchmark" name={BACKTEST_BENCHMARK} stroke="#94a3b8" strokeWidth={2} strokeDasharray="4 4" dot={false} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Underwater chart */}
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Drawdown From Peak</p>
+              <ResponsiveContainer width="100%" height={180}>
+                <AreaChart data={result.series} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="2 2" stroke="#e2e8f0" vertical={false} />
+                  <XAxis dataKey="date" tick={axisTick} axisLine={false} tickLine={false} minTickGap={40} />
+                  <YAxis tickFormatter={(v) => `${v}%`} tick={axisTick} axisLine={false} tickLine={false} />
+                  <Tooltip formatter={(value, name) => [`${value.toFixed(2)}%`, name]} contentStyle={chartTooltipStyle} />
+                  <Area type="monotone" dataKey="drawdown" name="Portfolio" stroke="#e11d48" fill="#fecdd3" strokeWidth={1.5} />
+                  <Area type="monotone" dataKey="benchmarkDrawdown" name={BACKTEST_BENCHMARK} stroke="#94a3b8" fill="none" strokeDasharray="4 4" strokeWidth={1.5} connectNulls />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Rolling returns */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">
+                  Rolling {ROLLING_WINDOWS[rollingWindow].label} Returns{ROLLING_WINDOWS[rollingWindow].years > 1 ? ' (Annualized)' : ''}
+                </p>
+                <div className="flex gap-1">
+                  {Object.entries(ROLLING_WINDOWS).map(([key, option]) => (
+                    <Button
+                      key={key}
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setRollingWindow(key)}
+                      className={`h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em] px-3 ${
+                        rollingWindow === key ? 'bg-slate-900 text-white hover:bg-slate-900' : 'text-slate-500 hover:bg-slate-100'
+                      }`}
+                    >
+                      {option.label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+              {rolling.summary ? (
+                <>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <LineChart data={rolling.points} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="2 2" stroke="#e2e8f0" vertical={false} />
+                      <XAxis dataKey="date" tick={axisTick} axisLine={false} tickLine={false} minTickGap={40} />
+                      <YAxis tickFormatter={(v) => `${v}%`} tick={axisTick} axisLine={false} tickLine={false} />
+                      <Tooltip formatter={(value, name) => [formatPct(value), name]} contentStyle={chartTooltipStyle} />
+                      <ReferenceLine y={0} stroke="#94a3b8" />
+                      <Line type="monotone" dataKey="portfolio" name="Portfolio" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="benchmark" name={BACKTEST_BENCHMARK} stroke="#94a3b8" strokeWidth={2} strokeDasharray="4 4" dot={false} connectNulls />
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <p className="text-[10px] font-mono text-slate-500 mt-2">
+                    Average {formatPct(rolling.summary.average)} · Best {formatPct(rolling.summary.best)} · Worst {formatPct(rolling.summary.worst)}
+                    {rolling.summary.beatBenchmarkPct !== null && ` · Beat ${BACKTEST_BENCHMARK} in ${rolling.summary.beatBenchmarkPct}% of windows`}
+                  </p>
+                </>
+              ) : (
+                <p className="py-8 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+                  Needs more than {ROLLING_WINDOWS[rollingWindow].years} year{ROLLING_WINDOWS[rollingWindow].years > 1 ? 's' : ''} of history
+                </p>
+              )}
+            </div>
+
+            <p className="text-[10px] font-mono text-slate-500">
+              {rebalanceCount} rebalance{rebalanceCount === 1 ? '' : 's'} · {formatMoney(result.totalCosts)} spread, impact and fees
+              · {result.adjusted ? 'Dividend-adjusted prices' : 'Closing prices (dividends not included)'}
+            </p>
+          </>
+        )}
+
+        {error && <p className="text-[10px] font-mono text-amber-700">{error}</p>}
+        <p className="text-[10px] text-slate-400 leading-relaxed">
+          Replays today's target weights through past prices, so it shows how this allocation would have behaved — not how
+          it was chosen. Holdings picked with hindsight tend to look better in a backtest than they will going forward.
+          Taxes are not modeled.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
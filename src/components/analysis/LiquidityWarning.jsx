@@ -2,6 +2,7 @@ import React from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { AlertCircle } from "lucide-react";
+import { estimateDailyVolume, liquiditySeverity } from "@/components/utils/trading/fillModel";
 
 /**
  * Liquidity Warning Component
@@ -23,29 +24,20 @@ export default function LiquidityWarning({ allocations, companies, investmentAmo
     const allocationAmount = (allocationPercent / 100) * investmentAmount;
     const shares = company.current_price > 0 ? allocationAmount / company.current_price : 0;
 
-    // Estimate daily volume based on market cap and trading patterns
-    let estimatedDailyVolume = 1000000; // Default assumption
-    
-    // More sophisticated liquidity check based on available data
-    if (company.volume && company.volume > 0) {
-      estimatedDailyVolume = company.volume;
-    } else {
-      // Estimate based on market cap (now safely removed from schema)
-      // We'll rely on volume data or use conservative estimates
-      estimatedDailyVolume = 500000; // Conservative default
-    }
+    const estimatedDailyVolume = estimateDailyVolume(company);
 
     // Check if order size exceeds reasonable portion of daily volume
     const dailyVolumeProportion = shares / estimatedDailyVolume;
+    const severity = liquiditySeverity(dailyVolumeProportion);
 
-    if (dailyVolumeProportion > 0.05) { // More than 5% of daily volume
+    if (severity) {
       warnings.push({
         symbol,
         name: company.name,
         shares: typeof shares === "number" && Number.isFinite(shares) ? shares.toFixed(0) : "Not Available",
         estimatedDailyVolume: typeof estimatedDailyVolume === "number" && Number.isFinite(estimatedDailyVolume) ? estimatedDailyVolume.toLocaleString() : "Not Available",
         proportion: typeof dailyVolumeProportion === "number" && Number.isFinite(dailyVolumeProportion) ? (dailyVolumeProportion * 100).toFixed(1) : "Not Available",
-        severity: dailyVolumeProportion > 0.20 ? 'high' : dailyVolumeProportion > 0.10 ? 'medium' : 'low'
+        severity
       });
     }
   });
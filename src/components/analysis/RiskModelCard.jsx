@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Sigma, Loader2, AlertCircle, Crosshair } from "lucide-react";
+import { awsApi } from "@/utils/awsClient";
+import { planBacktestWindow } from "@/components/utils/calculations/historicalBacktest";
+import {
+  RISK_MODELS,
+  RISK_MODEL_LOOKBACK_YEARS,
+  riskModelSymbols,
+  estimateRiskModel
+} from "@/components/utils/calculations/riskModels";
+import {
+  optimizeOptimalPortfolio,
+  optimizeMinimumVariance,
+  evaluatePortfolioRisk
+} from "@/components/utils/calculations/portfolioOptimization";
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const formatPct = (value) => (isNumber(value) ? `${value.toFixed(2)}%` : "—");
+const formatWeight = (value) => (isNumber(value) ? `${value.toFixed(1)}%` : "—");
+const labelClass = "text-[9px] font-black uppercase tracking-[0.2em] text-slate-500";
+
+const STRATEGIES = [
+  { key: 'optimal', label: 'Optimal', optimize: optimizeOptimalPortfolio },
+  { key: 'minimum_variance', label: 'Min Variance', optimize: optimizeMinimumVariance }
+];
+
+/**
+ * Risk Model
+ * Switches the covariance estimate behind the optimizers between the
+ * sector/beta heuristic and estimates from three years of daily prices
+ * (sample, Ledoit-Wolf shrinkage, single- and multi-factor), and shows how
+ * the choice moves the Optimal and Min Variance weights and their risk.
+ *
+ * @param {Object} analysisResult - Output of the Analysis page optimization
+ * @param {boolean} analyzing - Whether the re-estimated Optimal portfolio is feeding the risk and cost cards
+ * @param {Function} onAnalyzePortfolio - Called with that portfolio, or null to go back to Optimal
+ */
+export default function RiskModelCard({ analysisResult, analyzing = false, onAnalyzePortfolio }) {
+  const companies = analysisResult?.companies || [];
+  const correlationTier = analysisResult?.portfolio_quality?.correlationTier || 'low';
+  const [model, setModel] = useState('heuristic');
+  const [priceHistory, setPriceHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const symbols = useMemo(() => companies.map(c => c.symbol).sort(), [companies]);
+  const priceWindow = useMemo(() => planBacktestWindow(symbols, RISK_MODEL_LOOKBACK_YEARS), [symbols.join(',')]);
+  // One fetch covers every model: holdings, SPY and the sector ETFs
+  const fetchSymbols = useMemo(() => riskModelSymbols(companies, 'multi_factor'), [companies]);
+
+  useEffect(() => {
+    setPriceHistory(null);
+  }, [fetchSymbols.join(',')]);
+
+  useEffect(() => {
+    if (model === 'heuristic' || priceHistory || companies.length < 2) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    awsApi.getHistoricalPrices(fetchSymbols, priceWindow.startDate, priceWindow.endDate)
+      .then(prices => { if (!cancelled) setPriceHistory(prices || {}); })
+      .catch(err => {
+        console.error("Error loading prices for risk model:", err);
+        if (!cancelled) {
+          setPriceHistory({});
+          setError("Price history unavailable");
+        }
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [model, priceHistory, fetchSymbols.join(','), priceWindow.startDate, priceWindow.endDate]);
+
+  const riskModel = useMemo(() => {
+    if (model === 'heuristic' || !priceHistory) return null;
+    return estimateRiskModel({ model, companies, priceHistory, startDate: priceWindow.startDate, endDate: priceWindow.endDate });
+  }, [model, priceHistory, companies, priceWindow]);
+  const usable = riskModel?.covMatrix ? riskModel : null;
+
+  const comparison = useMemo(() => {
+    if (companies.length < 2) return null;
+    return STRATEGIES.map(strategy => {
+      const heuristic = strategy.optimize(companies, true, correlationTier);
+      const estimated = usable ? strategy.optimize(companies, true, correlationTier, usable) : null;
+      return {
+        ...strategy,
+        heuristic,
+        estimated,
+        heuristicWeightsRisk: usable ? evaluatePortfolioRisk(companies, heuristic.allocations, usable) : null
+      };
+    });
+  }, [companies, correlationTier, usable]);
+
+  const estimatedOptimal = comparison?.[0].estimated;
+  const modelLabel = RISK_MODELS[model].label;
+
+  // The page passes a new callback each render; read the latest one from a ref
+  const onAnalyzeRef = useRef(onAnalyzePortfolio);
+  useEffect(() => {
+    onAnalyzeRef.current = onAnalyzePortfolio;
+  }, [onAnalyzePortfolio]);
+
+  // Keep the risk and cost cards in step when the model changes
+  useEffect(() => {
+    if (!analyzing) return;
+    onAnalyzeRef.current?.(estimatedOptimal ? { ...estimatedOptimal, label: `Optimal (${modelLabel})`, risk_model: usable } : null);
+  }, [analyzing, estimatedOptimal, modelLabel, usable]);
+
+  if (!comparison) return null;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <Sigma className="w-4 h-4 text-blue-400" />
+          Risk Model
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        <p className="text-[11px] text-slate-600 leading-relaxed">
+          The strategies above estimate how your holdings move together from asset type, sector and beta. Switch to a
+          model estimated from {RISK_MODEL_LOOKBACK_YEARS} years of daily prices to see how much the weights and risk
+          depend on that estimate.
+        </p>
+
+        <div>
+          <p className={`${labelClass} mb-2`}>Covariance Estimate</p>
+          <Select value={model} onValueChange={setModel}>
+            <SelectTrigger className="h-10 rounded-none border-2 border-slate-200 font-bold text-xs bg-white">
+              <SelectValue>{modelLabel}</SelectValue>
+            </SelectTrigger>
+            <SelectContent className="bg-white">
+              {Object.entries(RISK_MODELS).map(([key, option]) => (
+                <SelectItem key={key} value={key} className="text-xs">
+                  <span className="font-bold">{option.label}</span>
+                  <span className="block text-[10px] text-slate-500">{option.description}</span>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {(error || riskModel?.error) && (
+          <div className="flex items-start gap-2 border-2 border-amber-300 bg-amber-50 p-3">
+            <AlertCircle className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+            <p className="text-[11px] font-bold text-amber-800">
+              {error || riskModel.error}. The table shows the heuristic only.
+            </p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="py-12 flex items-center justify-center gap-2 text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" />Loading price history
+          </div>
+        ) : (
+          <>
+            {usable && (
+              <p className="text-[10px] font-mono text-slate-500">
+                {usable.observations} trading days, {usable.startDate} → {usable.endDate}
+                {isNumber(usable.shrinkage) && ` · ${(usable.shrinkage * 100).toFixed(0)}% shrinkage toward an average correlation of ${usable.averageCorrelation.toFixed(2)}`}
+                {usable.factors && ` · factors: ${usable.factors.join(', ')}`}
+              </p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {comparison.map(row => (
+                <div key={row.key} className="border border-slate-200 bg-white p-4">
+                  <p className={`${labelClass} mb-2`}>{row.label} Risk</p>
+                  <p className="text-xl font-mono font-bold tracking-tighter text-slate-900">
+                    {formatPct(row.estimated ? row.estimated.risk : row.heuristic.risk)}
+                  </p>
+                  {row.estimated ? (
+                    <div className="text-[10px] font-mono text-slate-500 uppercase mt-1 tracking-tight space-y-0.5">
+                      <p>Heuristic {formatPct(row.heuristic.risk)}</p>
+                      <p>Heuristic weights, {modelLabel} {formatPct(row.heuristicWeightsRisk)}</p>
+                      <p>Sharpe {isNumber(row.estimated.sharpe_ratio) ? row.estimated.sharpe_ratio.toFixed(3) : "—"} vs {isNumber(row.heuristic.sharpe_ratio) ? row.heuristic.sharpe_ratio.toFixed(3) : "—"}</p>
+                    </div>
+                  ) : (
+                    <p className="text-[10px] font-mono text-slate-500 uppercase mt-1 tracking-tight">
+                      Sharpe {isNumber(row.heuristic.sharpe_ratio) ? row.heuristic.sharpe_ratio.toFixed(3) : "—"}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="border border-slate-200 bg-white overflow-x-auto">
+              <table className="w-full text-sm whitespace-nowrap">
+                <thead>
+                  <tr className={`border-b border-slate-200 ${labelClass}`}>
+                    <th className="text-left p-3">Holding</th>
+                    <th className="text-right p-3">Volatility</th>
+                    {comparison.map(row => (
+                      <th key={row.key} className="text-right p-3">{row.label}</th>
+                    ))}
+                    {usable?.rSquared && <th className="text-right p-3">Factor R²</th>}
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {companies.map((company, i) => (
+                    <tr key={company.symbol} className="border-b border-slate-100 last:border-0">
+                      <td className="p-3 text-[10px] font-sans font-black uppercase tracking-[0.2em] text-slate-700">{company.symbol}</td>
+                      <td className="p-3 text-right">
+                        <span className="font-bold text-slate-900">{formatWeight(usable ? usable.volatilities[i] : company.risk)}</span>
+                        {usable && <span className="block text-[10px] text-slate-400">was {formatWeight(company.risk)}</span>}
+                      </td>
+                      {comparison.map(row => {
+                        const before = row.heuristic.allocations[company.symbol];
+                        const after = row.estimated?.allocations[company.symbol];
+                        return (
+                          <td key={row.key} className="p-3 text-right">
+                            <span className="font-bold text-slate-900">{formatWeight(row.estimated ? after : before)}</span>
+                            {row.estimated && (
+                              <span className={`block text-[10px] ${after > before + 0.05 ? 'text-emerald-600' : after < before - 0.05 ? 'text-rose-600' : 'text-slate-400'}`}>
+                                was {formatWeight(before)}
+                              </span>
+                            )}
+                          </td>
+                        );
+                      })}
+                      {usable?.rSquared && (
+                        <td className="p-3 text-right text-slate-500">{(usable.rSquared[company.symbol] * 100).toFixed(0)}%</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {estimatedOptimal && (
+              <Button
+                variant={analyzing ? "outline" : "default"}
+                onClick={() => onAnalyzePortfolio?.(analyzing ? null : {
+                  ...estimatedOptimal,
+                  label: `Optimal (${modelLabel})`,
+                  risk_model: usable
+                })}
+                className={`rounded-none font-black uppercase text-[10px] tracking-widest h-10 ${analyzing ? 'border-2 border-slate-900' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
+              >
+                <Crosshair className="w-4 h-4 mr-2" />
+                {analyzing ? 'Back to Optimal in Risk & Cost Cards' : 'Use in Risk & Cost Cards'}
+              </Button>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -3,8 +3,8 @@
  * 200+ lines of pure strategy visualization and presentation
  * 
  * Core responsibility: Display portfolio strategies with metrics and insights
- * - Render four portfolio strategies with visual differentiation
- * - Display key performance metrics (return, risk, Sharpe, etc.)
+ * - Render the mean-variance and downside-risk strategies with visual differentiation
+ * - Display key performance metrics (return, risk, Sharpe, CVaR, Sortino, etc.)
  * - Present strategy-specific insights and trade-offs
  * - Show strengths, weaknesses, and recommendations
  * - Conditional rendering based on analysis results
@@ -21,7 +21,7 @@
 import React from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { Scale, Shield, Zap, Target, TrendingUp, TrendingDown, AlertCircle, CheckCircle } from "lucide-react";
+import { Scale, Shield, ShieldAlert, Gauge, Zap, Target, TrendingUp, TrendingDown, AlertCircle, CheckCircle } from "lucide-react";
 import { motion } from "framer-motion";
 
 const strategyConfig = {
@@ -65,6 +65,36 @@ const strategyConfig = {
     description: "Aggressive growth - concentrates in highest-return opportunities",
     use_case: "Ideal for aggressive investors with higher risk tolerance",
   },
+  min_cvar_portfolio: {
+    icon: ShieldAlert,
+    title: "Min CVaR",
+    subtitle: "Smallest Tail Loss (95%)",
+    colorClasses: "border-rose-500 bg-rose-50",
+    textColor: "text-rose-600",
+    badgeClass: "bg-rose-100 text-rose-700",
+    description: "Minimizes the average loss in the worst 5% of simulated years",
+    use_case: "Ideal for investors who care most about surviving bad years",
+  },
+  max_sortino_portfolio: {
+    icon: Gauge,
+    title: "Max Sortino",
+    subtitle: "Best Return per Downside Risk",
+    colorClasses: "border-cyan-500 bg-cyan-50",
+    textColor: "text-cyan-600",
+    badgeClass: "bg-cyan-100 text-cyan-700",
+    description: "Maximizes return per unit of downside volatility - upside swings are not penalized",
+    use_case: "Ideal for growth investors who accept volatility but not losses",
+  },
+  min_drawdown_portfolio: {
+    icon: TrendingDown,
+    title: "Min Drawdown",
+    subtitle: "Shallowest Peak-to-Trough Fall",
+    colorClasses: "border-slate-500 bg-slate-50",
+    textColor: "text-slate-700",
+    badgeClass: "bg-slate-200 text-slate-700",
+    description: "Minimizes the average peak-to-trough fall across simulated market paths",
+    use_case: "Ideal for investors likely to sell after a steep decline",
+  },
 };
 
 function StrategyCard({ keyName, config, portfolio, isSelected, onClick }) {
@@ -74,8 +104,9 @@ function StrategyCard({ keyName, config, portfolio, isSelected, onClick }) {
 
   // Determine performance indicators
   const sharpeRatio = portfolio?.sharpe_ratio || 0;
-  const maxDrawdown = portfolio?.max_drawdown || 0;
-  const volatility = portfolio?.volatility || 0;
+  const downside = portfolio?.downside_metrics;
+  const maxDrawdown = downside?.max_drawdown ?? portfolio?.max_drawdown ?? 0;
+  const volatility = portfolio?.volatility ?? portfolio?.risk ?? 0;
   const expectedReturn = portfolio?.expected_return || 0;
 
   // Visual indicators for strategy quality
@@ -132,6 +163,24 @@ function StrategyCard({ keyName, config, portfolio, isSelected, onClick }) {
             </div>
           </div>
 
+          {/* Downside metrics on simulated paths */}
+          {downside && (
+            <div className="bg-white/60 rounded-lg p-3 space-y-1">
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-slate-600">CVaR 95% (1 year):</span>
+                <span className="font-bold text-slate-900">{downside.cvar_95.toFixed(2)}%</span>
+              </div>
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-slate-600">Sortino Ratio:</span>
+                <span className={`font-bold ${config.textColor}`}>{downside.sortino_ratio.toFixed(2)}</span>
+              </div>
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-slate-600">Drawdown, worst 5% of paths:</span>
+                <span className="font-bold text-slate-900">{downside.worst_drawdown.toFixed(2)}%</span>
+              </div>
+            </div>
+          )}
+
           {/* Description */}
           <div className="bg-white/40 rounded-lg p-3 border border-white/50">
             <p className="text-sm text-slate-700">{config.description}</p>
@@ -178,6 +227,9 @@ function StrategyCard({ keyName, config, portfolio, isSelected, onClick }) {
 export default function TempStrategyCardsAWS({ analysisResult, selectedStrategy, onStrategySelect }) {
   if (!analysisResult) return null;
 
+  const strategies = Object.entries(strategyConfig).filter(([key]) => analysisResult[key]);
+  const hasDownsideMetrics = strategies.some(([key]) => analysisResult[key].downside_metrics);
+
   const handleStrategyClick = (strategyKey) => {
     if (onStrategySelect) {
       onStrategySelect(strategyKey);
@@ -189,12 +241,17 @@ export default function TempStrategyCardsAWS({ analysisResult, selectedStrategy,
       {/* Header */}
       <div className="mb-4">
         <h2 className="text-2xl font-bold text-slate-900">Portfolio Strategies</h2>
-        <p className="text-slate-600 text-sm mt-1">Compare four optimized allocation strategies</p>
+        <p className="text-slate-600 text-sm mt-1">Compare {strategies.length} optimized allocation strategies</p>
+        {hasDownsideMetrics && (
+          <p className="text-slate-500 text-xs mt-1">
+            Max DD, CVaR and Sortino come from the same simulated market paths for every strategy
+          </p>
+        )}
       </div>
 
       {/* Strategy cards grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-        {Object.entries(strategyConfig).map(([key, config]) => {
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {strategies.map(([key, config]) => {
           const portfolio = analysisResult[key];
           return (
             <StrategyCard
@@ -243,7 +300,7 @@ export default function TempStrategyCardsAWS({ analysisResult, selectedStrategy,
                   Lowest Volatility
                 </p>
                 <p className="text-sm text-slate-600 mt-1">
-                  Minimum Variance Portfolio delivers the most stable returns with {(analysisResult.minimum_variance_portfolio?.volatility || 0).toFixed(2)}% volatility
+                  Minimum Variance Portfolio delivers the most stable returns with {(analysisResult.minimum_variance_portfolio?.volatility ?? analysisResult.minimum_variance_portfolio?.risk ?? 0).toFixed(2)}% volatility
                 </p>
               </div>
             </div>
@@ -261,18 +318,35 @@ export default function TempStrategyCardsAWS({ analysisResult, selectedStrategy,
               </div>
             </div>
 
+            {/* Smallest tail loss */}
+            {analysisResult.min_cvar_portfolio?.downside_metrics && (
+              <div className="flex items-start justify-between p-3 bg-gradient-to-r from-rose-50 to-transparent rounded-lg">
+                <div>
+                  <p className="font-semibold text-slate-900 flex items-center gap-2">
+                    <ShieldAlert className="w-4 h-4 text-rose-600" />
+                    Smallest Tail Loss
+                  </p>
+                  <p className="text-sm text-slate-600 mt-1">
+                    Min CVaR Portfolio averages {analysisResult.min_cvar_portfolio.downside_metrics.cvar_95.toFixed(2)}% in the worst 5% of simulated years
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Risk awareness */}
-            <div className="flex items-start justify-between p-3 bg-gradient-to-r from-orange-50 to-transparent rounded-lg">
-              <div>
-                <p className="font-semibold text-slate-900 flex items-center gap-2">
-                  <AlertCircle className="w-4 h-4 text-orange-600" />
-                  Risk Parity Balance
-                </p>
-                <p className="text-sm text-slate-600 mt-1">
-                  Equal risk contribution approach provides diversified downside protection
-                </p>
+            {analysisResult.risk_parity_portfolio && (
+              <div className="flex items-start justify-between p-3 bg-gradient-to-r from-orange-50 to-transparent rounded-lg">
+                <div>
+                  <p className="font-semibold text-slate-900 flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4 text-orange-600" />
+                    Risk Parity Balance
+                  </p>
+                  <p className="text-sm text-slate-600 mt-1">
+                    Equal risk contribution approach provides diversified downside protection
+                  </p>
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </CardContent>
       </Card>
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { Repeat, Loader2, AlertCircle } from "lucide-react";
+import { getCachedHistoricalPrices } from "@/components/utils/api/historicalPriceCache";
+import { BACKTEST_BENCHMARK, planBacktestWindow } from "@/components/utils/calculations/historicalBacktest";
+import {
+  WALK_FORWARD_STRATEGIES,
+  ESTIMATION_WINDOWS,
+  HOLD_PERIODS,
+  DEFAULT_WALK_FORWARD_SETTINGS,
+  runWalkForward
+} from "@/components/utils/calculations/walkForwardValidation";
+
+const LOOKBACKS = [
+  { years: 5, label: '5Y' },
+  { years: 10, label: '10Y' },
+  { years: null, label: 'Max' }
+];
+
+const STRATEGY_COLORS = {
+  optimal_portfolio: '#3b82f6',
+  minimum_variance_portfolio: '#10b981',
+  maximum_return_portfolio: '#f59e0b'
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const formatPct = (value, signed = true) => (
+  isNumber(value) ? `${signed && value >= 0 ? '+' : ''}${value.toFixed(2)}%` : "—"
+);
+const formatRatio = (value) => (isNumber(value) ? value.toFixed(2) : "—");
+
+const chartTooltipStyle = { borderRadius: '0px', border: '2px solid #e2e8f0', fontFamily: 'monospace', fontSize: '10px' };
+const axisTick = { fontSize: 10, fontFamily: 'monospace', fill: '#64748b' };
+
+/**
+ * Walk-Forward Validation
+ * Shows how the Analysis strategies would have done out of sample: the
+ * optimizer is refit on a trailing window at every rebalance and the weights
+ * are held until the next one. Realized results and turnover sit next to the
+ * in-sample figures the strategy cards report.
+ *
+ * @param {Object} analysisResult - Output of the Analysis page optimization
+ */
+export default function WalkForwardValidationCard({ analysisResult }) {
+  const [lookbackYears, setLookbackYears] = useState(DEFAULT_WALK_FORWARD_SETTINGS.lookbackYears);
+  const [estimationMonths, setEstimationMonths] = useState(DEFAULT_WALK_FORWARD_SETTINGS.estimationMonths);
+  const [holdMonths, setHoldMonths] = useState(DEFAULT_WALK_FORWARD_SETTINGS.holdMonths);
+  const [priceHistory, setPriceHistory] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const companies = analysisResult?.companies || [];
+  const symbols = useMemo(() => companies.map(c => c.symbol).sort(), [companies]);
+  const backtestWindow = useMemo(() => planBacktestWindow(symbols, lookbackYears), [symbols.join(','), lookbackYears]);
+
+  useEffect(() => {
+    if (symbols.length === 0) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    getCachedHistoricalPrices([...symbols, BACKTEST_BENCHMARK], backtestWindow.startDate, backtestWindow.endDate)
+      .then(prices => { if (!cancelled) setPriceHistory(prices || {}); })
+      .catch(err => {
+        console.error("Error loading walk-forward prices:", err);
+        if (!cancelled) {
+          setPriceHistory({});
+          setError("Price history unavailable — out-of-sample results could not be computed");
+        }
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [symbols.join(','), backtestWindow.startDate, backtestWindow.endDate]);
+
+  const result = useMemo(() => runWalkForward({
+    companies,
+    priceHistory,
+    estimationMonths,
+    holdMonths,
+    correlationTier: analysisResult?.portfolio_quality?.correlationTier,
+    startDate: backtestWindow.startDate,
+    endDate: backtestWindow.endDate
+  }), [companies, priceHistory, estimationMonths, holdMonths, analysisResult?.portfolio_quality?.correlationTier, backtestWindow]);
+
+  if (symbols.length === 0) return null;
+
+  const fallbacks = result ? Object.values(result.strategies).reduce((sum, s) => sum + s.fallbacks, 0) : 0;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <Repeat className="w-4 h-4 text-blue-400" />
+          Walk-Forward: In-Sample vs Out-of-Sample
+        </CardTitle>
+        <div className="flex items-center gap-1">
+          {LOOKBACKS.map(option => (
+            <Button
+              key={option.label}
+              size="sm"
+              variant="ghost"
+              onClick={() => setLookbackYears(option.years)}
+              className={`h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em] px-3 ${
+                lookbackYears === option.years ? 'bg-blue-600 text-white hover:bg-blue-600' : 'text-slate-300 hover:bg-slate-800'
+              }`}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Estimation Window</p>
+            <Select value={String(estimationMonths)} onValueChange={(value) => setEstimationMonths(Number(value))}>
+              <SelectTrigger className="h-10 rounded-none border-2 border-slate-200 font-bold text-xs bg-white">
+                <SelectValue>{ESTIMATION_WINDOWS[estimationMonths]} trailing</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white">
+                {Object.entries(ESTIMATION_WINDOWS).map(([months, label]) => (
+                  <SelectItem key={months} value={months} className="text-xs font-bold">{label} trailing</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Re-Optimize</p>
+            <Select value={String(holdMonths)} onValueChange={(value) => setHoldMonths(Number(value))}>
+              <SelectTrigger className="h-10 rounded-none border-2 border-slate-200 font-bold text-xs bg-white">
+                <SelectValue>{HOLD_PERIODS[holdMonths]}</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white">
+                {Object.entries(HOLD_PERIODS).map(([months, label]) => (
+                  <SelectItem key={months} value={months} className="text-xs font-bold">{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {(backtestWindow.truncated || result?.missingSymbols.length > 0 || fallbacks > 0) && (
+          <div className="flex items-start gap-2 border-2 border-amber-300 bg-amber-50 p-3">
+            <AlertCircle className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+            <div className="text-[11px] font-bold text-amber-800 space-y-1">
+              {backtestWindow.truncated && (
+                <p>History starts {backtestWindow.earliestCommonDate}, the first date every holding was trading.</p>
+              )}
+              {result?.missingSymbols.length > 0 && (
+                <p>No price history for {result.missingSymbols.join(', ')}; the refits use the remaining holdings only.</p>
+              )}
+              {fallbacks > 0 && (
+                <p>{fallbacks} refit{fallbacks === 1 ? '' : 's'} produced no usable weights; the previous weights were kept.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="py-16 flex items-center justify-center gap-2 text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" />Loading price history
+          </div>
+        ) : !result ? (
+          <p className="py-16 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            Not enough history for a {ESTIMATION_WINDOWS[estimationMonths].toLowerCase()} estimation window
+          </p>
+        ) : (
+          <>
+            <div className="border border-slate-200 bg-white overflow-x-auto">
+              <table className="w-full text-sm whitespace-nowrap">
+                <thead>
+                  <tr className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-400">
+                    <th className="p-3" />
+                    <th colSpan={3} className="p-3 text-center border-l border-slate-200">In-Sample (Reported)</th>
+                    <th colSpan={4} className="p-3 text-center border-l border-slate-200">Out-of-Sample (Realized)</th>
+                    <th colSpan={2} className="p-3 text-center border-l border-slate-200">Turnover</th>
+                  </tr>
+                  <tr className="border-b border-slate-200 text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">
+                    <th className="text-left p-3">Strategy</th>
+                    <th className="text-right p-3 border-l border-slate-200">Return</th>
+                    <th className="text-right p-3">Risk</th>
+                    <th className="text-right p-3">Sharpe</th>
+                    <th className="text-right p-3 border-l border-slate-200">CAGR</th>
+                    <th className="text-right p-3">Volatility</th>
+                    <th className="text-right p-3">Sharpe</th>
+                    <th className="text-right p-3">Max DD</th>
+                    <th className="text-right p-3 border-l border-slate-200">Per Refit</th>
+                    <th className="text-right p-3">Per Year</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {Object.entries(result.strategies).map(([key, strategy]) => {
+                    const reported = analysisResult[key] || {};
+                    const decay = isNumber(reported.sharpe_ratio) && isNumber(strategy.metrics?.sharpe)
+                      ? strategy.metrics.sharpe - reported.sharpe_ratio
+                      : null;
+                    return (
+                      <tr key={key} className="border-b border-slate-100">
+                        <td className="p-3 text-[10px] font-sans font-black uppercase tracking-[0.2em] text-slate-700">
+                          <span className="inline-block w-2 h-2 mr-2" style={{ backgroundColor: STRATEGY_COLORS[key] }} />
+                          {strategy.label}
+                        </td>
+                        <td className="p-3 text-right text-slate-500 border-l border-slate-200">{formatPct(reported.expected_return, false)}</td>
+                        <td className="p-3 text-right text-slate-500">{formatPct(reported.risk, false)}</td>
+                        <td className="p-3 text-right text-slate-500">{formatRatio(reported.sharpe_ratio)}</td>
+                        <td className={`p-3 text-right font-bold border-l border-slate-200 ${strategy.metrics?.cagr >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+                          {formatPct(strategy.metrics?.cagr)}
+                        </td>
+                        <td className="p-3 text-right text-slate-900">{formatPct(strategy.metrics?.volatility, false)}</td>
+                        <td className={`p-3 text-right font-bold ${decay === null ? 'text-slate-900' : decay >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+                          {formatRatio(strategy.metrics?.sharpe)}
+                        </td>
+                        <td className="p-3 text-right text-rose-600">{formatPct(strategy.metrics?.maxDrawdown)}</td>
+                        <td className="p-3 text-right text-slate-900 border-l border-slate-200">{formatPct(strategy.averageTurnover, false)}</td>
+                        <td className="p-3 text-right text-slate-900">{formatPct(strategy.annualTurnover, false)}</td>
+                      </tr>
+                    );
+                  })}
+                  {result.benchmark && (
+                    <tr>
+                      <td className="p-3 text-[10px] font-sans font-black uppercase tracking-[0.2em] text-slate-400">{BACKTEST_BENCHMARK}</td>
+                      <td colSpan={3} className="p-3 border-l border-slate-200" />
+                      <td className="p-3 text-right text-slate-500 border-l border-slate-200">{formatPct(result.benchmark.cagr)}</td>
+                      <td className="p-3 text-right text-slate-500">{formatPct(result.benchmark.volatility, false)}</td>
+                      <td className="p-3 text-right text-slate-500">{formatRatio(result.benchmark.sharpe)}</td>
+                      <td className="p-3 text-right text-slate-500">{formatPct(result.benchmark.maxDrawdown)}</td>
+                      <td colSpan={2} className="p-3 border-l border-slate-200" />
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">
+                Out-of-Sample Growth of $100 · {result.startDate} → {result.endDate} · {result.refits} refits
+              </p>
+              <ResponsiveContainer width="100%" height={280}>
+                <LineChart data={result.series} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="2 2" stroke="#e2e8f0" vertical={false} />
+                  <XAxis dataKey="date" tick={axisTick} axisLine={false} tickLine={false} minTickGap={40} />
+                  <YAxis tickFormatter={(v) => `$${v}`} tick={axisTick} axisLine={false} tickLine={false} />
+                  <Tooltip formatter={(value, name) => [`$${value.toFixed(2)}`, name]} contentStyle={chartTooltipStyle} />
+                  <Legend wrapperStyle={{ fontSize: '10px', fontWeight: 900, textTransform: 'uppercase' }} />
+                  {Object.keys(WALK_FORWARD_STRATEGIES).map(key => (
+                    <Line key={key} type="monotone" dataKey={key} name={WALK_FORWARD_STRATEGIES[key].label} stroke={STRATEGY_COLORS[key]} strokeWidth={2} dot={false} />
+                  ))}
+                  <Line type="monotone" dataKey="benchmark" name={BACKTEST_BENCHMARK} stroke="#94a3b8" strokeWidth={2} strokeDasharray="4 4" dot={false} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
+
+        {error && <p className="text-[10px] font-mono text-amber-700">{error}</p>}
+        <p className="text-[10px] text-slate-400 leading-relaxed">
+          In-sample figures are what the optimizer expects from the statistics it was fit on. Out-of-sample figures come
+          from refitting on the trailing {ESTIMATION_WINDOWS[estimationMonths].toLowerCase()} of prices only, holding the
+          weights until the next refit, and chaining the realized returns. A large gap between the two Sharpe columns
+          means the reported numbers are mostly estimation error. Returns are before trading costs.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { awsApi } from "@/utils/awsClient";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Archive, Download, Upload, Loader2, CheckCircle, AlertCircle } from "lucide-react";
+import {
+  ARCHIVE_COLLECTIONS,
+  exportUserData,
+  downloadUserDataArchive,
+  parseUserDataArchive,
+  importUserData
+} from "@/components/utils/archive/userDataArchive";
+
+const labelFor = (key) => ARCHIVE_COLLECTIONS.find(c => c.key === key)?.label || key;
+
+/**
+ * Your Data
+ * Download everything in one versioned JSON archive, or restore an archive
+ * into this account. Records are validated against the entity schemas and
+ * anything already in the account is skipped.
+ */
+export default function UserDataArchiveCard() {
+  const [isExporting, setIsExporting] = useState(false);
+  const [exported, setExported] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [included, setIncluded] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError("");
+    try {
+      const archive = await exportUserData(awsApi);
+      downloadUserDataArchive(archive);
+      setExported(archive);
+    } catch (err) {
+      console.error("❌ Data export failed:", err);
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileName(file.name);
+    setSummary(null);
+    setError("");
+    const result = parseUserDataArchive(await file.text());
+    setParsed(result);
+    setIncluded(result.collections.filter(c => c.records.length > c.invalid.length).map(c => c.key));
+  };
+
+  const toggleCollection = (key, checked) => {
+    setIncluded(prev => (checked ? [...prev, key] : prev.filter(k => k !== key)));
+  };
+
+  const handleImport = async () => {
+    setError("");
+    try {
+      const result = await importUserData(parsed, awsApi, { include: included, onProgress: setProgress });
+      setSummary(result);
+    } catch (err) {
+      console.error("❌ Data import failed:", err);
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const restorable = parsed?.collections
+    .filter(c => included.includes(c.key))
+    .reduce((sum, c) => sum + c.records.length - c.invalid.length, 0) || 0;
+
+  return (
+    <Card className="border-4 border-slate-900 shadow-[8px_8px_0px_0px_rgba(15,23,42,1)] rounded-[2rem] overflow-hidden mb-10 bg-white">
+      <CardHeader className="bg-slate-900 text-white py-3 px-6 border-b-4 border-slate-900">
+        <div className="flex items-center gap-3">
+          <Archive className="w-4 h-4 text-sky-400" />
+          <CardTitle className="text-[10px] font-black uppercase tracking-[0.2em]">
+            Export & Restore
+          </CardTitle>
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-6 bg-slate-50/30">
+        <p className="text-[11px] font-bold text-slate-700 leading-relaxed">
+          The archive holds your holdings, transactions, goals, shadow and simulation portfolios, journal entries, plus the health records and cash analysis saved on this device. Restoring checks every record against the data schema and skips anything this account already has.
+        </p>
+
+        {/* Export */}
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <Button
+            onClick={handleExport}
+            disabled={isExporting || !!progress}
+            className="bg-slate-900 text-white font-black uppercase text-[10px] tracking-widest rounded-2xl h-11 px-6 shadow-[4px_4px_0px_0px_rgba(56,189,248,1)]"
+          >
+            {isExporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+            {isExporting ? "Collecting Data..." : "Download My Data"}
+          </Button>
+          {exported && (
+            <p className="text-[10px] font-black uppercase tracking-widest text-slate-500">
+              <CheckCircle className="w-3.5 h-3.5 inline mr-1 text-emerald-500" />
+              {Object.values(exported.counts).reduce((a, b) => a + b, 0)} records exported
+              {exported.issues.length > 0 && <span className="text-amber-600"> · {exported.issues.length} fail schema checks</span>}
+            </p>
+          )}
+        </div>
+
+        {/* Import */}
+        <div className="border-t-2 border-slate-200 pt-6 space-y-4">
+          <label className="flex items-center gap-2 h-11 px-4 border-2 border-dashed border-slate-300 rounded-xl cursor-pointer hover:border-slate-900 text-sm font-bold text-slate-600 bg-white">
+            <Upload className="w-4 h-4" />
+            <span className="truncate">{fileName || "Choose a StockSignal data export (.json)"}</span>
+            <input type="file" accept=".json,application/json" className="hidden" onChange={handleFileChange} />
+          </label>
+
+          {parsed?.errors.length > 0 && (
+            <div className="flex items-start gap-2 border-2 border-rose-500 bg-rose-50 rounded-xl p-3">
+              <AlertCircle className="w-4 h-4 text-rose-600 mt-0.5" />
+              <ul className="text-[11px] font-bold text-rose-700 space-y-0.5">
+                {parsed.errors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {parsed?.archive && (
+            <>
+              <p className="text-[10px] font-black uppercase tracking-widest text-slate-400">
+                Exported {new Date(parsed.archive.exportedAt).toLocaleString()} · Format v{parsed.archive.version}
+                {parsed.warnings.map(warning => <span key={warning} className="block text-amber-600 mt-1">{warning}</span>)}
+              </p>
+              <div className="space-y-2">
+                {parsed.collections.map(collection => (
+                  <div key={collection.key} className="bg-white border-2 border-slate-900 rounded-2xl px-4 py-3">
+                    <label className="flex items-center gap-3 cursor-pointer">
+                      <Checkbox
+                        checked={included.includes(collection.key)}
+                        disabled={collection.records.length === 0}
+                        onCheckedChange={(checked) => toggleCollection(collection.key, checked)}
+                      />
+                      <span className="flex-1 text-sm font-black text-slate-900">{collection.label}</span>
+                      <span className="text-[9px] font-black uppercase tracking-widest text-slate-500">
+                        {collection.records.length} records
+                        {collection.invalid.length > 0 && <span className="text-rose-600"> · {collection.invalid.length} invalid</span>}
+                      </span>
+                    </label>
+                    {collection.invalid.length > 0 && (
+                      <ul className="mt-2 ml-7 text-[11px] text-rose-700 space-y-0.5">
+                        {collection.invalid.slice(0, 3).map(({ index, errors }) => (
+                          <li key={index}>Record {index + 1}: {errors.map(e => e.message).join("; ")}</li>
+                        ))}
+                        {collection.invalid.length > 3 && <li>…and {collection.invalid.length - 3} more</li>}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <Button
+                onClick={handleImport}
+                disabled={!!progress || restorable === 0}
+                variant="outline"
+                className="w-full border-2 border-slate-900 font-black uppercase text-[10px] tracking-widest rounded-2xl h-11"
+              >
+                {progress ? (
+                  <><Loader2 className="w-4 h-4 mr-2 animate-spin" />Restoring {labelFor(progress.key)} ({progress.done}/{progress.total})</>
+                ) : (
+                  <><Upload className="w-4 h-4 mr-2" />Restore {restorable} Records</>
+                )}
+              </Button>
+            </>
+          )}
+
+          {summary && (
+            <div className="border-2 border-emerald-500 bg-emerald-50 rounded-xl p-3 space-y-1">
+              {Object.entries(summary).map(([key, result]) => (
+                <p key={key} className="text-[11px] font-bold text-emerald-900">
+                  {labelFor(key)}: {result.created} restored · {result.skipped} already present
+                  {result.invalid > 0 && ` · ${result.invalid} invalid`}
+                  {result.failed.length > 0 && <span className="text-rose-700"> · {result.failed.length} failed ({result.failed[0].message})</span>}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="flex items-start gap-2 border-2 border-rose-500 bg-rose-50 rounded-xl p-3">
+            <AlertCircle className="w-4 h-4 text-rose-600 mt-0.5" />
+            <p className="text-[11px] font-bold text-rose-700">{error}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
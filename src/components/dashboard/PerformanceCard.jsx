@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { Activity, Loader2 } from "lucide-react";
+import { awsApi } from "@/utils/awsClient";
+import {
+  PERFORMANCE_PERIODS,
+  PERFORMANCE_PERIOD_LABELS,
+  valuationsFromLedger,
+  calculatePerformance
+} from "@/components/utils/calculations/performance";
+import { snapshotsToValuations } from "@/components/utils/calculations/portfolioSnapshots";
+
+const BENCHMARK_SYMBOL = 'SPY';
+
+const formatPct = (value) => (
+  value === null || value === undefined ? "—" : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+);
+const pctClass = (value) => (
+  value === null || value === undefined ? "text-slate-400" : value >= 0 ? "text-emerald-600" : "text-rose-600"
+);
+
+/**
+ * Time-weighted / money-weighted performance with a SPY comparison chart
+ *
+ * @param {Array} transactions - Ledger-shaped transactions (Transaction entity)
+ * @param {Array} snapshots - Optional daily valuation snapshots; when given they
+ *   replace valuations rebuilt from the ledger and only SPY is fetched
+ * @param {string} title - Card title
+ */
+export default function PerformanceCard({ transactions = [], snapshots, title = "Performance: Time & Money Weighted" }) {
+  const [period, setPeriod] = useState(PERFORMANCE_PERIODS.YTD);
+  const [priceHistory, setPriceHistory] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const hasSnapshots = Array.isArray(snapshots) && snapshots.length > 0;
+
+  const symbols = useMemo(
+    () => [...new Set(transactions.map(t => String(t.symbol || '').toUpperCase()).filter(Boolean))].sort(),
+    [transactions]
+  );
+  const inceptionDate = useMemo(
+    () => transactions.reduce((min, t) => {
+      const date = String(t.transaction_date || '').slice(0, 10);
+      return date && (!min || date < min) ? date : min;
+    }, null),
+    [transactions]
+  );
+
+  useEffect(() => {
+    if (!inceptionDate || symbols.length === 0) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    const requested = hasSnapshots ? [BENCHMARK_SYMBOL] : [...symbols, BENCHMARK_SYMBOL];
+    awsApi.getHistoricalPrices(requested, inceptionDate, new Date().toISOString().slice(0, 10))
+      .then(prices => { if (!cancelled) setPriceHistory(prices || {}); })
+      .catch(err => {
+        console.error("Error loading price history:", err);
+        if (!cancelled) setError("Price history unavailable — returns use transaction prices only");
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [symbols.join(','), inceptionDate, hasSnapshots]);
+
+  const valuations = useMemo(() => {
+    if (hasSnapshots) return snapshotsToValuations(snapshots);
+    // SPY's trading days form the valuation calendar when available
+    const calendar = priceHistory[BENCHMARK_SYMBOL]?.map(bar => String(bar.date).slice(0, 10));
+    return valuationsFromLedger(transactions, priceHistory, calendar?.length ? { calendar } : {});
+  }, [transactions, priceHistory, snapshots, hasSnapshots]);
+
+  const performance = useMemo(
+    () => calculatePerformance(valuations, transactions, { period, benchmark: priceHistory[BENCHMARK_SYMBOL] || [] }),
+    [valuations, transactions, period, priceHistory]
+  );
+
+  if (transactions.length === 0) return null;
+
+  const stats = performance ? [
+    {
+      label: "Time-Weighted",
+      value: formatPct(performance.twr),
+      sub: performance.twrAnnualized !== null ? `${formatPct(performance.twrAnnualized)} annualized` : "Cumulative",
+      raw: performance.twr
+    },
+    {
+      label: "Money-Weighted (XIRR)",
+      value: formatPct(performance.mwr),
+      sub: performance.mwrAnnualized !== null ? `${formatPct(performance.mwrAnnualized)} annualized` : "Cumulative",
+      raw: performance.mwr
+    },
+    {
+      label: `${BENCHMARK_SYMBOL} Benchmark`,
+      value: formatPct(performance.benchmarkReturn),
+      sub: performance.excessReturn !== null ? `Excess ${formatPct(performance.excessReturn)}` : "No benchmark data",
+      raw: performance.benchmarkReturn
+    },
+    {
+      label: "Net Contributions",
+      value: `${performance.netContributions >= 0 ? '' : '-'}$${Math.abs(performance.netContributions).toLocaleString('en-US', { maximumFractionDigits: 0 })}`,
+      sub: `${performance.startDate} → ${performance.endDate}`
+    }
+  ] : [];
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg rounded-none overflow-hidden bg-white">
+      <CardHeader className="bg-slate-900 text-white border-b border-slate-800 py-4 px-6 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.3em] flex items-center gap-2">
+          <Activity className="w-4 h-4 text-blue-400" />
+          {title}
+        </CardTitle>
+        <div className="flex items-center gap-1">
+          {Object.values(PERFORMANCE_PERIODS).map(p => (
+            <Button
+              key={p}
+              size="sm"
+              variant="ghost"
+              onClick={() => setPeriod(p)}
+              className={`h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em] px-3 ${
+                period === p ? 'bg-blue-600 text-white hover:bg-blue-600' : 'text-slate-300 hover:bg-slate-800'
+              }`}
+            >
+              {PERFORMANCE_PERIOD_LABELS[p]}
+            </Button>
+          ))}
+        </div>
+      </CardHeader>
+
+      <CardContent className="p-6 bg-slate-50/30 space-y-6">
+        {isLoading ? (
+          <div className="py-16 flex items-center justify-center gap-2 text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" />Loading price history
+          </div>
+        ) : !performance ? (
+          <p className="py-16 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+            No valuations in this period
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {stats.map(stat => (
+                <div key={stat.label} className="border border-slate-200 bg-white p-4">
+                  <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{stat.label}</p>
+                  <p className={`text-xl font-mono font-bold tracking-tighter ${stat.raw === undefined ? 'text-slate-900' : pctClass(stat.raw)}`}>
+                    {stat.value}
+                  </p>
+                  <p className="text-[10px] font-mono text-slate-500 uppercase mt-1 tracking-tight">{stat.sub}</p>
+                </div>
+              ))}
+            </div>
+
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={performance.series} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="2 2" stroke="#e2e8f0" vertical={false} />
+                <XAxis dataKey="date" tick={{ fontSize: 10, fontFamily: 'monospace', fill: '#64748b' }} axisLine={false} tickLine={false} minTickGap={40} />
+                <YAxis tickFormatter={(v) => `${v}%`} tick={{ fontSize: 10, fontFamily: 'monospace' }} axisLine={false} tickLine={false} />
+                <Tooltip
+                  formatter={(value, name) => [formatPct(value), name]}
+                  contentStyle={{ borderRadius: '0px', border: '2px solid #e2e8f0', fontFamily: 'monospace', fontSize: '10px' }}
+                />
+                <Legend wrapperStyle={{ fontSize: '10px', fontWeight: 900, textTransform: 'uppercase' }} />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                <Line type="monotone" dataKey="portfolio" name="Portfolio (TWR)" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="benchmark" name={BENCHMARK_SYMBOL} stroke="#94a3b8" strokeWidth={2} strokeDasharray="4 4" dot={false} connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </>
+        )}
+
+        {error && <p className="text-[10px] font-mono text-amber-700">{error}</p>}
+        <p className="text-[10px] text-slate-400 leading-relaxed">
+          TWR removes the effect of deposits and withdrawals and is comparable to the benchmark; XIRR reflects the timing
+          of your own contributions. Periods shorter than one year are shown cumulative, not annualized.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -2,23 +2,10 @@ import React from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { TrendingUp, TrendingDown } from "lucide-react";
 import { Badge } from "@/components/ui/badge";
+import { holdingGains } from "@/components/utils/calculations/performance";
 
 export default function TopPerformers({ holdings }) {
-  const holdingsWithGains = holdings.map(holding => {
-    const currentValue = holding.quantity * (holding.current_price || holding.average_cost);
-    const costBasis = holding.quantity * holding.average_cost;
-    const gainLoss = currentValue - costBasis;
-    const gainLossPercent = (gainLoss / costBasis) * 100;
-    
-    return {
-      ...holding,
-      gainLoss,
-      gainLossPercent
-    };
-  });
-
-  const sorted = [...holdingsWithGains].sort((a, b) => b.gainLossPercent - a.gainLossPercent);
-  const topPerformers = sorted.slice(0, 5);
+  const topPerformers = holdingGains(holdings).slice(0, 5);
 
   if (holdings.length === 0) {
     return (
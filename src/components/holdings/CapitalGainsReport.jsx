@@ -0,0 +1,172 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger } from "@/components/ui/select";
+import { Receipt, Download, AlertTriangle } from "lucide-react";
+import CostBasisMethodToggle from "@/components/holdings/CostBasisMethodToggle";
+import { buildGainsReport, toForm8949Csv } from "@/components/utils/calculations/capitalGains";
+
+const formatMoney = (value) => {
+  if (value === null || value === undefined) return "—";
+  const sign = value < 0 ? "-" : "";
+  return `${sign}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const gainClass = (value) => (value === null ? "text-slate-400" : value >= 0 ? "text-emerald-700" : "text-rose-700");
+
+function SummaryTile({ label, bucket, showWash }) {
+  return (
+    <div className="border border-slate-200 p-4 bg-white">
+      <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{label}</p>
+      <p className={`text-xl font-black font-mono ${gainClass(bucket.gain)}`}>{formatMoney(bucket.gain)}</p>
+      <p className="text-[10px] text-slate-500 font-mono mt-1">
+        {bucket.count} lots · basis {formatMoney(bucket.costBasis)}
+      </p>
+      {showWash && bucket.washSaleDisallowed > 0 && (
+        <p className="text-[10px] text-amber-700 font-mono mt-1">Wash sale disallowed {formatMoney(bucket.washSaleDisallowed)}</p>
+      )}
+    </div>
+  );
+}
+
+export default function CapitalGainsReport({ transactions = [], holdings = [], method, onMethodChange }) {
+  const [taxYear, setTaxYear] = useState(new Date().getFullYear());
+
+  const prices = useMemo(() => {
+    const map = {};
+    holdings.forEach(h => {
+      const price = h.currentPrice ?? h.current_price;
+      if (h.symbol && price !== undefined && price !== null) map[String(h.symbol).toUpperCase()] = price;
+    });
+    return map;
+  }, [holdings]);
+
+  const report = useMemo(
+    () => buildGainsReport(transactions, { method, taxYear, prices }),
+    [transactions, method, taxYear, prices]
+  );
+
+  const handleExport = () => {
+    const csv = toForm8949Csv(report.realizedRows);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `form-8949-${report.taxYear}-${report.method}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-xl bg-white overflow-hidden rounded-none mt-6">
+      <CardHeader className="bg-slate-900 py-3 px-6 border-b border-slate-800 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] text-white flex items-center gap-2">
+          <Receipt className="w-4 h-4 text-blue-400" />
+          Capital Gains Report
+        </CardTitle>
+        <CostBasisMethodToggle method={method} onChange={onMethodChange} />
+      </CardHeader>
+
+      <CardContent className="p-6 space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="w-40">
+            <Select value={taxYear} onValueChange={setTaxYear}>
+              <SelectTrigger className="h-9 rounded-none border-slate-300 font-mono text-xs">
+                <span>Tax Year {taxYear}</span>
+              </SelectTrigger>
+              <SelectContent>
+                {report.availableYears.map(year => (
+                  <SelectItem key={year} value={year}>{year}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button
+            onClick={handleExport}
+            disabled={report.realizedRows.length === 0}
+            className="bg-slate-900 text-white rounded-none text-[9px] font-black uppercase tracking-[0.2em] px-6 h-9 hover:bg-black"
+          >
+            <Download className="w-3 h-3 mr-2" />Export Form 8949 CSV
+          </Button>
+        </div>
+
+        <div>
+          <p className="text-[10px] font-black uppercase tracking-[0.3em] text-slate-900 mb-3">Realized · {report.taxYear}</p>
+          <div className="grid md:grid-cols-3 gap-3">
+            <SummaryTile label="Short-Term (≤ 1 yr)" bucket={report.realized.shortTerm} showWash />
+            <SummaryTile label="Long-Term (> 1 yr)" bucket={report.realized.longTerm} showWash />
+            <SummaryTile label="Net Realized" bucket={report.realized.total} showWash />
+          </div>
+        </div>
+
+        <div className="overflow-x-auto border border-slate-200">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-slate-100/50 border-b border-slate-200">
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-left text-slate-500">Description</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-left text-slate-500">Acquired</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-left text-slate-500">Sold</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Proceeds</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Basis</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Wash Adj.</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Gain / Loss</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-center text-slate-500">Term</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {report.realizedRows.map((row, idx) => (
+                <tr key={idx} className="font-mono text-[11px] hover:bg-blue-50/40">
+                  <td className="py-2 px-4 font-bold text-slate-900">{row.description}</td>
+                  <td className="py-2 px-4 text-slate-600">{row.acquiredDate}</td>
+                  <td className="py-2 px-4 text-slate-600">{row.disposedDate}</td>
+                  <td className="py-2 px-4 text-right text-slate-700">{formatMoney(row.proceeds)}</td>
+                  <td className="py-2 px-4 text-right text-slate-700">{formatMoney(row.costBasis)}</td>
+                  <td className="py-2 px-4 text-right text-amber-700">{row.washSaleDisallowed > 0 ? formatMoney(row.washSaleDisallowed) : ""}</td>
+                  <td className={`py-2 px-4 text-right font-bold ${gainClass(row.gain)}`}>{formatMoney(row.gain)}</td>
+                  <td className="py-2 px-4 text-center">
+                    <Badge variant="outline" className="rounded-none text-[9px] font-black uppercase">
+                      {row.term === 'long' ? 'LT' : 'ST'}
+                    </Badge>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report.realizedRows.length === 0 && (
+            <p className="py-8 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">No closed lots in {report.taxYear}</p>
+          )}
+        </div>
+
+        <div>
+          <p className="text-[10px] font-black uppercase tracking-[0.3em] text-slate-900 mb-3">Unrealized · Open Lots</p>
+          <div className="grid md:grid-cols-3 gap-3">
+            <SummaryTile label="Short-Term" bucket={report.unrealized.shortTerm} />
+            <SummaryTile label="Long-Term" bucket={report.unrealized.longTerm} />
+            <SummaryTile label="Total Unrealized" bucket={report.unrealized.total} />
+          </div>
+          {report.unrealized.unpricedLots > 0 && (
+            <p className="text-[10px] text-slate-500 mt-2">
+              {report.unrealized.unpricedLots} open lots have no current price and are excluded.
+            </p>
+          )}
+        </div>
+
+        {report.warnings.length > 0 && (
+          <div className="border border-amber-200 bg-amber-50/60 p-3 space-y-1">
+            {report.warnings.map((w, i) => (
+              <p key={i} className="text-[10px] text-amber-800 flex items-center gap-2">
+                <AlertTriangle className="w-3 h-3 shrink-0" />{w.message}
+              </p>
+            ))}
+          </div>
+        )}
+
+        <p className="text-[10px] text-slate-400 leading-relaxed">
+          Figures are derived from the transactions you have logged and are provided for recordkeeping only.
+          Broker 1099-B statements remain authoritative; consult a tax professional before filing.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
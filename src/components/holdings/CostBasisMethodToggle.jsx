@@ -0,0 +1,26 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import {
+  COST_BASIS_METHODS,
+  COST_BASIS_METHOD_LABELS
+} from "@/components/utils/calculations/lotAccounting";
+
+export default function CostBasisMethodToggle({ method, onChange }) {
+  return (
+    <div className="flex items-center gap-1">
+      {Object.values(COST_BASIS_METHODS).map(m => (
+        <Button
+          key={m}
+          size="sm"
+          variant="ghost"
+          onClick={() => onChange(m)}
+          className={`h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em] px-3 ${
+            method === m ? 'bg-blue-600 text-white hover:bg-blue-600' : 'text-slate-300 hover:bg-slate-800'
+          }`}
+        >
+          {COST_BASIS_METHOD_LABELS[m]}
+        </Button>
+      ))}
+    </div>
+  );
+}
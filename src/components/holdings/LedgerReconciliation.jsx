@@ -0,0 +1,100 @@
+import React, { useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Scale, AlertTriangle, CheckCircle2 } from "lucide-react";
+import CostBasisMethodToggle from "@/components/holdings/CostBasisMethodToggle";
+import {
+  replayLedger,
+  reconcileHoldings
+} from "@/components/utils/calculations/lotAccounting";
+
+const STATUS_META = {
+  match: { label: "Match", className: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+  mismatch: { label: "Diverges", className: "bg-rose-50 text-rose-700 border-rose-200" },
+  missing_in_ledger: { label: "Not in Ledger", className: "bg-amber-50 text-amber-700 border-amber-200" },
+  missing_in_holdings: { label: "Not in Holdings", className: "bg-sky-50 text-sky-700 border-sky-200" }
+};
+
+const formatQty = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 4 });
+const formatCost = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+export default function LedgerReconciliation({ holdings = [], transactions = [], method, onMethodChange }) {
+  const ledger = useMemo(() => replayLedger(transactions, { method }), [transactions, method]);
+  const rows = useMemo(() => reconcileHoldings(holdings, ledger.positions), [holdings, ledger]);
+  const divergentCount = rows.filter(r => r.status !== 'match').length;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-xl bg-white overflow-hidden rounded-none mt-6">
+      <CardHeader className="bg-slate-900 py-3 px-6 border-b border-slate-800 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] text-white flex items-center gap-2">
+          <Scale className="w-4 h-4 text-blue-400" />
+          Ledger Reconciliation
+        </CardTitle>
+        <CostBasisMethodToggle method={method} onChange={onMethodChange} />
+      </CardHeader>
+
+      <CardContent className="p-0">
+        <div className="px-6 py-3 border-b border-slate-200 bg-slate-50 flex items-center gap-2 text-[11px] font-mono">
+          {divergentCount === 0 ? (
+            <><CheckCircle2 className="w-4 h-4 text-emerald-600" /><span className="text-emerald-700">All {rows.length} positions agree with the replayed ledger</span></>
+          ) : (
+            <><AlertTriangle className="w-4 h-4 text-rose-600" /><span className="text-rose-700">{divergentCount} of {rows.length} positions diverge from the replayed ledger</span></>
+          )}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-slate-100/50 border-b border-slate-200">
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-6 text-left text-slate-500">Symbol</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Holding Qty</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Ledger Qty</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Holding Avg Cost</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-right text-slate-500">Ledger Avg Cost</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-center text-slate-500">Lots</th>
+                <th className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-6 text-left text-slate-500">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {rows.map(row => (
+                <tr key={row.symbol} className="font-mono text-[11px] hover:bg-blue-50/40">
+                  <td className="py-3 px-6 font-bold text-slate-900 uppercase">{row.symbol}</td>
+                  <td className="py-3 px-4 text-right text-slate-700">{formatQty(row.holdingQuantity)}</td>
+                  <td className={`py-3 px-4 text-right ${row.quantityMismatch ? 'text-rose-700 font-bold' : 'text-slate-700'}`}>
+                    {formatQty(row.ledgerQuantity)}
+                  </td>
+                  <td className="py-3 px-4 text-right text-slate-700">{formatCost(row.holdingAverageCost)}</td>
+                  <td className={`py-3 px-4 text-right ${row.costMismatch ? 'text-rose-700 font-bold' : 'text-slate-700'}`}>
+                    {formatCost(row.ledgerAverageCost)}
+                  </td>
+                  <td className="py-3 px-4 text-center text-slate-500">{ledger.positions[row.symbol]?.lots.length || 0}</td>
+                  <td className="py-3 px-6">
+                    <Badge variant="outline" className={`rounded-none text-[9px] font-black uppercase ${STATUS_META[row.status].className}`}>
+                      {STATUS_META[row.status].label}
+                    </Badge>
+                    {row.issues.length > 0 && (
+                      <p className="text-[10px] text-slate-500 mt-1 font-sans">{row.issues.join(' · ')}</p>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length === 0 && (
+            <p className="py-10 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">No holdings or transactions to reconcile</p>
+          )}
+        </div>
+
+        {ledger.warnings.length > 0 && (
+          <div className="px-6 py-3 border-t border-slate-200 bg-amber-50/60 space-y-1">
+            {ledger.warnings.map((w, i) => (
+              <p key={i} className="text-[10px] text-amber-800 flex items-center gap-2">
+                <AlertTriangle className="w-3 h-3 shrink-0" />{w.message}
+              </p>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Scissors, ShieldAlert, ArrowRight } from "lucide-react";
+import { awsApi } from "@/utils/awsClient";
+import CostBasisMethodToggle from "@/components/holdings/CostBasisMethodToggle";
+import { identifyTaxLossOpportunities } from "@/components/utils/calculations/taxLossHarvesting";
+
+const RATES_STORAGE_KEY = 'tlh-tax-rates';
+
+const formatMoney = (value) => {
+  const sign = value < 0 ? "-" : "";
+  return `${sign}$${Math.abs(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+function loadStoredRates() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RATES_STORAGE_KEY) || '{}');
+    return {
+      shortTermRate: Number.isFinite(stored.shortTermRate) ? stored.shortTermRate : 24,
+      longTermRate: Number.isFinite(stored.longTermRate) ? stored.longTermRate : 15
+    };
+  } catch {
+    return { shortTermRate: 24, longTermRate: 15 };
+  }
+}
+
+function RateInput({ label, value, onChange }) {
+  return (
+    <label className="flex flex-col gap-1">
+      <span className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">{label}</span>
+      <div className="flex items-center gap-1">
+        <Input
+          type="number"
+          min="0"
+          max="60"
+          step="0.5"
+          value={value}
+          onChange={(e) => onChange(Math.min(60, Math.max(0, Number(e.target.value) || 0)))}
+          className="h-9 w-24 rounded-none font-mono text-xs"
+        />
+        <span className="text-xs font-mono text-slate-500">%</span>
+      </div>
+    </label>
+  );
+}
+
+function SummaryStat({ label, value, tone = "text-slate-900" }) {
+  return (
+    <div className="border border-slate-200 p-4 bg-white">
+      <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{label}</p>
+      <p className={`text-xl font-black font-mono ${tone}`}>{value}</p>
+    </div>
+  );
+}
+
+export default function TaxLossHarvestingPlanner({ transactions = [], holdings = [], method, onMethodChange }) {
+  const [rates, setRates] = useState(loadStoredRates);
+  const [companies, setCompanies] = useState([]);
+  const [indexFunds, setIndexFunds] = useState([]);
+
+  useEffect(() => {
+    localStorage.setItem(RATES_STORAGE_KEY, JSON.stringify(rates));
+  }, [rates]);
+
+  useEffect(() => {
+    // Replacement universe is best-effort; the planner still works without it
+    Promise.all([
+      awsApi.getCompanies().catch(() => []),
+      awsApi.callAwsFunction('getCompanies', { type: 'index_funds' }).catch(() => ({ items: [] }))
+    ]).then(([companiesData, fundsData]) => {
+      setCompanies(Array.isArray(companiesData) ? companiesData : []);
+      setIndexFunds(fundsData?.items || []);
+    });
+  }, []);
+
+  const prices = useMemo(() => {
+    const map = {};
+    holdings.forEach(h => {
+      const price = h.currentPrice ?? h.current_price;
+      if (h.symbol && price !== undefined && price !== null) map[String(h.symbol).toUpperCase()] = price;
+    });
+    return map;
+  }, [holdings]);
+
+  const plan = useMemo(
+    () => identifyTaxLossOpportunities(transactions, {
+      method,
+      prices,
+      shortTermRate: rates.shortTermRate,
+      longTermRate: rates.longTermRate,
+      companies,
+      indexFunds
+    }),
+    [transactions, method, prices, rates, companies, indexFunds]
+  );
+
+  const { summary } = plan;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-xl bg-white overflow-hidden rounded-none mt-6">
+      <CardHeader className="bg-slate-900 py-3 px-6 border-b border-slate-800 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] text-white flex items-center gap-2">
+          <Scissors className="w-4 h-4 text-blue-400" />
+          Tax-Loss Harvesting
+        </CardTitle>
+        <CostBasisMethodToggle method={method} onChange={onMethodChange} />
+      </CardHeader>
+
+      <CardContent className="p-6 space-y-6">
+        <div className="flex flex-wrap items-end gap-6">
+          <RateInput
+            label="Marginal Rate (Short-Term)"
+            value={rates.shortTermRate}
+            onChange={(v) => setRates(r => ({ ...r, shortTermRate: v }))}
+          />
+          <RateInput
+            label="Long-Term Gains Rate"
+            value={rates.longTermRate}
+            onChange={(v) => setRates(r => ({ ...r, longTermRate: v }))}
+          />
+        </div>
+
+        <div className="grid md:grid-cols-4 gap-3">
+          <SummaryStat label="Harvestable Loss" value={formatMoney(summary.harvestableLoss)} tone="text-rose-700" />
+          <SummaryStat label={`Usable in ${summary.taxYear}`} value={formatMoney(summary.usableThisYear)} />
+          <SummaryStat label="Carryforward" value={formatMoney(summary.carryforward)} tone="text-slate-500" />
+          <SummaryStat label="Est. Tax Savings" value={formatMoney(summary.estimatedTaxSavingsThisYear)} tone="text-emerald-700" />
+        </div>
+        <p className="text-[10px] text-slate-500 font-mono">
+          Realized {summary.taxYear} net: {formatMoney(summary.realizedNetGain)} · losses beyond realized gains offset up to $3,000 of ordinary income per year
+        </p>
+
+        <div className="space-y-3">
+          {plan.opportunities.map(opp => (
+            <div key={opp.symbol} className="border border-slate-200 p-4">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <p className="font-mono font-black text-slate-900 uppercase">{opp.symbol}</p>
+                  <p className="text-[10px] font-mono text-slate-500">
+                    {opp.quantity.toLocaleString('en-US', { maximumFractionDigits: 4 })} sh · {opp.lots.length} lot{opp.lots.length === 1 ? '' : 's'} · basis {formatMoney(opp.costBasis)}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="font-mono font-black text-rose-700">{formatMoney(-opp.unrealizedLoss)} ({opp.unrealizedLossPct}%)</p>
+                  <p className="text-[10px] font-mono text-emerald-700">Est. savings {formatMoney(opp.estimatedTaxSavings)}</p>
+                </div>
+              </div>
+
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <span className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 flex items-center gap-1">
+                  <ArrowRight className="w-3 h-3" />Replace with
+                </span>
+                {opp.replacements.length === 0 && (
+                  <span className="text-[10px] text-slate-400">No replacement candidates loaded</span>
+                )}
+                {opp.replacements.map(r => (
+                  <Badge key={r.symbol} variant="outline" className="rounded-none text-[10px] font-mono" title={r.reason}>
+                    {r.symbol} · ρ≈{r.estimatedCorrelation}
+                  </Badge>
+                ))}
+              </div>
+              <p className="text-[10px] text-slate-500 mt-2">
+                Do not buy {opp.symbol} or a substantially identical fund back before {opp.repurchaseAfter}.
+              </p>
+            </div>
+          ))}
+          {plan.opportunities.length === 0 && (
+            <p className="py-8 text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400 border border-slate-200">
+              No open lots with a harvestable loss
+            </p>
+          )}
+        </div>
+
+        {plan.blocked.length > 0 && (
+          <div className="border border-amber-200 bg-amber-50/60 p-4 space-y-2">
+            <p className="text-[10px] font-black uppercase tracking-[0.3em] text-amber-800 flex items-center gap-2">
+              <ShieldAlert className="w-4 h-4" />Blocked by Wash-Sale Rule
+            </p>
+            {plan.blocked.map(item => (
+              <p key={item.symbol} className="text-[11px] text-amber-900 font-mono">
+                {item.symbol} · {formatMoney(-item.unrealizedLoss)} — {item.reason}. Eligible on {item.eligibleDate}.
+              </p>
+            ))}
+          </div>
+        )}
+
+        <p className="text-[10px] text-slate-400 leading-relaxed">
+          Estimates use the rates entered above and the lots derived from your transactions. Correlations are sector-based
+          approximations; review replacements before trading and consult a tax professional.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
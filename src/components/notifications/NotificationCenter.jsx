@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+import { formatDistanceToNow } from "date-fns";
+import { Bell, CheckCheck, Trash2, ArrowLeftRight, Siren, Trophy, Heart, LineChart } from "lucide-react";
+import {
+  NOTIFICATION_KINDS,
+  NOTIFICATION_KIND_LABELS,
+  NOTIFICATIONS_EVENT,
+  loadNotifications,
+  markNotificationsRead,
+  clearNotifications,
+  unreadNotificationCount
+} from "@/components/utils/notifications/notificationCenter";
+
+const KIND_ICONS = {
+  [NOTIFICATION_KINDS.TRADE_FILL]: { icon: ArrowLeftRight, color: "text-emerald-600 bg-emerald-50" },
+  [NOTIFICATION_KINDS.ALERT]: { icon: Siren, color: "text-rose-600 bg-rose-50" },
+  [NOTIFICATION_KINDS.CHALLENGE]: { icon: Trophy, color: "text-amber-600 bg-amber-50" },
+  [NOTIFICATION_KINDS.HEALTH]: { icon: Heart, color: "text-pink-600 bg-pink-50" },
+  [NOTIFICATION_KINDS.ANALYSIS]: { icon: LineChart, color: "text-indigo-600 bg-indigo-50" }
+};
+
+/**
+ * Notification Center
+ * Header bell with unread count and a dropdown inbox. Clicking an entry marks
+ * it read and opens the page it refers to.
+ */
+export default function NotificationCenter() {
+  const navigate = useNavigate();
+  const userId = localStorage.getItem("user_id");
+  const [notifications, setNotifications] = useState(() => loadNotifications(userId));
+  const [isOpen, setIsOpen] = useState(false);
+  const [showUnreadOnly, setShowUnreadOnly] = useState(false);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const refresh = () => setNotifications(loadNotifications(userId));
+    refresh();
+    window.addEventListener(NOTIFICATIONS_EVENT, refresh);
+    // Other tabs write the same localStorage key
+    window.addEventListener("storage", refresh);
+    return () => {
+      window.removeEventListener(NOTIFICATIONS_EVENT, refresh);
+      window.removeEventListener("storage", refresh);
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const closeOnOutsideClick = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", closeOnOutsideClick);
+    return () => document.removeEventListener("mousedown", closeOnOutsideClick);
+  }, [isOpen]);
+
+  const unread = unreadNotificationCount(notifications);
+  const visible = showUnreadOnly ? notifications.filter(n => !n.read) : notifications;
+
+  const openNotification = (notification) => {
+    if (!notification.read) setNotifications(markNotificationsRead(userId, [notification.id]));
+    if (notification.page) {
+      setIsOpen(false);
+      navigate(`${createPageUrl(notification.page)}${notification.query || ""}`);
+    }
+  };
+
+  return (
+    <div ref={panelRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-xl text-slate-600 hover:bg-slate-100 transition-colors"
+        aria-label={`Notifications${unread > 0 ? ` (${unread} unread)` : ""}`}
+      >
+        <Bell className="w-5 h-5" />
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-rose-500 text-white text-[9px] font-black rounded-full flex items-center justify-center">
+            {unread > 99 ? "99+" : unread}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-[22rem] max-w-[calc(100vw-2rem)] bg-white border border-slate-200 shadow-2xl z-50">
+          <div className="flex items-center justify-between bg-slate-900 text-white px-4 py-2.5">
+            <span className="text-[10px] font-black uppercase tracking-[0.3em]">Notifications</span>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => setNotifications(markNotificationsRead(userId))}
+                disabled={unread === 0}
+                className="p-1.5 text-slate-300 hover:text-white disabled:opacity-30"
+                title="Mark all read"
+              >
+                <CheckCheck className="w-3.5 h-3.5" />
+              </button>
+              <button
+                onClick={() => setNotifications(clearNotifications(userId))}
+                disabled={notifications.length === 0}
+                className="p-1.5 text-slate-300 hover:text-rose-400 disabled:opacity-30"
+                title="Clear all"
+              >
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex border-b border-slate-200">
+            {[[false, `All (${notifications.length})`], [true, `Unread (${unread})`]].map(([value, label]) => (
+              <button
+                key={label}
+                onClick={() => setShowUnreadOnly(value)}
+                className={`flex-1 py-2 text-[9px] font-black uppercase tracking-[0.2em] ${
+                  showUnreadOnly === value ? "text-slate-900 border-b-2 border-slate-900" : "text-slate-400 hover:text-slate-600"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {visible.length === 0 ? (
+            <p className="text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400 py-10">
+              {showUnreadOnly ? "All caught up" : "No notifications yet"}
+            </p>
+          ) : (
+            <div className="max-h-[26rem] overflow-y-auto divide-y divide-slate-100">
+              {visible.map(notification => {
+                const { icon: Icon, color } = KIND_ICONS[notification.kind] || { icon: Bell, color: "text-slate-600 bg-slate-50" };
+                return (
+                  <button
+                    key={notification.id}
+                    onClick={() => openNotification(notification)}
+                    className={`w-full text-left flex items-start gap-3 px-4 py-3 hover:bg-slate-50 ${notification.read ? "" : "bg-blue-50/40"}`}
+                  >
+                    <span className={`w-8 h-8 flex-shrink-0 flex items-center justify-center ${color}`}>
+                      <Icon className="w-4 h-4" />
+                    </span>
+                    <span className="flex-1 min-w-0">
+                      <span className={`block text-sm leading-snug ${notification.read ? "text-slate-600" : "font-bold text-slate-900"}`}>
+                        {notification.title}
+                      </span>
+                      {notification.message && (
+                        <span className="block text-xs text-slate-500 mt-0.5 line-clamp-2">{notification.message}</span>
+                      )}
+                      <span className="block text-[9px] font-black uppercase tracking-widest text-slate-400 mt-1">
+                        {NOTIFICATION_KIND_LABELS[notification.kind] || "Update"} · {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                      </span>
+                    </span>
+                    {!notification.read && <span className="mt-1.5 w-2 h-2 rounded-full bg-rose-500 flex-shrink-0" />}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
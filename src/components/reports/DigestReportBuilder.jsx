@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { awsApi } from "@/utils/awsClient";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { FileText, Save, Send, Loader2, CheckCircle, AlertCircle, Eye, EyeOff } from "lucide-react";
+import { useHoldings, useGoals, useCompanies, usePortfolioSnapshots } from "@/components/utils/api/queries";
+import { STRESS_SCENARIOS } from "@/components/utils/calculations/stressTesting";
+import {
+  REPORT_SECTIONS,
+  DIGEST_FREQUENCIES,
+  validateDigestTemplate,
+  loadDigestTemplate,
+  saveDigestTemplate,
+  buildDigestData,
+  renderDigestHtml
+} from "@/components/utils/reports/digestReport";
+
+/**
+ * Digest Report Builder
+ * Pick the sections of the scheduled digest email, preview the rendered HTML
+ * with live portfolio data, and save the template to the user profile.
+ */
+export default function DigestReportBuilder({ remoteTemplate, email, onSaved }) {
+  const userId = localStorage.getItem("user_id");
+  const [template, setTemplate] = useState(() => loadDigestTemplate(userId));
+  const [transactions, setTransactions] = useState([]);
+  const [challengeData, setChallengeData] = useState({ challenges: [], myChallenges: [] });
+  const [showPreview, setShowPreview] = useState(true);
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState("");
+
+  const { data: holdings = [] } = useHoldings();
+  const { data: goals = [] } = useGoals();
+  const { data: companies = [] } = useCompanies();
+  const { data: snapshots = [] } = usePortfolioSnapshots();
+
+  useEffect(() => {
+    if (remoteTemplate) setTemplate(prev => ({ ...prev, ...remoteTemplate }));
+  }, [remoteTemplate]);
+
+  useEffect(() => {
+    awsApi.getTransactions().then(data => setTransactions(data || [])).catch(() => setTransactions([]));
+    awsApi.getChallenges()
+      .then(data => setChallengeData({ challenges: data?.challenges || [], myChallenges: data?.my_challenges || [] }))
+      .catch(() => setChallengeData({ challenges: [], myChallenges: [] }));
+  }, []);
+
+  const html = useMemo(() => {
+    if (validateDigestTemplate(template).length > 0) return "";
+    const healthRecords = JSON.parse(localStorage.getItem("portfolio_health_records") || "[]");
+    const data = buildDigestData(template, {
+      holdings,
+      snapshots,
+      transactions,
+      goals,
+      companies,
+      healthRecords,
+      ...challengeData
+    });
+    return renderDigestHtml(template, data);
+  }, [template, holdings, snapshots, transactions, goals, companies, challengeData]);
+
+  const update = (changes) => {
+    setTemplate(prev => ({ ...prev, ...changes }));
+    setStatus("");
+  };
+
+  // Keep the chosen sections in catalog order so the email layout is stable
+  const toggleSection = (id) => {
+    const chosen = template.sections.includes(id) ? template.sections.filter(s => s !== id) : [...template.sections, id];
+    update({ sections: Object.keys(REPORT_SECTIONS).filter(s => chosen.includes(s)) });
+  };
+
+  const check = () => {
+    const found = validateDigestTemplate(template);
+    setErrors(found);
+    return found.length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!check()) return;
+    setStatus("saving");
+    const saved = saveDigestTemplate(userId, template);
+    try {
+      await awsApi.updateUser({ digest_template: saved });
+      onSaved?.(saved);
+      setStatus("saved");
+    } catch (error) {
+      console.error("❌ Digest template not saved:", error);
+      setErrors([`Saved on this device only: ${error.message}`]);
+      setStatus("");
+    }
+  };
+
+  const handleSendTest = async () => {
+    if (!check()) return;
+    if (!email) {
+      setErrors(["Add an email address above to send a test digest"]);
+      return;
+    }
+    setStatus("sending");
+    try {
+      await awsApi.sendEmail({
+        to: email,
+        subject: `${template.title} - Test`,
+        body: html,
+        from_name: "StockSignal"
+      });
+      setStatus("sent");
+    } catch (error) {
+      setErrors([`Test email failed: ${error.message}`]);
+      setStatus("");
+    }
+  };
+
+  return (
+    <Card className="border-4 border-slate-900 shadow-[8px_8px_0px_0px_rgba(15,23,42,1)] rounded-[2rem] overflow-hidden mb-6 bg-white">
+      <CardHeader className="bg-slate-900 text-white py-3 px-6 border-b-4 border-slate-900">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <FileText className="w-4 h-4 text-emerald-400" />
+            <CardTitle className="text-[10px] font-black uppercase tracking-[0.2em]">
+              Digest Report Builder
+            </CardTitle>
+          </div>
+          {template.updatedAt && (
+            <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+              Saved {new Date(template.updatedAt).toLocaleDateString()}
+            </span>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-6 bg-slate-50/30">
+        <p className="text-[11px] font-bold text-slate-700 leading-relaxed">
+          Choose what your scheduled weekly or monthly digest contains. The preview uses your live portfolio data; saving makes this the template for every scheduled send.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Digest Title</Label>
+            <Input
+              value={template.title}
+              onChange={(e) => update({ title: e.target.value })}
+              className="h-11 border-2 border-slate-200 focus:border-slate-900 rounded-xl font-bold"
+            />
+          </div>
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Schedule</Label>
+            <Select value={template.frequency} onValueChange={(frequency) => update({ frequency })}>
+              <SelectTrigger className="h-11 border-2 border-slate-900 bg-white rounded-xl font-bold text-xs">
+                <SelectValue>{DIGEST_FREQUENCIES[template.frequency]?.label}</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white border-2 border-slate-900 rounded-xl">
+                {Object.entries(DIGEST_FREQUENCIES).map(([value, { label }]) => (
+                  <SelectItem key={value} value={value} className="font-bold uppercase text-xs">{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {/* Section picker */}
+        <div>
+          <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-3 block">Sections</Label>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {Object.entries(REPORT_SECTIONS).map(([id, section]) => {
+              const selected = template.sections.includes(id);
+              return (
+                <label
+                  key={id}
+                  className={`cursor-pointer p-3 border-2 rounded-xl flex items-start gap-3 transition-all ${
+                    selected ? "border-slate-900 bg-white shadow-[4px_4px_0px_0px_rgba(16,185,129,1)]" : "border-slate-200 bg-white/60 hover:border-slate-900"
+                  }`}
+                >
+                  <Checkbox checked={selected} onCheckedChange={() => toggleSection(id)} className="mt-0.5" />
+                  <span>
+                    <span className="block font-black uppercase text-[10px] tracking-widest text-slate-900">{section.label}</span>
+                    <span className="block text-[11px] text-slate-500 mt-0.5">{section.description}</span>
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Section options */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Top Movers Shown</Label>
+            <Input
+              type="number"
+              min="1"
+              max="10"
+              value={template.topMoversCount}
+              disabled={!template.sections.includes("top_movers")}
+              onChange={(e) => update({ topMoversCount: parseInt(e.target.value, 10) || 0 })}
+              className="h-11 border-2 border-slate-200 focus:border-slate-900 rounded-xl font-bold"
+            />
+          </div>
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Stress Scenario</Label>
+            <Select
+              value={template.stressScenario}
+              onValueChange={(stressScenario) => update({ stressScenario })}
+              disabled={!template.sections.includes("stress_summary")}
+            >
+              <SelectTrigger className="h-11 border-2 border-slate-900 bg-white rounded-xl font-bold text-xs">
+                <SelectValue>{STRESS_SCENARIOS[template.stressScenario]?.name}</SelectValue>
+              </SelectTrigger>
+              <SelectContent className="bg-white border-2 border-slate-900 rounded-xl">
+                {Object.entries(STRESS_SCENARIOS).map(([key, scenario]) => (
+                  <SelectItem key={key} value={key} className="font-bold text-xs">{scenario.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2 block">Challenge Look-Ahead (Days)</Label>
+            <Input
+              type="number"
+              min="1"
+              max="90"
+              value={template.challengeWindowDays}
+              disabled={!template.sections.includes("challenge_deadlines")}
+              onChange={(e) => update({ challengeWindowDays: parseInt(e.target.value, 10) || 0 })}
+              className="h-11 border-2 border-slate-200 focus:border-slate-900 rounded-xl font-bold"
+            />
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="flex items-start gap-2 border-2 border-rose-500 bg-rose-50 rounded-xl p-3">
+            <AlertCircle className="w-4 h-4 text-rose-600 mt-0.5" />
+            <ul className="text-[11px] font-bold text-rose-700 space-y-0.5">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex flex-col md:flex-row gap-3">
+          <Button
+            variant="outline"
+            onClick={() => setShowPreview(!showPreview)}
+            className="border-2 border-slate-900 font-black uppercase text-[10px] tracking-widest rounded-2xl h-11 md:w-44"
+          >
+            {showPreview ? <EyeOff className="w-4 h-4 mr-2" /> : <Eye className="w-4 h-4 mr-2" />}
+            {showPreview ? "Hide Preview" : "Show Preview"}
+          </Button>
+          <Button
+            variant="outline"
+            onClick={handleSendTest}
+            disabled={status === "sending" || !html}
+            className="border-2 border-slate-900 font-black uppercase text-[10px] tracking-widest rounded-2xl h-11 flex-1"
+          >
+            {status === "sending" ? <Loader2 className="w-4 h-4 animate-spin" /> : status === "sent" ? (
+              <span className="flex items-center gap-2 text-emerald-600"><CheckCircle className="w-4 h-4" /> Test Sent</span>
+            ) : (
+              <><Send className="w-4 h-4 mr-2" />Send Test Digest</>
+            )}
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={status === "saving"}
+            className="bg-slate-900 text-white font-black uppercase text-[10px] tracking-widest rounded-2xl h-11 flex-1 shadow-[4px_4px_0px_0px_rgba(16,185,129,1)]"
+          >
+            {status === "saving" ? <Loader2 className="w-4 h-4 animate-spin" /> : status === "saved" ? "Template Saved" : (
+              <><Save className="w-4 h-4 mr-2" />Save As Digest Template</>
+            )}
+          </Button>
+        </div>
+
+        {showPreview && (
+          html ? (
+            <iframe
+              title="Digest preview"
+              srcDoc={html}
+              sandbox=""
+              className="w-full h-[36rem] border-2 border-slate-900 rounded-xl bg-white"
+            />
+          ) : (
+            <p className="text-center text-[10px] font-black uppercase tracking-[0.3em] text-slate-400 py-6">Fix the template to see a preview</p>
+          )
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,94 @@
+import React from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger } from "@/components/ui/select";
+import { Gauge } from "lucide-react";
+import { COMMISSION_SCHEDULES } from "@/components/utils/trading/fillModel";
+
+/**
+ * Fill Model Settings
+ * Controls slippage, partial fills and the commission schedule applied to
+ * every paper execution.
+ */
+export default function FillModelSettings({ settings, onChange }) {
+  const schedule = COMMISSION_SCHEDULES[settings.commissionSchedule] || COMMISSION_SCHEDULES.zero;
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg overflow-hidden rounded-none mb-8">
+      <CardHeader className="bg-slate-900 text-white rounded-none border-b border-slate-800 py-4 px-6">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] flex items-center gap-2">
+          <Gauge className="w-4 h-4 text-blue-400" />
+          Execution Model: {settings.enabled ? 'Realistic Fills' : 'Fill At Quote'}
+          <span className="ml-auto">
+            <Switch checked={settings.enabled} onCheckedChange={(enabled) => onChange({ enabled })} />
+          </span>
+        </CardTitle>
+      </CardHeader>
+      {settings.enabled && (
+        <CardContent className="p-6 bg-slate-50/30">
+          <div className="grid md:grid-cols-3 gap-6">
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Commission Schedule</p>
+              <Select
+                value={settings.commissionSchedule}
+                onValueChange={(commissionSchedule) => onChange({ commissionSchedule })}
+              >
+                <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3 rounded-none">
+                  <span className="text-slate-900 uppercase text-xs">{schedule.label}</span>
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(COMMISSION_SCHEDULES).map(([key, option]) => (
+                    <SelectItem key={key} value={key}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-[10px] font-mono text-slate-500 mt-2">
+                {schedule.description}. SEC and FINRA fees apply to sells.
+              </p>
+            </div>
+
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Partial Fills</p>
+              <div className="flex items-center gap-3 h-10">
+                <Switch
+                  checked={settings.partialFills}
+                  onCheckedChange={(partialFills) => onChange({ partialFills })}
+                />
+                <span className="text-xs font-mono text-slate-700">
+                  {settings.partialFills ? 'Capped by daily volume' : 'Always fill in full'}
+                </span>
+              </div>
+              <p className="text-[10px] font-mono text-slate-500 mt-2">
+                Unfilled shares keep working in the order book and retry on each sync.
+              </p>
+            </div>
+
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Max Volume Participation</p>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="number"
+                  min="1"
+                  max="100"
+                  step="1"
+                  disabled={!settings.partialFills}
+                  value={Math.round(settings.maxParticipation * 100)}
+                  onChange={(e) => {
+                    const percent = parseFloat(e.target.value);
+                    if (percent > 0 && percent <= 100) onChange({ maxParticipation: percent / 100 });
+                  }}
+                  className="h-10 w-24 font-mono rounded-none"
+                />
+                <span className="text-xs font-mono text-slate-500">% of daily volume per fill</span>
+              </div>
+              <p className="text-[10px] font-mono text-slate-500 mt-2">
+                Slippage = half-spread by liquidity tier + square-root market impact.
+              </p>
+            </div>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,425 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { awsApi } from "@/components/utils/api/awsApi";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from "recharts";
+import { History, Play, Pause, SkipForward, Square, Loader2, AlertTriangle, Plus, Award } from "lucide-react";
+import TradeModal from "@/components/trading/TradeModal";
+import PendingOrdersBook from "@/components/trading/PendingOrdersBook";
+import {
+  REPLAY_PRESETS,
+  REPLAY_BENCHMARK,
+  DEFAULT_REPLAY_CASH,
+  MIN_REPLAY_BARS,
+  validateReplayWindow,
+  createReplaySession,
+  currentReplayDate,
+  replayPrice,
+  replayEquity,
+  submitReplayOrder,
+  cancelReplayOrder,
+  modifyReplayOrder,
+  stepReplay,
+  scoreReplay
+} from "@/components/utils/trading/marketReplay";
+
+const SPEEDS = [1, 2, 5, 10];
+const money = (value) => `$${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const signedPct = (value) => (value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+
+/**
+ * Market Replay
+ * Practice against a historical window: daily bars advance at accelerated
+ * speed, orders go through TradeModal, and the run is scored at the end.
+ */
+export default function MarketReplay({ fillSettings, onExit }) {
+  const [setup, setSetup] = useState({
+    startDate: REPLAY_PRESETS[0].startDate,
+    endDate: REPLAY_PRESETS[0].endDate,
+    symbols: "AAPL, MSFT, AMZN, JPM, XOM",
+    startingCash: String(DEFAULT_REPLAY_CASH)
+  });
+  const [issues, setIssues] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [session, setSession] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(2);
+  const [isEnded, setIsEnded] = useState(false);
+  const [tradeSymbol, setTradeSymbol] = useState("");
+  const [isTradeModalOpen, setIsTradeModalOpen] = useState(false);
+
+  // Advance `speed` bars per second while playing
+  useEffect(() => {
+    if (!isPlaying || !session || session.finished) return undefined;
+    const timer = setInterval(() => {
+      setSession(current => (current && !current.finished ? stepReplay(current) : current));
+    }, 1000 / speed);
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, session?.finished]);
+
+  useEffect(() => {
+    if (session?.finished) setIsPlaying(false);
+  }, [session?.finished]);
+
+  const parsedSymbols = () => [...new Set(
+    setup.symbols.split(/[\s,]+/).map(s => s.trim().toUpperCase()).filter(Boolean)
+  )];
+
+  const loadReplay = async () => {
+    const symbols = parsedSymbols();
+    if (symbols.length === 0) {
+      setIssues([{ issue: 'no_symbols', message: 'Add at least one symbol to the watchlist' }]);
+      return;
+    }
+
+    const validation = validateReplayWindow(symbols, setup.startDate, setup.endDate);
+    setIssues(validation.issues);
+    if (!validation.valid) return;
+
+    setIsLoading(true);
+    try {
+      const [priceHistory, companies] = await Promise.all([
+        awsApi.getHistoricalPrices([...symbols, REPLAY_BENCHMARK], setup.startDate, setup.endDate),
+        awsApi.getCompanies()
+      ]);
+      const liquidity = Object.fromEntries(companies
+        .filter(c => symbols.includes(c.symbol?.toUpperCase()))
+        .map(c => [c.symbol.toUpperCase(), { volume: c.volume, volatility: c.risk }]));
+
+      const next = createReplaySession({
+        priceHistory,
+        symbols,
+        startingCash: parseFloat(setup.startingCash) || DEFAULT_REPLAY_CASH,
+        fillSettings,
+        liquidity
+      });
+
+      if (next.dates.length < MIN_REPLAY_BARS) {
+        setIssues([{ issue: 'no_data', message: `Only ${next.dates.length} trading days of price data found for this window`, recommendation: 'Try a different window' }]);
+        return;
+      }
+      if (next.missingSymbols.length > 0) {
+        setIssues(next.missingSymbols.map(symbol => ({ symbol, issue: 'no_data', message: `No price history for ${symbol} in this window; removed from the watchlist` })));
+      }
+
+      setSession(next);
+      setIsEnded(false);
+    } catch (error) {
+      console.error("Error loading replay:", error);
+      setIssues([{ issue: 'load_failed', message: 'Could not load historical prices', recommendation: error.message }]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openTrade = (symbol = "") => {
+    setIsPlaying(false);
+    setTradeSymbol(symbol);
+    setIsTradeModalOpen(true);
+  };
+
+  const handleReplayTrade = async (tradeData) => {
+    const result = submitReplayOrder(session, tradeData);
+    setSession(result.session);
+    alert(result.message);
+  };
+
+  const handleModify = async (orderId, changes) => {
+    const result = modifyReplayOrder(session, orderId, changes);
+    if (result.errors.length === 0) setSession(result.session);
+    return result.errors;
+  };
+
+  const resetReplay = () => {
+    setSession(null);
+    setIsPlaying(false);
+    setIsEnded(false);
+  };
+
+  const chartData = useMemo(() => {
+    if (!session) return [];
+    const first = session.equityCurve[0];
+    return session.equityCurve.map(point => ({
+      date: point.date,
+      portfolio: first?.value > 0 ? (point.value / first.value - 1) * 100 : 0,
+      benchmark: first?.benchmark > 0 && point.benchmark > 0 ? (point.benchmark / first.benchmark - 1) * 100 : null
+    }));
+  }, [session?.equityCurve]);
+
+  const score = useMemo(() => (session && (isEnded || session.finished) ? scoreReplay(session) : null), [session, isEnded]);
+
+  // ---------- Setup ----------
+  if (!session) {
+    return (
+      <Card className="border-2 border-slate-200 shadow-lg overflow-hidden rounded-none mb-8">
+        <CardHeader className="bg-slate-900 text-white rounded-none border-b border-slate-800 py-4 px-6">
+          <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] flex items-center gap-2">
+            <History className="w-4 h-4 text-amber-400" />
+            Market Replay: Configure Window
+            <Button onClick={onExit} variant="ghost" className="ml-auto h-7 text-[9px] font-black uppercase tracking-[0.2em] text-slate-300 hover:text-white hover:bg-slate-800 rounded-none">
+              Back To Live
+            </Button>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-6 space-y-6 bg-slate-50/30">
+          <div>
+            <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">Historical Presets</p>
+            <div className="flex flex-wrap gap-2">
+              {REPLAY_PRESETS.map(preset => (
+                <Button
+                  key={preset.id}
+                  variant="outline"
+                  onClick={() => setSetup({ ...setup, startDate: preset.startDate, endDate: preset.endDate })}
+                  className={`rounded-none text-[10px] font-black uppercase tracking-[0.15em] h-8 ${
+                    setup.startDate === preset.startDate && setup.endDate === preset.endDate ? 'border-amber-500 bg-amber-50 text-amber-800' : ''
+                  }`}
+                >
+                  {preset.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-4 gap-4">
+            <div>
+              <Label htmlFor="replayStart">Start Date</Label>
+              <Input id="replayStart" type="date" value={setup.startDate} onChange={(e) => setSetup({ ...setup, startDate: e.target.value })} className="rounded-none font-mono" />
+            </div>
+            <div>
+              <Label htmlFor="replayEnd">End Date</Label>
+              <Input id="replayEnd" type="date" value={setup.endDate} onChange={(e) => setSetup({ ...setup, endDate: e.target.value })} className="rounded-none font-mono" />
+            </div>
+            <div className="md:col-span-2">
+              <Label htmlFor="replaySymbols">Watchlist</Label>
+              <Input id="replaySymbols" value={setup.symbols} onChange={(e) => setSetup({ ...setup, symbols: e.target.value.toUpperCase() })} className="rounded-none font-mono" />
+            </div>
+            <div>
+              <Label htmlFor="replayCash">Starting Cash</Label>
+              <Input id="replayCash" type="number" min="1000" step="1000" value={setup.startingCash} onChange={(e) => setSetup({ ...setup, startingCash: e.target.value })} className="rounded-none font-mono" />
+            </div>
+          </div>
+
+          {issues.length > 0 && (
+            <div className="border-l-4 border-rose-500 bg-rose-50 p-4 space-y-1">
+              {issues.map((issue, i) => (
+                <p key={i} className="text-xs text-rose-800 flex items-start gap-2">
+                  <AlertTriangle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+                  <span>
+                    {issue.message}
+                    {issue.recommendation && <span className="text-rose-600"> — {issue.recommendation}</span>}
+                  </span>
+                </p>
+              ))}
+            </div>
+          )}
+
+          <Button
+            onClick={loadReplay}
+            disabled={isLoading}
+            className="bg-slate-900 text-white rounded-none text-[10px] font-black uppercase tracking-[0.2em] px-8 h-11 hover:bg-black border-b-2 border-amber-500"
+          >
+            {isLoading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <History className="w-4 h-4 mr-2" />}
+            Load Replay
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const equity = replayEquity(session);
+  const latest = chartData[chartData.length - 1];
+
+  // ---------- Active / finished ----------
+  return (
+    <div className="space-y-6 mb-8">
+      <Card className="border-2 border-slate-200 shadow-lg overflow-hidden rounded-none">
+        <CardHeader className="bg-slate-900 text-white rounded-none border-b border-slate-800 py-4 px-6">
+          <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] flex flex-wrap items-center gap-3">
+            <History className="w-4 h-4 text-amber-400" />
+            Replay: {currentReplayDate(session)}
+            <span className="font-mono text-slate-400 tracking-widest">
+              Bar {session.cursor + 1}/{session.dates.length}
+            </span>
+            <div className="ml-auto flex items-center gap-2">
+              {!session.finished && !isEnded && (
+                <>
+                  <Button size="sm" onClick={() => setIsPlaying(!isPlaying)} className="h-7 rounded-none bg-amber-500 hover:bg-amber-400 text-slate-900">
+                    {isPlaying ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+                  </Button>
+                  <Button size="sm" onClick={() => setSession(stepReplay(session))} disabled={isPlaying} className="h-7 rounded-none bg-slate-700 hover:bg-slate-600">
+                    <SkipForward className="w-3 h-3" />
+                  </Button>
+                  {SPEEDS.map(s => (
+                    <button
+                      key={s}
+                      onClick={() => setSpeed(s)}
+                      className={`h-7 px-2 text-[9px] font-black border ${speed === s ? 'bg-white text-slate-900 border-white' : 'border-slate-600 text-slate-400'}`}
+                    >
+                      {s}x
+                    </button>
+                  ))}
+                  <Button size="sm" onClick={() => openTrade()} className="h-7 rounded-none bg-blue-600 hover:bg-blue-500 text-[9px] font-black uppercase tracking-[0.2em]">
+                    <Plus className="w-3 h-3 mr-1" />
+                    Trade
+                  </Button>
+                  <Button size="sm" onClick={() => { setIsPlaying(false); setIsEnded(true); }} className="h-7 rounded-none bg-rose-700 hover:bg-rose-600 text-[9px] font-black uppercase tracking-[0.2em]">
+                    <Square className="w-3 h-3 mr-1" />
+                    End
+                  </Button>
+                </>
+              )}
+              {(session.finished || isEnded) && (
+                <Button size="sm" onClick={resetReplay} className="h-7 rounded-none bg-amber-500 hover:bg-amber-400 text-slate-900 text-[9px] font-black uppercase tracking-[0.2em]">
+                  New Replay
+                </Button>
+              )}
+              <Button size="sm" variant="ghost" onClick={onExit} className="h-7 rounded-none text-slate-300 hover:text-white hover:bg-slate-800 text-[9px] font-black uppercase tracking-[0.2em]">
+                Back To Live
+              </Button>
+            </div>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <div className="grid grid-cols-2 md:grid-cols-4 divide-x divide-slate-200 border-b border-slate-200">
+            {[
+              { label: 'Equity', value: money(equity) },
+              { label: 'Cash', value: money(session.cash) },
+              { label: 'Return', value: signedPct(latest?.portfolio ?? 0), color: (latest?.portfolio ?? 0) >= 0 ? 'text-emerald-600' : 'text-rose-600' },
+              { label: `${REPLAY_BENCHMARK} Return`, value: signedPct(latest?.benchmark ?? null) }
+            ].map(tile => (
+              <div key={tile.label} className="p-4">
+                <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">{tile.label}</p>
+                <p className={`text-xl font-mono font-bold tracking-tighter ${tile.color || 'text-slate-900'}`}>{tile.value}</p>
+              </div>
+            ))}
+          </div>
+          <div className="p-6 bg-slate-50/30">
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="2 2" stroke="#e2e8f0" vertical={false} />
+                <XAxis dataKey="date" tick={{ fontSize: 9, fontFamily: 'monospace' }} axisLine={false} tickLine={false} minTickGap={40} />
+                <YAxis tickFormatter={(v) => `${v.toFixed(0)}%`} tick={{ fontSize: 10, fontFamily: 'monospace' }} axisLine={false} tickLine={false} />
+                <Tooltip formatter={(v) => (v === null ? '—' : `${Number(v).toFixed(2)}%`)} contentStyle={{ borderRadius: '0px', border: '2px solid #e2e8f0', fontFamily: 'monospace', fontSize: '10px' }} />
+                <Legend wrapperStyle={{ fontSize: 10, fontWeight: 900, textTransform: 'uppercase' }} />
+                <Line type="monotone" dataKey="portfolio" name="Account" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                <Line type="monotone" dataKey="benchmark" name={REPLAY_BENCHMARK} stroke="#64748b" strokeWidth={1.5} strokeDasharray="4 3" dot={false} connectNulls isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </CardContent>
+      </Card>
+
+      {score && (
+        <Card className="border-2 border-amber-400 shadow-lg overflow-hidden rounded-none">
+          <CardHeader className="bg-slate-900 text-white rounded-none border-b border-slate-800 py-4 px-6">
+            <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] flex items-center gap-2">
+              <Award className="w-4 h-4 text-amber-400" />
+              Replay Scorecard: {session.dates[0]} → {currentReplayDate(session)}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="p-6 grid md:grid-cols-2 gap-6">
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                { label: 'Account Return', value: signedPct(score.totalReturn) },
+                { label: `${REPLAY_BENCHMARK} Buy & Hold`, value: signedPct(score.benchmarkReturn) },
+                { label: 'Excess Return', value: signedPct(score.excessReturn) },
+                { label: 'Max Drawdown', value: `${score.maxDrawdown.toFixed(2)}%` },
+                { label: 'Ending Value', value: money(score.endingValue) },
+                { label: 'Executions', value: score.tradeCount }
+              ].map(item => (
+                <div key={item.label} className="border border-slate-200 p-3 bg-slate-50/50">
+                  <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500">{item.label}</p>
+                  <p className="text-lg font-mono font-bold text-slate-900">{item.value}</p>
+                </div>
+              ))}
+            </div>
+            <div>
+              <p className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-500 mb-3">Investor IQ (Replay Trades)</p>
+              {[
+                { label: 'Overall', value: score.investorMetrics.overall_score },
+                { label: 'Discipline', value: score.investorMetrics.discipline_score },
+                { label: 'Trading Frequency', value: score.investorMetrics.overtrading_score },
+                { label: 'Emotional Control', value: score.investorMetrics.panic_selling_score },
+                { label: 'Diversification', value: score.investorMetrics.concentration_score }
+              ].map(item => (
+                <div key={item.label} className="mb-2">
+                  <div className="flex justify-between text-[10px] font-mono uppercase text-slate-600 mb-1">
+                    <span>{item.label}</span>
+                    <span className="font-bold text-slate-900">{item.value}/100</span>
+                  </div>
+                  <div className="h-1.5 bg-slate-200">
+                    <div className="h-1.5 bg-amber-500" style={{ width: `${Math.max(0, Math.min(100, item.value))}%` }} />
+                  </div>
+                </div>
+              ))}
+              <p className="text-[10px] font-mono text-slate-500 mt-3">
+                Win rate {score.investorMetrics.metrics.winRate.toFixed(0)}% across {score.investorMetrics.metrics.closedPositions} closed round trips.
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="border-2 border-slate-200 shadow-lg overflow-hidden rounded-none">
+        <CardContent className="p-0 overflow-x-auto">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-slate-100/50 border-b border-slate-200">
+                {['Symbol', 'Close', 'Since Start', 'Position', 'Market Value', ''].map((label, i) => (
+                  <th key={i} className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-left border-r border-slate-200 text-slate-500">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {session.symbols.map(symbol => {
+                const price = replayPrice(session, symbol);
+                const first = replayPrice(session, symbol, session.dates.findIndex(d => session.closes[symbol]?.[d]));
+                const change = first > 0 && price > 0 ? (price / first - 1) * 100 : null;
+                const quantity = session.positions[symbol]?.quantity || 0;
+                return (
+                  <tr key={symbol} className="font-mono text-[11px] hover:bg-blue-50/40">
+                    <td className="py-3 px-4 font-bold text-slate-900 border-r border-slate-100">{symbol}</td>
+                    <td className="py-3 px-4 text-slate-700 border-r border-slate-100">{price ? money(price) : '—'}</td>
+                    <td className={`py-3 px-4 border-r border-slate-100 ${change >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{signedPct(change)}</td>
+                    <td className="py-3 px-4 text-slate-700 border-r border-slate-100">{quantity || '—'}</td>
+                    <td className="py-3 px-4 text-slate-900 font-bold border-r border-slate-100">{quantity ? money(quantity * price) : '—'}</td>
+                    <td className="py-3 px-4">
+                      {!session.finished && !isEnded && (
+                        <Button size="sm" variant="outline" onClick={() => openTrade(symbol)} className="h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em]">
+                          Trade
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <PendingOrdersBook
+        orders={session.orders}
+        onCancel={(orderId) => setSession(cancelReplayOrder(session, orderId))}
+        onModify={handleModify}
+      />
+
+      {session.log.length > 0 && (
+        <div className="bg-slate-900 border-l-4 border-amber-500 p-4 font-mono text-[10px] text-slate-300 space-y-1 max-h-48 overflow-y-auto">
+          {[...session.log].reverse().slice(0, 20).map((entry, i) => (
+            <p key={i}><span className="text-amber-400">{entry.date}</span> {entry.message}</p>
+          ))}
+        </div>
+      )}
+
+      <TradeModal
+        isOpen={isTradeModalOpen}
+        onClose={() => setIsTradeModalOpen(false)}
+        onExecuteTrade={handleReplayTrade}
+        initialSymbol={tradeSymbol}
+      />
+    </div>
+  );
+}
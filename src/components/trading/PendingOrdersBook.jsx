@@ -0,0 +1,251 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ListOrdered, X, Pencil, Check, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import {
+  ORDER_TYPES,
+  ORDER_TYPE_LABELS,
+  ORDER_STATUS,
+  ORDER_CLASSES,
+  ORDER_CLASS_LABELS,
+  ORDER_ROLES,
+  TIME_IN_FORCE,
+  isOpenOrder,
+  isWorkingOrder
+} from "@/components/utils/trading/paperOrders";
+
+const STATUS_STYLES = {
+  [ORDER_STATUS.PENDING]: "bg-yellow-50 text-yellow-700 border-yellow-300",
+  [ORDER_STATUS.TRIGGERED]: "bg-blue-50 text-blue-700 border-blue-300",
+  [ORDER_STATUS.FILLED]: "bg-emerald-50 text-emerald-700 border-emerald-300",
+  [ORDER_STATUS.CANCELLED]: "bg-slate-100 text-slate-500 border-slate-300",
+  [ORDER_STATUS.EXPIRED]: "bg-slate-100 text-slate-500 border-slate-300",
+  [ORDER_STATUS.REJECTED]: "bg-rose-50 text-rose-700 border-rose-300",
+  [ORDER_STATUS.HELD]: "bg-violet-50 text-violet-700 border-violet-300"
+};
+
+const ROLE_LABELS = {
+  [ORDER_ROLES.ENTRY]: 'Entry',
+  [ORDER_ROLES.TAKE_PROFIT]: 'Take-Profit',
+  [ORDER_ROLES.STOP_LOSS]: 'Stop-Loss'
+};
+
+const money = (value) => (Number(value) > 0 ? `$${Number(value).toFixed(2)}` : '—');
+
+const formatOrderDate = (timestamp) => {
+  if (!timestamp) return '—';
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? '—' : format(date, 'MMM d, h:mm a');
+};
+
+function describeTrigger(order) {
+  if (order.orderType === ORDER_TYPES.TRAILING_STOP) {
+    const trail = Number(order.trailPercent) > 0 ? `${order.trailPercent}%` : money(order.trailAmount);
+    return `Trail ${trail} · stop ${money(order.stopPrice)}`;
+  }
+  if (order.orderType === ORDER_TYPES.LIMIT) {
+    return `Limit ${money(order.limitPrice)}`;
+  }
+  if (order.orderType === ORDER_TYPES.STOP_LIMIT) {
+    return `Stop ${money(order.stopPrice)} · limit ${money(order.limitPrice)}`;
+  }
+  return `Stop ${money(order.stopPrice)}`;
+}
+
+export default function PendingOrdersBook({ orders = [], onCancel, onModify }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const openOrders = orders.filter(isWorkingOrder);
+  const recentClosed = orders.filter(o => !isWorkingOrder(o));
+
+  if (orders.length === 0) return null;
+
+  const startEditing = (order) => {
+    setEditingId(order.id);
+    setErrors([]);
+    setDraft({
+      quantity: String(order.quantity ?? ''),
+      stopPrice: order.stopPrice != null ? String(order.stopPrice) : '',
+      limitPrice: order.limitPrice != null ? String(order.limitPrice) : '',
+      trailValue: String(order.trailPercent ?? order.trailAmount ?? ''),
+      timeInForce: order.timeInForce || TIME_IN_FORCE.DAY
+    });
+  };
+
+  const saveEdit = async (order) => {
+    const changes = {
+      quantity: parseFloat(draft.quantity),
+      timeInForce: draft.timeInForce
+    };
+    if (order.status !== ORDER_STATUS.TRIGGERED && [ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT].includes(order.orderType)) {
+      changes.stopPrice = parseFloat(draft.stopPrice);
+    }
+    if ([ORDER_TYPES.LIMIT, ORDER_TYPES.STOP_LIMIT].includes(order.orderType)) {
+      changes.limitPrice = parseFloat(draft.limitPrice);
+    }
+    if (order.orderType === ORDER_TYPES.TRAILING_STOP) {
+      const key = Number(order.trailPercent) > 0 ? 'trailPercent' : 'trailAmount';
+      changes[key] = parseFloat(draft.trailValue);
+    }
+
+    setIsSaving(true);
+    const result = await onModify(order.id, changes);
+    setIsSaving(false);
+
+    if (result?.length > 0) {
+      setErrors(result);
+    } else {
+      setEditingId(null);
+    }
+  };
+
+  const draftInput = (key, props = {}) => (
+    <Input
+      type="number"
+      step="0.01"
+      min="0.01"
+      value={draft[key]}
+      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+      className="h-8 w-24 text-[11px] font-mono rounded-none"
+      {...props}
+    />
+  );
+
+  return (
+    <Card className="border-2 border-slate-200 shadow-lg overflow-hidden rounded-none mb-8">
+      <CardHeader className="bg-slate-900 text-white rounded-none border-b border-slate-800 py-4 px-6">
+        <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] flex items-center gap-2">
+          <ListOrdered className="w-4 h-4 text-yellow-400" />
+          Order Book: {openOrders.length} Working
+          {recentClosed.length > 0 && (
+            <span className="ml-auto text-[9px] font-mono tracking-widest text-slate-400">
+              {recentClosed.length} closed (30d)
+            </span>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-0">
+        {openOrders.length === 0 ? (
+          <p className="text-[10px] font-mono uppercase tracking-[0.3em] text-slate-400 text-center py-8">
+            No working orders
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse">
+              <thead>
+                <tr className="bg-slate-100/50 border-b border-slate-200">
+                  {['Placed', 'Asset', 'Side', 'Type', 'Units', 'Trigger', 'TIF', 'Expires', 'Status', ''].map((label, i) => (
+                    <th key={i} className="text-[9px] font-black uppercase tracking-[0.2em] py-3 px-4 text-left border-r border-slate-200 text-slate-500">
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200">
+                {openOrders.map(order => {
+                  const isEditing = editingId === order.id;
+                  const isTriggered = order.status === ORDER_STATUS.TRIGGERED;
+                  return (
+                    <tr key={order.id} className="hover:bg-blue-50/40 transition-colors font-mono text-[11px] align-top">
+                      <td className="py-3 px-4 text-slate-500 border-r border-slate-100 whitespace-nowrap">{formatOrderDate(order.createdAt)}</td>
+                      <td className="py-3 px-4 font-bold text-slate-900 border-r border-slate-100 uppercase tracking-tighter">{order.symbol}</td>
+                      <td className="py-3 px-4 border-r border-slate-100">
+                        <span className={`px-2 py-0.5 text-[9px] font-black uppercase tracking-tighter ${order.side === 'buy' ? 'bg-emerald-100 text-emerald-700' : 'bg-rose-100 text-rose-700'}`}>
+                          {order.side}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4 text-slate-700 border-r border-slate-100 whitespace-nowrap">
+                        {ORDER_TYPE_LABELS[order.orderType]}
+                        {order.orderClass && order.orderClass !== ORDER_CLASSES.SIMPLE && (
+                          <span className="block text-[9px] font-black uppercase tracking-widest text-violet-600 mt-1">
+                            {ORDER_CLASS_LABELS[order.orderClass]}{order.orderRole ? ` · ${ROLE_LABELS[order.orderRole]}` : ''}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4 text-slate-700 border-r border-slate-100">
+                        {isEditing ? draftInput('quantity', { step: '1', min: '1' }) : order.quantity}
+                        {!isEditing && Number(order.filledQuantity) > 0 && (
+                          <span className="block text-[9px] text-emerald-600 mt-1">{order.filledQuantity} filled</span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4 text-slate-700 border-r border-slate-100 whitespace-nowrap">
+                        {isEditing ? (
+                          <div className="flex flex-col gap-1">
+                            {[ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT].includes(order.orderType) && !isTriggered && (
+                              <label className="flex items-center gap-2 text-[9px] uppercase text-slate-500">Stop {draftInput('stopPrice')}</label>
+                            )}
+                            {[ORDER_TYPES.LIMIT, ORDER_TYPES.STOP_LIMIT].includes(order.orderType) && (
+                              <label className="flex items-center gap-2 text-[9px] uppercase text-slate-500">Limit {draftInput('limitPrice')}</label>
+                            )}
+                            {order.orderType === ORDER_TYPES.TRAILING_STOP && (
+                              <label className="flex items-center gap-2 text-[9px] uppercase text-slate-500">
+                                Trail {Number(order.trailPercent) > 0 ? '%' : '$'} {draftInput('trailValue')}
+                              </label>
+                            )}
+                          </div>
+                        ) : describeTrigger(order)}
+                      </td>
+                      <td className="py-3 px-4 text-slate-700 border-r border-slate-100 uppercase">
+                        {isEditing ? (
+                          <select
+                            value={draft.timeInForce}
+                            onChange={(e) => setDraft({ ...draft, timeInForce: e.target.value })}
+                            className="h-8 border border-slate-300 bg-white text-[11px] font-mono uppercase px-1"
+                          >
+                            <option value={TIME_IN_FORCE.DAY}>Day</option>
+                            <option value={TIME_IN_FORCE.GTC}>GTC</option>
+                          </select>
+                        ) : order.timeInForce}
+                      </td>
+                      <td className="py-3 px-4 text-slate-500 border-r border-slate-100 whitespace-nowrap">{formatOrderDate(order.expiresAt)}</td>
+                      <td className="py-3 px-4 border-r border-slate-100">
+                        <span className={`text-[9px] font-bold uppercase tracking-widest border px-2 py-1 ${STATUS_STYLES[order.status]}`}>
+                          {order.status}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4 whitespace-nowrap">
+                        {isEditing ? (
+                          <div className="flex flex-col gap-1">
+                            <div className="flex gap-1">
+                              <Button size="sm" disabled={isSaving} onClick={() => saveEdit(order)} className="h-7 rounded-none bg-slate-900 text-white text-[9px] font-black uppercase tracking-[0.2em]">
+                                {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+                              </Button>
+                              <Button size="sm" variant="outline" onClick={() => setEditingId(null)} className="h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em]">
+                                <X className="w-3 h-3" />
+                              </Button>
+                            </div>
+                            {errors.map(error => (
+                              <p key={error} className="text-[9px] text-rose-600 max-w-[180px] whitespace-normal">{error}</p>
+                            ))}
+                          </div>
+                        ) : (
+                          <div className="flex gap-1">
+                            {isOpenOrder(order) && (
+                              <Button size="sm" variant="outline" onClick={() => startEditing(order)} className="h-7 rounded-none text-[9px] font-black uppercase tracking-[0.2em]">
+                                <Pencil className="w-3 h-3 mr-1" />
+                                Modify
+                              </Button>
+                            )}
+                            <Button size="sm" variant="outline" onClick={() => onCancel(order.id)} className="h-7 rounded-none border-rose-300 text-rose-600 hover:bg-rose-50 text-[9px] font-black uppercase tracking-[0.2em]">
+                              <X className="w-3 h-3 mr-1" />
+                              Cancel
+                            </Button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
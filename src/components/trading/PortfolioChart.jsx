@@ -1,12 +1,16 @@
-import React from "react";
+import React, { useMemo } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid } from "recharts";
 import { TrendingUp, TrendingDown, DollarSign, Target, Activity } from "lucide-react";
+import PerformanceCard from "@/components/dashboard/PerformanceCard";
+import { tradesToTransactions } from "@/components/utils/calculations/performance";
 
 const COLORS = ['#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981', '#6366f1', '#ef4444', '#14b8a6'];
 
-export default function PortfolioChart({ portfolio, trades }) {
+export default function PortfolioChart({ portfolio, trades = [] }) {
+  const tradeLedger = useMemo(() => tradesToTransactions(trades), [trades]);
+
   if (!portfolio || !portfolio.assets || portfolio.assets.length === 0) {
     return (
       <Card className="border-2 border-slate-200">
@@ -123,6 +127,8 @@ export default function PortfolioChart({ portfolio, trades }) {
         </Card>
       </div>
 
+      <PerformanceCard transactions={tradeLedger} title="Performance vs SPY" />
+
       <Card className="border-2 border-slate-200 shadow-lg overflow-hidden rounded-none">
         <CardHeader className="bg-slate-900 text-white rounded-none border-b border-slate-800 py-4 px-6">
           <CardTitle className="text-[10px] font-black uppercase tracking-[0.4em] flex items-center gap-2">
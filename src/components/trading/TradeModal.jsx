@@ -14,26 +14,53 @@ import { Select, SelectContent, SelectItem, SelectTrigger } from "@/components/u
 import { Badge } from "@/components/ui/badge";
 import { AlertCircle, Loader2, TrendingUp, TrendingDown } from "lucide-react";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  ORDER_TYPES,
+  ORDER_TYPE_LABELS,
+  ORDER_CLASSES,
+  ORDER_CLASS_LABELS,
+  TIME_IN_FORCE
+} from "@/components/utils/trading/paperOrders";
+
+const ORDER_CLASS_HINTS = {
+  simple: "Single order",
+  bracket: "Entry + take-profit + stop-loss",
+  oco: "Take-profit / stop-loss pair on an open position"
+};
+
+const EMPTY_TRADE = {
+  orderClass: ORDER_CLASSES.SIMPLE,
+  side: "buy",
+  orderType: ORDER_TYPES.MARKET,
+  limitPrice: "",
+  stopPrice: "",
+  trailType: "percent",
+  trailValue: "",
+  timeInForce: TIME_IN_FORCE.DAY,
+  takeProfitPrice: "",
+  stopLossPrice: ""
+};
 
 export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSymbol = "", initialQuantity = "" }) {
   const [tradeData, setTradeData] = useState({
+    ...EMPTY_TRADE,
     symbol: initialSymbol,
-    quantity: initialQuantity ? initialQuantity.toString() : "",
-    side: "buy",
-    orderType: "market",
-    limitPrice: ""
+    quantity: initialQuantity ? initialQuantity.toString() : ""
   });
   const [userConsent, setUserConsent] = useState(false);
   const [isExecuting, setIsExecuting] = useState(false);
 
+  const isOco = tradeData.orderClass === ORDER_CLASSES.OCO;
+  const hasExits = tradeData.orderClass !== ORDER_CLASSES.SIMPLE;
+  // An OCO ticket is just the two exits, so it has no entry order type
+  const entryType = isOco ? null : tradeData.orderType;
+
   useEffect(() => {
     if (isOpen) {
       setTradeData({
+        ...EMPTY_TRADE,
         symbol: initialSymbol,
-        quantity: initialQuantity ? initialQuantity.toString() : "",
-        side: "buy",
-        orderType: "market",
-        limitPrice: ""
+        quantity: initialQuantity ? initialQuantity.toString() : ""
       });
       setUserConsent(false);
     }
@@ -57,11 +84,30 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
       return;
     }
 
-    if (tradeData.orderType === 'limit' && !tradeData.limitPrice) {
+    const needsLimit = [ORDER_TYPES.LIMIT, ORDER_TYPES.STOP_LIMIT].includes(entryType);
+    const needsStop = [ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT].includes(entryType);
+    const isTrailing = entryType === ORDER_TYPES.TRAILING_STOP;
+
+    if (needsLimit && !tradeData.limitPrice) {
       alert("Please enter a limit price");
       return;
     }
 
+    if (needsStop && !tradeData.stopPrice) {
+      alert("Please enter a stop price");
+      return;
+    }
+
+    if (isTrailing && !(parseFloat(tradeData.trailValue) > 0)) {
+      alert(`Please enter a trail ${tradeData.trailType === 'percent' ? 'percent' : 'amount'}`);
+      return;
+    }
+
+    if (hasExits && (!tradeData.takeProfitPrice || !tradeData.stopLossPrice)) {
+      alert("Please enter both a take-profit and a stop-loss price");
+      return;
+    }
+
     setIsExecuting(true);
 
     try {
@@ -69,18 +115,19 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
         symbol: tradeData.symbol.toUpperCase(),
         quantity: parseFloat(tradeData.quantity),
         side: tradeData.side,
-        orderType: tradeData.orderType,
-        limitPrice: tradeData.limitPrice ? parseFloat(tradeData.limitPrice) : null
+        orderClass: tradeData.orderClass,
+        orderType: entryType,
+        limitPrice: needsLimit ? parseFloat(tradeData.limitPrice) : null,
+        stopPrice: needsStop ? parseFloat(tradeData.stopPrice) : null,
+        trailAmount: isTrailing && tradeData.trailType === 'amount' ? parseFloat(tradeData.trailValue) : null,
+        trailPercent: isTrailing && tradeData.trailType === 'percent' ? parseFloat(tradeData.trailValue) : null,
+        timeInForce: entryType === ORDER_TYPES.MARKET ? TIME_IN_FORCE.DAY : tradeData.timeInForce,
+        takeProfitPrice: hasExits ? parseFloat(tradeData.takeProfitPrice) : null,
+        stopLossPrice: hasExits ? parseFloat(tradeData.stopLossPrice) : null
       });
 
       // Reset form
-      setTradeData({
-        symbol: "",
-        quantity: "",
-        side: "buy",
-        orderType: "market",
-        limitPrice: ""
-      });
+      setTradeData({ ...EMPTY_TRADE, symbol: "", quantity: "" });
       setUserConsent(false);
       onClose();
     } catch (error) {
@@ -116,6 +163,30 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
         </Alert>
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <Label>Order Class</Label>
+            <Select
+              value={tradeData.orderClass}
+              onValueChange={(value) => setTradeData({...tradeData, orderClass: value})}
+            >
+              <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3">
+                <span className="text-slate-900 uppercase">
+                  {ORDER_CLASS_LABELS[tradeData.orderClass]}
+                  <span className="ml-2 text-[10px] font-medium normal-case text-slate-500">
+                    {ORDER_CLASS_HINTS[tradeData.orderClass]}
+                  </span>
+                </span>
+              </SelectTrigger>
+              <SelectContent>
+                {Object.values(ORDER_CLASSES).map(orderClass => (
+                  <SelectItem key={orderClass} value={orderClass}>
+                    {ORDER_CLASS_LABELS[orderClass]} – {ORDER_CLASS_HINTS[orderClass]}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
           <div className="grid grid-cols-2 gap-4">
             <div>
               <Label>Trade Side</Label>
@@ -149,27 +220,26 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
               </Select>
             </div>
 
-            <div>
-              <Label>Order Type</Label>
-              <Select 
-                value={tradeData.orderType} 
-                onValueChange={(value) => setTradeData({...tradeData, orderType: value})}
-              >
-                <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3">
-                  <span className="text-slate-900 uppercase">
-                    {tradeData.orderType === "market"
-                      ? "MARKET"
-                      : tradeData.orderType === "limit"
-                      ? "LIMIT"
-                      : "Select Type"}
-                  </span>
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="market">Market Order</SelectItem>
-                  <SelectItem value="limit">Limit Order</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
+            {!isOco && (
+              <div>
+                <Label>{hasExits ? 'Entry Type' : 'Order Type'}</Label>
+                <Select 
+                  value={tradeData.orderType} 
+                  onValueChange={(value) => setTradeData({...tradeData, orderType: value})}
+                >
+                  <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3">
+                    <span className="text-slate-900 uppercase">
+                      {ORDER_TYPE_LABELS[tradeData.orderType] || "Select Type"}
+                    </span>
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.values(ORDER_TYPES).map(type => (
+                      <SelectItem key={type} value={type}>{ORDER_TYPE_LABELS[type]} Order</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
           </div>
 
           <div>
@@ -199,7 +269,60 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
             />
           </div>
 
-          {tradeData.orderType === 'limit' && (
+          {[ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT].includes(entryType) && (
+            <div>
+              <Label htmlFor="stopPrice">Stop Price *</Label>
+              <Input
+                id="stopPrice"
+                type="number"
+                step="0.01"
+                min="0.01"
+                placeholder={tradeData.side === 'buy' ? "Triggers when price rises to" : "Triggers when price falls to"}
+                value={tradeData.stopPrice}
+                onChange={(e) => setTradeData({...tradeData, stopPrice: e.target.value})}
+                className="text-lg"
+                required
+              />
+            </div>
+          )}
+
+          {entryType === ORDER_TYPES.TRAILING_STOP && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Trail By</Label>
+                <Select
+                  value={tradeData.trailType}
+                  onValueChange={(value) => setTradeData({...tradeData, trailType: value})}
+                >
+                  <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3">
+                    <span className="text-slate-900 uppercase">
+                      {tradeData.trailType === 'percent' ? "PERCENT (%)" : "AMOUNT ($)"}
+                    </span>
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="percent">Percent (%)</SelectItem>
+                    <SelectItem value="amount">Amount ($)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label htmlFor="trailValue">Trail {tradeData.trailType === 'percent' ? '%' : '$'} *</Label>
+                <Input
+                  id="trailValue"
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  placeholder={tradeData.trailType === 'percent' ? "e.g. 5" : "e.g. 2.50"}
+                  value={tradeData.trailValue}
+                  onChange={(e) => setTradeData({...tradeData, trailValue: e.target.value})}
+                  className="text-lg"
+                  required
+                />
+              </div>
+            </div>
+          )}
+
+          {[ORDER_TYPES.LIMIT, ORDER_TYPES.STOP_LIMIT].includes(entryType) && (
             <div>
               <Label htmlFor="limitPrice">Limit Price *</Label>
               <Input
@@ -216,6 +339,66 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
             </div>
           )}
 
+          {hasExits && (
+            <div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="takeProfitPrice">Take-Profit Price *</Label>
+                  <Input
+                    id="takeProfitPrice"
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    placeholder="Limit exit"
+                    value={tradeData.takeProfitPrice}
+                    onChange={(e) => setTradeData({...tradeData, takeProfitPrice: e.target.value})}
+                    className="text-lg"
+                    required
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="stopLossPrice">Stop-Loss Price *</Label>
+                  <Input
+                    id="stopLossPrice"
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    placeholder="Stop exit"
+                    value={tradeData.stopLossPrice}
+                    onChange={(e) => setTradeData({...tradeData, stopLossPrice: e.target.value})}
+                    className="text-lg"
+                    required
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-slate-500 mt-2">
+                {isOco
+                  ? `Both exits ${tradeData.side} the position; when one fills or is cancelled the other is cancelled.`
+                  : `Exits ${tradeData.side === 'buy' ? 'sell' : 'buy'} the position once the entry fills, are good 'til cancelled, and cancel each other.`}
+              </p>
+            </div>
+          )}
+
+          {entryType !== ORDER_TYPES.MARKET && (
+            <div>
+              <Label>{hasExits && !isOco ? 'Entry Time in Force' : 'Time in Force'}</Label>
+              <Select
+                value={tradeData.timeInForce}
+                onValueChange={(value) => setTradeData({...tradeData, timeInForce: value})}
+              >
+                <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3">
+                  <span className="text-slate-900 uppercase">
+                    {tradeData.timeInForce === TIME_IN_FORCE.GTC ? "GTC" : "DAY"}
+                  </span>
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={TIME_IN_FORCE.DAY}>Day (expires at 4:00 pm ET)</SelectItem>
+                  <SelectItem value={TIME_IN_FORCE.GTC}>Good 'Til Cancelled</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
           <div className="bg-slate-50 rounded-lg p-4 border border-slate-200">
             <div className="flex items-start gap-3">
               <Checkbox
@@ -257,7 +440,7 @@ export default function TradeModal({ isOpen, onClose, onExecuteTrade, initialSym
                 </>
               ) : (
                 <>
-                  Execute {tradeData.side === 'buy' ? 'Buy' : 'Sell'} Order
+                  {!isOco && [ORDER_TYPES.MARKET, ORDER_TYPES.LIMIT].includes(entryType) ? 'Execute' : 'Place'} {tradeData.side === 'buy' ? 'Buy' : 'Sell'} {hasExits ? ORDER_CLASS_LABELS[tradeData.orderClass] : 'Order'}
                 </>
               )}
             </Button>
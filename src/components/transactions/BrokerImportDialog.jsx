@@ -0,0 +1,251 @@
+import React, { useState, useMemo, useEffect } from "react";
+import { awsApi } from "@/utils/awsClient";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger } from "@/components/ui/select";
+import { Upload, Loader2, CheckCircle2, XCircle, FileSpreadsheet } from "lucide-react";
+import {
+  BROKER_LAYOUTS,
+  IMPORT_FIELDS,
+  previewBrokerCsv
+} from "@/components/utils/import/brokerCsvImport";
+
+const STATUS_STYLES = {
+  ready: "bg-emerald-100 text-emerald-900 border-emerald-200",
+  duplicate: "bg-slate-100 text-slate-600 border-slate-200",
+  skipped: "bg-amber-100 text-amber-900 border-amber-200",
+  invalid: "bg-rose-100 text-rose-900 border-rose-200"
+};
+
+export default function BrokerImportDialog({ isOpen, onClose, existingTransactions = [], onImported }) {
+  const [fileName, setFileName] = useState("");
+  const [csvText, setCsvText] = useState("");
+  const [layoutOverride, setLayoutOverride] = useState(null);
+  const [genericMapping, setGenericMapping] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResults, setImportResults] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFileName("");
+      setCsvText("");
+      setLayoutOverride(null);
+      setGenericMapping({});
+      setImportResults(null);
+    }
+  }, [isOpen]);
+
+  const preview = useMemo(() => {
+    if (!csvText) return null;
+    const isGeneric = layoutOverride === 'generic';
+    return previewBrokerCsv(csvText, {
+      layoutId: layoutOverride || undefined,
+      mapping: isGeneric ? genericMapping : undefined,
+      existingTransactions
+    });
+  }, [csvText, layoutOverride, genericMapping, existingTransactions]);
+
+  const activeLayout = preview?.layoutId || 'generic';
+  const readyRows = preview ? preview.rows.filter(r => r.status === 'ready') : [];
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setImportResults(null);
+    setLayoutOverride(null);
+    setGenericMapping({});
+    setCsvText(await file.text());
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    const results = [];
+    // Sequential on purpose: the proxy Lambda throttles bursts of writes
+    for (const row of readyRows) {
+      try {
+        await awsApi.createTransaction(row.transaction);
+        results.push({ rowNumber: row.rowNumber, symbol: row.transaction.symbol, ok: true });
+      } catch (error) {
+        console.error(`Import failed for row ${row.rowNumber}:`, error);
+        results.push({ rowNumber: row.rowNumber, symbol: row.transaction.symbol, ok: false, error: error.message });
+      }
+    }
+    setImportResults(results);
+    setIsImporting(false);
+    if (results.some(r => r.ok)) onImported?.();
+  };
+
+  const headerOptions = preview?.headers || [];
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-2xl">
+            <FileSpreadsheet className="w-6 h-6 text-slate-700" />
+            Import Broker CSV
+          </DialogTitle>
+          <DialogDescription>
+            Fidelity, Schwab, Vanguard and Interactive Brokers exports are detected automatically. Other files can be mapped by column.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-5 mt-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label className="text-[10px] uppercase font-black text-slate-400">Export File</Label>
+              <label className="flex items-center gap-2 h-10 px-3 border border-dashed border-slate-300 rounded-md cursor-pointer hover:bg-slate-50 text-sm text-slate-600">
+                <Upload className="w-4 h-4" />
+                <span className="truncate">{fileName || "Choose a .csv file"}</span>
+                <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileChange} />
+              </label>
+            </div>
+            <div className="space-y-2">
+              <Label className="text-[10px] uppercase font-black text-slate-400">Broker Layout</Label>
+              <Select value={activeLayout} onValueChange={setLayoutOverride}>
+                <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 px-3">
+                  <span className="text-slate-900">{BROKER_LAYOUTS[activeLayout]?.label}</span>
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.values(BROKER_LAYOUTS).map(layout => (
+                    <SelectItem key={layout.id} value={layout.id}>{layout.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {preview && activeLayout === 'generic' && (
+            <div className="p-4 bg-slate-50 rounded-lg border border-slate-200">
+              <p className="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-3">Column Mapping</p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {IMPORT_FIELDS.map(field => (
+                  <div key={field.key} className="space-y-1">
+                    <Label className="text-[10px] uppercase font-bold text-slate-500">
+                      {field.label}{field.required ? " *" : ""}
+                    </Label>
+                    <Select
+                      value={genericMapping[field.key]}
+                      onValueChange={(v) => setGenericMapping({ ...genericMapping, [field.key]: v })}
+                    >
+                      <SelectTrigger className="h-9 text-xs px-2">
+                        <span className="truncate">
+                          {genericMapping[field.key] !== undefined && genericMapping[field.key] >= 0
+                            ? headerOptions[genericMapping[field.key]]
+                            : "—"}
+                        </span>
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={-1}>—</SelectItem>
+                        {headerOptions.map((header, idx) => (
+                          <SelectItem key={idx} value={idx}>{header || `Column ${idx + 1}`}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {preview && (
+            <>
+              <div className="flex flex-wrap gap-2">
+                <Badge className={STATUS_STYLES.ready}>{preview.summary.ready} ready</Badge>
+                <Badge className={STATUS_STYLES.duplicate}>{preview.summary.duplicate} already in ledger</Badge>
+                <Badge className={STATUS_STYLES.skipped}>{preview.summary.skipped} skipped</Badge>
+                <Badge className={STATUS_STYLES.invalid}>{preview.summary.invalid} invalid</Badge>
+              </div>
+
+              <div className="border border-slate-200 rounded-lg overflow-x-auto max-h-72">
+                <table className="w-full text-left border-collapse text-xs">
+                  <thead className="sticky top-0 bg-slate-50">
+                    <tr className="border-b border-slate-100">
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase">Row</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase">Status</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase">Type</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase">Symbol</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase text-right">Qty</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase text-right">Price</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase text-right">Fees</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase">Date</th>
+                      <th className="px-3 py-2 text-[10px] font-black text-slate-400 uppercase">Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {preview.rows.map(row => (
+                      <tr key={row.rowNumber} className={row.status === 'ready' ? "" : "opacity-70"}>
+                        <td className="px-3 py-2 font-mono text-slate-400">{row.rowNumber}</td>
+                        <td className="px-3 py-2">
+                          <Badge className={`${STATUS_STYLES[row.status]} shadow-none uppercase text-[9px]`}>{row.status}</Badge>
+                        </td>
+                        <td className="px-3 py-2 font-bold uppercase">{row.transaction?.type || "—"}</td>
+                        <td className="px-3 py-2 font-bold">{row.transaction?.symbol || "—"}</td>
+                        <td className="px-3 py-2 text-right font-mono">{row.transaction ? row.transaction.quantity : "—"}</td>
+                        <td className="px-3 py-2 text-right font-mono">{row.transaction ? row.transaction.price : "—"}</td>
+                        <td className="px-3 py-2 text-right font-mono">{row.transaction ? row.transaction.fees : "—"}</td>
+                        <td className="px-3 py-2 font-mono">{row.transaction?.transaction_date || "—"}</td>
+                        <td className="px-3 py-2 text-slate-500">{row.errors.join("; ")}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.rows.length === 0 && (
+                  <p className="py-8 text-center text-slate-400 text-xs uppercase tracking-widest">No data rows found</p>
+                )}
+              </div>
+            </>
+          )}
+
+          {importResults && (
+            <div className="p-4 rounded-lg border border-slate-200 bg-white space-y-2">
+              <p className="text-sm font-bold text-slate-900">
+                Imported {importResults.filter(r => r.ok).length} of {importResults.length} transactions
+              </p>
+              <ul className="max-h-40 overflow-y-auto space-y-1">
+                {importResults.filter(r => !r.ok).map(r => (
+                  <li key={r.rowNumber} className="text-xs text-rose-700 flex items-center gap-2">
+                    <XCircle className="w-3 h-3 shrink-0" />
+                    Row {r.rowNumber} ({r.symbol}): {r.error}
+                  </li>
+                ))}
+                {importResults.every(r => r.ok) && (
+                  <li className="text-xs text-emerald-700 flex items-center gap-2">
+                    <CheckCircle2 className="w-3 h-3" /> All rows saved
+                  </li>
+                )}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <Button type="button" variant="outline" onClick={onClose} className="flex-1" disabled={isImporting}>
+              {importResults ? "Done" : "Cancel"}
+            </Button>
+            <Button
+              type="button"
+              onClick={handleImport}
+              className="flex-1 bg-slate-900 text-white hover:bg-slate-800"
+              disabled={isImporting || readyRows.length === 0 || !!importResults}
+            >
+              {isImporting ? (
+                <><Loader2 className="w-4 h-4 mr-2 animate-spin" />Importing...</>
+              ) : (
+                <>Import {readyRows.length} Transactions</>
+              )}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
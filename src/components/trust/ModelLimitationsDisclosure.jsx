@@ -3,7 +3,7 @@ import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { AlertTriangle, ChevronDown, ChevronRight } from "lucide-react";
 
-const MODEL_LIMITATIONS = {
+export const MODEL_LIMITATIONS = {
   expected_return: {
     title: "Expected Return Model Limitations",
     icon: AlertTriangle,
@@ -18,6 +18,36 @@ const MODEL_LIMITATIONS = {
         explanation: "Assumes markets are efficient and beta is stable."
       }
     ]
+  },
+  stress_testing: {
+    title: "Stress Test Model Limitations",
+    icon: AlertTriangle,
+    color: "blue",
+    limitations: [
+      {
+        issue: "Historical scenarios",
+        explanation: "Sector shocks are calibrated to past crises; the next crisis may hit different sectors harder."
+      },
+      {
+        issue: "Static adjustments",
+        explanation: "Beta, market cap and profitability adjustments are rules of thumb, not fitted to each company."
+      }
+    ]
+  },
+  monte_carlo: {
+    title: "Monte Carlo Model Limitations",
+    icon: AlertTriangle,
+    color: "blue",
+    limitations: [
+      {
+        issue: "Return distribution",
+        explanation: "Simulated paths assume a stable mean and volatility; real markets shift between regimes."
+      },
+      {
+        issue: "No behavior modeled",
+        explanation: "Assumes contributions continue and no positions are sold during drawdowns."
+      }
+    ]
   }
 };
 
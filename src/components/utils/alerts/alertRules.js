@@ -0,0 +1,370 @@
+/**
+ * Alert Rules Engine
+ *
+ * User-defined alerts checked against fresh quotes every time the portfolio
+ * syncs (syncPortfolioAndRecord runs them), instead of the fixed daily/weekly emails:
+ * - price_cross: a symbol trades above / below a price ("AAPL crosses $200")
+ * - portfolio_drawdown: portfolio value is more than X% below its peak
+ * - holding_weight: one holding (or any holding) is above / below X% of the portfolio
+ * - vix_level: the VIX is above / below a level
+ *
+ * Rules are edge-triggered: a rule fires when its condition becomes true,
+ * then stays quiet until the condition clears and it re-arms. A price that
+ * sits above $200 for a week therefore alerts once, not on every sync.
+ *
+ * The drawdown peak is the highest of the recorded valuation snapshots and
+ * every value seen since the rule was created (Magdon-Ismail & Atiya 2004,
+ * "Maximum Drawdown", Risk 17(10)).
+ *
+ * Rule shape: { id, type, symbol, direction, threshold, channels: { inApp, email },
+ *               enabled, armed, state: { lastValue, peak, lastCheckedAt, lastTriggeredAt },
+ *               createdAt, updatedAt }
+ */
+
+import { round } from "../calculations/financialMath";
+import { NOTIFICATION_KINDS, pushNotifications } from "../notifications/notificationCenter";
+
+export const ALERT_TYPES = {
+  PRICE: 'price_cross',
+  DRAWDOWN: 'portfolio_drawdown',
+  WEIGHT: 'holding_weight',
+  VIX: 'vix_level'
+};
+
+export const ALERT_TYPE_LABELS = {
+  price_cross: 'Price Cross',
+  portfolio_drawdown: 'Portfolio Drawdown',
+  holding_weight: 'Holding Weight',
+  vix_level: 'VIX Level'
+};
+
+export const ALERT_DIRECTIONS = {
+  ABOVE: 'above',
+  BELOW: 'below'
+};
+
+export const DEFAULT_ALERT_CHANNELS = { inApp: true, email: true };
+
+// Page each alert deep-links to (createPageUrl names)
+const ALERT_PAGES = {
+  price_cross: 'Browse Investments',
+  portfolio_drawdown: 'Health Monitor',
+  holding_weight: 'My Portfolio',
+  vix_level: 'Market Insights'
+};
+
+const ANY_HOLDING = '';
+
+const storageKey = (userId) => `alert-rules:${userId || 'anonymous'}`;
+const currentUserId = () => localStorage.getItem('user_id');
+const money = (value) => `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * New rule with defaults filled in
+ *
+ * @param {Object} fields - { type, symbol, direction, threshold, channels }
+ */
+export function createAlertRule(fields, now = new Date()) {
+  const type = fields.type || ALERT_TYPES.PRICE;
+  return {
+    id: `alert-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    symbol: type === ALERT_TYPES.PRICE || type === ALERT_TYPES.WEIGHT ? String(fields.symbol || ANY_HOLDING).trim().toUpperCase() : ANY_HOLDING,
+    direction: type === ALERT_TYPES.DRAWDOWN ? ALERT_DIRECTIONS.ABOVE : fields.direction || ALERT_DIRECTIONS.ABOVE,
+    threshold: Number(fields.threshold),
+    channels: { ...DEFAULT_ALERT_CHANNELS, ...fields.channels },
+    enabled: true,
+    armed: true,
+    state: {},
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Validate a rule before saving
+ *
+ * @returns {Array<string>} Error messages; empty when the rule is valid
+ */
+export function validateAlertRule(rule) {
+  const errors = [];
+  const threshold = Number(rule.threshold);
+
+  if (!Object.values(ALERT_TYPES).includes(rule.type)) errors.push('Choose an alert type');
+  if (!Number.isFinite(threshold) || threshold <= 0) errors.push('Threshold must be greater than 0');
+  if (!Object.values(ALERT_DIRECTIONS).includes(rule.direction)) errors.push('Choose above or below');
+
+  if (rule.type === ALERT_TYPES.PRICE && !/^[A-Z][A-Z0-9.-]{0,9}$/.test(rule.symbol || '')) {
+    errors.push('Enter a ticker symbol');
+  }
+  if ((rule.type === ALERT_TYPES.DRAWDOWN || rule.type === ALERT_TYPES.WEIGHT) && threshold >= 100) {
+    errors.push('Percent threshold must be below 100%');
+  }
+  if (!rule.channels?.inApp && !rule.channels?.email) errors.push('Pick at least one delivery channel');
+
+  return errors;
+}
+
+/**
+ * Plain-English rule summary, e.g. "AAPL crosses above $200.00"
+ */
+export function describeAlertRule(rule) {
+  const threshold = Number(rule.threshold);
+  switch (rule.type) {
+    case ALERT_TYPES.PRICE:
+      return `${rule.symbol} crosses ${rule.direction} ${money(threshold)}`;
+    case ALERT_TYPES.DRAWDOWN:
+      return `Portfolio drawdown > ${threshold}% from peak`;
+    case ALERT_TYPES.WEIGHT:
+      return `${rule.symbol || 'Any holding'}'s weight ${rule.direction === ALERT_DIRECTIONS.ABOVE ? '>' : '<'} ${threshold}%`;
+    case ALERT_TYPES.VIX:
+      return `VIX ${rule.direction} ${threshold}`;
+    default:
+      return 'Unknown alert';
+  }
+}
+
+/**
+ * Positions, weights and total value from a Portfolio entity (or syncPortfolio response)
+ *
+ * @param {Object} portfolio - { assets: [{ symbol, quantity, currentPrice, avgCost }] }
+ * @returns {Object} { totalValue, positions: [{ symbol, price, value, weight }] }
+ */
+export function summarizePortfolio(portfolio) {
+  const assets = Array.isArray(portfolio?.assets) ? portfolio.assets : [];
+  const positions = assets
+    .map(a => {
+      const quantity = Number(a?.quantity) || 0;
+      const price = Number(a?.currentPrice ?? a?.current_price ?? a?.avgCost ?? a?.average_cost) || 0;
+      return { symbol: String(a?.symbol || '').toUpperCase(), price, value: quantity * price };
+    })
+    .filter(p => p.symbol && p.value > 0);
+
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0);
+  return {
+    totalValue,
+    positions: positions.map(p => ({ ...p, weight: totalValue > 0 ? p.value / totalValue * 100 : 0 }))
+  };
+}
+
+const crosses = (value, rule) => (rule.direction === ALERT_DIRECTIONS.BELOW ? value < rule.threshold : value > rule.threshold);
+
+/**
+ * Current reading for one rule
+ *
+ * @param {Object} rule - Alert rule
+ * @param {Object} market - { quotes: { [symbol]: price }, vix, portfolio: summarizePortfolio(), peakValue }
+ * @returns {Object|null} { value, active, message, peak? }, or null when the data is unavailable
+ */
+export function observeAlertRule(rule, market) {
+  const threshold = Number(rule.threshold);
+  const target = { ...rule, threshold };
+
+  switch (rule.type) {
+    case ALERT_TYPES.PRICE: {
+      const price = Number(market.quotes?.[rule.symbol]);
+      if (!(price > 0)) return null;
+      return {
+        value: round(price, 2),
+        active: crosses(price, target),
+        message: `${rule.symbol} is at ${money(price)}, ${rule.direction} your ${money(threshold)} alert`
+      };
+    }
+
+    case ALERT_TYPES.DRAWDOWN: {
+      const value = market.portfolio?.totalValue;
+      if (!(value > 0)) return null;
+      const peak = Math.max(value, Number(rule.state?.peak) || 0, Number(market.peakValue) || 0);
+      const drawdown = (peak - value) / peak * 100;
+      return {
+        value: round(drawdown, 2),
+        peak: round(peak, 2),
+        active: drawdown > threshold,
+        message: `Portfolio is ${drawdown.toFixed(1)}% below its ${money(peak)} peak (now ${money(value)})`
+      };
+    }
+
+    case ALERT_TYPES.WEIGHT: {
+      const positions = market.portfolio?.positions || [];
+      if (positions.length === 0) return null;
+      const candidates = rule.symbol ? positions.filter(p => p.symbol === rule.symbol) : positions;
+      if (candidates.length === 0) return null;
+      const breaching = candidates.filter(p => crosses(p.weight, target)).sort((a, b) => b.weight - a.weight);
+      const extreme = rule.direction === ALERT_DIRECTIONS.BELOW
+        ? Math.min(...candidates.map(p => p.weight))
+        : Math.max(...candidates.map(p => p.weight));
+      return {
+        value: round(extreme, 2),
+        active: breaching.length > 0,
+        message: breaching.length > 0
+          ? `${breaching.map(p => `${p.symbol} ${p.weight.toFixed(1)}%`).join(', ')} of portfolio (limit ${rule.direction} ${threshold}%)`
+          : ''
+      };
+    }
+
+    case ALERT_TYPES.VIX: {
+      const vix = Number(market.vix);
+      if (!(vix > 0)) return null;
+      return {
+        value: round(vix, 2),
+        active: crosses(vix, target),
+        message: `VIX is ${vix.toFixed(2)}, ${rule.direction} your ${threshold} alert`
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check every enabled rule against the latest market data
+ *
+ * @param {Array} rules - Alert rules
+ * @param {Object} market - See observeAlertRule
+ * @returns {Object} { rules: updated rules (state, armed), triggered: [alert events] }
+ */
+export function evaluateAlertRules(rules, market, now = new Date()) {
+  const checkedAt = now.toISOString();
+  const triggered = [];
+
+  const updated = rules.map(rule => {
+    if (!rule.enabled) return rule;
+    const reading = observeAlertRule(rule, market);
+    if (!reading) return rule;
+
+    const state = {
+      ...rule.state,
+      lastValue: reading.value,
+      lastCheckedAt: checkedAt,
+      ...(reading.peak !== undefined && { peak: reading.peak })
+    };
+
+    if (!reading.active) return { ...rule, armed: true, state };
+    if (!rule.armed) return { ...rule, state };
+
+    triggered.push({
+      id: `${rule.id}-${now.getTime()}`,
+      ruleId: rule.id,
+      type: rule.type,
+      symbol: rule.symbol || null,
+      title: describeAlertRule(rule),
+      message: reading.message,
+      value: reading.value,
+      threshold: Number(rule.threshold),
+      channels: rule.channels,
+      page: ALERT_PAGES[rule.type],
+      triggeredAt: checkedAt
+    });
+    return { ...rule, armed: false, state: { ...state, lastTriggeredAt: checkedAt } };
+  });
+
+  return { rules: updated, triggered };
+}
+
+/**
+ * Load a user's alert rules from localStorage
+ */
+export function loadAlertRules(userId = currentUserId()) {
+  try {
+    const rules = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]');
+    return Array.isArray(rules) ? rules : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist a user's alert rules to localStorage
+ */
+export function saveAlertRules(userId, rules) {
+  localStorage.setItem(storageKey(userId), JSON.stringify(rules));
+  return rules;
+}
+
+/**
+ * Reconcile the rules saved on the user profile with the local copy
+ * The profile decides which rules exist; the local copy keeps the freshest
+ * evaluation state (armed, peak) because syncs record it here first.
+ *
+ * @param {Array} local - Rules from localStorage
+ * @param {Array|undefined} remote - user.alert_rules, undefined if never saved
+ */
+export function mergeAlertRules(local, remote) {
+  if (!Array.isArray(remote)) return local;
+  const byId = new Map(local.map(rule => [rule.id, rule]));
+  return remote.map(rule => {
+    const mine = byId.get(rule.id);
+    return mine ? { ...rule, armed: mine.armed, state: mine.state } : rule;
+  });
+}
+
+// VIX from any getVIXData response shape
+const readVix = (response) => {
+  const candidates = [response?.currentVIX, response?.data?.currentVIX, response?.vix, response?.data?.vix, response?.value];
+  return candidates.map(Number).find(value => value > 0) ?? null;
+};
+
+/**
+ * Evaluate the user's rules after a portfolio sync and deliver what fired
+ * Held symbols are priced from the synced portfolio; other price-rule symbols
+ * come from one getStockBatch call, and getVIXData / getPortfolioSnapshots
+ * are only called when a rule needs them.
+ *
+ * @param {Object} portfolio - Synced portfolio { assets, totalValue }
+ * @param {Object} api - { getStockBatch, getVIXData, getPortfolioSnapshots, sendAlertNotification }
+ * @returns {Promise<Array>} Alerts that fired on this sync
+ */
+export async function checkAlertRules(portfolio, api, userId = currentUserId(), now = new Date()) {
+  const rules = loadAlertRules(userId);
+  const active = rules.filter(rule => rule.enabled);
+  if (active.length === 0) return [];
+
+  const summary = summarizePortfolio(portfolio);
+  const quotes = Object.fromEntries(summary.positions.map(p => [p.symbol, p.price]));
+  const unpriced = [...new Set(active.filter(r => r.type === ALERT_TYPES.PRICE && !(r.symbol in quotes)).map(r => r.symbol))];
+  const needsVix = active.some(r => r.type === ALERT_TYPES.VIX);
+  const needsPeak = active.some(r => r.type === ALERT_TYPES.DRAWDOWN && !r.state?.peak);
+
+  const [batch, vixResponse, snapshots] = await Promise.all([
+    unpriced.length > 0 ? api.getStockBatch(unpriced).catch(() => null) : null,
+    needsVix ? api.getVIXData().catch(() => null) : null,
+    needsPeak ? api.getPortfolioSnapshots().catch(() => []) : []
+  ]);
+
+  (batch?.stocks || []).forEach(stock => {
+    const price = Number(stock.current_price ?? stock.price);
+    if (stock.symbol && price > 0) quotes[stock.symbol.toUpperCase()] = price;
+  });
+  const peakValue = Math.max(0, ...(snapshots || []).map(s => Number(s.totalValue) || 0));
+
+  const { rules: updated, triggered } = evaluateAlertRules(rules, { quotes, vix: readVix(vixResponse), portfolio: summary, peakValue }, now);
+  saveAlertRules(userId, updated);
+  if (triggered.length === 0) return [];
+
+  pushNotifications(userId, triggered
+    .filter(alert => alert.channels?.inApp)
+    .map(({ id, title, message, page, triggeredAt }) => ({ id, kind: NOTIFICATION_KINDS.ALERT, title, message, page, createdAt: triggeredAt })));
+
+  const emailed = triggered.filter(alert => alert.channels?.email);
+  if (emailed.length > 0) {
+    api.sendAlertNotification({
+      alerts: emailed.map(({ ruleId, title, message, value, threshold, triggeredAt }) => ({ ruleId, title, message, value, threshold, triggeredAt }))
+    }).catch(error => console.warn('⚠️ Alert email not sent:', error));
+  }
+
+  return triggered;
+}
+
+/**
+ * Check the rules against a syncPortfolio response
+ * Best-effort: call after a sync; alert failures never fail the sync itself.
+ *
+ * @param {Object} syncResponse - syncPortfolio response
+ * @param {Object} api - As for checkAlertRules
+ */
+export function checkAlertRulesAfterSync(syncResponse, api) {
+  const portfolio = syncResponse?.portfolio || syncResponse?.data?.portfolio || syncResponse?.data;
+  checkAlertRules(portfolio, api)
+    .catch(error => console.warn('⚠️ Alert rules not checked:', error));
+}
@@ -12,6 +12,7 @@ export const awsApi = {
   getStockQuote: (symbol) => awsClient.getStockQuote(symbol),
   getStockAnalysis: (payload) => awsClient.getStockAnalysis(payload),
   getStockBatch: (symbols, forceRefresh) => awsClient.getStockBatch(symbols, forceRefresh),
+  getHistoricalPrices: (symbols, startDate, endDate) => awsClient.getHistoricalPrices(symbols, startDate, endDate),
   getVIXData: () => awsClient.getVIXData(),
   calculateRealBeta: (symbol) => awsClient.calculateRealBeta(symbol),
 
@@ -33,6 +34,13 @@ export const awsApi = {
   getTransactions: () => awsClient.getTransactions(),
   createTransaction: (data) => awsClient.createTransaction(data),
 
+  // Portfolio valuation snapshots
+  getPortfolioSnapshots: (startDate, endDate) => awsClient.getPortfolioSnapshots(startDate, endDate),
+  savePortfolioSnapshots: (snapshots) => awsClient.savePortfolioSnapshots(snapshots),
+  getChatThreads: () => awsClient.getChatThreads(),
+  saveChatThread: (thread) => awsClient.saveChatThread(thread),
+  deleteChatThread: (threadId) => awsClient.deleteChatThread(threadId),
+
   // Investment Journal
   getInvestmentJournals: () => awsClient.getInvestmentJournals(),
   createInvestmentJournal: (data) => awsClient.createInvestmentJournal(data),
@@ -109,6 +117,7 @@ export const awsApi = {
   sendDailyAlert: (payload) => awsClient.sendDailyAlert(payload),
   sendMonthlyReport: (payload) => awsClient.sendMonthlyReport(payload),
   sendNewsletter: (payload) => awsClient.sendNewsletter(payload),
+  sendAlertNotification: (payload) => awsClient.sendAlertNotification(payload),
   sendSupportEmail: (data) => awsClient.sendSupportEmail(data),
   sendEmail: (data) => awsClient.sendEmail(data),
 
@@ -122,6 +131,7 @@ export const awsApi = {
 
   // LLM
   invokeLLM: (prompt, context) => awsClient.invokeLLM(prompt, context),
+  invokeLLMStream: (prompt, options) => awsClient.invokeLLMStream(prompt, options),
 };
 
 // Export individual functions for direct imports
@@ -130,6 +140,7 @@ export const {
   getStockQuote,
   getStockAnalysis,
   getStockBatch,
+  getHistoricalPrices,
   getVIXData,
   calculateRealBeta,
   getPortfolio,
@@ -144,6 +155,11 @@ export const {
   deleteHolding,
   getTransactions,
   createTransaction,
+  getPortfolioSnapshots,
+  savePortfolioSnapshots,
+  getChatThreads,
+  saveChatThread,
+  deleteChatThread,
   getInvestmentJournals,
   createInvestmentJournal,
   analyzeBehavioralPatterns,
@@ -194,6 +210,7 @@ export const {
   sendDailyAlert,
   sendMonthlyReport,
   sendNewsletter,
+  sendAlertNotification,
   sendSupportEmail,
   sendEmail,
   generateMarketInsights,
@@ -201,4 +218,5 @@ export const {
   cacheMarketInsights,
   getUserTrades,
   invokeLLM,
+  invokeLLMStream,
 } = awsApi;
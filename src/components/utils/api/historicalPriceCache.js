@@ -0,0 +1,49 @@
+import { awsApi } from "./awsApi";
+
+/**
+ * Historical prices shared across the Analysis cards
+ * The backtest and walk-forward cards ask for overlapping symbols over the
+ * same window; each symbol is fetched once per session and window, and a
+ * later request for a shorter window is served from the cached bars.
+ * Requests made while a fetch is in flight wait for it instead of refetching.
+ */
+
+// { [symbol]: [{ startDate, endDate, bars: Promise<Array|undefined> }] }
+const cache = {};
+
+const dateKey = (bar) => String(bar?.date || '').slice(0, 10);
+
+const cachedRange = (symbol, startDate, endDate) => (
+  (cache[symbol] || []).find(entry => entry.startDate <= startDate && entry.endDate >= endDate)
+);
+
+/**
+ * Daily price history, fetching only the symbols not already cached for the window
+ *
+ * @param {string[]} symbols - Symbols to load
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { [symbol]: [{ date, close, adjClose? }] }, as awsApi.getHistoricalPrices
+ */
+export async function getCachedHistoricalPrices(symbols, startDate, endDate) {
+  const requested = [...new Set(symbols)];
+  const missing = requested.filter(symbol => !cachedRange(symbol, startDate, endDate));
+
+  if (missing.length > 0) {
+    const request = awsApi.getHistoricalPrices(missing, startDate, endDate);
+    missing.forEach(symbol => {
+      const entry = { startDate, endDate, bars: request.then(prices => prices?.[symbol]) };
+      cache[symbol] = [...(cache[symbol] || []), entry];
+      // A failed fetch is retried by the next request
+      entry.bars.catch(() => {
+        cache[symbol] = cache[symbol].filter(e => e !== entry);
+      });
+    });
+  }
+
+  const entries = await Promise.all(requested.map(async symbol => {
+    const bars = await cachedRange(symbol, startDate, endDate).bars;
+    return [symbol, bars && bars.filter(bar => dateKey(bar) >= startDate && dateKey(bar) <= endDate)];
+  }));
+  return Object.fromEntries(entries.filter(([, bars]) => bars !== undefined));
+}
@@ -0,0 +1,86 @@
+/**
+ * LLM Response Helpers
+ *
+ * Shared parsing for invokeLLM / invokeLLMStream so every consumer reads
+ * responses the same way:
+ * - extractLLMText: the reply text from any Lambda response shape
+ * - parseLLMJson: the first JSON object in a reply (models often wrap it in prose or fences)
+ * - createStreamDecoder: incremental text from a streamed body, whether the proxy
+ *   answers with Server-Sent Events, chunked plain text or a single JSON document
+ */
+
+/**
+ * Reply text from an invokeLLM result
+ * Lambda returns { response: "text" }; older handlers used analysis/content/message.
+ */
+export function extractLLMText(result) {
+  if (typeof result === 'string') return result;
+  if (!result || typeof result !== 'object') return '';
+  const text = [result.response, result.analysis, result.content, result.message, result.text]
+    .find(value => typeof value === 'string');
+  return text ?? '';
+}
+
+/**
+ * First JSON object embedded in a reply
+ *
+ * @throws {SyntaxError} When the reply holds no parseable object
+ */
+export function parseLLMJson(text) {
+  if (text && typeof text === 'object') return text;
+  const raw = String(text ?? '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end < start) throw new SyntaxError('No JSON object in AI response');
+  return JSON.parse(raw.slice(start, end + 1));
+}
+
+// Token text from one SSE data payload: provider deltas or our Lambda's { delta }
+function sseToken(data) {
+  try {
+    const event = JSON.parse(data);
+    if (event.error) throw new Error(event.error.message || event.error);
+    return [event.delta?.text, event.delta, event.token, event.text, event.completion].find(value => typeof value === 'string') ?? '';
+  } catch (error) {
+    if (error instanceof SyntaxError) return data; // Plain-text data lines
+    throw error;
+  }
+}
+
+/**
+ * Incremental decoder for a streamed LLM body
+ *
+ * @param {string} contentType - Response Content-Type header
+ * @returns {Object} { push(chunk) → new text, end() → trailing text }
+ */
+export function createStreamDecoder(contentType = '') {
+  if (contentType.includes('text/event-stream')) {
+    let buffer = '';
+    const drain = (final) => {
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = final ? '' : events.pop();
+      return events
+        .map(event => event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trimStart()).join('\n'))
+        .filter(data => data && data !== '[DONE]')
+        .map(sseToken)
+        .join('');
+    };
+    return { push: (chunk) => { buffer += chunk; return drain(false); }, end: () => drain(true) };
+  }
+
+  if (contentType.includes('application/json')) {
+    // Non-streaming backend: buffer the document and emit its text at the end
+    let body = '';
+    return {
+      push: (chunk) => { body += chunk; return ''; },
+      end: () => {
+        const data = JSON.parse(body || '{}');
+        const payload = data.statusCode && data.body ? (typeof data.body === 'string' ? JSON.parse(data.body) : data.body) : data;
+        if (payload.errorMessage) throw new Error(payload.errorMessage);
+        return extractLLMText(payload);
+      }
+    };
+  }
+
+  return { push: (chunk) => chunk, end: () => '' };
+}
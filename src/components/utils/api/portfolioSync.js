@@ -0,0 +1,36 @@
+/**
+ * Portfolio sync with its follow-up work
+ * Every page that refreshes the portfolio goes through syncPortfolioAndRecord,
+ * so each sync also records a valuation snapshot, checks alert rules and
+ * picks up challenge rank and badge changes.
+ */
+
+import { awsApi } from "./awsApi";
+import { recordPortfolioSnapshot } from "./queries";
+import { checkAlertRulesAfterSync } from "../alerts/alertRules";
+import { notifyChallengeChanges } from "../notifications/notificationCenter";
+
+/**
+ * Notify rank and badge changes in the user's challenges
+ * Best-effort: a failed lookup never fails the sync that triggered it.
+ */
+export function checkChallengesAfterSync() {
+  awsApi.getChallenges()
+    .then(data => notifyChallengeChanges(data?.my_challenges || [], data?.challenges || []))
+    .catch(error => console.warn('⚠️ Challenge changes not checked:', error));
+}
+
+/**
+ * Sync the portfolio, then record its snapshot, check alert rules and challenge standings
+ * The follow-ups are best-effort and never fail the sync itself.
+ *
+ * @param {Object} portfolioData - As for awsApi.syncPortfolio
+ * @returns {Promise<Object>} syncPortfolio response
+ */
+export async function syncPortfolioAndRecord(portfolioData) {
+  const response = await awsApi.syncPortfolio(portfolioData);
+  recordPortfolioSnapshot(response);
+  checkAlertRulesAfterSync(response, awsApi);
+  checkChallengesAfterSync();
+  return response;
+}
@@ -5,13 +5,15 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { getCurrentUser, fetchAuthSession } from 'aws-amplify/auth';
 import { get, post, put, del } from 'aws-amplify/api';
-import awsApi from './awsApi';
+import { awsApi } from './awsApi';
+import { backfillSnapshots, mergeSnapshots, snapshotFromPortfolio } from '../calculations/portfolioSnapshots';
 
 // Query keys for consistent caching
 export const QUERY_KEYS = {
   USER: 'user',
   HOLDINGS: 'holdings',
   PORTFOLIO: 'portfolio',
+  PORTFOLIO_SNAPSHOTS: 'portfolioSnapshots',
   COMPANIES: 'companies',
   INDEX_FUNDS: 'indexFunds',
   TRANSACTIONS: 'transactions',
@@ -96,6 +98,60 @@ export function usePortfolio() {
   });
 }
 
+/**
+ * Get daily portfolio valuation snapshots
+ * Days with no recorded snapshot are backfilled from transactions and
+ * historical closes; the backfill is saved so it only runs once per day.
+ */
+export function usePortfolioSnapshots({ startDate, endDate, backfill = true } = {}) {
+  return useQuery({
+    queryKey: [QUERY_KEYS.PORTFOLIO_SNAPSHOTS, startDate, endDate, backfill],
+    queryFn: async () => {
+      try {
+        const stored = await awsApi.getPortfolioSnapshots(startDate, endDate).catch(() => []);
+        if (!backfill) return mergeSnapshots(stored);
+
+        const transactions = await awsApi.getTransactions();
+        if (transactions.length === 0) return mergeSnapshots(stored);
+
+        const symbols = [...new Set(transactions.map(t => String(t.symbol || '').toUpperCase()).filter(Boolean))];
+        const inception = transactions
+          .map(t => String(t.transaction_date || '').slice(0, 10))
+          .filter(Boolean)
+          .sort()[0];
+        const from = startDate && startDate > inception ? startDate : inception;
+        const to = endDate || new Date().toISOString().slice(0, 10);
+
+        // SPY's trading days serve as the market calendar
+        const prices = await awsApi.getHistoricalPrices([...symbols, 'SPY'], from, to).catch(() => ({}));
+        const calendar = prices.SPY?.map(bar => String(bar.date).slice(0, 10));
+        const filled = backfillSnapshots(transactions, prices, stored, calendar?.length ? { calendar, endDate: to } : { endDate: to })
+          .filter(snapshot => !startDate || snapshot.date >= startDate);
+
+        if (filled.length > 0) {
+          awsApi.savePortfolioSnapshots(filled).catch(error => console.warn('Error saving backfilled snapshots:', error));
+        }
+        return mergeSnapshots(stored, filled);
+      } catch (error) {
+        console.error('Error fetching portfolio snapshots:', error);
+        return [];
+      }
+    },
+  });
+}
+
+/**
+ * Record today's valuation snapshot from a syncPortfolio response
+ * Best-effort: call after a sync; a failed save never fails the sync itself.
+ */
+export function recordPortfolioSnapshot(syncResponse) {
+  const portfolio = syncResponse?.portfolio || syncResponse?.data?.portfolio || syncResponse?.data;
+  const snapshot = snapshotFromPortfolio(portfolio);
+  if (!snapshot) return;
+  awsApi.savePortfolioSnapshots([snapshot])
+    .catch(error => console.warn('Error saving portfolio snapshot:', error));
+}
+
 /**
  * Get all companies
  */
@@ -0,0 +1,353 @@
+/**
+ * User Data Archive
+ *
+ * "Download my data" export and the matching restore. Everything a user owns
+ * is bundled into one versioned JSON file:
+ * - backend: holdings, transactions, goals, shadow portfolios, simulation
+ *   portfolios and investment journal entries
+ * - this device: portfolio_health_records and cash_intelligence_analysis
+ *
+ * Every record is checked against its entities/*.json definition on export
+ * (so the file documents what was valid when written) and again on import,
+ * where invalid records are listed and skipped instead of sent to the backend.
+ * Restores skip records that already exist in the target account, so running
+ * the same import twice does not duplicate anything.
+ *
+ * Archive shape:
+ * { format, version, exportedAt, collections: { [key]: [record] },
+ *   counts: { [key]: n }, issues: [{ collection, index, errors }] }
+ */
+
+import HoldingSchema from "@/entities/Holding.json";
+import TransactionSchema from "@/entities/Transaction.json";
+import PortfolioGoalSchema from "@/entities/PortfolioGoal.json";
+import ShadowPortfolioSchema from "@/entities/ShadowPortfolio.json";
+import SimulationPortfolioSchema from "@/entities/SimulationPortfolio.json";
+import InvestmentJournalSchema from "@/entities/InvestmentJournal.json";
+import PortfolioHealthSchema from "@/entities/PortfolioHealth.json";
+import CashAnalysisSchema from "@/entities/CashAnalysis.json";
+import { validateEntity } from "../validation/entitySchemaValidator";
+import { transactionFingerprint } from "../import/brokerCsvImport";
+
+export const ARCHIVE_FORMAT = 'stocksignal-user-data';
+export const ARCHIVE_VERSION = 1;
+
+// Account identity and storage keys; a restore creates them afresh
+const SERVER_FIELDS = ['id', 'user_id', 'cognito_sub', 'user_email', 'email', 'created_date', 'updated_date', 'created_at', 'updated_at', 'created_by'];
+
+// The app stores full timestamps in some "date" fields (health records, journals)
+const VALIDATION_OPTIONS = { allowTimestamps: true };
+
+// Responses wrap lists differently per Lambda
+const asList = (response, ...paths) => {
+  if (Array.isArray(response)) return response;
+  for (const path of paths) {
+    const value = path.split('.').reduce((node, key) => node?.[key], response);
+    if (Array.isArray(value)) return value;
+  }
+  return [];
+};
+
+const readLocal = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Collections in restore order
+ * Transactions come before journals so journal links can be remapped to the
+ * new transaction ids.
+ */
+export const ARCHIVE_COLLECTIONS = [
+  {
+    key: 'holdings',
+    label: 'Holdings',
+    schema: HoldingSchema,
+    load: async (api) => api.getHoldings(),
+    create: (api, record) => api.createHolding(record),
+    identity: (r) => String(r.symbol || '').toUpperCase()
+  },
+  {
+    key: 'transactions',
+    label: 'Transactions',
+    schema: TransactionSchema,
+    load: async (api) => api.getTransactions(),
+    create: (api, record) => api.createTransaction(record),
+    identity: transactionFingerprint
+  },
+  {
+    key: 'goals',
+    label: 'Goals',
+    schema: PortfolioGoalSchema,
+    load: async (api) => asList(await api.getPortfolioGoal({}), 'goals', 'data', 'Items', 'items'),
+    create: (api, record) => api.createPortfolioGoal(record),
+    identity: (r) => `${r.goal_name}|${r.target_date}`
+  },
+  {
+    key: 'shadow_portfolios',
+    label: 'Shadow Portfolios',
+    schema: ShadowPortfolioSchema,
+    load: async (api) => asList(await api.getShadowPortfolios({}), 'data.shadow_portfolios', 'shadow_portfolios', 'data'),
+    create: (api, record) => api.createShadowPortfolio(record),
+    identity: (r) => `${r.scenario_name}|${r.scenario_type}`
+  },
+  {
+    key: 'simulation_portfolios',
+    label: 'Simulation Portfolios',
+    schema: SimulationPortfolioSchema,
+    load: async (api) => asList(await api.getSimulationPortfolio({}), 'data', 'portfolios', 'Items'),
+    create: (api, record) => api.createSimulationPortfolio(record),
+    identity: (r) => `${r.name}|${r.strategy_type}`
+  },
+  {
+    key: 'journals',
+    label: 'Investment Journal',
+    schema: InvestmentJournalSchema,
+    load: async (api) => api.getInvestmentJournals(),
+    create: (api, record) => api.createInvestmentJournal(record),
+    identity: (r) => `${String(r.symbol || '').toUpperCase()}|${r.action}|${String(r.entry_date || '').slice(0, 10)}|${r.why_bought_sold || ''}`
+  },
+  {
+    key: 'portfolio_health_records',
+    label: 'Health Records',
+    schema: PortfolioHealthSchema,
+    local: true,
+    read: () => {
+      const records = readLocal('portfolio_health_records', []);
+      return Array.isArray(records) ? records : [];
+    },
+    write: (records) => {
+      // Newest first and capped, as PortfolioHealth keeps them
+      const sorted = [...records].sort((a, b) => String(b.analysis_date).localeCompare(String(a.analysis_date)));
+      localStorage.setItem('portfolio_health_records', JSON.stringify(sorted.slice(0, 100)));
+    },
+    identity: (r) => String(r.analysis_date)
+  },
+  {
+    key: 'cash_intelligence_analysis',
+    label: 'Cash Analysis',
+    schema: CashAnalysisSchema,
+    local: true,
+    // A single object on the device; a list of at most one in the archive
+    read: () => {
+      const analysis = readLocal('cash_intelligence_analysis', null);
+      return analysis && typeof analysis === 'object' ? [analysis] : [];
+    },
+    write: (records) => {
+      const latest = [...records].sort((a, b) => String(b.analysis_date || '').localeCompare(String(a.analysis_date || '')))[0];
+      if (latest) localStorage.setItem('cash_intelligence_analysis', JSON.stringify(latest));
+    },
+    identity: (r) => String(r.analysis_date || '')
+  }
+];
+
+const collectionByKey = (key) => ARCHIVE_COLLECTIONS.find(c => c.key === key);
+
+// Remove account-bound fields; keeps everything else, including fields newer than the schema
+function portableRecord(record) {
+  const copy = { ...record };
+  SERVER_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Check every record in a collections map against its entity schema
+ *
+ * @param {Object} collections - { [key]: [record] }
+ * @returns {Array} [{ collection, index, errors: [{ field, message }] }]
+ */
+export function validateArchiveCollections(collections) {
+  const issues = [];
+  ARCHIVE_COLLECTIONS.forEach(({ key, schema }) => {
+    const records = Array.isArray(collections[key]) ? collections[key] : [];
+    records.forEach((record, index) => {
+      const { errors } = validateEntity(schema, record, VALIDATION_OPTIONS);
+      if (errors.length > 0) issues.push({ collection: key, index, errors });
+    });
+  });
+  return issues;
+}
+
+/**
+ * Assemble an archive from already-loaded collections
+ * Records keep their original id as `source_id` so links between them
+ * (journal -> transaction) survive the restore.
+ */
+export function buildUserDataArchive(collections, now = new Date()) {
+  const portable = {};
+  ARCHIVE_COLLECTIONS.forEach(({ key, local }) => {
+    portable[key] = (collections[key] || []).map(record => (
+      local || !record.id ? portableRecord(record) : { ...portableRecord(record), source_id: record.id }
+    ));
+  });
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: now.toISOString(),
+    collections: portable,
+    counts: Object.fromEntries(Object.entries(portable).map(([key, records]) => [key, records.length])),
+    issues: validateArchiveCollections(portable)
+  };
+}
+
+/**
+ * Load every collection for the signed-in user and build the archive
+ * A collection that fails to load aborts the export rather than producing a
+ * silently incomplete file.
+ *
+ * @param {Object} api - awsApi
+ */
+export async function exportUserData(api, now = new Date()) {
+  const collections = {};
+  for (const collection of ARCHIVE_COLLECTIONS) {
+    if (collection.local) {
+      collections[collection.key] = collection.read();
+      continue;
+    }
+    try {
+      collections[collection.key] = asList(await collection.load(api));
+    } catch (error) {
+      throw new Error(`Could not load ${collection.label.toLowerCase()}: ${error.message}`);
+    }
+  }
+  return buildUserDataArchive(collections, now);
+}
+
+/**
+ * Download an archive as a .json file
+ */
+export function downloadUserDataArchive(archive) {
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `stocksignal-data-${archive.exportedAt.split('T')[0]}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse and validate an archive file before restoring it
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { archive, errors: [string], warnings: [string], collections: [{ key, label, records, invalid: [{ index, errors }] }] }
+ *   errors are fatal (wrong file, newer version); invalid records are skipped on import.
+ */
+export function parseUserDataArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    return { archive: null, errors: ['File is not valid JSON'], warnings: [], collections: [] };
+  }
+
+  const errors = [];
+  if (!archive || archive.format !== ARCHIVE_FORMAT) errors.push('File is not a StockSignal data export');
+  else if (!Number.isInteger(archive.version) || archive.version < 1) errors.push('Archive version is missing');
+  else if (archive.version > ARCHIVE_VERSION) errors.push(`Archive version ${archive.version} is newer than this app supports (${ARCHIVE_VERSION}); update the app and try again`);
+  else if (!archive.collections || typeof archive.collections !== 'object') errors.push('Archive has no collections');
+
+  if (errors.length > 0) return { archive: null, errors, warnings: [], collections: [] };
+
+  // Unknown collections are a warning, not a reason to refuse the file
+  const unknown = Object.keys(archive.collections).filter(key => !collectionByKey(key));
+  const warnings = unknown.length > 0 ? [`Unknown collections ignored: ${unknown.join(', ')}`] : [];
+
+  const issues = validateArchiveCollections(archive.collections);
+  const collections = ARCHIVE_COLLECTIONS.map(({ key, label }) => {
+    const records = Array.isArray(archive.collections[key]) ? archive.collections[key] : [];
+    return {
+      key,
+      label,
+      records,
+      invalid: issues.filter(issue => issue.collection === key).map(({ index, errors: recordErrors }) => ({ index, errors: recordErrors }))
+    };
+  });
+
+  return { archive, errors: [], warnings, collections };
+}
+
+// Id of a record the backend just created, whichever way the Lambda returns it
+const createdId = (response) => response?.id || response?.Item?.id || response?.data?.id || response?.transaction?.id || null;
+
+/**
+ * Restore a parsed archive into the signed-in account
+ * Invalid records and records already present are skipped (journal entries
+ * follow a skipped transaction to the matching one already saved); a failed create
+ * is recorded and the import moves on. A collection whose existing records
+ * can't be loaded is not restored at all, since duplicates couldn't be detected.
+ *
+ * @param {Object} parsed - parseUserDataArchive result
+ * @param {Object} api - awsApi
+ * @param {Object} options - { include: [collection key], onProgress({ key, done, total }) }
+ * @returns {Promise<Object>} { [key]: { created, skipped, invalid, failed: [{ index, message }] } }
+ */
+export async function importUserData(parsed, api, { include, onProgress } = {}) {
+  const summary = {};
+  const transactionIds = new Map();
+
+  for (const { key, records, invalid } of parsed.collections) {
+    if (include && !include.includes(key)) continue;
+    const collection = collectionByKey(key);
+    const invalidIndexes = new Set(invalid.map(item => item.index));
+    const result = { created: 0, skipped: 0, invalid: invalidIndexes.size, failed: [] };
+    summary[key] = result;
+
+    let existing;
+    try {
+      existing = collection.local ? collection.read() : asList(await collection.load(api));
+    } catch (error) {
+      const message = `Existing ${collection.label.toLowerCase()} could not be loaded (${error.message}); skipped to avoid duplicates`;
+      records.forEach((_, index) => {
+        if (!invalidIndexes.has(index)) result.failed.push({ index, message });
+      });
+      onProgress?.({ key, done: records.length, total: records.length });
+      continue;
+    }
+    // Identity → id of the record already in the account, so journals can point at it
+    const seen = new Map(existing.map(r => [collection.identity(r), r.id || null]));
+    const restored = [];
+
+    for (let index = 0; index < records.length; index++) {
+      onProgress?.({ key, done: index, total: records.length });
+      if (invalidIndexes.has(index)) continue;
+
+      const { source_id: sourceId, ...record } = records[index];
+      const identity = collection.identity(record);
+      if (seen.has(identity)) {
+        if (key === 'transactions' && sourceId && seen.get(identity)) transactionIds.set(sourceId, seen.get(identity));
+        result.skipped++;
+        continue;
+      }
+      seen.set(identity, null);
+
+      if (key === 'journals' && record.transaction_id) {
+        record.transaction_id = transactionIds.get(record.transaction_id) || record.transaction_id;
+      }
+
+      if (collection.local) {
+        restored.push(record);
+        result.created++;
+        continue;
+      }
+
+      try {
+        const response = await collection.create(api, record);
+        if (createdId(response)) seen.set(identity, createdId(response));
+        if (key === 'transactions' && sourceId && createdId(response)) transactionIds.set(sourceId, createdId(response));
+        result.created++;
+      } catch (error) {
+        result.failed.push({ index, message: error.message });
+      }
+    }
+
+    if (collection.local && restored.length > 0) collection.write([...existing, ...restored]);
+    onProgress?.({ key, done: records.length, total: records.length });
+  }
+
+  return summary;
+}
@@ -0,0 +1,234 @@
+/**
+ * Assistant Conversation History
+ *
+ * Threads are saved per user through the chat-thread Lambdas and mirrored to
+ * IndexedDB, so history survives reloads and stays usable offline:
+ * - Every save lands locally first (flagged pendingSync), then goes to the server
+ * - Listing merges server and local copies; the newer updatedAt wins and any
+ *   pending local threads are pushed once the server is reachable again
+ * - Search is client-side full text across titles and message bodies
+ *
+ * Thread shape: { id, userId, title, messages: [{ role, content, name?, result? }],
+ *                 createdAt, updatedAt, pendingSync? }
+ */
+
+import { awsApi } from "../api/awsApi";
+
+const DB_NAME = 'stocksignal-assistant';
+const DB_VERSION = 1;
+const STORE = 'threads';
+const TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 40;
+
+export const ASSISTANT_NAME = 'Krisztina';
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing can refuse IndexedDB; history then lives on the server only
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const localThreads = (userId) => withStore('readonly', store => store.index('userId').getAll(userId)).then(rows => rows || []);
+const putLocal = (thread) => withStore('readwrite', store => store.put(thread));
+const deleteLocal = (threadId) => withStore('readwrite', store => store.delete(threadId));
+
+const byRecent = (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt);
+
+// Server summaries may leave out messages; fall back to the cached copy
+const fromServer = (thread, cached) => {
+  const messages = Array.isArray(thread.messages) ? thread.messages : cached?.messages || [];
+  return {
+    ...thread,
+    title: thread.title || cached?.title || threadTitle(messages),
+    messages,
+    createdAt: thread.createdAt || cached?.createdAt || thread.updatedAt || new Date().toISOString(),
+    pendingSync: false
+  };
+};
+
+/**
+ * Current user id for thread ownership; anonymous sessions keep local-only history
+ */
+export const chatUserId = () => localStorage.getItem('user_id') || 'anonymous';
+
+/**
+ * Title from the first user message, trimmed to a sidebar-friendly length
+ */
+export function threadTitle(messages = []) {
+  const first = messages.find(m => m.role === 'user')?.content?.replace(/\s+/g, ' ').trim();
+  if (!first) return 'New conversation';
+  return first.length > TITLE_LENGTH ? `${first.slice(0, TITLE_LENGTH - 1)}…` : first;
+}
+
+/**
+ * Empty thread for a user
+ */
+export function createThread(userId = chatUserId(), now = new Date()) {
+  return {
+    id: `chat-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    userId,
+    title: 'New conversation',
+    messages: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Save a thread locally, then to the server when signed in
+ *
+ * @returns {Promise<Object>} The stored thread (pendingSync set if the server save failed)
+ */
+export async function saveThread(thread) {
+  const stamped = {
+    ...thread,
+    title: thread.messages.length > 0 ? threadTitle(thread.messages) : thread.title,
+    updatedAt: new Date().toISOString(),
+    pendingSync: thread.userId !== 'anonymous'
+  };
+  await putLocal(stamped).catch(error => console.warn('⚠️ Chat thread not cached locally:', error));
+  if (!stamped.pendingSync) return stamped;
+
+  try {
+    const { pendingSync, ...payload } = stamped;
+    await awsApi.saveChatThread(payload);
+    const synced = { ...stamped, pendingSync: false };
+    await putLocal(synced).catch(() => {});
+    return synced;
+  } catch (error) {
+    console.warn('⚠️ Chat thread saved offline, will sync later:', error);
+    return stamped;
+  }
+}
+
+/**
+ * All threads for a user, newest first, merging server and local copies
+ */
+export async function listThreads(userId = chatUserId()) {
+  const local = await localThreads(userId).catch(() => []);
+  if (userId === 'anonymous') return local.sort(byRecent);
+
+  let remote;
+  try {
+    remote = await awsApi.getChatThreads();
+  } catch (error) {
+    console.warn('⚠️ Chat history offline, showing local threads:', error);
+    return local.sort(byRecent);
+  }
+
+  const cached = new Map(local.map(t => [t.id, t]));
+  const merged = new Map(remote.map(t => [t.id, fromServer(t, cached.get(t.id))]));
+  const unsynced = [];
+  local.forEach(thread => {
+    const server = merged.get(thread.id);
+    if (!server || new Date(thread.updatedAt) > new Date(server.updatedAt)) {
+      merged.set(thread.id, thread);
+      if (thread.pendingSync) unsynced.push(thread);
+    }
+  });
+
+  await Promise.all([...merged.values()].map(t => putLocal(t).catch(() => {})));
+  unsynced.forEach(thread => { saveThread(thread); });
+
+  return [...merged.values()].sort(byRecent);
+}
+
+/**
+ * Delete a thread everywhere
+ */
+export async function deleteThread(threadId) {
+  await deleteLocal(threadId).catch(() => {});
+  if (chatUserId() === 'anonymous') return;
+  try {
+    await awsApi.deleteChatThread(threadId);
+  } catch (error) {
+    console.warn('⚠️ Chat thread deleted locally only:', error);
+  }
+}
+
+/**
+ * Full-text search: every query term must appear in the title or a message
+ *
+ * @returns {Array} [{ thread, hits, snippet }] ordered by hit count, then recency
+ */
+export function searchThreads(threads, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return threads.map(thread => ({ thread, hits: 0, snippet: null }));
+
+  return threads
+    .map(thread => {
+      const texts = [thread.title, ...thread.messages.filter(m => m.role !== 'tool').map(m => m.content || '')];
+      const haystack = texts.join('\n').toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) return null;
+
+      const hits = terms.reduce((sum, term) => sum + haystack.split(term).length - 1, 0);
+      const source = texts.find(text => text.toLowerCase().includes(terms[0])) || '';
+      const at = source.toLowerCase().indexOf(terms[0]);
+      const start = Math.max(0, at - SNIPPET_RADIUS);
+      const snippet = `${start > 0 ? '…' : ''}${source.slice(start, at + terms[0].length + SNIPPET_RADIUS).replace(/\s+/g, ' ')}${at + terms[0].length + SNIPPET_RADIUS < source.length ? '…' : ''}`;
+
+      return { thread, hits, snippet };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.hits - a.hits || byRecent(a.thread, b.thread));
+}
+
+/**
+ * Render a thread as Markdown, with tool results as JSON blocks
+ */
+export function threadToMarkdown(thread) {
+  const lines = [
+    `# ${thread.title}`,
+    '',
+    `_Exported from StockSignal on ${new Date().toISOString().slice(0, 10)} · started ${thread.createdAt.slice(0, 10)}_`,
+    ''
+  ];
+
+  thread.messages.forEach(message => {
+    if (message.role === 'tool') {
+      lines.push(`> Tool: \`${message.name}\``, '', '```json', JSON.stringify(message.result, null, 2), '```', '');
+    } else {
+      lines.push(`**${message.role === 'user' ? 'You' : ASSISTANT_NAME}:**`, '', message.content, '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Download a thread as a .md file
+ */
+export function exportThreadMarkdown(thread) {
+  const blob = new Blob([threadToMarkdown(thread)], { type: 'text/markdown;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  const slug = thread.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'conversation';
+  link.download = `stocksignal-chat-${slug}.md`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
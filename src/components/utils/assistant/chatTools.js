@@ -0,0 +1,238 @@
+/**
+ * Assistant Tool Layer
+ *
+ * Local functions the chat assistant may call mid-conversation so answers are
+ * grounded in the user's own numbers instead of generic guidance:
+ * - get_holdings: positions, market value and weights (useHoldings data)
+ * - run_stress_test: calculateStressImpact on the current weights
+ * - get_goal_metrics: calculateGoalMetrics for each saved goal
+ * - get_latest_analysis: most recent saved AI portfolio analysis
+ *
+ * Protocol: the model replies with a fenced ```tool_call block holding
+ * {"name": ..., "arguments": {...}}; the client runs the tool, appends the
+ * JSON result to the conversation and asks again, up to MAX_TOOL_ROUNDS times.
+ * The invokeLLM Lambda is a plain text completion, so tool calling is done in
+ * the prompt (ReAct-style) rather than through a provider tool API.
+ *
+ * References:
+ * - Yao et al. (2023): ReAct: Synergizing Reasoning and Acting in Language Models
+ * - Schick et al. (2023): Toolformer: Language Models Can Teach Themselves to Use Tools
+ */
+
+import { awsApi } from "../api/awsApi";
+import { STRESS_SCENARIOS, calculateStressImpact } from "../calculations/stressTesting";
+import { calculateGoalMetrics } from "../calculations/goalCalculationEngine";
+import { round } from "../calculations/financialMath";
+
+export const MAX_TOOL_ROUNDS = 3;
+export const MAX_HISTORY_TURNS = 12; // user + assistant messages replayed into each prompt
+
+const TOOL_CALL_PATTERN = /```tool_call\s*([\s\S]*?)```/;
+
+const holdingPrice = (h) => parseFloat(h.current_price ?? h.currentPrice ?? h.average_cost ?? h.avgCost ?? 0) || 0;
+
+/**
+ * Positions with market value and portfolio weight, largest first
+ *
+ * @param {Array} holdings - Holding records (see entities/Holding.json)
+ * @returns {Object} { totalValue, positions: [{ symbol, name, quantity, price, value, weight }] }
+ */
+export function summarizeHoldings(holdings = []) {
+  const positions = holdings
+    .map(h => {
+      const quantity = parseFloat(h.quantity) || 0;
+      const price = holdingPrice(h);
+      return { symbol: h.symbol?.toUpperCase(), name: h.name || h.symbol, quantity, price, value: quantity * price };
+    })
+    .filter(p => p.symbol && p.value > 0);
+
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0);
+
+  return {
+    totalValue: round(totalValue, 2),
+    positions: positions
+      .sort((a, b) => b.value - a.value)
+      .map(p => ({
+        ...p,
+        price: round(p.price, 2),
+        value: round(p.value, 2),
+        weight: totalValue > 0 ? round(p.value / totalValue * 100, 2) : 0
+      }))
+  };
+}
+
+export const CHAT_TOOLS = {
+  get_holdings: {
+    description: 'Current holdings with quantity, price, market value and portfolio weight (%)',
+    parameters: {},
+    run: (args, context) => {
+      const summary = summarizeHoldings(context.holdings);
+      if (summary.positions.length === 0) return { error: 'No holdings on file' };
+      return summary;
+    }
+  },
+
+  run_stress_test: {
+    description: `Portfolio impact of a crash scenario. scenario: one of ${Object.keys(STRESS_SCENARIOS).join(', ')}`,
+    parameters: { scenario: 'string' },
+    run: (args, context) => {
+      const scenario = args.scenario in STRESS_SCENARIOS ? args.scenario : 'marketCrash';
+      const { totalValue, positions } = summarizeHoldings(context.holdings);
+      if (positions.length === 0) return { error: 'No holdings on file to stress test' };
+
+      const bySymbol = new Map((context.companies || []).map(c => [c.symbol?.toUpperCase(), c]));
+      const companies = positions.map(p => ({ name: p.name, ...bySymbol.get(p.symbol), symbol: p.symbol }));
+      const weights = positions.map(p => p.weight / 100);
+
+      const impact = calculateStressImpact(companies, weights, scenario);
+      return {
+        scenario: impact.scenario,
+        portfolioImpactPercent: impact.portfolioImpact,
+        estimatedLoss: round(totalValue * impact.portfolioImpact / 100, 2),
+        portfolioValue: totalValue,
+        durationMonths: impact.duration,
+        recoveryMonths: impact.recoveryTime,
+        worstAssets: impact.assetImpacts.slice(0, 5).map(a => ({
+          symbol: a.symbol,
+          sector: a.sector,
+          weight: round(a.weight, 2),
+          dropPercent: a.drop,
+          contributionPercent: a.contribution
+        })),
+        narrative: impact.narrative
+      };
+    }
+  },
+
+  get_goal_metrics: {
+    description: 'Progress, remaining gap and required monthly contribution for each saved goal. goal_name (optional) filters by name',
+    parameters: { goal_name: 'string (optional)' },
+    run: (args, context) => {
+      const needle = args.goal_name?.toLowerCase();
+      const goals = (context.goals || []).filter(g => !needle || g.goal_name?.toLowerCase().includes(needle));
+      if (goals.length === 0) return { error: needle ? `No goal matching "${args.goal_name}"` : 'No goals on file' };
+
+      return {
+        goals: goals.map(goal => {
+          try {
+            const metrics = calculateGoalMetrics(goal, context.holdings || []);
+            return {
+              name: goal.goal_name,
+              type: goal.goal_type,
+              priority: goal.priority,
+              targetDate: metrics.targetDate,
+              targetAmount: metrics.targetAmount,
+              portfolioValue: metrics.portfolioValue,
+              progressPercent: round(metrics.progressPercent, 1),
+              remainingGap: metrics.remainingGap,
+              monthsRemaining: metrics.monthsRemaining,
+              requiredMonthlyToCloseGap: metrics.requiredMonthlyToCloseGap
+            };
+          } catch (error) {
+            return { name: goal.goal_name, error: error.message };
+          }
+        })
+      };
+    }
+  },
+
+  get_latest_analysis: {
+    description: 'Most recent saved AI portfolio analysis: symbols, investment amount, allocations and risk metrics',
+    parameters: {},
+    run: async () => {
+      const analyses = await awsApi.getPortfolioAnalyses();
+      if (!analyses?.length) return { error: 'No saved analyses' };
+
+      const dateOf = (a) => new Date(a.analysis_date || a.created_date || a.createdAt || 0).getTime();
+      const latest = [...analyses].sort((a, b) => dateOf(b) - dateOf(a))[0];
+      const data = latest.analysis_data || {};
+      return {
+        date: latest.analysis_date || latest.created_date || null,
+        symbols: latest.selected_companies || [],
+        totalInvestment: latest.total_investment,
+        allocations: data.allocations || null,
+        riskMetrics: data.risk_metrics || null,
+        sharpeRatios: data.sharpe_ratios || null
+      };
+    }
+  }
+};
+
+/**
+ * Prompt section describing the tools and the call/citation protocol
+ */
+export function buildToolInstructions() {
+  const catalog = Object.entries(CHAT_TOOLS)
+    .map(([name, tool]) => `- ${name}(${JSON.stringify(tool.parameters)}): ${tool.description}`)
+    .join('\n');
+
+  return `=== TOOLS ===
+You can read the user's own data with these local tools:
+${catalog}
+
+To call a tool, reply with ONLY a fenced block and nothing else:
+\`\`\`tool_call
+{"name": "run_stress_test", "arguments": {"scenario": "marketCrash"}}
+\`\`\`
+The result comes back as a TOOL RESULT message. Call a tool whenever the question depends on the user's holdings, goals or latest analysis; never guess those numbers.
+When you use a number from a tool result, cite it inline as [source: tool_name].`;
+}
+
+/**
+ * Extract a tool call from a model reply
+ *
+ * @returns {Object|null} { name, arguments } for a known tool, else null
+ */
+export function parseToolCall(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.match(TOOL_CALL_PATTERN);
+  if (!match) return null;
+  try {
+    const call = JSON.parse(match[1].trim());
+    if (!CHAT_TOOLS[call?.name]) return null;
+    return { name: call.name, arguments: call.arguments || {} };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a partial streamed reply is (the start of) a tool call rather than prose
+ */
+export function isToolCallDraft(text) {
+  const head = String(text ?? '').trimStart();
+  const fence = '```tool_call';
+  return head.length > 0 && (fence.startsWith(head.slice(0, fence.length)) || head.startsWith(fence));
+}
+
+/**
+ * Run a parsed tool call; failures come back as { error } for the model to explain
+ *
+ * @param {Object} call - { name, arguments }
+ * @param {Object} context - { holdings, goals, companies }
+ * @returns {Promise<Object>} { name, arguments, result }
+ */
+export async function runToolCall(call, context) {
+  let result;
+  try {
+    result = await CHAT_TOOLS[call.name].run(call.arguments, context);
+  } catch (error) {
+    result = { error: error.message || 'Tool failed' };
+  }
+  return { name: call.name, arguments: call.arguments, result };
+}
+
+/**
+ * Render the recent conversation (including tool results) as a transcript
+ *
+ * @param {Array} history - [{ role: 'user'|'assistant'|'tool', content, name? }]
+ */
+export function buildTranscript(history, maxTurns = MAX_HISTORY_TURNS) {
+  const dialogue = history.filter(m => m.role === 'user' || m.role === 'assistant');
+  const cutoff = dialogue.length > maxTurns ? history.indexOf(dialogue[dialogue.length - maxTurns]) : 0;
+
+  return history.slice(cutoff).map(m => {
+    if (m.role === 'tool') return `TOOL RESULT (${m.name}): ${JSON.stringify(m.result)}`;
+    return `${m.role === 'user' ? 'USER' : 'ASSISTANT'}: ${m.content}`;
+  }).join('\n\n');
+}
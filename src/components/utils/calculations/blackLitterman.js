@@ -0,0 +1,194 @@
+/**
+ * Black-Litterman Model
+ *
+ * Blends market-equilibrium returns with an investor's views. The prior is
+ * the return vector that makes the market-cap weighted portfolio optimal
+ * (reverse optimization); each view pulls the posterior toward it in
+ * proportion to its stated confidence.
+ *
+ * References:
+ * - Black & Litterman (1992): Global Portfolio Optimization
+ * - He & Litterman (1999): The Intuition Behind Black-Litterman Model Portfolios
+ * - Idzorek (2005): A Step-by-Step Guide to the Black-Litterman Model
+ * - Walters (2014): The Black-Litterman Model in Detail
+ *
+ * Conventions:
+ * - Returns are decimals in excess of RISK_FREE_RATE inside the model;
+ *   views and results are annual percentages as the user sees them
+ * - Absolute views state a total expected return; relative views state how
+ *   much one asset outperforms another
+ * - Prior:      π = δ Σ w_mkt, with δ = market risk premium / market variance
+ * - Confidence: ω_k = ((1 − c) / c) · τ · p_k Σ p_kᵀ, so a view held with
+ *   c = 50% moves the posterior halfway from the prior toward the view
+ * - Posterior:  μ = π + τΣPᵀ (PτΣPᵀ + Ω)⁻¹ (Q − Pπ)
+ */
+
+import { RISK_FREE_RATE, MARKET_RISK_PREMIUM, MARKET_VOLATILITY, round, solveLinearSystem } from "./financialMath";
+
+export const DEFAULT_RISK_AVERSION = (MARKET_RISK_PREMIUM / 100) / Math.pow(MARKET_VOLATILITY / 100, 2);
+export const DEFAULT_TAU = 0.05;
+
+export const VIEW_TYPES = {
+  absolute: { label: 'Absolute', description: 'Asset will return X% a year' },
+  relative: { label: 'Relative', description: 'Asset will beat another by X% a year' }
+};
+
+export const VIEW_CONFIDENCE_LEVELS = {
+  10: 'Hunch (10%)',
+  25: 'Low (25%)',
+  50: 'Medium (50%)',
+  75: 'High (75%)',
+  90: 'Very High (90%)'
+};
+
+const MAX_CONFIDENCE = 95; // 100% would make Ω singular
+const CAP_UNITS = { T: 1e12, B: 1e9, M: 1e6, K: 1e3 };
+
+const storageKey = (userId) => `black-litterman-views:${userId || 'anonymous'}`;
+
+/**
+ * Market capitalization in dollars
+ * Prefers market_cap_raw; falls back to the formatted string ("2.8T", "350B").
+ */
+export function marketCapOf(company) {
+  const raw = Number(company?.market_cap_raw);
+  if (raw > 0) return raw;
+  const match = String(company?.market_cap || '').replace(/[$,\s]/g, '').match(/^([\d.]+)([TBMK])?$/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]) * (CAP_UNITS[(match[2] || '').toUpperCase()] || 1);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Market-cap weights for the equilibrium prior
+ * Holdings without a market cap get the median of the known caps (equal
+ * weights when none is known), and are listed in `estimated`.
+ *
+ * @param {Array} companies - Company records
+ * @param {Object} marketCaps - Optional { [symbol]: dollars } overriding the records
+ * @returns {Object} { weights: number[], estimated: string[] }
+ */
+export function marketCapWeights(companies, marketCaps = {}) {
+  const caps = companies.map(c => Number(marketCaps[c.symbol]) > 0 ? Number(marketCaps[c.symbol]) : marketCapOf(c));
+  const known = caps.filter(cap => cap > 0).sort((a, b) => a - b);
+  const median = known.length > 0 ? known[Math.floor(known.length / 2)] : 1;
+  const filled = caps.map(cap => (cap > 0 ? cap : median));
+  const total = filled.reduce((sum, cap) => sum + cap, 0);
+  return {
+    weights: filled.map(cap => cap / total),
+    estimated: companies.filter((_, i) => !(caps[i] > 0)).map(c => c.symbol)
+  };
+}
+
+/**
+ * Equilibrium excess returns implied by the market portfolio: π = δ Σ w
+ *
+ * @param {Array<Array<number>>} covMatrix - Annual covariance matrix (decimals)
+ * @param {number[]} weights - Market weights
+ * @param {number} riskAversion - δ
+ * @returns {number[]} Implied excess returns (decimals)
+ */
+export function impliedEquilibriumReturns(covMatrix, weights, riskAversion = DEFAULT_RISK_AVERSION) {
+  return covMatrix.map(row => riskAversion * row.reduce((sum, cov, j) => sum + cov * weights[j], 0));
+}
+
+/**
+ * Validate views against the portfolio's holdings
+ *
+ * @param {Array} views - [{ type, asset, versus?, return, confidence }]
+ * @param {string[]} symbols - Holdings
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateViews(views = [], symbols = []) {
+  const errors = [];
+  views.forEach((view, i) => {
+    const label = `View ${i + 1}`;
+    if (!VIEW_TYPES[view.type]) errors.push(`${label}: choose absolute or relative`);
+    if (!symbols.includes(view.asset)) errors.push(`${label}: pick a holding`);
+    if (view.type === 'relative') {
+      if (!symbols.includes(view.versus)) errors.push(`${label}: pick the holding it is compared with`);
+      else if (view.versus === view.asset) errors.push(`${label}: compare two different holdings`);
+    }
+    const value = Number(view.return);
+    if (view.return === '' || view.return === null || !Number.isFinite(value)) errors.push(`${label}: enter a return`);
+    else if (Math.abs(value) > 100) errors.push(`${label}: returns must be between -100% and 100%`);
+    const confidence = Number(view.confidence);
+    if (!(confidence > 0 && confidence <= 100)) errors.push(`${label}: confidence must be between 1% and 100%`);
+  });
+  return errors;
+}
+
+/**
+ * Black-Litterman posterior expected returns
+ *
+ * @param {Object} options
+ * @param {string[]} options.symbols - Holdings, in covariance order
+ * @param {Array<Array<number>>} options.covMatrix - Annual covariance (decimals)
+ * @param {number[]} options.prior - Implied excess returns π (decimals)
+ * @param {Array} options.views - Validated views (see validateViews)
+ * @param {number} options.tau - Uncertainty scaling of the prior
+ * @returns {Object} { posterior: number[] excess decimals, views: [{ ...view, priorValue, posteriorValue }] }
+ */
+export function blackLittermanPosterior({ symbols, covMatrix, prior, views = [], tau = DEFAULT_TAU }) {
+  if (views.length === 0) return { posterior: [...prior], views: [] };
+
+  const riskFree = RISK_FREE_RATE / 100;
+  const P = views.map(view => symbols.map(symbol => {
+    if (symbol === view.asset) return 1;
+    if (view.type === 'relative' && symbol === view.versus) return -1;
+    return 0;
+  }));
+  const Q = views.map(view => Number(view.return) / 100 - (view.type === 'absolute' ? riskFree : 0));
+
+  const tauSigma = covMatrix.map(row => row.map(v => v * tau));
+  const tauSigmaPt = tauSigma.map(row => P.map(p => p.reduce((sum, pj, j) => sum + pj * row[j], 0))); // n × k
+  const viewVariance = P.map(p => views.map((_, l) => p.reduce((sum, pj, j) => sum + pj * tauSigmaPt[j][l], 0))); // PτΣPᵀ
+
+  // PτΣPᵀ + Ω, with Ω diagonal from each view's confidence
+  const M = viewVariance.map((row, k) => row.map((v, l) => {
+    if (k !== l) return v;
+    const c = Math.min(MAX_CONFIDENCE, Number(views[k].confidence)) / 100;
+    const omega = ((1 - c) / c) * v;
+    return v + omega;
+  }));
+
+  const priorOnViews = P.map(p => p.reduce((sum, pj, j) => sum + pj * prior[j], 0));
+  let adjustment;
+  try {
+    adjustment = solveLinearSystem(M, Q.map((q, k) => q - priorOnViews[k]));
+  } catch {
+    throw new Error('Views are linearly dependent');
+  }
+  const posterior = prior.map((pi, i) => pi + tauSigmaPt[i].reduce((sum, v, k) => sum + v * adjustment[k], 0));
+  const posteriorOnViews = P.map(p => p.reduce((sum, pj, j) => sum + pj * posterior[j], 0));
+
+  const toDisplay = (value, view) => round((value + (view.type === 'absolute' ? riskFree : 0)) * 100, 2);
+  return {
+    posterior,
+    views: views.map((view, k) => ({
+      ...view,
+      priorValue: toDisplay(priorOnViews[k], view),
+      posteriorValue: toDisplay(posteriorOnViews[k], view)
+    }))
+  };
+}
+
+/**
+ * Load saved views
+ */
+export function loadViews(userId = localStorage.getItem('user_id')) {
+  try {
+    const views = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]');
+    return Array.isArray(views) ? views : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save views for the next analysis
+ */
+export function saveViews(userId, views) {
+  localStorage.setItem(storageKey(userId), JSON.stringify(views));
+  return views;
+}
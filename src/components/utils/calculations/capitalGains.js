@@ -0,0 +1,281 @@
+/**
+ * Capital Gains Report
+ *
+ * Builds realized and unrealized gains from the replayed transaction ledger
+ * (see lotAccounting.js) for tax-year reporting.
+ *
+ * Rules applied (IRS Pub. 550, Form 8949 instructions):
+ * - Long-term: held more than one year (disposed after the acquisition anniversary)
+ * - Wash sale (IRC §1091): a loss is disallowed to the extent substantially
+ *   identical shares (same symbol) were acquired within 30 days before or after
+ *   the sale. The disallowed amount is added to the replacement lot's basis.
+ * - Shares relieved by the same sale are never treated as replacement shares.
+ *
+ * Simplifications:
+ * - Replacement basis is spread evenly across every share ever drawn from the
+ *   replacement lot; holding-period tacking is not applied.
+ * - Only same-ticker purchases count as substantially identical.
+ */
+
+import { replayLedger, sortLedger, daysBetween, COST_BASIS_METHODS } from "./lotAccounting";
+import { round } from "./financialMath";
+
+export const WASH_SALE_WINDOW_DAYS = 30;
+
+const ACQUISITION_TYPES = ['buy', 'dividend_reinvestment'];
+
+/**
+ * True if a lot acquired on `acquiredDate` and disposed on `disposedDate`
+ * qualifies for long-term treatment (held more than one year)
+ */
+export function isLongTerm(acquiredDate, disposedDate) {
+  const acquired = new Date(`${String(acquiredDate).slice(0, 10)}T00:00:00Z`);
+  const anniversary = new Date(acquired);
+  anniversary.setUTCFullYear(acquired.getUTCFullYear() + 1);
+  const disposed = new Date(`${String(disposedDate).slice(0, 10)}T00:00:00Z`);
+  return disposed > anniversary;
+}
+
+/**
+ * Identify wash sales among closed lots
+ *
+ * @param {Array} closedLots - replayLedger(...).closedLots
+ * @param {Array} transactions - Full ledger (acquisitions are read from here)
+ * @returns {Object} { lotAdjustments, basisAdjustments }
+ *   lotAdjustments: Map(closedLot → { disallowedLoss, replacementLotIds })
+ *   basisAdjustments: { [replacementLotId]: total disallowed loss added to basis }
+ */
+export function detectWashSales(closedLots = [], transactions = []) {
+  // Lot ids mirror replayLedger: transaction id, or symbol-date-ledgerIndex
+  const acquisitions = sortLedger(transactions)
+    .map((tx, index) => ({ tx, index }))
+    .filter(({ tx }) => ACQUISITION_TYPES.includes(tx.type))
+    .map(({ tx, index }) => {
+      const symbol = String(tx.symbol || '').toUpperCase();
+      const date = String(tx.transaction_date).slice(0, 10);
+      return {
+        lotId: tx.id || `${symbol}-${date}-${index}`,
+        symbol,
+        date,
+        capacity: Number(tx.quantity) || 0
+      };
+    });
+
+  // Lots relieved by each sale cannot replace that same sale
+  const lotsBySale = new Map();
+  closedLots.forEach(lot => {
+    const key = lot.sellTransactionId || `${lot.symbol}-${lot.disposedDate}`;
+    if (!lotsBySale.has(key)) lotsBySale.set(key, new Set());
+    lotsBySale.get(key).add(lot.lotId);
+  });
+
+  const lotAdjustments = new Map();
+  const basisAdjustments = {};
+
+  [...closedLots]
+    .sort((a, b) => a.disposedDate.localeCompare(b.disposedDate))
+    .forEach(lot => {
+      if (lot.gain >= 0 || lot.quantity <= 0) return;
+
+      const saleKey = lot.sellTransactionId || `${lot.symbol}-${lot.disposedDate}`;
+      const soldTogether = lotsBySale.get(saleKey) || new Set();
+      const lossPerShare = -lot.gain / lot.quantity;
+      let unmatched = lot.quantity;
+      let disallowedLoss = 0;
+      const replacementLotIds = [];
+
+      for (const acq of acquisitions) {
+        if (unmatched <= 0) break;
+        if (acq.symbol !== lot.symbol || acq.capacity <= 0) continue;
+        if (acq.lotId === lot.lotId || soldTogether.has(acq.lotId)) continue;
+        if (Math.abs(daysBetween(lot.disposedDate, acq.date)) > WASH_SALE_WINDOW_DAYS) continue;
+
+        const matched = Math.min(acq.capacity, unmatched);
+        const disallowed = matched * lossPerShare;
+        acq.capacity -= matched;
+        unmatched -= matched;
+        disallowedLoss += disallowed;
+        replacementLotIds.push(acq.lotId);
+        basisAdjustments[acq.lotId] = (basisAdjustments[acq.lotId] || 0) + disallowed;
+      }
+
+      if (disallowedLoss > 0) {
+        lotAdjustments.set(lot, { disallowedLoss, replacementLotIds });
+      }
+    });
+
+  return { lotAdjustments, basisAdjustments };
+}
+
+const emptyBucket = () => ({ proceeds: 0, costBasis: 0, washSaleDisallowed: 0, gain: 0, count: 0 });
+
+/**
+ * Build a tax-year gains report
+ *
+ * @param {Array} transactions - Transaction ledger
+ * @param {Object} options
+ *   method: cost basis method (default FIFO)
+ *   taxYear: calendar year for realized gains (default current year)
+ *   prices: { [symbol]: currentPrice } for unrealized gains
+ *   asOfDate: YYYY-MM-DD used to classify open lots (default today)
+ * @returns {Object} { taxYear, method, realizedRows, realized, unrealizedRows, unrealized, warnings, availableYears }
+ */
+export function buildGainsReport(transactions = [], options = {}) {
+  const {
+    method = COST_BASIS_METHODS.FIFO,
+    taxYear = new Date().getFullYear(),
+    prices = {},
+    asOfDate = new Date().toISOString().slice(0, 10)
+  } = options;
+
+  const ledger = replayLedger(transactions, { method });
+  const { lotAdjustments, basisAdjustments } = detectWashSales(ledger.closedLots, transactions);
+
+  // Total shares ever drawn from each lot, to spread replacement basis per share
+  const lotShareTotals = {};
+  ledger.closedLots.forEach(l => { lotShareTotals[l.lotId] = (lotShareTotals[l.lotId] || 0) + l.quantity; });
+  Object.values(ledger.positions).forEach(p => p.lots.forEach(l => {
+    lotShareTotals[l.id] = (lotShareTotals[l.id] || 0) + l.quantity;
+  }));
+  const basisAdjustmentFor = (lotId, quantity) => (
+    basisAdjustments[lotId] && lotShareTotals[lotId] > 0
+      ? basisAdjustments[lotId] * (quantity / lotShareTotals[lotId])
+      : 0
+  );
+
+  const realizedRows = ledger.closedLots
+    .filter(lot => Number(lot.disposedDate.slice(0, 4)) === Number(taxYear))
+    .map(lot => {
+      const costBasis = lot.costBasis + basisAdjustmentFor(lot.lotId, lot.quantity);
+      const washSale = lotAdjustments.get(lot);
+      const washSaleDisallowed = washSale ? Math.min(washSale.disallowedLoss, Math.max(0, costBasis - lot.proceeds)) : 0;
+      const gain = lot.proceeds - costBasis + washSaleDisallowed;
+      return {
+        symbol: lot.symbol,
+        description: `${round(lot.quantity, 6)} sh ${lot.symbol}`,
+        quantity: lot.quantity,
+        acquiredDate: lot.acquiredDate,
+        disposedDate: lot.disposedDate,
+        proceeds: lot.proceeds,
+        costBasis,
+        washSaleDisallowed,
+        adjustmentCode: washSaleDisallowed > 0 ? 'W' : '',
+        gain,
+        term: isLongTerm(lot.acquiredDate, lot.disposedDate) ? 'long' : 'short',
+        holdingDays: lot.holdingDays
+      };
+    })
+    .sort((a, b) => a.disposedDate.localeCompare(b.disposedDate) || a.symbol.localeCompare(b.symbol));
+
+  const realized = { shortTerm: emptyBucket(), longTerm: emptyBucket(), total: emptyBucket() };
+  realizedRows.forEach(row => {
+    [row.term === 'long' ? realized.longTerm : realized.shortTerm, realized.total].forEach(bucket => {
+      bucket.proceeds += row.proceeds;
+      bucket.costBasis += row.costBasis;
+      bucket.washSaleDisallowed += row.washSaleDisallowed;
+      bucket.gain += row.gain;
+      bucket.count += 1;
+    });
+  });
+
+  const unrealizedRows = [];
+  Object.values(ledger.positions).forEach(position => {
+    const rawPrice = prices[position.symbol];
+    const price = rawPrice === null || rawPrice === undefined ? NaN : Number(rawPrice);
+    position.lots.forEach(lot => {
+      const costBasis = lot.quantity * lot.costPerShare + basisAdjustmentFor(lot.id, lot.quantity);
+      const marketValue = Number.isFinite(price) ? lot.quantity * price : null;
+      unrealizedRows.push({
+        symbol: position.symbol,
+        lotId: lot.id,
+        quantity: lot.quantity,
+        acquiredDate: lot.acquiredDate,
+        costBasis,
+        currentPrice: Number.isFinite(price) ? price : null,
+        marketValue,
+        gain: marketValue === null ? null : marketValue - costBasis,
+        term: isLongTerm(lot.acquiredDate, asOfDate) ? 'long' : 'short'
+      });
+    });
+  });
+
+  const unrealized = { shortTerm: emptyBucket(), longTerm: emptyBucket(), total: emptyBucket(), unpricedLots: 0 };
+  unrealizedRows.forEach(row => {
+    if (row.gain === null) {
+      unrealized.unpricedLots += 1;
+      return;
+    }
+    [row.term === 'long' ? unrealized.longTerm : unrealized.shortTerm, unrealized.total].forEach(bucket => {
+      bucket.proceeds += row.marketValue;
+      bucket.costBasis += row.costBasis;
+      bucket.gain += row.gain;
+      bucket.count += 1;
+    });
+  });
+
+  const availableYears = [...new Set([
+    Number(taxYear),
+    ...ledger.closedLots.map(l => Number(l.disposedDate.slice(0, 4)))
+  ])].filter(Boolean).sort((a, b) => b - a);
+
+  return {
+    taxYear: Number(taxYear),
+    method,
+    realizedRows,
+    realized,
+    unrealizedRows,
+    unrealized,
+    warnings: ledger.warnings,
+    availableYears
+  };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate8949 = (iso) => {
+  const [year, month, day] = String(iso).slice(0, 10).split('-');
+  return `${month}/${day}/${year}`;
+};
+
+/**
+ * Serialize realized rows as a Form 8949-style CSV
+ * Part I = short-term, Part II = long-term; column letters follow the form.
+ *
+ * @param {Array} realizedRows - buildGainsReport(...).realizedRows
+ * @returns {string} CSV text
+ */
+export function toForm8949Csv(realizedRows = []) {
+  const header = [
+    'Part',
+    '(a) Description of property',
+    '(b) Date acquired',
+    '(c) Date sold or disposed of',
+    '(d) Proceeds',
+    '(e) Cost or other basis',
+    '(f) Code',
+    '(g) Amount of adjustment',
+    '(h) Gain or (loss)'
+  ];
+
+  const ordered = [
+    ...realizedRows.filter(r => r.term === 'short'),
+    ...realizedRows.filter(r => r.term === 'long')
+  ];
+
+  const lines = ordered.map(row => [
+    row.term === 'long' ? 'II (Long-term)' : 'I (Short-term)',
+    row.description,
+    formatDate8949(row.acquiredDate),
+    formatDate8949(row.disposedDate),
+    round(row.proceeds, 2).toFixed(2),
+    round(row.costBasis, 2).toFixed(2),
+    row.adjustmentCode,
+    row.washSaleDisallowed > 0 ? round(row.washSaleDisallowed, 2).toFixed(2) : '',
+    round(row.gain, 2).toFixed(2)
+  ].map(csvCell).join(','));
+
+  return [header.map(csvCell).join(','), ...lines].join('\n');
+}
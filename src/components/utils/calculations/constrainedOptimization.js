@@ -0,0 +1,658 @@
+/**
+ * Custom Portfolio Constraints
+ *
+ * applyPortfolioConstraints enforces fixed minimum/maximum weights by clipping
+ * and redistributing after the optimizer has run. This module solves the
+ * constrained problem directly, so user limits hold exactly, and explains in
+ * plain language which limits conflict when no portfolio satisfies them all.
+ *
+ * References:
+ * - Dantzig (1963): Linear Programming and Extensions (two-phase simplex,
+ *   Bland's anti-cycling rule)
+ * - Nocedal & Wright (2006): Numerical Optimization, §16.5 (active-set QP)
+ * - Cornuejols & Tütüncü (2007): Optimization Methods in Finance, §8.2
+ *   (maximum Sharpe ratio as a convex QP by homogenization)
+ *
+ * Conventions:
+ * - Constraints are edited in percent and solved in decimals; weights sum to 1,
+ *   no short positions
+ * - Supported limits: per-asset min/max weight, sector caps, maximum portfolio
+ *   beta, minimum number of holdings, must-include symbols and one-way turnover
+ *   versus current holdings (½ Σ |w − w_current|)
+ * - A holding counts when its weight is at least MIN_HOLDING_WEIGHT; must-include
+ *   symbols get that as their floor
+ * - The minimum number of holdings is met greedily: the largest positions below
+ *   the threshold are raised to it and the problem is re-solved
+ * - Max Sharpe: minimize yᵀΣy subject to (μ − r_f)ᵀy = 1 and every limit
+ *   scaled by κ = Σy; weights are y / κ
+ */
+
+import { RISK_FREE_RATE, round, solveLinearSystem } from "./financialMath";
+
+export const MIN_HOLDING_WEIGHT = 0.01; // Below 1% is dust (see allocationValidator)
+
+export const CONSTRAINED_OBJECTIVES = {
+  max_sharpe: { label: 'Max Sharpe', description: 'Best risk-adjusted return within your limits' },
+  min_variance: { label: 'Min Variance', description: 'Lowest risk within your limits' }
+};
+
+export const DEFAULT_CONSTRAINTS = {
+  objective: 'max_sharpe',
+  assetLimits: {},
+  sectorCaps: {},
+  maxBeta: '',
+  minHoldings: '',
+  mustInclude: [],
+  maxTurnover: ''
+};
+
+const TOLERANCE = 1e-9;
+const FEASIBILITY_TOLERANCE = 1e-7;
+const MAX_LP_ITERATIONS = 5000;
+const MAX_QP_ITERATIONS = 500;
+const RIDGE = 1e-8; // Keeps the KKT system solvable for turnover slacks and nearly singular Σ
+
+const storageKey = (userId) => `optimizer-constraints:${userId || 'anonymous'}`;
+
+const isSet = (value) => value !== '' && value !== null && value !== undefined && Number.isFinite(Number(value));
+const pct = (value) => `${round(value * 100, 1)}%`;
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+const listSymbols = (symbols) => (
+  symbols.length <= 2 ? symbols.join(' and ') : `${symbols.slice(0, -1).join(', ')} and ${symbols[symbols.length - 1]}`
+);
+
+/**
+ * Minimize cᵀx subject to linear rows and x ≥ 0 (two-phase simplex)
+ *
+ * @param {number[]} cost - c
+ * @param {Array} rows - [{ coefficients, type: 'le' | 'ge' | 'eq', value }]
+ * @returns {Object} { status: 'optimal' | 'infeasible' | 'unbounded', x }
+ */
+function solveLinearProgram(cost, rows) {
+  const n = cost.length;
+  const normalized = rows.map(row => (row.value < 0
+    ? {
+        coefficients: row.coefficients.map(v => -v),
+        type: row.type === 'le' ? 'ge' : row.type === 'ge' ? 'le' : 'eq',
+        value: -row.value
+      }
+    : row));
+  const slackCount = normalized.filter(row => row.type !== 'eq').length;
+  const artificialStart = n + slackCount;
+  const cols = artificialStart + normalized.filter(row => row.type !== 'le').length;
+
+  const tableau = [];
+  const basis = [];
+  let slack = n;
+  let artificial = artificialStart;
+  normalized.forEach(row => {
+    const line = Array(cols + 1).fill(0);
+    row.coefficients.forEach((v, j) => { line[j] = v; });
+    line[cols] = row.value;
+    if (row.type === 'le') {
+      line[slack] = 1;
+      basis.push(slack++);
+    } else {
+      if (row.type === 'ge') line[slack++] = -1;
+      line[artificial] = 1;
+      basis.push(artificial++);
+    }
+    tableau.push(line);
+  });
+
+  const pivot = (r, c) => {
+    const factor = tableau[r][c];
+    tableau[r] = tableau[r].map(v => v / factor);
+    tableau.forEach((line, i) => {
+      if (i === r || Math.abs(line[c]) < 1e-15) return;
+      const multiple = line[c];
+      tableau[i] = line.map((v, j) => v - multiple * tableau[r][j]);
+    });
+    basis[r] = c;
+  };
+
+  const run = (costs, allowed) => {
+    for (let iteration = 0; iteration < MAX_LP_ITERATIONS; iteration++) {
+      // Bland's rule: lowest-index improving column, lowest-index leaving variable on ties
+      let entering = -1;
+      for (let j = 0; j < cols && entering === -1; j++) {
+        if (!allowed(j) || basis.includes(j)) continue;
+        const reduced = costs[j] - tableau.reduce((sum, line, i) => sum + costs[basis[i]] * line[j], 0);
+        if (reduced < -TOLERANCE) entering = j;
+      }
+      if (entering === -1) return 'optimal';
+
+      let leaving = -1;
+      let best = Infinity;
+      tableau.forEach((line, i) => {
+        if (line[entering] <= TOLERANCE) return;
+        const ratio = line[cols] / line[entering];
+        if (ratio < best - TOLERANCE || (Math.abs(ratio - best) <= TOLERANCE && basis[i] < basis[leaving])) {
+          best = ratio;
+          leaving = i;
+        }
+      });
+      if (leaving === -1) return 'unbounded';
+      pivot(leaving, entering);
+    }
+    return 'optimal';
+  };
+
+  // Phase 1: drive the artificial variables to zero
+  const phaseOneCosts = Array.from({ length: cols }, (_, j) => (j >= artificialStart ? 1 : 0));
+  run(phaseOneCosts, () => true);
+  const infeasibility = tableau.reduce((sum, line, i) => sum + (basis[i] >= artificialStart ? line[cols] : 0), 0);
+  if (infeasibility > FEASIBILITY_TOLERANCE) return { status: 'infeasible', x: null };
+
+  tableau.forEach((line, i) => {
+    if (basis[i] < artificialStart) return;
+    const column = line.findIndex((v, j) => j < artificialStart && Math.abs(v) > TOLERANCE);
+    if (column !== -1) pivot(i, column);
+  });
+
+  // Phase 2: original objective, artificials locked out
+  const phaseTwoCosts = Array.from({ length: cols }, (_, j) => (j < n ? cost[j] : 0));
+  const status = run(phaseTwoCosts, j => j < artificialStart);
+
+  const x = Array(n).fill(0);
+  basis.forEach((j, i) => { if (j < n) x[j] = Math.max(0, tableau[i][cols]); });
+  return { status, x };
+}
+
+/**
+ * Minimize ½xᵀGx subject to equalities and inequalities (primal active-set method)
+ *
+ * @param {Array<Array<number>>} G - Positive definite
+ * @param {Array} equalities - [{ coefficients, value }] for a·x = b
+ * @param {Array} inequalities - [{ coefficients, value }] for a·x ≤ b
+ * @param {number[]} start - Feasible starting point
+ * @returns {number[]} Solution
+ */
+function solveQuadraticProgram(G, equalities, inequalities, start) {
+  const x = [...start];
+  const working = [];
+
+  // Start with the constraints active at the starting point, skipping dependent ones
+  const basisRows = [];
+  const addIfIndependent = (row) => {
+    const residual = [...row];
+    basisRows.forEach(q => {
+      const projection = dot(residual, q);
+      residual.forEach((_, j) => { residual[j] -= projection * q[j]; });
+    });
+    const norm = Math.sqrt(dot(residual, residual));
+    if (norm < 1e-9) return false;
+    basisRows.push(residual.map(v => v / norm));
+    return true;
+  };
+  equalities.forEach(row => addIfIndependent(row.coefficients));
+  inequalities.forEach((row, i) => {
+    if (Math.abs(dot(row.coefficients, x) - row.value) < 1e-9 && addIfIndependent(row.coefficients)) working.push(i);
+  });
+
+  for (let iteration = 0; iteration < MAX_QP_ITERATIONS; iteration++) {
+    const active = [...equalities, ...working.map(i => inequalities[i])];
+    const n = x.length;
+    const size = n + active.length;
+
+    // [G  Cᵀ] [x⁺]   [0]
+    // [C  0 ] [ν ] = [b]
+    const kkt = Array.from({ length: size }, () => Array(size).fill(0));
+    const rhs = Array(size).fill(0);
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) kkt[i][j] = G[i][j];
+    active.forEach((row, k) => {
+      row.coefficients.forEach((v, j) => {
+        kkt[j][n + k] = v;
+        kkt[n + k][j] = v;
+      });
+      rhs[n + k] = row.value;
+    });
+
+    let solution;
+    try {
+      solution = solveLinearSystem(kkt, rhs);
+    } catch {
+      if (working.length === 0) break;
+      working.pop();
+      continue;
+    }
+
+    const target = solution.slice(0, n);
+    const step = target.map((v, j) => v - x[j]);
+    if (step.every(p => Math.abs(p) < 1e-12)) {
+      // Release the inequality whose multiplier says the objective improves without it
+      let release = -1;
+      let worst = -1e-12;
+      working.forEach((_, k) => {
+        const multiplier = solution[n + equalities.length + k];
+        if (multiplier < worst) {
+          worst = multiplier;
+          release = k;
+        }
+      });
+      if (release === -1) break;
+      working.splice(release, 1);
+      continue;
+    }
+
+    let alpha = 1;
+    let blocking = -1;
+    inequalities.forEach((row, i) => {
+      if (working.includes(i)) return;
+      const rate = dot(row.coefficients, step);
+      if (rate <= 1e-15) return;
+      const ratio = (row.value - dot(row.coefficients, x)) / rate;
+      if (ratio < alpha) {
+        alpha = Math.max(0, ratio);
+        blocking = i;
+      }
+    });
+    step.forEach((p, j) => { x[j] += alpha * p; });
+    if (blocking !== -1) working.push(blocking);
+  }
+
+  return x;
+}
+
+/**
+ * Parse the edited constraints (percent strings) against the holdings
+ *
+ * @param {Object} constraints - See DEFAULT_CONSTRAINTS
+ * @param {Array} companies - Holdings in the analysis
+ * @returns {string[]} Input errors (empty when every value can be used)
+ */
+export function validateConstraints(constraints = {}, companies = []) {
+  const errors = [];
+  const symbols = companies.map(c => c.symbol);
+  const percentField = (value, label) => {
+    if (value === '' || value === null || value === undefined) return;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 100) errors.push(`${label} must be between 0% and 100%`);
+  };
+
+  Object.entries(constraints.assetLimits || {}).forEach(([symbol, limits]) => {
+    if (!symbols.includes(symbol)) return;
+    percentField(limits?.min, `${symbol} minimum`);
+    percentField(limits?.max, `${symbol} maximum`);
+  });
+  Object.entries(constraints.sectorCaps || {}).forEach(([sector, cap]) => percentField(cap, `${sector} cap`));
+  percentField(constraints.maxTurnover, 'Turnover limit');
+
+  if (constraints.maxBeta !== '' && constraints.maxBeta != null && !(Number(constraints.maxBeta) > 0)) {
+    errors.push('Maximum beta must be a positive number');
+  }
+  if (constraints.minHoldings !== '' && constraints.minHoldings != null) {
+    const count = Number(constraints.minHoldings);
+    if (!Number.isInteger(count) || count < 1) errors.push('Minimum holdings must be a whole number of at least 1');
+  }
+  (constraints.mustInclude || []).forEach(symbol => {
+    if (!symbols.includes(symbol)) errors.push(`${symbol} is not in this analysis`);
+  });
+  return errors;
+}
+
+/**
+ * Current holding weights over the analysis universe
+ *
+ * @param {Array} holdings - Holding records (symbol, quantity, current_price, average_cost)
+ * @param {string[]} symbols - Analysis universe
+ * @returns {Object|null} { [symbol]: decimal } or null when none of the symbols is held
+ */
+export function currentHoldingWeights(holdings = [], symbols = []) {
+  const values = Object.fromEntries(symbols.map(symbol => [symbol, 0]));
+  holdings.forEach(h => {
+    if (values[h.symbol] === undefined) return;
+    values[h.symbol] += (Number(h.quantity) || 0) * (Number(h.current_price) || Number(h.average_cost) || 0);
+  });
+  const total = Object.values(values).reduce((sum, v) => sum + v, 0);
+  if (!(total > 0)) return null;
+  return Object.fromEntries(Object.entries(values).map(([symbol, value]) => [symbol, value / total]));
+}
+
+/**
+ * Linear rows for the constraints over x = [w, t] (t: per-asset trade size, only with a turnover limit)
+ */
+function buildConstraintRows(companies, constraints, currentWeights, forcedHoldings = []) {
+  const n = companies.length;
+  const useTurnover = isSet(constraints.maxTurnover) && !!currentWeights;
+  const size = useTurnover ? 2 * n : n;
+  const zeros = () => Array(size).fill(0);
+  const rows = [];
+
+  const budget = zeros();
+  for (let i = 0; i < n; i++) budget[i] = 1;
+  rows.push({ coefficients: budget, type: 'eq', value: 1, group: 'budget', label: 'Fully invested' });
+
+  const mustInclude = constraints.mustInclude || [];
+  companies.forEach((company, i) => {
+    const limits = constraints.assetLimits?.[company.symbol] || {};
+    const userMin = isSet(limits.min) ? Number(limits.min) / 100 : 0;
+    const floors = [{ value: userMin, group: 'asset-min', label: `${company.symbol} at least ${pct(userMin)}` }];
+    if (mustInclude.includes(company.symbol)) {
+      floors.push({ value: MIN_HOLDING_WEIGHT, group: 'must-include', label: `${company.symbol} must be held` });
+    }
+    if (forcedHoldings.includes(company.symbol)) {
+      floors.push({ value: MIN_HOLDING_WEIGHT, group: 'holdings', label: `${company.symbol} added to reach the minimum number of holdings` });
+    }
+    const floor = floors.reduce((best, f) => (f.value > best.value ? f : best), { value: 0 });
+    if (floor.value > 0) {
+      const coefficients = zeros();
+      coefficients[i] = 1;
+      rows.push({ coefficients, type: 'ge', value: floor.value, group: floor.group, label: floor.label, symbol: company.symbol });
+    }
+    if (isSet(limits.max) && Number(limits.max) < 100) {
+      const coefficients = zeros();
+      coefficients[i] = 1;
+      const max = Number(limits.max) / 100;
+      rows.push({ coefficients, type: 'le', value: max, group: 'asset-max', label: `${company.symbol} at most ${pct(max)}`, symbol: company.symbol });
+    }
+  });
+
+  Object.entries(constraints.sectorCaps || {}).forEach(([sector, cap]) => {
+    if (!isSet(cap)) return;
+    const coefficients = zeros();
+    companies.forEach((company, i) => { if ((company.sector || 'Unknown') === sector) coefficients[i] = 1; });
+    if (coefficients.every(v => v === 0)) return;
+    rows.push({ coefficients, type: 'le', value: Number(cap) / 100, group: 'sector', label: `${sector} at most ${pct(Number(cap) / 100)}`, sector });
+  });
+
+  if (isSet(constraints.maxBeta)) {
+    const coefficients = zeros();
+    companies.forEach((company, i) => { coefficients[i] = Number.isFinite(company.beta) ? company.beta : 1; });
+    rows.push({ coefficients, type: 'le', value: Number(constraints.maxBeta), group: 'beta', label: `Beta at most ${Number(constraints.maxBeta).toFixed(2)}` });
+  }
+
+  if (useTurnover) {
+    companies.forEach((company, i) => {
+      const current = currentWeights[company.symbol] || 0;
+      const above = zeros();
+      above[i] = 1;
+      above[n + i] = -1;
+      const below = zeros();
+      below[i] = -1;
+      below[n + i] = -1;
+      rows.push({ coefficients: above, type: 'le', value: current, group: 'turnover-link' });
+      rows.push({ coefficients: below, type: 'le', value: -current, group: 'turnover-link' });
+    });
+    const total = zeros();
+    for (let i = 0; i < n; i++) total[n + i] = 1;
+    const limit = Number(constraints.maxTurnover) / 100;
+    rows.push({ coefficients: total, type: 'le', value: 2 * limit, group: 'turnover', label: `Turnover at most ${pct(limit)}` });
+  }
+
+  return { rows, size, useTurnover };
+}
+
+const GROUP_NAMES = {
+  'asset-min': 'the minimum weights',
+  'asset-max': 'the maximum weights',
+  'must-include': 'the must-include symbols',
+  holdings: 'the minimum number of holdings',
+  sector: 'the sector caps',
+  beta: 'the beta limit',
+  turnover: 'the turnover limit'
+};
+
+const isFeasible = (rows, size) => solveLinearProgram(Array(size).fill(0), rows).status !== 'infeasible';
+
+/**
+ * Plain-language reasons why no portfolio satisfies the constraints
+ */
+function explainInfeasibility(companies, constraints, currentWeights, forcedHoldings = []) {
+  const { rows, size } = buildConstraintRows(companies, constraints, currentWeights, forcedHoldings);
+  const reasons = [];
+  const floorOf = (symbol) => Math.max(0, ...rows.filter(r => r.type === 'ge' && r.symbol === symbol).map(r => r.value));
+  const capOf = (symbol) => Math.min(1, ...rows.filter(r => r.group === 'asset-max' && r.symbol === symbol).map(r => r.value));
+
+  companies.forEach(({ symbol }) => {
+    if (floorOf(symbol) > capOf(symbol) + TOLERANCE) {
+      reasons.push(`${symbol} has to be at least ${pct(floorOf(symbol))} but at most ${pct(capOf(symbol))}.`);
+    }
+  });
+
+  const floorTotal = companies.reduce((sum, c) => sum + floorOf(c.symbol), 0);
+  if (floorTotal > 1 + TOLERANCE) {
+    reasons.push(`The minimum weights add up to ${pct(floorTotal)}, more than the whole portfolio.`);
+  }
+  const capTotal = companies.reduce((sum, c) => sum + capOf(c.symbol), 0);
+  if (capTotal < 1 - TOLERANCE) {
+    reasons.push(`The maximum weights only add up to ${pct(capTotal)}, so the portfolio can't be fully invested.`);
+  }
+
+  const sectorRows = rows.filter(r => r.group === 'sector');
+  sectorRows.forEach(row => {
+    const members = companies.filter((_, i) => row.coefficients[i] === 1);
+    const sectorFloor = members.reduce((sum, c) => sum + floorOf(c.symbol), 0);
+    if (sectorFloor > row.value + TOLERANCE) {
+      const floored = members.filter(c => floorOf(c.symbol) > 0).map(c => c.symbol);
+      reasons.push(`The minimums for ${listSymbols(floored)} put ${pct(sectorFloor)} in ${row.sector}, above its ${pct(row.value)} cap.`);
+    }
+  });
+  if (sectorRows.length > 0) {
+    const capacity = companies.reduce((sum, company, i) => {
+      const sectorRow = sectorRows.find(r => r.coefficients[i] === 1);
+      return sectorRow ? sum : sum + capOf(company.symbol);
+    }, 0) + sectorRows.reduce((sum, row) => (
+      sum + Math.min(row.value, companies.reduce((s, c, i) => s + (row.coefficients[i] === 1 ? capOf(c.symbol) : 0), 0))
+    ), 0);
+    if (capacity < 1 - TOLERANCE && capTotal >= 1 - TOLERANCE) {
+      reasons.push(`With the sector caps, at most ${pct(capacity)} of the portfolio can be invested.`);
+    }
+  }
+
+  const minHoldings = isSet(constraints.minHoldings) ? Number(constraints.minHoldings) : 0;
+  const eligible = companies.filter(c => capOf(c.symbol) >= MIN_HOLDING_WEIGHT).length;
+  if (minHoldings > companies.length) {
+    reasons.push(`You asked for at least ${minHoldings} holdings, but this analysis has ${companies.length} symbols.`);
+  } else if (minHoldings > eligible) {
+    reasons.push(`You asked for at least ${minHoldings} holdings, but the maximum weights leave only ${eligible} symbols able to hold ${pct(MIN_HOLDING_WEIGHT)} or more.`);
+  }
+
+  // Limits that can be measured: how close the other constraints let us get
+  const without = (group) => rows.filter(r => r.group !== group);
+  const betaRow = rows.find(r => r.group === 'beta');
+  if (betaRow && isFeasible(without('beta'), size)) {
+    const lowest = solveLinearProgram(betaRow.coefficients, without('beta'));
+    const lowestBeta = lowest.x ? dot(betaRow.coefficients, lowest.x) : null;
+    if (lowestBeta !== null && lowestBeta > betaRow.value + TOLERANCE) {
+      reasons.push(`The lowest beta your other limits allow is ${lowestBeta.toFixed(2)}, above your maximum of ${betaRow.value.toFixed(2)}.`);
+    }
+  }
+  const turnoverRow = rows.find(r => r.group === 'turnover');
+  if (turnoverRow && isFeasible(without('turnover'), size)) {
+    const lowest = solveLinearProgram(turnoverRow.coefficients, without('turnover'));
+    const lowestTurnover = lowest.x ? dot(turnoverRow.coefficients, lowest.x) / 2 : null;
+    if (lowestTurnover !== null && lowestTurnover > turnoverRow.value / 2 + TOLERANCE) {
+      reasons.push(`Meeting your other limits means trading at least ${pct(lowestTurnover)} of the portfolio, more than the ${pct(turnoverRow.value / 2)} turnover limit.`);
+    }
+  }
+
+  if (reasons.length === 0) {
+    const groups = [...new Set(rows.map(r => r.group))].filter(group => GROUP_NAMES[group]);
+    const culprits = groups.filter(group => isFeasible(without(group), size)).map(group => GROUP_NAMES[group]);
+    reasons.push(culprits.length > 0
+      ? `These limits can't all be met together. Loosening ${culprits.length === 1 ? culprits[0] : `any of ${listSymbols(culprits)}`} would make them workable.`
+      : "These limits can't all be met together. Try loosening several of them.");
+  }
+  return reasons;
+}
+
+/**
+ * Optimize within user-defined constraints
+ *
+ * @param {Object} options
+ * @param {Array} options.companies - Holdings (symbol, sector, beta, expected_return, risk in %)
+ * @param {Array<Array<number>>} options.covMatrix - Σ (decimals)
+ * @param {Object} options.constraints - See DEFAULT_CONSTRAINTS
+ * @param {Object} options.currentWeights - currentHoldingWeights(...), needed for the turnover limit
+ * @returns {Object} {
+ *   feasible, weights (decimals) | null, objective, explanations: string[],
+ *   binding: string[], forcedHoldings: string[], turnover (decimal) | null, notes: string[]
+ * }
+ */
+export function solveConstrainedPortfolio({ companies = [], covMatrix, constraints = {}, currentWeights = null }) {
+  const n = companies.length;
+  const notes = [];
+  let objective = CONSTRAINED_OBJECTIVES[constraints.objective] ? constraints.objective : 'max_sharpe';
+  if (isSet(constraints.maxTurnover) && !currentWeights) {
+    notes.push("You don't hold any of these symbols yet, so the turnover limit doesn't apply.");
+  }
+
+  const minHoldings = isSet(constraints.minHoldings) ? Number(constraints.minHoldings) : 0;
+  const excess = companies.map(c => (c.expected_return - RISK_FREE_RATE) / 100);
+  const forcedHoldings = [];
+
+  for (let attempt = 0; attempt <= n; attempt++) {
+    const { rows, size, useTurnover } = buildConstraintRows(companies, constraints, currentWeights, forcedHoldings);
+    const feasiblePoint = solveLinearProgram(Array(size).fill(0), rows);
+    if (feasiblePoint.status === 'infeasible') {
+      return {
+        feasible: false,
+        weights: null,
+        objective,
+        explanations: explainInfeasibility(companies, constraints, currentWeights, forcedHoldings),
+        binding: [],
+        forcedHoldings,
+        turnover: null,
+        notes
+      };
+    }
+
+    const asInequalities = rows.filter(r => r.type !== 'eq').map(r => (r.type === 'le'
+      ? { coefficients: r.coefficients, value: r.value }
+      : { coefficients: r.coefficients.map(v => -v), value: -r.value }));
+    const equalities = rows.filter(r => r.type === 'eq').map(r => ({ coefficients: r.coefficients, value: r.value }));
+
+    let x = null;
+    if (objective === 'max_sharpe') {
+      // Start from the feasible portfolio with the highest expected excess return
+      const excessCost = Array.from({ length: size }, (_, j) => (j < n ? -excess[j] : 0));
+      const best = solveLinearProgram(excessCost, rows);
+      const bestExcess = best.x ? dot(excess, best.x.slice(0, n)) : 0;
+      if (bestExcess > 1e-6) {
+        const z = size + 1; // [y, s, κ]
+        const G = Array.from({ length: z }, (_, i) => Array.from({ length: z }, (_, j) => (
+          i < n && j < n ? covMatrix[i][j] + (i === j ? RIDGE : 0) : (i === j ? RIDGE : 0)
+        )));
+        const homogenize = ({ coefficients, value }) => ({ coefficients: [...coefficients, -value], value: 0 });
+        const nonNegative = Array.from({ length: z }, (_, j) => {
+          const coefficients = Array(z).fill(0);
+          coefficients[j] = -1;
+          return { coefficients, value: 0 };
+        });
+        const scaled = solveQuadraticProgram(
+          G,
+          [
+            ...equalities.map(homogenize),
+            { coefficients: [...Array.from({ length: size }, (_, j) => (j < n ? excess[j] : 0)), 0], value: 1 }
+          ],
+          [...asInequalities.map(homogenize), ...nonNegative],
+          [...best.x.map(v => v / bestExcess), 1 / bestExcess]
+        );
+        const kappa = scaled[z - 1];
+        if (kappa > TOLERANCE) x = scaled.slice(0, size).map(v => v / kappa);
+      } else {
+        notes.push('No portfolio within these limits is expected to beat the risk-free rate, so the lowest-risk portfolio is shown instead.');
+        objective = 'min_variance';
+      }
+    }
+
+    if (!x) {
+      const G = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (
+        i < n && j < n ? covMatrix[i][j] + (i === j ? RIDGE : 0) : (i === j ? RIDGE : 0)
+      )));
+      const nonNegative = Array.from({ length: size }, (_, j) => {
+        const coefficients = Array(size).fill(0);
+        coefficients[j] = -1;
+        return { coefficients, value: 0 };
+      });
+      x = solveQuadraticProgram(G, equalities, [...asInequalities, ...nonNegative], feasiblePoint.x);
+    }
+
+    let weights = x.slice(0, n).map(w => Math.max(0, w));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    weights = weights.map(w => w / total);
+
+    // Minimum number of holdings: lift the largest sub-threshold positions and re-solve
+    const held = weights.filter(w => w >= MIN_HOLDING_WEIGHT - 1e-6).length;
+    if (held < minHoldings && minHoldings <= n) {
+      const candidates = companies
+        .map((company, i) => ({
+          symbol: company.symbol,
+          weight: weights[i],
+          sharpe: excess[i] / (company.risk || 1),
+          cap: isSet(constraints.assetLimits?.[company.symbol]?.max) ? Number(constraints.assetLimits[company.symbol].max) / 100 : 1
+        }))
+        .filter(c => c.weight < MIN_HOLDING_WEIGHT - 1e-6 && c.cap >= MIN_HOLDING_WEIGHT && !forcedHoldings.includes(c.symbol))
+        .sort((a, b) => b.weight - a.weight || b.sharpe - a.sharpe);
+      if (candidates.length > 0) {
+        forcedHoldings.push(...candidates.slice(0, minHoldings - held).map(c => c.symbol));
+        continue;
+      }
+    }
+    if (held < minHoldings) {
+      return {
+        feasible: false,
+        weights: null,
+        objective,
+        explanations: explainInfeasibility(companies, constraints, currentWeights, forcedHoldings),
+        binding: [],
+        forcedHoldings,
+        turnover: null,
+        notes
+      };
+    }
+
+    const xAtWeights = useTurnover
+      ? [...weights, ...companies.map((c, i) => Math.abs(weights[i] - (currentWeights[c.symbol] || 0)))]
+      : weights;
+    const binding = rows
+      .filter(r => r.label && r.group !== 'budget' && r.group !== 'turnover-link')
+      .filter(r => Math.abs(dot(r.coefficients, xAtWeights) - r.value) < 1e-5)
+      .map(r => r.label);
+
+    return {
+      feasible: true,
+      weights,
+      objective,
+      explanations: [],
+      binding,
+      forcedHoldings,
+      turnover: currentWeights
+        ? companies.reduce((sum, c, i) => sum + Math.abs(weights[i] - (currentWeights[c.symbol] || 0)), 0) / 2
+        : null,
+      notes
+    };
+  }
+
+  return {
+    feasible: false,
+    weights: null,
+    objective,
+    explanations: explainInfeasibility(companies, constraints, currentWeights, forcedHoldings),
+    binding: [],
+    forcedHoldings,
+    turnover: null,
+    notes
+  };
+}
+
+/**
+ * Load saved constraints
+ */
+export function loadConstraints(userId = localStorage.getItem('user_id')) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)) || 'null');
+    return saved && typeof saved === 'object' ? { ...DEFAULT_CONSTRAINTS, ...saved } : { ...DEFAULT_CONSTRAINTS };
+  } catch {
+    return { ...DEFAULT_CONSTRAINTS };
+  }
+}
+
+/**
+ * Save constraints for the next analysis
+ */
+export function saveConstraints(userId, constraints) {
+  localStorage.setItem(storageKey(userId), JSON.stringify(constraints));
+  return constraints;
+}
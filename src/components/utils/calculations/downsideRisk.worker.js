@@ -0,0 +1,18 @@
+/**
+ * Downside-risk optimization off the main thread
+ * The scenario search takes from under half a second to several seconds as
+ * the asset count grows, long enough to freeze the page if run inline.
+ *
+ * Message in:  { companies, options } - see optimizeDownsideRiskPortfolios
+ * Message out: { result } or { error }
+ */
+
+import { optimizeDownsideRiskPortfolios } from "./portfolioOptimization";
+
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ result: optimizeDownsideRiskPortfolios(data.companies, data.options) });
+  } catch (error) {
+    self.postMessage({ error: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,321 @@
+/**
+ * Downside-Risk Optimization
+ *
+ * Long-only portfolios chosen by how they lose money rather than by variance,
+ * which penalizes upside and downside swings alike. Every objective is scored
+ * on one fixed set of simulated scenarios, so different weights are compared on
+ * identical market paths and the search is deterministic.
+ *
+ * References:
+ * - Rockafellar & Uryasev (2000): Optimization of Conditional Value-at-Risk
+ * - Sortino & van der Meer (1991): Downside Risk
+ * - Chekhlov, Uryasev & Zabarankin (2005): Drawdown Measure in Portfolio Optimization
+ *
+ * Conventions:
+ * - Scenarios are monthly asset returns (decimals) shaped paths[path][month][asset],
+ *   as produced by simulateAssetReturnPaths: normal shocks correlated through a
+ *   Cholesky factor, drawn from a seeded generator; portfolios rebalance monthly
+ * - CVaR 95% is the average of the worst 5% of 12-month returns across every
+ *   path-year, as a decimal return (negative = loss)
+ * - Sortino counts monthly shortfalls below the risk-free rate and annualizes
+ *   (mean × 12, downside deviation × √12)
+ * - Drawdown is each path's largest peak-to-trough fall, averaged across paths
+ *   (negative decimal); the worst drawdown is the 5th percentile across paths
+ * - Search: pairwise weight transfers with shrinking step sizes, within
+ *   per-asset upper bounds; a local search, not an exact solver
+ */
+
+import { RISK_FREE_RATE } from "./financialMath";
+
+export const CVAR_CONFIDENCE = 0.95;
+
+export const DEFAULT_DOWNSIDE_SCENARIOS = {
+  years: 3,
+  simulations: 400,
+  seed: 1991
+};
+
+export const DOWNSIDE_OBJECTIVES = {
+  min_cvar: {
+    label: 'Min CVaR 95%',
+    description: 'Smallest average loss in the worst 5% of simulated years'
+  },
+  max_sortino: {
+    label: 'Max Sortino',
+    description: 'Highest return per unit of downside deviation below the risk-free rate'
+  },
+  min_drawdown: {
+    label: 'Min Drawdown',
+    description: 'Smallest average peak-to-trough fall across simulated paths'
+  }
+};
+
+const STEP_SIZES = [0.1, 0.05, 0.025, 0.01, 0.005, 0.0025, 0.001];
+const MAX_PASSES_PER_STEP = 200;
+const IMPROVEMENT_TOLERANCE = 1e-10;
+
+/**
+ * Seeded uniform generator (mulberry32) so simulated paths are repeatable
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller transform)
+ * @param {Function} random - Uniform generator
+ * @returns {number} N(0, 1) sample
+ */
+export function randomNormal(random) {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Lower-triangular Cholesky factor of a correlation matrix. Estimated matrices
+ * that are not quite positive definite get a small diagonal boost and a retry.
+ * @param {Array<Array<number>>} matrix - Symmetric correlation matrix
+ * @returns {Array<Array<number>>} L with L·Lᵀ ≈ matrix
+ */
+function choleskyFactor(matrix) {
+  const n = matrix.length;
+  for (let jitter = 0; jitter <= 0.5; jitter = jitter === 0 ? 1e-6 : jitter * 10) {
+    const L = Array(n).fill(0).map(() => Array(n).fill(0));
+    let positiveDefinite = true;
+    for (let i = 0; i < n && positiveDefinite; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = i === j ? matrix[i][i] + jitter : matrix[i][j];
+        for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+        if (i === j) {
+          if (sum <= 0) { positiveDefinite = false; break; }
+          L[i][i] = Math.sqrt(sum);
+        } else {
+          L[i][j] = sum / L[j][j];
+        }
+      }
+    }
+    if (positiveDefinite) {
+      // Rescale rows so each asset keeps unit variance after the boost
+      return L.map(row => {
+        const norm = Math.sqrt(row.reduce((sum, v) => sum + v * v, 0));
+        return row.map(v => v / norm);
+      });
+    }
+  }
+  // Fall back to independent assets
+  return Array(n).fill(0).map((_, i) => Array(n).fill(0).map((__, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Simulate correlated monthly returns for each asset, using the same monthly
+ * step as runMonteCarloSimulation in usePortfolioCalculations (μ/12 drift, σ/√12 shock).
+ * Pass the result to runMonteCarloSimulation as `assetPaths` to value any set
+ * of weights on identical scenarios.
+ * @param {Array} companiesData - Array of company objects (expected_return, risk in %)
+ * @param {number} years - Number of years
+ * @param {number} simulations - Number of simulation paths
+ * @param {Object} options - { correlationMatrix (default identity), seed (omit for Math.random) }
+ * @returns {Array<Array<Array<number>>>} paths[simulation][month][asset] monthly returns (decimal)
+ */
+export function simulateAssetReturnPaths(companiesData, years = 5, simulations = 1000, options = {}) {
+  if (!companiesData || companiesData.length === 0) return [];
+  const { correlationMatrix = null, seed = null } = options;
+  const n = companiesData.length;
+  const random = Number.isFinite(seed) ? createSeededRandom(seed) : Math.random;
+  const L = correlationMatrix ? choleskyFactor(correlationMatrix) : null;
+  const monthlyReturns = companiesData.map(c => (c.expected_return || 0) / 100 / 12);
+  const monthlyStdDevs = companiesData.map(c => (c.risk || 18) / 100 / Math.sqrt(12));
+  const monthsTotal = years * 12;
+
+  return Array(simulations).fill(0).map(() => {
+    const path = [];
+    for (let month = 0; month < monthsTotal; month++) {
+      const z = Array(n).fill(0).map(() => randomNormal(random));
+      path.push(monthlyReturns.map((mu, i) => {
+        const shock = L ? L[i].reduce((sum, l, k) => sum + l * z[k], 0) : z[i];
+        return mu + monthlyStdDevs[i] * shock;
+      }));
+    }
+    return path;
+  });
+}
+
+/**
+ * Lay scenarios out as one contiguous column of monthly returns per asset
+ */
+function assetColumns(assetPaths) {
+  const paths = assetPaths.length;
+  const months = paths > 0 ? assetPaths[0].length : 0;
+  const n = months > 0 ? assetPaths[0][0].length : 0;
+  const columns = Array.from({ length: n }, () => new Float64Array(paths * months));
+  assetPaths.forEach((path, p) => {
+    path.forEach((returns, m) => {
+      returns.forEach((r, i) => { columns[i][p * months + m] = r; });
+    });
+  });
+  return { columns, paths, months };
+}
+
+function weightedSeries(columns, weights, length) {
+  const series = new Float64Array(length);
+  columns.forEach((column, i) => {
+    const w = weights[i] || 0;
+    if (w === 0) return;
+    for (let k = 0; k < length; k++) series[k] += w * column[k];
+  });
+  return series;
+}
+
+/**
+ * Average of the worst (1 − confidence) share of 12-month returns
+ */
+function conditionalValueAtRisk(series, paths, months) {
+  const block = Math.min(12, months);
+  const blocksPerPath = Math.floor(months / block);
+  const outcomes = new Float64Array(paths * blocksPerPath);
+  for (let p = 0; p < paths; p++) {
+    for (let b = 0; b < blocksPerPath; b++) {
+      let growth = 1;
+      const start = p * months + b * block;
+      for (let m = 0; m < block; m++) growth *= 1 + series[start + m];
+      outcomes[p * blocksPerPath + b] = growth - 1;
+    }
+  }
+  outcomes.sort();
+  const tail = Math.max(1, Math.ceil(outcomes.length * (1 - CVAR_CONFIDENCE)));
+  let sum = 0;
+  for (let k = 0; k < tail; k++) sum += outcomes[k];
+  return sum / tail;
+}
+
+function sortinoRatio(series) {
+  const monthlyRiskFree = RISK_FREE_RATE / 100 / 12;
+  let sum = 0;
+  let shortfall = 0;
+  for (let k = 0; k < series.length; k++) {
+    sum += series[k];
+    const below = Math.min(0, series[k] - monthlyRiskFree);
+    shortfall += below * below;
+  }
+  const excess = (sum / series.length - monthlyRiskFree) * 12;
+  const downsideDeviation = Math.sqrt(shortfall / series.length) * Math.sqrt(12);
+  return excess / Math.max(downsideDeviation, 1e-9);
+}
+
+function pathDrawdowns(series, paths, months) {
+  const drawdowns = new Float64Array(paths);
+  for (let p = 0; p < paths; p++) {
+    let value = 1;
+    let peak = 1;
+    let worst = 0;
+    for (let m = 0; m < months; m++) {
+      value *= 1 + series[p * months + m];
+      if (value > peak) peak = value;
+      const drawdown = (value - peak) / peak;
+      if (drawdown < worst) worst = drawdown;
+    }
+    drawdowns[p] = worst;
+  }
+  return drawdowns;
+}
+
+function averageMaxDrawdown(series, paths, months) {
+  return pathDrawdowns(series, paths, months).reduce((sum, d) => sum + d, 0) / paths;
+}
+
+// Lower is better for every objective
+const LOSS_FUNCTIONS = {
+  min_cvar: (series, paths, months) => -conditionalValueAtRisk(series, paths, months),
+  max_sortino: (series) => -sortinoRatio(series),
+  min_drawdown: (series, paths, months) => -averageMaxDrawdown(series, paths, months)
+};
+
+/**
+ * CVaR, Sortino ratio and drawdowns of fixed weights on the given scenarios
+ *
+ * @param {Array} assetPaths - paths[path][month][asset] monthly returns (decimals)
+ * @param {number[]} weights - Decimals summing to 1
+ * @returns {Object} { cvar_95, sortino_ratio, max_drawdown, worst_drawdown } (decimals except Sortino)
+ */
+export function downsideRiskMetrics(assetPaths, weights) {
+  const { columns, paths, months } = assetColumns(assetPaths);
+  if (paths === 0 || months === 0) return { cvar_95: 0, sortino_ratio: 0, max_drawdown: 0, worst_drawdown: 0 };
+  const series = weightedSeries(columns, weights, paths * months);
+  const drawdowns = pathDrawdowns(series, paths, months).sort();
+  return {
+    cvar_95: conditionalValueAtRisk(series, paths, months),
+    sortino_ratio: sortinoRatio(series),
+    max_drawdown: drawdowns.reduce((sum, d) => sum + d, 0) / paths,
+    worst_drawdown: drawdowns[Math.floor(paths * 0.05)]
+  };
+}
+
+/**
+ * Weights that best meet a downside objective on the given scenarios
+ *
+ * Starts from equal weights and repeatedly moves the single transfer between
+ * two assets that most improves the objective, shrinking the transfer size
+ * when no move helps.
+ *
+ * @param {Array} assetPaths - paths[path][month][asset] monthly returns (decimals)
+ * @param {string} objective - Key of DOWNSIDE_OBJECTIVES
+ * @param {Object} options - { upperBounds } per-asset maximum weight (default 1)
+ * @returns {number[]} Weights, or [] without scenarios
+ */
+export function optimizeDownsideWeights(assetPaths, objective, { upperBounds } = {}) {
+  const loss = LOSS_FUNCTIONS[objective];
+  if (!loss) throw new Error(`Unknown downside objective: ${objective}`);
+  const { columns, paths, months } = assetColumns(assetPaths);
+  const n = columns.length;
+  if (paths === 0 || months === 0 || n === 0) return [];
+
+  // Equal weights always sit within caps of at least 1/n
+  const upper = Array.from({ length: n }, (_, i) => Math.max(1 / n, Math.min(1, upperBounds?.[i] ?? 1)));
+  const weights = Array(n).fill(1 / n);
+  const length = paths * months;
+  const series = weightedSeries(columns, weights, length);
+  let current = loss(series, paths, months);
+  const candidate = new Float64Array(length);
+
+  STEP_SIZES.forEach(step => {
+    for (let pass = 0; pass < MAX_PASSES_PER_STEP; pass++) {
+      let best = null;
+      for (let from = 0; from < n; from++) {
+        const size = Math.min(step, weights[from]);
+        if (size < 1e-9) continue;
+        for (let to = 0; to < n; to++) {
+          if (to === from) continue;
+          const move = Math.min(size, upper[to] - weights[to]);
+          if (move < 1e-9) continue;
+          const fromColumn = columns[from];
+          const toColumn = columns[to];
+          for (let k = 0; k < length; k++) candidate[k] = series[k] + move * (toColumn[k] - fromColumn[k]);
+          const value = loss(candidate, paths, months);
+          if (value < (best ? best.value : current) - IMPROVEMENT_TOLERANCE) {
+            best = { from, to, move, value };
+          }
+        }
+      }
+      if (!best) break;
+      weights[best.from] -= best.move;
+      weights[best.to] += best.move;
+      const fromColumn = columns[best.from];
+      const toColumn = columns[best.to];
+      for (let k = 0; k < length; k++) series[k] += best.move * (toColumn[k] - fromColumn[k]);
+      current = best.value;
+    }
+  });
+
+  const total = weights.reduce((sum, w) => sum + Math.max(0, w), 0);
+  return weights.map(w => Math.max(0, w) / total);
+}
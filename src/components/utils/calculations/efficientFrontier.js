@@ -0,0 +1,221 @@
+/**
+ * Efficient Frontier
+ *
+ * Long-only minimum-variance portfolios across target returns. The closed-form
+ * optimizers in portfolioOptimization.js clip negative weights after solving,
+ * which lands near the frontier but not on it; here each point solves the
+ * constrained problem exactly.
+ *
+ * References:
+ * - Markowitz (1952): Portfolio Selection
+ * - Merton (1972): An Analytic Derivation of the Efficient Portfolio Frontier
+ * - Nocedal & Wright (2006): Numerical Optimization, §16.5 (active-set methods
+ *   for convex quadratic programs)
+ *
+ * Conventions:
+ * - Returns and covariances are decimals; weights sum to 1
+ * - Problem:  minimize wᵀΣw  subject to  Σw = 1,  μᵀw = target,  l ≤ w ≤ u
+ *   (bounds default to 0 and 1; the return constraint is optional)
+ * - The frontier runs from the minimum-variance portfolio to the highest
+ *   attainable return; points below the minimum-variance return are inefficient
+ */
+
+import { solveLinearSystem } from "./financialMath";
+
+export const DEFAULT_FRONTIER_POINTS = 30;
+
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-10;
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+/**
+ * Fill the budget left after the lower bounds, best-first in `order`, up to each upper bound
+ */
+function greedyFill(order, lower, upper) {
+  const weights = [...lower];
+  let remaining = 1 - lower.reduce((sum, w) => sum + w, 0);
+  order.forEach(i => {
+    const add = Math.min(upper[i] - lower[i], Math.max(0, remaining));
+    weights[i] += add;
+    remaining -= add;
+  });
+  return weights;
+}
+
+const resolveBounds = (n, lowerBounds, upperBounds) => ({
+  lower: Array.from({ length: n }, (_, i) => Math.max(0, Number(lowerBounds?.[i]) || 0)),
+  upper: Array.from({ length: n }, (_, i) => Math.min(1, Number.isFinite(Number(upperBounds?.[i])) ? Number(upperBounds[i]) : 1))
+});
+
+/**
+ * Lowest and highest return a fully invested portfolio can reach within the bounds
+ *
+ * @param {number[]} expectedReturns - Decimals
+ * @param {Object} options - { lowerBounds, upperBounds }
+ * @returns {Object|null} { min, max, minWeights, maxWeights }, or null when the bounds cannot sum to 1
+ */
+export function feasibleReturnRange(expectedReturns, { lowerBounds, upperBounds } = {}) {
+  const n = expectedReturns.length;
+  const { lower, upper } = resolveBounds(n, lowerBounds, upperBounds);
+  const lowerSum = lower.reduce((sum, w) => sum + w, 0);
+  const upperSum = upper.reduce((sum, w) => sum + w, 0);
+  if (n === 0 || lowerSum > 1 + 1e-9 || upperSum < 1 - 1e-9 || lower.some((l, i) => l > upper[i] + 1e-12)) return null;
+
+  const ascending = expectedReturns.map((_, i) => i).sort((a, b) => expectedReturns[a] - expectedReturns[b]);
+  const minWeights = greedyFill(ascending, lower, upper);
+  const maxWeights = greedyFill([...ascending].reverse(), lower, upper);
+  return {
+    min: dot(minWeights, expectedReturns),
+    max: dot(maxWeights, expectedReturns),
+    minWeights,
+    maxWeights
+  };
+}
+
+/**
+ * Minimum-variance weights, optionally at a target return (primal active-set method)
+ *
+ * @param {Array<Array<number>>} covMatrix - Σ (decimals)
+ * @param {Object} options
+ * @param {number[]} options.expectedReturns - μ; required with targetReturn
+ * @param {number} options.targetReturn - Decimal; omit for the global minimum-variance portfolio
+ * @param {number[]} options.lowerBounds - Per-asset minimum weight (default 0)
+ * @param {number[]} options.upperBounds - Per-asset maximum weight (default 1)
+ * @returns {number[]|null} Weights, or null when no portfolio satisfies the constraints
+ */
+export function minimumVarianceWeights(covMatrix, { expectedReturns, targetReturn, lowerBounds, upperBounds } = {}) {
+  const n = covMatrix.length;
+  const useTarget = Number.isFinite(targetReturn) && Array.isArray(expectedReturns);
+  const mu = expectedReturns || Array(n).fill(0);
+  const { lower, upper } = resolveBounds(n, lowerBounds, upperBounds);
+  const range = feasibleReturnRange(mu, { lowerBounds: lower, upperBounds: upper });
+  if (!range) return null;
+
+  // Feasible start: blend of the lowest- and highest-return fills that hits the target
+  let w;
+  if (useTarget) {
+    if (targetReturn < range.min - 1e-9 || targetReturn > range.max + 1e-9) return null;
+    const theta = range.max - range.min > TOLERANCE ? (targetReturn - range.min) / (range.max - range.min) : 0;
+    w = range.minWeights.map((lo, i) => (1 - theta) * lo + theta * range.maxWeights[i]);
+  } else {
+    const span = upper.map((u, i) => u - lower[i]);
+    const spanSum = span.reduce((sum, s) => sum + s, 0);
+    const budget = 1 - lower.reduce((sum, l) => sum + l, 0);
+    w = lower.map((l, i) => l + (spanSum > 0 ? budget * span[i] / spanSum : 0));
+  }
+
+  const rows = useTarget ? [Array(n).fill(1), mu] : [Array(n).fill(1)];
+  const rhs = useTarget ? [1, targetReturn] : [1];
+
+  // Working set: assets held at a bound ('lower' or 'upper')
+  const working = new Map();
+  w.forEach((wi, i) => {
+    if (upper[i] - lower[i] < TOLERANCE || wi <= lower[i] + TOLERANCE) working.set(i, 'lower');
+    else if (wi >= upper[i] - TOLERANCE) working.set(i, 'upper');
+  });
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const free = w.map((_, i) => i).filter(i => !working.has(i));
+    const fixed = [...working.keys()];
+
+    // Equality-constrained subproblem over the free assets:
+    // [Σ_FF  A_Fᵀ] [x]   [−Σ_FW w_W      ]
+    // [A_F    0  ] [y] = [b − A_W w_W    ]
+    const size = free.length + rows.length;
+    const kkt = Array.from({ length: size }, () => Array(size).fill(0));
+    const kktRhs = Array(size).fill(0);
+    free.forEach((i, a) => {
+      free.forEach((j, b) => { kkt[a][b] = covMatrix[i][j]; });
+      rows.forEach((row, k) => {
+        kkt[a][free.length + k] = row[i];
+        kkt[free.length + k][a] = row[i];
+      });
+      kktRhs[a] = -fixed.reduce((sum, j) => sum + covMatrix[i][j] * w[j], 0);
+    });
+    rows.forEach((row, k) => {
+      kktRhs[free.length + k] = rhs[k] - fixed.reduce((sum, j) => sum + row[j] * w[j], 0);
+    });
+
+    let solution;
+    try {
+      solution = solveLinearSystem(kkt, kktRhs);
+    } catch {
+      // Too few free assets to satisfy the equalities: release one bound and retry
+      if (fixed.length === 0) break;
+      working.delete(fixed[0]);
+      continue;
+    }
+
+    const step = free.map((i, a) => solution[a] - w[i]);
+    if (step.every(p => Math.abs(p) < 1e-12)) {
+      // Stationary: a bound whose multiplier has the wrong sign should be released
+      const lambda = rows.map((_, k) => -solution[free.length + k]);
+      const gradient = covMatrix.map(row => dot(row, w));
+      let release = -1;
+      let worst = -1e-12;
+      fixed.forEach(i => {
+        const multiplier = gradient[i] - rows.reduce((sum, row, k) => sum + row[i] * lambda[k], 0);
+        const signed = working.get(i) === 'lower' ? multiplier : -multiplier;
+        if (signed < worst && upper[i] - lower[i] >= TOLERANCE) {
+          worst = signed;
+          release = i;
+        }
+      });
+      if (release === -1) break;
+      working.delete(release);
+      continue;
+    }
+
+    // Longest step that keeps every free weight inside its bounds
+    let alpha = 1;
+    let blocking = null;
+    free.forEach((i, a) => {
+      const p = step[a];
+      if (p < -1e-15) {
+        const ratio = (lower[i] - w[i]) / p;
+        if (ratio < alpha) { alpha = ratio; blocking = [i, 'lower']; }
+      } else if (p > 1e-15) {
+        const ratio = (upper[i] - w[i]) / p;
+        if (ratio < alpha) { alpha = ratio; blocking = [i, 'upper']; }
+      }
+    });
+    alpha = Math.max(0, alpha);
+    free.forEach((i, a) => { w[i] += alpha * step[a]; });
+    if (blocking) {
+      const [i, bound] = blocking;
+      w[i] = bound === 'lower' ? lower[i] : upper[i];
+      working.set(i, bound);
+    }
+  }
+
+  return w.map((wi, i) => Math.min(upper[i], Math.max(lower[i], wi)));
+}
+
+/**
+ * Trace the efficient frontier from the minimum-variance portfolio to the highest attainable return
+ *
+ * @param {Array<Array<number>>} covMatrix - Σ (decimals)
+ * @param {number[]} expectedReturns - μ (decimals)
+ * @param {Object} options - { points, lowerBounds, upperBounds }
+ * @returns {Array} [{ weights, expectedReturn, variance }] in increasing return, or [] when infeasible
+ */
+export function traceEfficientFrontier(covMatrix, expectedReturns, { points = DEFAULT_FRONTIER_POINTS, lowerBounds, upperBounds } = {}) {
+  const bounds = { lowerBounds, upperBounds };
+  const range = feasibleReturnRange(expectedReturns, bounds);
+  const minimumVariance = minimumVarianceWeights(covMatrix, bounds);
+  if (!range || !minimumVariance) return [];
+
+  const variance = (weights) => dot(weights, covMatrix.map(row => dot(row, weights)));
+  const startReturn = dot(minimumVariance, expectedReturns);
+  const frontier = [{ weights: minimumVariance, expectedReturn: startReturn, variance: variance(minimumVariance) }];
+  const steps = Math.max(1, points - 1);
+
+  for (let k = 1; k <= steps; k++) {
+    const target = startReturn + (range.max - startReturn) * (k / steps);
+    if (target - frontier[frontier.length - 1].expectedReturn < 1e-9) continue;
+    const weights = minimumVarianceWeights(covMatrix, { ...bounds, expectedReturns, targetReturn: target });
+    if (weights) frontier.push({ weights, expectedReturn: dot(weights, expectedReturns), variance: variance(weights) });
+  }
+  return frontier;
+}
@@ -173,3 +173,76 @@ export function generateCrisisScenario(baseValue, crashPercent, crashMonths, rec
   
   return path;
 }
+
+/**
+ * Project portfolio value with lognormal confidence bands
+ * Volatility mean-reverts from the current (VIX-scaled) level to an 18%
+ * anchor with a 1.5 year half-life; bands use 1.1σ and 2.2σ multipliers
+ * for fat-tail protection.
+ *
+ * Academic Foundation:
+ * - Samuelson (1965): Rational theory of warrant pricing
+ * - Merton (1969): Lifetime portfolio selection under uncertainty
+ *
+ * @param {number} portfolioReturn - Expected annual return (%)
+ * @param {number} portfolioRisk - Current annual volatility (%)
+ * @param {number} investmentAmount - Initial investment
+ * @param {number} monthlyContribution - Added every month
+ * @param {number} months - Points to project, including month 0
+ * @returns {Array} [{ month, year, expected, median, upper1sigma, lower1sigma, upper2sigma, lower2sigma }]
+ */
+export function projectConfidenceBands(portfolioReturn, portfolioRisk, investmentAmount = 10000, monthlyContribution = 0, months = 121) {
+  const data = [];
+
+  // Convert inputs to numbers safely
+  const initialAnnualReturn = Number(portfolioReturn) / 100;
+  const currentVol = Number(portfolioRisk) / 100;
+
+  // INDUSTRIAL PARAMETERS
+  const longTermVol = 0.18;    // The 'Anchor' volatility (18%)
+  const halfLifeYears = 1.5;   // Period for VIX-driven fear to normalize
+
+  for (let month = 0; month < months; month++) {
+    const t = month / 12; // Time in years
+
+    // 1. DYNAMIC VOLATILITY (Mean-Reversion)
+    // High VIX regimes are temporary. This decays risk back to the anchor.
+    const decayFactor = Math.exp(-t / halfLifeYears);
+    const effectiveVol = (currentVol * decayFactor) + (longTermVol * (1 - decayFactor));
+
+    // 2. VOLATILITY DRAG (The 'u' Drift Adjustment)
+    // Real wealth growth is Median = Return - 0.5 * Variance
+    const drift = initialAnnualReturn - 0.5 * Math.pow(effectiveVol, 2);
+
+    // 3. ARITHMETIC EXPECTED VALUE (The 'Optimistic' Path)
+    let expectedValue = investmentAmount;
+    const monthlyRate = initialAnnualReturn / 12;
+    for (let m = 0; m < month; m++) {
+      expectedValue = expectedValue * (1 + monthlyRate) + monthlyContribution;
+    }
+
+    // 4. LOGNORMAL MEDIAN AND BANDS (The 'Probable' Path)
+    const totalBasis = investmentAmount + (monthlyContribution * month);
+    const median = totalBasis * Math.exp(drift * t);
+
+    // Using 1.1 and 2.2 standard deviation multipliers for 'Fat Tail' protection
+    const upper1sigma = median * Math.exp(1.1 * effectiveVol * Math.sqrt(t));
+    const lower1sigma = median * Math.exp(-1.1 * effectiveVol * Math.sqrt(t));
+
+    const upper2sigma = median * Math.exp(2.2 * effectiveVol * Math.sqrt(t));
+    const lower2sigma = median * Math.exp(-2.2 * effectiveVol * Math.sqrt(t));
+
+    data.push({
+      month,
+      year: parseFloat(t.toFixed(1)),
+      expected: Math.max(0, Math.round(expectedValue)),
+      median: Math.max(0, Math.round(median)),
+      upper1sigma: Math.max(0, Math.round(upper1sigma)),
+      lower1sigma: Math.max(0, Math.round(lower1sigma)),
+      upper2sigma: Math.max(0, Math.round(upper2sigma)),
+      lower2sigma: Math.max(0, Math.round(lower2sigma))
+    });
+  }
+
+  return data;
+}
@@ -127,6 +127,30 @@ export function matrixMultiply(A, B) {
   return result;
 }
 
+/**
+ * Solve A x = b for a small dense system
+ * Gaussian elimination with partial pivoting; throws when A is singular.
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (Math.abs(m[pivot][col]) < 1e-14) throw new Error('Singular matrix');
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const factor = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+    }
+  }
+  const x = Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    x[r] = (m[r][n] - m[r].slice(r + 1, n).reduce((sum, v, j) => sum + v * x[r + 1 + j], 0)) / m[r][r];
+  }
+  return x;
+}
+
 /**
  * Calculate covariance matrix from returns data
  * Input: assets = [{ returns: [...] }, ...]
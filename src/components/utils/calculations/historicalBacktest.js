@@ -0,0 +1,434 @@
+/**
+ * Historical Backtest Engine
+ *
+ * Replays a target allocation through actual daily prices instead of the
+ * expected_return / risk assumptions used by the forward-looking projections.
+ *
+ * References:
+ * - Bacon (2008): Practical Portfolio Performance Measurement and Attribution
+ * - Sharpe (1994): The Sharpe Ratio
+ * - Sortino & Price (1994): Performance Measurement in a Downside Risk Framework
+ * - Magdon-Ismail et al. (2004): Maximum Drawdown
+ *
+ * Conventions:
+ * - Prices are dividend/split-adjusted closes (adjClose / adj_close) when the
+ *   feed has them, raw closes otherwise; the result reports which was used
+ * - Calendar: SPY trading days; a missing close carries the last one forward
+ * - The window never starts before getEarliestCommonDate(symbols), and the
+ *   simulation starts on the first day every holding has a price
+ * - The portfolio is bought at the first close and traded back to target
+ *   weights at the close of the first trading day of each new rebalance
+ *   period. Every trade pays half-spread, square-root market impact and
+ *   broker/regulatory fees from the paper fill model; costs come out of the
+ *   portfolio before the new weights are set
+ * - Sharpe and Sortino use daily returns in excess of RISK_FREE_RATE,
+ *   annualized with √252; Sortino's downside deviation targets the risk-free rate
+ * - Rolling returns of more than one year are annualized
+ */
+
+import { getEarliestCommonDate, validateBacktestPeriod } from "../assetInceptionDates";
+import { halfSpreadBps, marketImpactBps, calculateFees, DEFAULT_DAILY_VOLUME } from "../trading/fillModel";
+import { RISK_FREE_RATE, mean, standardDeviation, round } from "./financialMath";
+import { daysBetween } from "./lotAccounting";
+
+export const BACKTEST_BENCHMARK = 'SPY';
+export const TRADING_DAYS_PER_YEAR = 252;
+
+export const REBALANCE_FREQUENCIES = {
+  none: { label: 'Buy & Hold', description: 'Buy once and let the weights drift' },
+  monthly: { label: 'Monthly', description: 'Back to target on the first trading day of each month' },
+  quarterly: { label: 'Quarterly', description: 'Back to target on the first trading day of each quarter' },
+  annually: { label: 'Annually', description: 'Back to target on the first trading day of each year' }
+};
+
+export const ROLLING_WINDOWS = {
+  '1y': { label: '1-Year', years: 1 },
+  '3y': { label: '3-Year', years: 3 }
+};
+
+export const DEFAULT_BACKTEST_SETTINGS = {
+  initialCapital: 100000,
+  lookbackYears: 10,
+  rebalance: 'quarterly',
+  commissionSchedule: 'zero'
+};
+
+const DAYS_PER_YEAR = 365;
+const QUANTITY_EPSILON = 1e-9;
+const toDateKey = (value) => String(value || '').slice(0, 10);
+
+/**
+ * Adjusted close of a price bar, falling back to the raw close
+ *
+ * @returns {number|null} Positive price, or null when the bar has none
+ */
+export function adjustedClose(bar) {
+  const value = Number(bar?.adjClose ?? bar?.adj_close ?? bar?.adjustedClose ?? bar?.close);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Daily closes for several symbols on one trading calendar
+ * SPY's days form the calendar when it is in the history; gaps carry the last
+ * close forward, and days before a symbol's first close are null. `observed`
+ * marks the days that had an actual bar rather than a carried close.
+ *
+ * @param {Object} priceHistory - { [symbol]: [{ date, close, adjClose? }] }
+ * @param {string[]} symbols - Symbols to align
+ * @param {string} startDate - YYYY-MM-DD (inclusive, optional)
+ * @param {string} endDate - YYYY-MM-DD (inclusive, optional)
+ * @returns {Object} { dates: string[], closes: { [symbol]: (number|null)[] }, observed: { [symbol]: boolean[] } }
+ */
+export function alignDailyCloses(priceHistory = {}, symbols = [], startDate, endDate) {
+  const from = toDateKey(startDate);
+  const to = toDateKey(endDate) || '9999-12-31';
+  const bySymbol = {};
+  [...new Set([...symbols, BACKTEST_BENCHMARK])].forEach(symbol => {
+    bySymbol[symbol] = {};
+    (priceHistory[symbol] || []).forEach(bar => {
+      const date = toDateKey(bar.date);
+      const close = adjustedClose(bar);
+      if (close && date >= from && date <= to) bySymbol[symbol][date] = close;
+    });
+  });
+
+  const benchmarkDates = Object.keys(bySymbol[BACKTEST_BENCHMARK]);
+  const dates = (benchmarkDates.length > 0 ? benchmarkDates : [...new Set(symbols.flatMap(s => Object.keys(bySymbol[s])))]).sort();
+
+  const closes = {};
+  const observed = {};
+  symbols.forEach(symbol => {
+    let last = null;
+    closes[symbol] = dates.map(date => {
+      if (bySymbol[symbol][date]) last = bySymbol[symbol][date];
+      return last;
+    });
+    observed[symbol] = dates.map(date => Boolean(bySymbol[symbol][date]));
+  });
+  return { dates, closes, observed };
+}
+
+/**
+ * Key identifying the rebalance period a date falls in
+ * Two consecutive trading days with different keys start a new period.
+ */
+function rebalancePeriodKey(date, frequency) {
+  if (frequency === 'monthly') return date.slice(0, 7);
+  if (frequency === 'quarterly') return `${date.slice(0, 4)}-Q${Math.ceil(Number(date.slice(5, 7)) / 3)}`;
+  if (frequency === 'annually') return date.slice(0, 4);
+  return null;
+}
+
+/**
+ * Positive target weights scaled to sum to 1
+ * Accepts percentages (AAPL: 40) or decimals (AAPL: 0.4).
+ */
+function normalizeWeights(weights = {}) {
+  const positive = Object.entries(weights)
+    .map(([symbol, weight]) => [String(symbol).toUpperCase(), Number(weight)])
+    .filter(([, weight]) => Number.isFinite(weight) && weight > 0);
+  const total = positive.reduce((sum, [, weight]) => sum + weight, 0);
+  return total > 0 ? Object.fromEntries(positive.map(([symbol, weight]) => [symbol, weight / total])) : {};
+}
+
+/**
+ * Backtest window for a set of holdings
+ * Starts `lookbackYears` before the end date, moved forward to the earliest
+ * date on which every holding existed.
+ *
+ * @param {string[]} symbols - Portfolio holdings
+ * @param {number|null} lookbackYears - Years of history; null for the longest available
+ * @param {string} endDate - YYYY-MM-DD (default: today)
+ * @returns {Object} { startDate, endDate, requestedStart, earliestCommonDate, truncated, issues }
+ */
+export function planBacktestWindow(symbols, lookbackYears = DEFAULT_BACKTEST_SETTINGS.lookbackYears, endDate = toDateKey(new Date().toISOString())) {
+  const earliestCommonDate = getEarliestCommonDate(symbols);
+  let requestedStart = earliestCommonDate;
+  if (lookbackYears) {
+    const start = new Date(`${endDate}T00:00:00Z`);
+    start.setUTCFullYear(start.getUTCFullYear() - lookbackYears);
+    requestedStart = start.toISOString().slice(0, 10);
+  }
+  const startDate = requestedStart < earliestCommonDate ? earliestCommonDate : requestedStart;
+
+  return {
+    startDate,
+    endDate,
+    requestedStart,
+    earliestCommonDate,
+    truncated: startDate > requestedStart,
+    issues: validateBacktestPeriod(symbols, startDate, endDate).issues
+  };
+}
+
+/**
+ * Return and risk statistics for a value series
+ *
+ * @param {Array} points - [{ date, value }] sorted ascending, one per trading day
+ * @returns {Object|null} { startValue, endValue, totalReturn, cagr, volatility,
+ *   sharpe, sortino, maxDrawdown, drawdownPeak, drawdownTrough, drawdownRecovery }
+ *   (returns, volatility and drawdown in percent)
+ */
+export function backtestMetrics(points = []) {
+  const valid = points.filter(p => Number.isFinite(p.value) && p.value > 0);
+  if (valid.length < 2) return null;
+
+  const first = valid[0];
+  const last = valid[valid.length - 1];
+  const days = daysBetween(first.date, last.date);
+
+  const dailyReturns = [];
+  for (let i = 1; i < valid.length; i++) dailyReturns.push(valid[i].value / valid[i - 1].value - 1);
+
+  const dailyRiskFree = RISK_FREE_RATE / 100 / TRADING_DAYS_PER_YEAR;
+  const excess = dailyReturns.map(r => r - dailyRiskFree);
+  const dailyVol = standardDeviation(dailyReturns);
+  const downsideDeviation = Math.sqrt(mean(excess.map(r => Math.min(0, r) ** 2)));
+  const annualizer = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  // Deepest peak-to-trough fall, and when (if ever) the old peak was regained
+  let peak = valid[0];
+  let maxDrawdown = 0;
+  let drawdownPeak = null;
+  let drawdownTrough = null;
+  valid.forEach(point => {
+    if (point.value > peak.value) peak = point;
+    const drawdown = point.value / peak.value - 1;
+    if (drawdown < maxDrawdown) {
+      maxDrawdown = drawdown;
+      drawdownPeak = peak;
+      drawdownTrough = point;
+    }
+  });
+  const recovery = drawdownTrough
+    ? valid.find(p => p.date > drawdownTrough.date && p.value >= drawdownPeak.value)
+    : null;
+
+  return {
+    startValue: round(first.value, 2),
+    endValue: round(last.value, 2),
+    totalReturn: round((last.value / first.value - 1) * 100, 2),
+    cagr: days > 0 ? round((Math.pow(last.value / first.value, DAYS_PER_YEAR / days) - 1) * 100, 2) : null,
+    volatility: round(dailyVol * annualizer * 100, 2),
+    sharpe: dailyVol > 0 ? round(mean(excess) / dailyVol * annualizer, 3) : null,
+    sortino: downsideDeviation > 0 ? round(mean(excess) / downsideDeviation * annualizer, 3) : null,
+    maxDrawdown: round(maxDrawdown * 100, 2),
+    drawdownPeak: drawdownPeak?.date || null,
+    drawdownTrough: drawdownTrough?.date || null,
+    drawdownRecovery: recovery?.date || null
+  };
+}
+
+/**
+ * Rolling returns of the portfolio and benchmark over a trailing window
+ * Only dates with a full window of history behind them are included.
+ *
+ * @param {Array} series - runBacktest(...).series
+ * @param {number} years - Window length
+ * @returns {Object} { points: [{ date, portfolio, benchmark, excess }], summary }
+ *   summary: { count, average, best, worst, benchmarkAverage, beatBenchmarkPct } or null
+ */
+export function rollingReturns(series = [], years = 1) {
+  const points = [];
+  let anchor = -1;
+  const windowReturn = (end, start) => {
+    if (!(end > 0) || !(start > 0)) return null;
+    const growth = end / start;
+    return round((years > 1 ? Math.pow(growth, 1 / years) - 1 : growth - 1) * 100, 2);
+  };
+
+  series.forEach(point => {
+    const cutoff = new Date(`${point.date}T00:00:00Z`);
+    cutoff.setUTCFullYear(cutoff.getUTCFullYear() - years);
+    const cutoffKey = cutoff.toISOString().slice(0, 10);
+    while (anchor + 1 < series.length && series[anchor + 1].date <= cutoffKey) anchor++;
+    if (anchor < 0) return;
+
+    const portfolio = windowReturn(point.portfolio, series[anchor].portfolio);
+    const benchmark = windowReturn(point.benchmark, series[anchor].benchmark);
+    points.push({
+      date: point.date,
+      portfolio,
+      benchmark,
+      excess: portfolio !== null && benchmark !== null ? round(portfolio - benchmark, 2) : null
+    });
+  });
+
+  if (points.length === 0) return { points, summary: null };
+
+  const values = points.map(p => p.portfolio);
+  const compared = points.filter(p => p.excess !== null);
+  return {
+    points,
+    summary: {
+      count: points.length,
+      average: round(mean(values), 2),
+      best: Math.max(...values),
+      worst: Math.min(...values),
+      benchmarkAverage: compared.length > 0 ? round(mean(compared.map(p => p.benchmark)), 2) : null,
+      beatBenchmarkPct: compared.length > 0 ? round(compared.filter(p => p.excess > 0).length / compared.length * 100, 1) : null
+    }
+  };
+}
+
+/**
+ * Run a historical backtest of a target allocation
+ *
+ * @param {Object} options
+ * @param {Object} options.priceHistory - { [symbol]: [{ date, close, adjClose?, volume? }] }, including SPY
+ * @param {Object} options.weights - { [symbol]: weight } as percentages or decimals
+ * @param {string} options.startDate - YYYY-MM-DD, see planBacktestWindow
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @param {string} options.rebalance - One of REBALANCE_FREQUENCIES
+ * @param {number} options.initialCapital
+ * @param {string} options.commissionSchedule - One of fillModel.COMMISSION_SCHEDULES
+ * @param {Object} options.liquidity - { [symbol]: { volume, volatility } } fallbacks from Company data
+ * @returns {Object|null} {
+ *   startDate, endDate, tradingDays, adjusted, rebalance, initialCapital,
+ *   weights, missingSymbols, hasBenchmark,
+ *   series: [{ date, portfolio, benchmark, drawdown, benchmarkDrawdown }],
+ *   metrics: { portfolio, benchmark }, rolling: { '1y', '3y' },
+ *   trades: [{ date, initial, turnover, cost }], totalCosts
+ * } or null when no holding has prices in the window
+ */
+export function runBacktest({
+  priceHistory = {},
+  weights = {},
+  startDate,
+  endDate,
+  rebalance = DEFAULT_BACKTEST_SETTINGS.rebalance,
+  initialCapital = DEFAULT_BACKTEST_SETTINGS.initialCapital,
+  commissionSchedule = DEFAULT_BACKTEST_SETTINGS.commissionSchedule,
+  liquidity = {}
+}) {
+  const from = toDateKey(startDate);
+  const to = toDateKey(endDate) || '9999-12-31';
+
+  let adjusted = false;
+  const bars = {};
+  Object.entries(priceHistory || {}).forEach(([symbol, history]) => {
+    const key = symbol.toUpperCase();
+    bars[key] = {};
+    (history || []).forEach(bar => {
+      const date = toDateKey(bar.date);
+      const close = adjustedClose(bar);
+      if (!close || date < from || date > to) return;
+      if (bar.adjClose != null || bar.adj_close != null || bar.adjustedClose != null) adjusted = true;
+      bars[key][date] = { close, volume: Number(bar.volume) || null };
+    });
+  });
+  const hasPrices = (symbol) => bars[symbol] && Object.keys(bars[symbol]).length > 0;
+
+  const requested = normalizeWeights(weights);
+  const missingSymbols = Object.keys(requested).filter(symbol => !hasPrices(symbol));
+  const targets = normalizeWeights(Object.fromEntries(Object.entries(requested).filter(([symbol]) => hasPrices(symbol))));
+  const symbols = Object.keys(targets);
+  if (symbols.length === 0) return null;
+
+  const hasBenchmark = hasPrices(BACKTEST_BENCHMARK);
+  const calendarSource = hasBenchmark ? [BACKTEST_BENCHMARK] : symbols;
+  const dates = [...new Set(calendarSource.flatMap(symbol => Object.keys(bars[symbol])))].sort();
+
+  const last = {};
+  const liquidityFor = (symbol, date) => ({
+    volume: bars[symbol][date]?.volume || Number(liquidity[symbol]?.volume) || DEFAULT_DAILY_VOLUME,
+    volatility: Number(liquidity[symbol]?.volatility) || undefined
+  });
+
+  let shares = {};
+  let benchmarkBase = null;
+  let previousDate = null;
+  const trades = [];
+  const series = [];
+
+  // Trade to target weights at today's closes; costs reduce the invested value
+  const rebalanceTo = (date, value, initial) => {
+    let traded = 0;
+    let cost = 0;
+    symbols.forEach(symbol => {
+      const price = last[symbol];
+      const quantity = Math.abs(value * targets[symbol] / price - (shares[symbol] || 0));
+      if (quantity < QUANTITY_EPSILON) return;
+      const side = value * targets[symbol] / price > (shares[symbol] || 0) ? 'buy' : 'sell';
+      const { volume, volatility } = liquidityFor(symbol, date);
+      const notional = quantity * price;
+      const slippageBps = halfSpreadBps(price, volume, volatility) + marketImpactBps(quantity, volume, volatility);
+      traded += notional;
+      cost += notional * slippageBps / 10000 + calculateFees(side, quantity, price, commissionSchedule).total;
+    });
+    const invested = value - cost;
+    shares = Object.fromEntries(symbols.map(symbol => [symbol, invested * targets[symbol] / last[symbol]]));
+    trades.push({
+      date,
+      initial,
+      turnover: round(initial ? 100 : traded / 2 / value * 100, 2),
+      cost: round(cost, 2)
+    });
+    return invested;
+  };
+
+  dates.forEach(date => {
+    symbols.forEach(symbol => {
+      if (bars[symbol][date]) last[symbol] = bars[symbol][date].close;
+    });
+    if (series.length === 0 && symbols.some(symbol => !last[symbol])) return;
+    if (hasBenchmark && bars[BACKTEST_BENCHMARK][date]) last[BACKTEST_BENCHMARK] = bars[BACKTEST_BENCHMARK][date].close;
+
+    let value;
+    if (series.length === 0) {
+      value = rebalanceTo(date, initialCapital, true);
+      benchmarkBase = last[BACKTEST_BENCHMARK] || null;
+    } else {
+      value = symbols.reduce((sum, symbol) => sum + shares[symbol] * last[symbol], 0);
+      const key = rebalancePeriodKey(date, rebalance);
+      if (key && key !== rebalancePeriodKey(previousDate, rebalance)) value = rebalanceTo(date, value, false);
+    }
+    previousDate = date;
+
+    series.push({
+      date,
+      portfolio: round(value, 2),
+      benchmark: benchmarkBase && last[BACKTEST_BENCHMARK] ? round(initialCapital * last[BACKTEST_BENCHMARK] / benchmarkBase, 2) : null
+    });
+  });
+
+  if (series.length === 0) return null;
+
+  // Running drawdowns for the underwater chart
+  let portfolioPeak = 0;
+  let benchmarkPeak = 0;
+  series.forEach(point => {
+    portfolioPeak = Math.max(portfolioPeak, point.portfolio);
+    point.drawdown = round((point.portfolio / portfolioPeak - 1) * 100, 2);
+    if (point.benchmark !== null) {
+      benchmarkPeak = Math.max(benchmarkPeak, point.benchmark);
+      point.benchmarkDrawdown = round((point.benchmark / benchmarkPeak - 1) * 100, 2);
+    } else {
+      point.benchmarkDrawdown = null;
+    }
+  });
+
+  const toPoints = (field) => series.filter(p => p[field] !== null).map(p => ({ date: p.date, value: p[field] }));
+
+  return {
+    startDate: series[0].date,
+    endDate: series[series.length - 1].date,
+    tradingDays: series.length,
+    adjusted,
+    rebalance,
+    initialCapital,
+    weights: targets,
+    missingSymbols,
+    hasBenchmark,
+    series,
+    metrics: {
+      portfolio: backtestMetrics(toPoints('portfolio')),
+      benchmark: hasBenchmark ? backtestMetrics(toPoints('benchmark')) : null
+    },
+    rolling: Object.fromEntries(
+      Object.entries(ROLLING_WINDOWS).map(([key, { years }]) => [key, rollingReturns(series, years)])
+    ),
+    trades,
+    totalCosts: round(trades.reduce((sum, t) => sum + t.cost, 0), 2)
+  };
+}
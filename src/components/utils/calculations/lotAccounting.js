@@ -0,0 +1,318 @@
+/**
+ * Lot Accounting Engine
+ *
+ * Replays the Transaction ledger into per-lot positions so that quantity and
+ * cost basis are derived from history rather than stored independently.
+ *
+ * Supported transaction types:
+ * - buy: opens a lot; fees are capitalized into cost basis
+ * - dividend_reinvestment: opens a lot like a buy
+ * - sell: relieves lots per the selected method; fees reduce proceeds
+ * - split: quantity holds the ratio (2 = 2-for-1, 0.1 = 1-for-10); lot
+ *   quantities scale and per-share cost scales inversely
+ *
+ * Cost basis methods (IRS Pub. 550):
+ * - FIFO: First-in, first-out (IRS default for stocks)
+ * - LIFO: Last-in, first-out (specific identification of newest shares)
+ * - AVERAGE: Average cost (permitted for mutual funds / DRIP shares)
+ */
+
+import { round } from "./financialMath";
+
+export const COST_BASIS_METHODS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  AVERAGE: 'average'
+};
+
+export const COST_BASIS_METHOD_LABELS = {
+  fifo: 'FIFO',
+  lifo: 'LIFO',
+  average: 'Average Cost'
+};
+
+const QUANTITY_EPSILON = 1e-8;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Same-day ordering: corporate actions first, then acquisitions, then disposals
+const TYPE_ORDER = { split: 0, buy: 1, dividend_reinvestment: 1, sell: 2 };
+
+const toDateKey = (value) => String(value || '').slice(0, 10);
+
+/**
+ * Number of days between two YYYY-MM-DD dates
+ */
+export function daysBetween(startDate, endDate) {
+  const start = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const end = new Date(`${toDateKey(endDate)}T00:00:00Z`);
+  return Math.round((end - start) / MS_PER_DAY);
+}
+
+/**
+ * Sort transactions chronologically with deterministic same-day ordering
+ */
+export function sortLedger(transactions = []) {
+  return transactions
+    .map((tx, index) => ({ tx, index }))
+    .sort((a, b) => {
+      const byDate = toDateKey(a.tx.transaction_date).localeCompare(toDateKey(b.tx.transaction_date));
+      if (byDate !== 0) return byDate;
+      const byType = (TYPE_ORDER[a.tx.type] ?? 1) - (TYPE_ORDER[b.tx.type] ?? 1);
+      return byType !== 0 ? byType : a.index - b.index;
+    })
+    .map(({ tx }) => tx);
+}
+
+function createPosition(symbol, assetName) {
+  return {
+    symbol,
+    asset_name: assetName || symbol,
+    lots: [],
+    realizedGain: 0,
+    totalFees: 0
+  };
+}
+
+/**
+ * Remove `quantity` shares from open lots
+ * Returns the relieved slices with their share of cost basis
+ */
+function relieveLots(position, quantity, method) {
+  const relieved = [];
+  let remaining = quantity;
+
+  // AVERAGE pools basis across all open lots before relieving
+  if (method === COST_BASIS_METHODS.AVERAGE) {
+    const openQty = position.lots.reduce((s, l) => s + l.quantity, 0);
+    const openCost = position.lots.reduce((s, l) => s + l.quantity * l.costPerShare, 0);
+    const avgCost = openQty > 0 ? openCost / openQty : 0;
+    position.lots.forEach(lot => { lot.costPerShare = avgCost; });
+  }
+
+  const order = method === COST_BASIS_METHODS.LIFO
+    ? [...position.lots].reverse()
+    : [...position.lots];
+
+  for (const lot of order) {
+    if (remaining <= QUANTITY_EPSILON) break;
+    const take = Math.min(lot.quantity, remaining);
+    relieved.push({
+      lotId: lot.id,
+      acquiredDate: lot.acquiredDate,
+      quantity: take,
+      costBasis: take * lot.costPerShare
+    });
+    lot.quantity -= take;
+    remaining -= take;
+  }
+
+  position.lots = position.lots.filter(l => l.quantity > QUANTITY_EPSILON);
+  return { relieved, unfilled: remaining > QUANTITY_EPSILON ? remaining : 0 };
+}
+
+/**
+ * Replay a transaction ledger into open lots and closed lots
+ *
+ * @param {Array} transactions - Transaction entities (any order)
+ * @param {Object} options - { method: COST_BASIS_METHODS value }
+ * @returns {Object} { positions, closedLots, warnings, method }
+ *   positions: { [symbol]: { symbol, asset_name, lots, quantity, totalCost, averageCost, realizedGain } }
+ *   closedLots: [{ symbol, lotId, acquiredDate, disposedDate, quantity, costBasis, proceeds, gain, holdingDays, sellTransactionId }]
+ */
+export function replayLedger(transactions = [], options = {}) {
+  const method = options.method || COST_BASIS_METHODS.FIFO;
+  const positions = {};
+  const closedLots = [];
+  const warnings = [];
+
+  sortLedger(transactions).forEach((tx, index) => {
+    const symbol = String(tx.symbol || '').toUpperCase();
+    if (!symbol) {
+      warnings.push({ type: 'missing_symbol', transactionId: tx.id, message: `Transaction on ${tx.transaction_date} has no symbol` });
+      return;
+    }
+
+    const quantity = Number(tx.quantity) || 0;
+    const price = Number(tx.price) || 0;
+    const fees = Number(tx.fees) || 0;
+    const date = toDateKey(tx.transaction_date);
+
+    positions[symbol] = positions[symbol] || createPosition(symbol, tx.asset_name);
+    const position = positions[symbol];
+    position.totalFees += fees;
+
+    switch (tx.type) {
+      case 'buy':
+      case 'dividend_reinvestment': {
+        if (quantity <= 0) {
+          warnings.push({ type: 'invalid_quantity', symbol, transactionId: tx.id, message: `${symbol} ${tx.type} on ${date} has non-positive quantity` });
+          return;
+        }
+        position.lots.push({
+          id: tx.id || `${symbol}-${date}-${index}`,
+          acquiredDate: date,
+          quantity,
+          originalQuantity: quantity,
+          costPerShare: (quantity * price + fees) / quantity,
+          source: tx.type
+        });
+        break;
+      }
+
+      case 'sell': {
+        const { relieved, unfilled } = relieveLots(position, quantity, method);
+        const soldQty = quantity - unfilled;
+
+        if (unfilled > 0) {
+          warnings.push({
+            type: 'oversold',
+            symbol,
+            transactionId: tx.id,
+            message: `${symbol} sell on ${date} exceeds open quantity by ${round(unfilled, 6)} shares`
+          });
+        }
+
+        relieved.forEach(slice => {
+          // Allocate net proceeds pro rata across relieved lots
+          const proceeds = soldQty > 0 ? (slice.quantity / soldQty) * (soldQty * price - fees) : 0;
+          const costBasis = slice.costBasis;
+          const gain = proceeds - costBasis;
+          position.realizedGain += gain;
+          closedLots.push({
+            symbol,
+            asset_name: position.asset_name,
+            lotId: slice.lotId,
+            acquiredDate: slice.acquiredDate,
+            disposedDate: date,
+            quantity: slice.quantity,
+            costBasis,
+            proceeds,
+            gain,
+            holdingDays: daysBetween(slice.acquiredDate, date),
+            sellTransactionId: tx.id
+          });
+        });
+        break;
+      }
+
+      case 'split': {
+        if (quantity <= 0) {
+          warnings.push({ type: 'invalid_split', symbol, transactionId: tx.id, message: `${symbol} split on ${date} needs a positive ratio` });
+          return;
+        }
+        position.lots.forEach(lot => {
+          lot.quantity *= quantity;
+          lot.originalQuantity *= quantity;
+          lot.costPerShare /= quantity;
+        });
+        break;
+      }
+
+      default:
+        warnings.push({ type: 'unknown_type', symbol, transactionId: tx.id, message: `Unsupported transaction type "${tx.type}"` });
+    }
+  });
+
+  Object.values(positions).forEach(position => {
+    position.quantity = position.lots.reduce((s, l) => s + l.quantity, 0);
+    position.totalCost = position.lots.reduce((s, l) => s + l.quantity * l.costPerShare, 0);
+    position.averageCost = position.quantity > QUANTITY_EPSILON ? position.totalCost / position.quantity : 0;
+  });
+
+  return { positions, closedLots, warnings, method };
+}
+
+/**
+ * Compare stored holdings against the replayed ledger
+ *
+ * @param {Array} holdings - Holding records (average_cost or avgCost accepted)
+ * @param {Object} positions - replayLedger(...).positions
+ * @param {Object} options - { quantityTolerance, costTolerancePct }
+ * @returns {Array} Rows sorted mismatches first:
+ *   { symbol, status, holdingQuantity, ledgerQuantity, quantityDiff,
+ *     holdingAverageCost, ledgerAverageCost, costDiffPct, quantityMismatch, costMismatch, issues }
+ *   status: 'match' | 'mismatch' | 'missing_in_ledger' | 'missing_in_holdings'
+ */
+export function reconcileHoldings(holdings = [], positions = {}, options = {}) {
+  const { quantityTolerance = 1e-4, costTolerancePct = 0.5 } = options;
+  const rows = [];
+  const seen = new Set();
+
+  holdings.forEach(holding => {
+    const symbol = String(holding.symbol || '').toUpperCase();
+    if (!symbol) return;
+    seen.add(symbol);
+
+    const holdingQuantity = Number(holding.quantity) || 0;
+    const holdingAverageCost = Number(holding.average_cost ?? holding.avgCost) || 0;
+    const position = positions[symbol];
+
+    if (!position || position.quantity <= QUANTITY_EPSILON) {
+      rows.push({
+        symbol,
+        status: 'missing_in_ledger',
+        holdingQuantity,
+        ledgerQuantity: 0,
+        quantityDiff: -holdingQuantity,
+        holdingAverageCost,
+        ledgerAverageCost: 0,
+        costDiffPct: null,
+        quantityMismatch: true,
+        costMismatch: true,
+        issues: ['Holding has no open lots in the transaction ledger']
+      });
+      return;
+    }
+
+    const quantityDiff = position.quantity - holdingQuantity;
+    const costDiffPct = holdingAverageCost > 0
+      ? ((position.averageCost - holdingAverageCost) / holdingAverageCost) * 100
+      : null;
+
+    const quantityMismatch = Math.abs(quantityDiff) > quantityTolerance;
+    const costMismatch = costDiffPct === null || Math.abs(costDiffPct) > costTolerancePct;
+    const issues = [];
+    if (quantityMismatch) {
+      issues.push(`Quantity differs by ${round(quantityDiff, 4)} shares`);
+    }
+    if (costMismatch) {
+      issues.push(costDiffPct === null
+        ? 'Holding has no average cost'
+        : `Average cost differs by ${round(costDiffPct, 2)}%`);
+    }
+
+    rows.push({
+      symbol,
+      status: issues.length ? 'mismatch' : 'match',
+      holdingQuantity,
+      ledgerQuantity: position.quantity,
+      quantityDiff,
+      holdingAverageCost,
+      ledgerAverageCost: position.averageCost,
+      costDiffPct,
+      quantityMismatch,
+      costMismatch,
+      issues
+    });
+  });
+
+  Object.values(positions).forEach(position => {
+    if (seen.has(position.symbol) || position.quantity <= QUANTITY_EPSILON) return;
+    rows.push({
+      symbol: position.symbol,
+      status: 'missing_in_holdings',
+      holdingQuantity: 0,
+      ledgerQuantity: position.quantity,
+      quantityDiff: position.quantity,
+      holdingAverageCost: 0,
+      ledgerAverageCost: position.averageCost,
+      costDiffPct: null,
+      quantityMismatch: true,
+      costMismatch: true,
+      issues: ['Ledger has open lots but no matching holding']
+    });
+  });
+
+  const statusOrder = { mismatch: 0, missing_in_ledger: 1, missing_in_holdings: 2, match: 3 };
+  return rows.sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || a.symbol.localeCompare(b.symbol));
+}
@@ -0,0 +1,405 @@
+/**
+ * Portfolio Performance Measurement
+ *
+ * Time-weighted and money-weighted returns for a portfolio built from the
+ * Transaction ledger, valued daily from closing prices.
+ *
+ * Academic Foundation:
+ * - CFA Institute (2020): "Global Investment Performance Standards (GIPS)"
+ * - Bacon (2008): "Practical Portfolio Performance Measurement and Attribution"
+ * - Feibel (2003): "Investment Performance Measurement"
+ *
+ * Conventions:
+ * - The ledger tracks securities only, so every buy is an external
+ *   contribution and every sell an external withdrawal; DRIP shares and
+ *   splits change holdings without a cash flow
+ * - Flows are assumed to occur at the start of the day (before the close
+ *   used for that day's valuation)
+ * - TWR chains daily sub-period returns; MWR is the XIRR of the period's
+ *   flows with the opening and closing values as the terminal flows
+ * - Returns for periods shorter than one year are not annualized (GIPS)
+ */
+
+import { sortLedger, daysBetween } from "./lotAccounting";
+import { round } from "./financialMath";
+
+export const PERFORMANCE_PERIODS = {
+  MTD: 'mtd',
+  QTD: 'qtd',
+  YTD: 'ytd',
+  ONE_YEAR: '1y',
+  INCEPTION: 'inception'
+};
+
+export const PERFORMANCE_PERIOD_LABELS = {
+  mtd: 'MTD',
+  qtd: 'QTD',
+  ytd: 'YTD',
+  '1y': '1Y',
+  inception: 'Since Inception'
+};
+
+const DAYS_PER_YEAR = 365;
+const toDateKey = (value) => String(value || '').slice(0, 10);
+
+/**
+ * First day of a performance period
+ *
+ * @param {string} period - One of PERFORMANCE_PERIODS
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {string} inceptionDate - YYYY-MM-DD of the first transaction
+ * @returns {string} YYYY-MM-DD (never earlier than inception)
+ */
+export function periodStartDate(period, asOfDate, inceptionDate) {
+  const [year, month] = toDateKey(asOfDate).split('-').map(Number);
+  let start;
+
+  switch (period) {
+    case PERFORMANCE_PERIODS.MTD:
+      start = `${year}-${String(month).padStart(2, '0')}-01`;
+      break;
+    case PERFORMANCE_PERIODS.QTD: {
+      const quarterMonth = Math.floor((month - 1) / 3) * 3 + 1;
+      start = `${year}-${String(quarterMonth).padStart(2, '0')}-01`;
+      break;
+    }
+    case PERFORMANCE_PERIODS.YTD:
+      start = `${year}-01-01`;
+      break;
+    case PERFORMANCE_PERIODS.ONE_YEAR: {
+      const d = new Date(`${toDateKey(asOfDate)}T00:00:00Z`);
+      d.setUTCFullYear(d.getUTCFullYear() - 1);
+      start = d.toISOString().slice(0, 10);
+      break;
+    }
+    default:
+      start = toDateKey(inceptionDate) || toDateKey(asOfDate);
+  }
+
+  return inceptionDate && start < toDateKey(inceptionDate) ? toDateKey(inceptionDate) : start;
+}
+
+/**
+ * External cash flows implied by the ledger
+ * Positive amount = money contributed to the portfolio
+ *
+ * @param {Array} transactions - Transaction ledger
+ * @returns {Array} [{ date, amount }] aggregated per day, sorted
+ */
+export function transactionCashFlows(transactions = []) {
+  const byDate = {};
+  transactions.forEach(tx => {
+    const gross = (Number(tx.quantity) || 0) * (Number(tx.price) || 0);
+    const fees = Number(tx.fees) || 0;
+    let amount = 0;
+    if (tx.type === 'buy') amount = gross + fees;
+    else if (tx.type === 'sell') amount = -(gross - fees);
+    else return;
+
+    const date = toDateKey(tx.transaction_date);
+    byDate[date] = (byDate[date] || 0) + amount;
+  });
+
+  return Object.entries(byDate)
+    .map(([date, amount]) => ({ date, amount }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Convert filled paper trades into ledger-shaped transactions
+ */
+export function tradesToTransactions(trades = []) {
+  return trades
+    .filter(t => t.status === 'filled' && (t.side === 'buy' || t.side === 'sell'))
+    .map(t => ({
+      id: t.id,
+      type: t.side,
+      symbol: String(t.symbol || '').toUpperCase(),
+      asset_name: t.symbol,
+      quantity: Number(t.executedQuantity ?? t.quantity) || 0,
+      price: Number(t.executedPrice ?? t.limitPrice) || 0,
+      fees: Number(t.fees) || 0,
+      transaction_date: toDateKey(t.timestamp)
+    }));
+}
+
+/**
+ * Daily portfolio valuations from the ledger and closing prices
+ * Prices carry forward over missing days; until a symbol's first close, the
+ * last transaction price is used. Closes are assumed unadjusted for splits.
+ *
+ * @param {Array} transactions - Transaction ledger
+ * @param {Object} priceHistory - { [symbol]: [{ date, close }] }
+ * @param {Object} options
+ *   calendar: dates to value on (default: union of price dates)
+ *   endDate: last valuation date (default: today)
+ * @returns {Array} [{ date, value, holdings: { [symbol]: quantity }, prices: { [symbol]: price } }]
+ */
+export function valuationsFromLedger(transactions = [], priceHistory = {}, options = {}) {
+  const ledger = sortLedger(transactions);
+  if (ledger.length === 0) return [];
+
+  const endDate = toDateKey(options.endDate || new Date().toISOString());
+  const inception = toDateKey(ledger[0].transaction_date);
+
+  const closesBySymbol = {};
+  Object.entries(priceHistory).forEach(([symbol, bars]) => {
+    closesBySymbol[symbol.toUpperCase()] = Object.fromEntries(
+      (bars || [])
+        .filter(bar => bar && Number.isFinite(Number(bar.close)))
+        .map(bar => [toDateKey(bar.date), Number(bar.close)])
+    );
+  });
+
+  const calendarSet = new Set(options.calendar || Object.values(closesBySymbol).flatMap(c => Object.keys(c)));
+  ledger.forEach(tx => calendarSet.add(toDateKey(tx.transaction_date)));
+  const calendar = [...calendarSet]
+    .filter(d => d >= inception && d <= endDate)
+    .sort();
+
+  const quantities = {};
+  const lastPrice = {};
+  const valuations = [];
+  let cursor = 0;
+
+  calendar.forEach(date => {
+    while (cursor < ledger.length && toDateKey(ledger[cursor].transaction_date) <= date) {
+      const tx = ledger[cursor];
+      const symbol = String(tx.symbol || '').toUpperCase();
+      const qty = Number(tx.quantity) || 0;
+      if (tx.type === 'buy' || tx.type === 'dividend_reinvestment') quantities[symbol] = (quantities[symbol] || 0) + qty;
+      else if (tx.type === 'sell') quantities[symbol] = (quantities[symbol] || 0) - qty;
+      else if (tx.type === 'split' && qty > 0) {
+        quantities[symbol] = (quantities[symbol] || 0) * qty;
+        if (lastPrice[symbol]) lastPrice[symbol] /= qty;
+      }
+      if (tx.type !== 'split' && Number(tx.price) > 0) lastPrice[symbol] = Number(tx.price);
+      cursor++;
+    }
+
+    let value = 0;
+    const holdings = {};
+    const prices = {};
+    Object.entries(quantities).forEach(([symbol, qty]) => {
+      const close = closesBySymbol[symbol]?.[date];
+      if (close !== undefined) lastPrice[symbol] = close;
+      if (Math.abs(qty) < 1e-8) return;
+      holdings[symbol] = qty;
+      prices[symbol] = lastPrice[symbol] || 0;
+      value += qty * prices[symbol];
+    });
+
+    valuations.push({ date, value, holdings, prices });
+  });
+
+  return valuations;
+}
+
+/**
+ * Time-weighted return over a window of daily valuations
+ * r_t = V_t / (V_{t-1} + CF_t) - 1, chained geometrically
+ *
+ * @param {Array} valuations - [{ date, value }] sorted ascending
+ * @param {Array} cashFlows - [{ date, amount }]
+ * @returns {Object} { cumulativeReturn, series: [{ date, cumulativeReturn }] } (percent)
+ */
+export function timeWeightedReturn(valuations = [], cashFlows = []) {
+  if (valuations.length === 0) return { cumulativeReturn: 0, series: [] };
+
+  const flowsByDate = {};
+  cashFlows.forEach(f => { flowsByDate[f.date] = (flowsByDate[f.date] || 0) + f.amount; });
+
+  let growth = 1;
+  const series = [{ date: valuations[0].date, cumulativeReturn: 0 }];
+
+  for (let i = 1; i < valuations.length; i++) {
+    const flow = flowsByDate[valuations[i].date] || 0;
+    const base = valuations[i - 1].value + flow;
+    if (base > 0) growth *= valuations[i].value / base;
+    series.push({ date: valuations[i].date, cumulativeReturn: (growth - 1) * 100 });
+  }
+
+  return { cumulativeReturn: (growth - 1) * 100, series };
+}
+
+/**
+ * XIRR: annual rate r solving Σ CF_i / (1 + r)^(t_i / 365) = 0
+ * Newton-Raphson with a bisection fallback.
+ *
+ * @param {Array} flows - [{ date, amount }] in investor sign convention
+ *   (money paid in is negative, money received is positive)
+ * @returns {number|null} Annual rate as a decimal, or null if undefined
+ */
+export function xirr(flows = []) {
+  const valid = flows.filter(f => Number.isFinite(f.amount) && f.amount !== 0);
+  if (!valid.some(f => f.amount > 0) || !valid.some(f => f.amount < 0)) return null;
+
+  const t0 = valid.reduce((min, f) => (f.date < min ? f.date : min), valid[0].date);
+  const points = valid.map(f => ({ years: daysBetween(t0, f.date) / DAYS_PER_YEAR, amount: f.amount }));
+  const npv = (rate) => points.reduce((s, p) => s + p.amount / Math.pow(1 + rate, p.years), 0);
+  const dnpv = (rate) => points.reduce((s, p) => s - (p.years * p.amount) / Math.pow(1 + rate, p.years + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = dnpv(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (next <= -0.9999 || !Number.isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // Bisection over a wide bracket
+  let low = -0.9999;
+  let high = 10;
+  let fLow = npv(low);
+  if (fLow * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const fMid = npv(mid);
+    if (Math.abs(fMid) < 1e-9) return mid;
+    if (fLow * fMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      fLow = fMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Money-weighted return for a window
+ * Opening value is treated as an investment at the start date, closing
+ * value as a receipt on the end date.
+ *
+ * @returns {number|null} Annualized IRR as a decimal
+ */
+export function moneyWeightedReturn(valuations = [], cashFlows = []) {
+  if (valuations.length < 2) return null;
+  const start = valuations[0];
+  const end = valuations[valuations.length - 1];
+
+  const flows = [
+    { date: start.date, amount: -start.value },
+    ...cashFlows
+      .filter(f => f.date > start.date && f.date <= end.date)
+      .map(f => ({ date: f.date, amount: -f.amount })),
+    { date: end.date, amount: end.value }
+  ];
+
+  return xirr(flows);
+}
+
+const annualize = (cumulativePct, days) => (
+  days >= DAYS_PER_YEAR ? (Math.pow(1 + cumulativePct / 100, DAYS_PER_YEAR / days) - 1) * 100 : null
+);
+
+/**
+ * Performance summary for one period, optionally against a benchmark
+ *
+ * @param {Array} valuations - valuationsFromLedger(...)
+ * @param {Array} transactions - Transaction ledger
+ * @param {Object} options
+ *   period: one of PERFORMANCE_PERIODS (default since inception)
+ *   benchmark: [{ date, close }] price series (e.g. SPY)
+ *   asOfDate: YYYY-MM-DD (default: last valuation date)
+ * @returns {Object} { period, startDate, endDate, days, twr, twrAnnualized,
+ *   mwr, mwrAnnualized, benchmarkReturn, excessReturn, netContributions,
+ *   startValue, endValue, series: [{ date, portfolio, benchmark }] }
+ */
+export function calculatePerformance(valuations = [], transactions = [], options = {}) {
+  const { period = PERFORMANCE_PERIODS.INCEPTION, benchmark = [] } = options;
+  if (valuations.length === 0) return null;
+
+  const inception = valuations[0].date;
+  const asOfDate = toDateKey(options.asOfDate) || valuations[valuations.length - 1].date;
+  const requestedStart = periodStartDate(period, asOfDate, inception);
+
+  // Anchor on the last valuation before the period so day-one returns count;
+  // since inception the anchor is an empty portfolio the day before
+  let window;
+  if (period === PERFORMANCE_PERIODS.INCEPTION) {
+    const dayBefore = new Date(`${inception}T00:00:00Z`);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+    window = [{ date: dayBefore.toISOString().slice(0, 10), value: 0 }, ...valuations];
+  } else {
+    const firstInPeriod = valuations.findIndex(v => v.date >= requestedStart);
+    window = firstInPeriod === -1 ? [] : valuations.slice(Math.max(0, firstInPeriod - 1));
+  }
+  window = window.filter(v => v.date <= asOfDate);
+  if (window.length === 0) return null;
+
+  const cashFlows = transactionCashFlows(transactions);
+  const windowFlows = cashFlows.filter(f => f.date > window[0].date && f.date <= window[window.length - 1].date);
+  const twr = timeWeightedReturn(window, cashFlows);
+
+  const startDate = window[0].date;
+  const endDate = window[window.length - 1].date;
+  const days = daysBetween(startDate, endDate);
+
+  const irr = moneyWeightedReturn(window, cashFlows);
+  const mwrCumulative = irr === null ? null : (Math.pow(1 + irr, days / DAYS_PER_YEAR) - 1) * 100;
+
+  // Benchmark: carry the last close forward onto the portfolio calendar
+  const closes = [...benchmark]
+    .map(b => ({ date: toDateKey(b.date), close: Number(b.close) }))
+    .filter(b => Number.isFinite(b.close) && b.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  let benchIdx = -1;
+  let benchBase = null;
+  const series = twr.series.map(point => {
+    while (benchIdx + 1 < closes.length && closes[benchIdx + 1].date <= point.date) benchIdx++;
+    const close = benchIdx >= 0 ? closes[benchIdx].close : null;
+    if (benchBase === null && close !== null) benchBase = close;
+    return {
+      date: point.date,
+      portfolio: round(point.cumulativeReturn, 2),
+      benchmark: close !== null && benchBase ? round((close / benchBase - 1) * 100, 2) : null
+    };
+  });
+  const benchmarkReturn = series.length > 0 ? series[series.length - 1].benchmark : null;
+
+  return {
+    period,
+    startDate,
+    endDate,
+    days,
+    twr: twr.cumulativeReturn,
+    twrAnnualized: annualize(twr.cumulativeReturn, days),
+    mwr: mwrCumulative,
+    mwrAnnualized: days >= DAYS_PER_YEAR && irr !== null ? irr * 100 : null,
+    benchmarkReturn,
+    excessReturn: benchmarkReturn === null ? null : twr.cumulativeReturn - benchmarkReturn,
+    netContributions: windowFlows.reduce((s, f) => s + f.amount, 0),
+    startValue: window[0].value,
+    endValue: window[window.length - 1].value,
+    series
+  };
+}
+
+/**
+ * Unrealized gain on each holding against its average cost, best first
+ *
+ * @param {Array} holdings - Holding records { symbol, name, quantity, current_price, average_cost }
+ * @returns {Array} Holdings with { currentValue, costBasis, gainLoss, gainLossPercent }
+ */
+export function holdingGains(holdings = []) {
+  return holdings
+    .map(holding => {
+      const quantity = Number(holding.quantity) || 0;
+      const cost = Number(holding.average_cost) || 0;
+      const currentValue = quantity * (Number(holding.current_price) || cost);
+      const costBasis = quantity * cost;
+      const gainLoss = currentValue - costBasis;
+      return {
+        ...holding,
+        currentValue,
+        costBasis,
+        gainLoss,
+        gainLossPercent: costBasis > 0 ? (gainLoss / costBasis) * 100 : 0
+      };
+    })
+    .sort((a, b) => b.gainLossPercent - a.gainLossPercent);
+}
@@ -15,14 +15,37 @@ import {
   clamp,
   RISK_FREE_RATE
 } from "./financialMath";
+import {
+  DEFAULT_RISK_AVERSION,
+  DEFAULT_TAU,
+  marketCapWeights,
+  impliedEquilibriumReturns,
+  blackLittermanPosterior
+} from "./blackLitterman";
+import { DEFAULT_FRONTIER_POINTS, traceEfficientFrontier } from "./efficientFrontier";
+import { solveConstrainedPortfolio } from "./constrainedOptimization";
+import {
+  DEFAULT_DOWNSIDE_SCENARIOS,
+  DOWNSIDE_OBJECTIVES,
+  downsideRiskMetrics,
+  optimizeDownsideWeights,
+  simulateAssetReturnPaths
+} from "./downsideRiskOptimization";
+import { covarianceForAssets } from "./riskModels";
 // Import safeToFixed for safe number formatting
 import { safeToFixed } from "@/components/utils/safeToFixed";
 
 /**
  * Calculate covariance matrix from risk data
  * Uses correlation coefficient to estimate asset dependencies
+ * 
+ * An estimated risk model (riskModels.estimateRiskModel) replaces the heuristic
+ * when it covers every asset
  */
-function calculateCovarianceMatrix(assets) {
+function calculateCovarianceMatrix(assets, riskModel = null) {
+  const estimated = riskModel ? covarianceForAssets(riskModel, assets) : null;
+  if (estimated) return estimated;
+
   const n = assets.length;
   const covMatrix = Array(n).fill(0).map(() => Array(n).fill(0));
   
@@ -137,6 +160,15 @@ function calculateCovarianceMatrix(assets) {
   return covMatrix;
 }
 
+/**
+ * Per-asset volatility (%) that goes with calculateCovarianceMatrix: the risk
+ * model's estimate when one covers every asset, each company's risk otherwise
+ */
+function assetRisks(companies, riskModel = null) {
+  const estimated = riskModel ? covarianceForAssets(riskModel, companies) : null;
+  return estimated ? estimated.map((row, i) => Math.sqrt(row[i]) * 100) : companies.map(c => c.risk);
+}
+
 /**
  * Matrix inversion using Gauss-Jordan elimination
  * Required for analytical portfolio optimization
@@ -480,10 +512,11 @@ function applyPortfolioConstraints(weights, companies, maxSingleAsset = 0.35, co
   return { weights, constraintsApplied };
 }
 
-export function optimizeOptimalPortfolio(companies, applyConstraints = true, correlationTier = 'low') {
+export function optimizeOptimalPortfolio(companies, applyConstraints = true, correlationTier = 'low', riskModel = null) {
   const n = companies.length;
   const expectedReturns = companies.map(c => c.expected_return / 100);
-  let covMatrix = calculateCovarianceMatrix(companies);
+  let covMatrix = calculateCovarianceMatrix(companies, riskModel);
+  const risks = assetRisks(companies, riskModel);
   const riskFreeRate = RISK_FREE_RATE / 100;
     // CORRELATION-AWARE: Apply covariance regularization for high correlation
   if (correlationTier === 'high') {
@@ -526,7 +559,6 @@ export function optimizeOptimalPortfolio(companies, applyConstraints = true, cor
       constraintsApplied = true;
     }
     
-    const risks = companies.map(c => c.risk);
     const correlationMatrix = buildCorrelationMatrix(covMatrix);
     
     const portReturn = portfolioExpectedReturn(weights, expectedReturns);
@@ -549,7 +581,6 @@ export function optimizeOptimalPortfolio(companies, applyConstraints = true, cor
     console.error('Matrix inversion failed, using equal weights', error);
     const weights = Array(n).fill(1 / n);
     
-    const risks = companies.map(c => c.risk);
     const correlationMatrix = buildCorrelationMatrix(covMatrix);
     
     const portReturn = portfolioExpectedReturn(weights, expectedReturns);
@@ -593,12 +624,26 @@ function buildCorrelationMatrix(covMatrix) {
 
 /**
  * EXPORTED: Build correlation matrix for external use
+ * (from the risk model when one is given, the heuristic otherwise)
  */
-export function getCorrelationMatrix(companies) {
-  const covMatrix = calculateCovarianceMatrix(companies);
+export function getCorrelationMatrix(companies, riskModel = null) {
+  const covMatrix = calculateCovarianceMatrix(companies, riskModel);
   return buildCorrelationMatrix(covMatrix);
 }
 
+/**
+ * EXPORTED: Risk (%) of fixed allocations under the heuristic or an estimated risk model
+ * 
+ * @param {Array} companies - Company data
+ * @param {Object} allocations - { [symbol]: percent }
+ * @param {Object} riskModel - From riskModels.estimateRiskModel, or null for the heuristic
+ */
+export function evaluatePortfolioRisk(companies, allocations = {}, riskModel = null) {
+  const weights = companies.map(c => (allocations[c.symbol] || 0) / 100);
+  const correlationMatrix = buildCorrelationMatrix(calculateCovarianceMatrix(companies, riskModel));
+  return portfolioRisk(weights, assetRisks(companies, riskModel), correlationMatrix);
+}
+
 /**
  * MINIMUM VARIANCE PORTFOLIO - Global Minimum Variance (GMV)
  * 
@@ -621,10 +666,11 @@ export function getCorrelationMatrix(companies) {
  * 
  * Result: Lowest portfolio risk (standard deviation)
  */
-export function optimizeMinimumVariance(companies, applyConstraints = true, correlationTier = 'low') {
+export function optimizeMinimumVariance(companies, applyConstraints = true, correlationTier = 'low', riskModel = null) {
   const n = companies.length;
   const expectedReturns = companies.map(c => c.expected_return / 100);
-  const covMatrix = calculateCovarianceMatrix(companies);
+  const covMatrix = calculateCovarianceMatrix(companies, riskModel);
+  const risks = assetRisks(companies, riskModel);
   
   try {
     const covInverse = invertMatrix(covMatrix);
@@ -644,7 +690,6 @@ export function optimizeMinimumVariance(companies, applyConstraints = true, corr
       constraintsApplied = result.constraintsApplied;
     }
     
-    const risks = companies.map(c => c.risk);
     const correlationMatrix = buildCorrelationMatrix(covMatrix);
     
     const portReturn = portfolioExpectedReturn(weights, expectedReturns);
@@ -665,7 +710,6 @@ export function optimizeMinimumVariance(companies, applyConstraints = true, corr
     };
   } catch (error) {
     console.error('Matrix inversion failed, using inverse risk weighting', error);
-    const risks = companies.map(c => c.risk);
     const inverseRisks = risks.map(r => 1 / r);
     const totalInverseRisk = inverseRisks.reduce((a, b) => a + b, 0);
     let weights = inverseRisks.map(ir => ir / totalInverseRisk);
@@ -721,10 +765,10 @@ export function optimizeMinimumVariance(companies, applyConstraints = true, corr
  * for maximum return potential. Appropriate for small allocations or
  * high-conviction bets.
  */
-export function optimizeMaximumReturn(companies) {
+export function optimizeMaximumReturn(companies, riskModel = null) {
   const n = companies.length;
   const expectedReturns = companies.map(c => c.expected_return / 100);
-  const covMatrix = calculateCovarianceMatrix(companies);
+  const covMatrix = calculateCovarianceMatrix(companies, riskModel);
   
   // Find highest return asset
   let maxReturnIdx = 0;
@@ -743,7 +787,7 @@ export function optimizeMaximumReturn(companies) {
   const weights = Array(n).fill(0);
   weights[maxReturnIdx] = 1.0;
   
-  const risks = companies.map(c => c.risk);
+  const risks = assetRisks(companies, riskModel);
   const correlationMatrix = buildCorrelationMatrix(covMatrix);
   
   const portReturn = portfolioExpectedReturn(weights, expectedReturns);
@@ -763,6 +807,294 @@ export function optimizeMaximumReturn(companies) {
   };
 }
 
+/**
+ * BLACK-LITTERMAN PORTFOLIO - Equilibrium Returns Blended With Views
+ * 
+ * Academic Foundation: Black & Litterman (1992), He & Litterman (1999)
+ * Method: Reverse-optimize the market-cap portfolio for the prior, blend in
+ * the user's views, then size positions on the posterior returns
+ * 
+ * Unconstrained optimum:
+ * w* = (δΣ)⁻¹ · μ_BL
+ * 
+ * With no views μ_BL = π and w* is the market-cap portfolio itself. Negative
+ * weights are dropped (long only) and the result goes through the same
+ * min/max allocation constraints as the Optimal portfolio.
+ * 
+ * @param {Array} companies - Company data (expected_return is ignored; risk feeds Σ)
+ * @param {Array} views - See blackLitterman.validateViews
+ * @param {Object} options - { marketCaps, riskAversion, tau, applyConstraints, correlationTier }
+ */
+export function optimizeBlackLitterman(companies, views = [], options = {}) {
+  const {
+    marketCaps = {},
+    riskAversion = DEFAULT_RISK_AVERSION,
+    tau = DEFAULT_TAU,
+    applyConstraints = true,
+    correlationTier = 'low'
+  } = options;
+  const n = companies.length;
+  const symbols = companies.map(c => c.symbol);
+  const riskFreeRate = RISK_FREE_RATE / 100;
+  const covMatrix = calculateCovarianceMatrix(companies);
+
+  const market = marketCapWeights(companies, marketCaps);
+  const prior = impliedEquilibriumReturns(covMatrix, market.weights, riskAversion);
+  const { posterior, views: appliedViews } = blackLittermanPosterior({ symbols, covMatrix, prior, views, tau });
+
+  // Posterior returns replace expected_return so the constraint pipeline ranks by them
+  const posteriorCompanies = companies.map((company, i) => ({
+    ...company,
+    expected_return: (posterior[i] + riskFreeRate) * 100
+  }));
+
+  const covInverse = invertMatrix(covMatrix);
+  let weights = covInverse.map(row => row.reduce((sum, val, j) => sum + val * posterior[j], 0) / riskAversion);
+  weights = weights.map(w => Math.max(0, w));
+  let sum = weights.reduce((a, b) => a + b, 0);
+  weights = sum > 0 ? weights.map(w => w / sum) : [...market.weights];
+
+  let constraintsApplied = false;
+  if (applyConstraints && n >= 2) {
+    const result = applyPortfolioConstraints(weights, posteriorCompanies, 0.40, correlationTier);
+    weights = result.weights;
+    constraintsApplied = result.constraintsApplied;
+  }
+
+  const expectedReturns = posteriorCompanies.map(c => c.expected_return / 100);
+  const risks = companies.map(c => c.risk);
+  const correlationMatrix = buildCorrelationMatrix(covMatrix);
+
+  const portReturn = portfolioExpectedReturn(weights, expectedReturns);
+  const portRisk = portfolioRisk(weights, risks, correlationMatrix);
+  const portSharpe = sharpeRatio(portReturn * 100, portRisk, RISK_FREE_RATE);
+
+  const allocations = {};
+  const marketWeights = {};
+  const impliedReturns = {};
+  const posteriorReturns = {};
+  companies.forEach((company, i) => {
+    allocations[company.symbol] = weights[i] * 100;
+    marketWeights[company.symbol] = round(market.weights[i] * 100, 2);
+    impliedReturns[company.symbol] = round((prior[i] + riskFreeRate) * 100, 2);
+    posteriorReturns[company.symbol] = round(posteriorCompanies[i].expected_return, 2);
+  });
+
+  return {
+    allocations,
+    expected_return: portReturn * 100,
+    risk: portRisk,
+    sharpe_ratio: portSharpe,
+    constraints_applied: constraintsApplied,
+    method: 'Black-Litterman',
+    market_weights: marketWeights,
+    implied_returns: impliedReturns,
+    posterior_returns: posteriorReturns,
+    views: appliedViews,
+    estimated_market_caps: market.estimated
+  };
+}
+
+/**
+ * EFFICIENT FRONTIER - Minimum Risk at Every Target Return
+ * 
+ * Academic Foundation: Markowitz (1952), Merton (1972)
+ * Method: Long-only minimum-variance portfolio solved exactly at evenly spaced
+ * target returns, from the minimum-variance portfolio to the highest
+ * attainable return
+ * 
+ * Uses the same covariance estimate as the strategies, so their points can be
+ * plotted against the curve. The Optimal and Min Variance portfolios carry
+ * min/max allocation constraints and usually sit slightly inside it.
+ * 
+ * @param {Array} companies - Company data (expected_return, risk in %)
+ * @param {Object} options - { points, maxWeight } (maxWeight as a decimal, default 1)
+ * @returns {Object} {
+ *   points: [{ allocations, expected_return, risk, sharpe_ratio }],
+ *   assets: [{ symbol, expected_return, risk }],
+ *   minimum_variance_index, max_sharpe_index
+ * }
+ */
+export function calculateEfficientFrontier(companies, options = {}) {
+  const { points = DEFAULT_FRONTIER_POINTS, maxWeight = 1 } = options;
+  const n = companies.length;
+  const expectedReturns = companies.map(c => c.expected_return / 100);
+  const covMatrix = calculateCovarianceMatrix(companies);
+  const risks = companies.map(c => c.risk);
+  const correlationMatrix = buildCorrelationMatrix(covMatrix);
+
+  // A cap below 1/n cannot be fully invested
+  const cap = Math.max(maxWeight, n > 0 ? 1 / n : 1);
+  const frontier = traceEfficientFrontier(covMatrix, expectedReturns, {
+    points,
+    upperBounds: Array(n).fill(cap)
+  });
+
+  const frontierPoints = frontier.map(({ weights }) => {
+    const portReturn = portfolioExpectedReturn(weights, expectedReturns);
+    const portRisk = portfolioRisk(weights, risks, correlationMatrix);
+    const allocations = {};
+    companies.forEach((company, i) => {
+      allocations[company.symbol] = weights[i] * 100;
+    });
+    return {
+      allocations,
+      expected_return: portReturn * 100,
+      risk: portRisk,
+      sharpe_ratio: sharpeRatio(portReturn * 100, portRisk, RISK_FREE_RATE)
+    };
+  });
+
+  const maxSharpeIndex = frontierPoints.reduce(
+    (best, point, i) => (point.sharpe_ratio > frontierPoints[best].sharpe_ratio ? i : best),
+    0
+  );
+
+  return {
+    points: frontierPoints,
+    assets: companies.map(c => ({ symbol: c.symbol, expected_return: c.expected_return, risk: c.risk })),
+    minimum_variance_index: frontierPoints.length > 0 ? 0 : -1,
+    max_sharpe_index: frontierPoints.length > 0 ? maxSharpeIndex : -1
+  };
+}
+
+/**
+ * CUSTOM-CONSTRAINED PORTFOLIO - User-Defined Limits Solved Exactly
+ * 
+ * Method: Max Sharpe or minimum variance over the long-only weights that
+ * satisfy every user limit (per-asset min/max, sector caps, max beta, minimum
+ * holdings, must-include symbols, turnover versus current holdings)
+ * 
+ * Unlike applyPortfolioConstraints, limits are part of the optimization rather
+ * than clipped afterwards, so the result is optimal within them. When the limits
+ * conflict, no allocation is returned and `explanations` says why.
+ * 
+ * @param {Array} companies - Company data (expected_return, risk in %; sector, beta)
+ * @param {Object} constraints - See constrainedOptimization.DEFAULT_CONSTRAINTS
+ * @param {Object} options - { currentWeights } from constrainedOptimization.currentHoldingWeights
+ */
+export function optimizeWithCustomConstraints(companies, constraints = {}, options = {}) {
+  const { currentWeights = null } = options;
+  const covMatrix = calculateCovarianceMatrix(companies);
+  const solution = solveConstrainedPortfolio({ companies, covMatrix, constraints, currentWeights });
+
+  const details = {
+    feasible: solution.feasible,
+    objective: solution.objective,
+    explanations: solution.explanations,
+    binding_constraints: solution.binding,
+    forced_holdings: solution.forcedHoldings,
+    turnover: solution.turnover === null ? null : solution.turnover * 100,
+    notes: solution.notes,
+    method: 'Custom constraints'
+  };
+  if (!solution.feasible) return details;
+
+  const weights = solution.weights;
+  const expectedReturns = companies.map(c => c.expected_return / 100);
+  const risks = companies.map(c => c.risk);
+  const correlationMatrix = buildCorrelationMatrix(covMatrix);
+
+  const portReturn = portfolioExpectedReturn(weights, expectedReturns);
+  const portRisk = portfolioRisk(weights, risks, correlationMatrix);
+  const portSharpe = sharpeRatio(portReturn * 100, portRisk, RISK_FREE_RATE);
+
+  const allocations = {};
+  companies.forEach((company, i) => {
+    allocations[company.symbol] = weights[i] * 100;
+  });
+
+  return {
+    ...details,
+    allocations,
+    expected_return: portReturn * 100,
+    risk: portRisk,
+    sharpe_ratio: portSharpe,
+    constraints_applied: true
+  };
+}
+
+/**
+ * DOWNSIDE-RISK PORTFOLIOS - Min CVaR, Max Sortino, Min Drawdown
+ * 
+ * Academic Foundation: Rockafellar & Uryasev (2000), Sortino & van der Meer (1991),
+ * Chekhlov, Uryasev & Zabarankin (2005)
+ * Method: Seeded, correlated Monte Carlo paths (simulateAssetReturnPaths, using the
+ * strategies' covariance estimate), then a weight search per objective on those paths
+ * 
+ * Strategies passed in `strategies` are scored on the same paths too, so all cards
+ * compare like with like.
+ * Positions carry the same single-asset cap as the Optimal and Min Variance strategies.
+ * 
+ * @param {Array} companies - Company data (expected_return, risk in %)
+ * @param {Object} options - { maxWeight (decimal, default 0.40), years, simulations, seed,
+ *   strategies: { key: portfolio with allocations in % } }
+ * @returns {Object|null} {
+ *   min_cvar_portfolio, max_sortino_portfolio, min_drawdown_portfolio,
+ *   strategy_downside_metrics: { key: downside_metrics }
+ * } where downside_metrics = { cvar_95, sortino_ratio, max_drawdown, worst_drawdown } (% except Sortino)
+ */
+export function optimizeDownsideRiskPortfolios(companies, options = {}) {
+  const {
+    maxWeight = 0.40,
+    years = DEFAULT_DOWNSIDE_SCENARIOS.years,
+    simulations = DEFAULT_DOWNSIDE_SCENARIOS.simulations,
+    seed = DEFAULT_DOWNSIDE_SCENARIOS.seed,
+    strategies = {}
+  } = options;
+  const n = companies.length;
+  if (n < 2) return null;
+
+  const covMatrix = calculateCovarianceMatrix(companies);
+  const correlationMatrix = buildCorrelationMatrix(covMatrix);
+  const assetPaths = simulateAssetReturnPaths(companies, years, simulations, { correlationMatrix, seed });
+  const expectedReturns = companies.map(c => c.expected_return / 100);
+  const risks = companies.map(c => c.risk);
+
+  const measure = (weights) => {
+    const { cvar_95, sortino_ratio, max_drawdown, worst_drawdown } = downsideRiskMetrics(assetPaths, weights);
+    return {
+      cvar_95: cvar_95 * 100,
+      sortino_ratio,
+      max_drawdown: max_drawdown * 100,
+      worst_drawdown: worst_drawdown * 100
+    };
+  };
+
+  const result = { strategy_downside_metrics: {} };
+  const cap = Math.max(maxWeight, 1 / n);
+  Object.entries(DOWNSIDE_OBJECTIVES).forEach(([objective, { label }]) => {
+    const weights = optimizeDownsideWeights(assetPaths, objective, { upperBounds: Array(n).fill(cap) });
+    const portReturn = portfolioExpectedReturn(weights, expectedReturns);
+    const portRisk = portfolioRisk(weights, risks, correlationMatrix);
+    const downside = measure(weights);
+
+    const allocations = {};
+    companies.forEach((company, i) => {
+      allocations[company.symbol] = weights[i] * 100;
+    });
+
+    result[`${objective}_portfolio`] = {
+      allocations,
+      expected_return: portReturn * 100,
+      risk: portRisk,
+      sharpe_ratio: sharpeRatio(portReturn * 100, portRisk, RISK_FREE_RATE),
+      max_drawdown: downside.max_drawdown,
+      downside_metrics: downside,
+      objective,
+      method: label
+    };
+  });
+
+  Object.entries(strategies).forEach(([key, portfolio]) => {
+    if (!portfolio?.allocations) return;
+    const weights = companies.map(c => (portfolio.allocations[c.symbol] || 0) / 100);
+    result.strategy_downside_metrics[key] = measure(weights);
+  });
+
+  return result;
+}
+
 /**
  * Apply return caps based on asset class (mean reversion control)
  * Prevents unrealistic long-term expectations
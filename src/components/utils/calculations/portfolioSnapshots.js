@@ -0,0 +1,123 @@
+/**
+ * Portfolio Valuation Snapshots
+ *
+ * One snapshot per calendar day recording holdings, prices and total value,
+ * so charts and performance figures read real history instead of
+ * synthesizing it from a single totalValue.
+ *
+ * Sources:
+ * - sync: recorded from a syncPortfolio response (live quotes)
+ * - backfill: rebuilt from the Transaction ledger and historical closes
+ *
+ * When both exist for the same day the sync snapshot wins.
+ */
+
+import { valuationsFromLedger } from "./performance";
+import { round } from "./financialMath";
+
+export const SNAPSHOT_SOURCES = {
+  SYNC: 'sync',
+  BACKFILL: 'backfill'
+};
+
+const SOURCE_PRIORITY = { sync: 2, backfill: 1 };
+const toDateKey = (value) => String(value || '').slice(0, 10);
+
+/**
+ * Build a snapshot from a Portfolio entity (or syncPortfolio response)
+ *
+ * @param {Object} portfolio - { assets: [{ symbol, quantity, avgCost, currentPrice }], totalValue }
+ * @param {Object} options - { date, source }
+ * @returns {Object|null} Snapshot, or null if there is nothing to record
+ */
+export function snapshotFromPortfolio(portfolio, options = {}) {
+  const assets = Array.isArray(portfolio?.assets) ? portfolio.assets : [];
+  const date = toDateKey(options.date || portfolio?.lastUpdated || new Date().toISOString());
+
+  const holdings = assets
+    .filter(a => a?.symbol && Number(a.quantity) > 0)
+    .map(a => {
+      const quantity = Number(a.quantity);
+      const price = Number(a.currentPrice ?? a.current_price ?? a.avgCost ?? 0) || 0;
+      return {
+        symbol: String(a.symbol).toUpperCase(),
+        quantity,
+        price,
+        value: round(quantity * price, 2),
+        costBasis: round(quantity * (Number(a.avgCost ?? a.average_cost) || 0), 2)
+      };
+    });
+
+  if (holdings.length === 0) return null;
+
+  return {
+    date,
+    holdings,
+    totalValue: round(holdings.reduce((s, h) => s + h.value, 0), 2),
+    totalCost: round(holdings.reduce((s, h) => s + h.costBasis, 0), 2),
+    source: options.source || SNAPSHOT_SOURCES.SYNC,
+    recordedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Rebuild daily snapshots from the ledger for days that have none
+ *
+ * @param {Array} transactions - Transaction ledger
+ * @param {Object} priceHistory - { [symbol]: [{ date, close }] }
+ * @param {Array} existingSnapshots - Snapshots already stored
+ * @param {Object} options - { calendar, endDate } passed to valuationsFromLedger
+ * @returns {Array} New backfill snapshots, sorted by date
+ */
+export function backfillSnapshots(transactions = [], priceHistory = {}, existingSnapshots = [], options = {}) {
+  const covered = new Set(existingSnapshots.map(s => toDateKey(s.date)));
+  const recordedAt = new Date().toISOString();
+
+  return valuationsFromLedger(transactions, priceHistory, options)
+    .filter(v => !covered.has(v.date) && v.value > 0)
+    .map(v => {
+      const holdings = Object.entries(v.holdings).map(([symbol, quantity]) => {
+        const price = v.prices?.[symbol] ?? 0;
+        return { symbol, quantity, price, value: round(quantity * price, 2) };
+      });
+      return {
+        date: v.date,
+        holdings,
+        totalValue: round(v.value, 2),
+        source: SNAPSHOT_SOURCES.BACKFILL,
+        recordedAt
+      };
+    });
+}
+
+/**
+ * Merge snapshot lists into one per day, preferring sync over backfill
+ * and the most recently recorded within the same source
+ */
+export function mergeSnapshots(...lists) {
+  const byDate = {};
+  lists.flat().filter(Boolean).forEach(snapshot => {
+    const date = toDateKey(snapshot.date);
+    const current = byDate[date];
+    const rank = SOURCE_PRIORITY[snapshot.source] || 0;
+    const currentRank = current ? SOURCE_PRIORITY[current.source] || 0 : -1;
+    if (!current || rank > currentRank
+      || (rank === currentRank && String(snapshot.recordedAt || '') > String(current.recordedAt || ''))) {
+      byDate[date] = { ...snapshot, date };
+    }
+  });
+  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Convert snapshots into the valuation series used by performance.js
+ *
+ * @returns {Array} [{ date, value, holdings: { [symbol]: quantity } }]
+ */
+export function snapshotsToValuations(snapshots = []) {
+  return mergeSnapshots(snapshots).map(s => ({
+    date: s.date,
+    value: Number(s.totalValue) || 0,
+    holdings: Object.fromEntries((s.holdings || []).map(h => [h.symbol, h.quantity]))
+  }));
+}
@@ -474,38 +474,6 @@ export function calculatePanicSellingImpact(expectedReturn, volatility, years =
   };
 }
 
-/**
- * Identify tax-loss harvesting opportunities
- * Finds positions below cost basis for potential tax benefits
- */
-export function identifyTaxLossOpportunities(companies, weights, currentPrices, costBasis) {
-  const opportunities = [];
-  
-  companies.forEach((company, i) => {
-    const currentPrice = currentPrices[i];
-    const basis = costBasis[i];
-    
-    if (currentPrice < basis) {
-      const loss = (currentPrice - basis) / basis * 100;
-      const position = weights[i] * 100;
-      
-      opportunities.push({
-        symbol: company.symbol,
-        name: company.name,
-        currentPrice,
-        costBasis: basis,
-        unrealizedLoss: round(loss, 1),
-        positionSize: round(position, 1),
-        potentialTaxBenefit: round(Math.abs(loss) * position * 0.001, 0)
-      });
-    }
-  });
-  
-  opportunities.sort((a, b) => a.unrealizedLoss - b.unrealizedLoss);
-  
-  return opportunities;
-}
-
 /**
  * Calculate optimal rebalancing threshold
  * Balances drift cost (tracking error) vs transaction costs
@@ -0,0 +1,380 @@
+/**
+ * Risk Models
+ *
+ * Covariance estimates from actual daily returns, as alternatives to the
+ * sector/beta heuristic the optimizers use when no price data is supplied.
+ * An estimated model is passed to the optimizers as `riskModel`; leaving it
+ * out keeps the heuristic.
+ *
+ * References:
+ * - Markowitz (1952): Portfolio Selection (sample covariance)
+ * - Ledoit & Wolf (2004): Honey, I Shrunk the Sample Covariance Matrix
+ *   (constant-correlation target, optimal shrinkage intensity)
+ * - Sharpe (1963): A Simplified Model for Portfolio Analysis (single-index model)
+ * - Grinold & Kahn (2000): Active Portfolio Management, ch. 3 (multi-factor risk models)
+ *
+ * Conventions:
+ * - Daily simple returns from adjusted closes on SPY's trading calendar
+ *   (alignDailyCloses). A return is kept only when every symbol has an actual
+ *   bar on both days; a carried-forward close would read as a 0% return and
+ *   bias volatilities and correlations toward zero
+ * - Covariances are annualized decimals (daily × 252); volatilities are % like
+ *   company.risk
+ * - Single-factor: the market (SPY). Multi-factor: the market plus one factor
+ *   per sector (its Select Sector SPDR minus SPY); each asset loads on the
+ *   market and on its own sector only
+ * - Factor models: Σ = B Σ_F Bᵀ + D, loadings by OLS with an intercept and D
+ *   the residual variances
+ */
+
+import { alignDailyCloses, BACKTEST_BENCHMARK, TRADING_DAYS_PER_YEAR } from "./historicalBacktest";
+import { solveLinearSystem } from "./financialMath";
+import { SECTOR_ETFS } from "../sectorEtfs";
+
+export const RISK_MODEL_LOOKBACK_YEARS = 3;
+export const MIN_OBSERVATIONS = 60;
+
+export const RISK_MODELS = {
+  heuristic: {
+    label: 'Heuristic',
+    description: 'Correlations from asset type, sector and beta; volatilities from each asset\'s risk figure'
+  },
+  sample: {
+    label: 'Sample Covariance',
+    description: 'Covariance of actual daily returns; noisy when there are many assets and few days'
+  },
+  ledoit_wolf: {
+    label: 'Ledoit-Wolf Shrinkage',
+    description: 'Sample covariance pulled toward a constant-correlation target by the optimal amount'
+  },
+  single_factor: {
+    label: 'Single-Factor (Market)',
+    description: 'Each asset\'s exposure to SPY plus its own specific risk'
+  },
+  multi_factor: {
+    label: 'Multi-Factor (Market + Sector)',
+    description: 'Exposures to SPY and to the asset\'s sector ETF, plus specific risk'
+  }
+};
+
+const MARKET_FACTOR = BACKTEST_BENCHMARK;
+
+const sectorEtfFor = (company) => (company?.sector ? SECTOR_ETFS[company.sector] || null : null);
+
+/**
+ * Symbols whose prices a model needs: the holdings, SPY, and sector ETFs for the multi-factor model
+ *
+ * @param {Array} companies - Company data (symbol, sector)
+ * @param {string} model - Key of RISK_MODELS
+ * @returns {string[]} Sorted unique symbols
+ */
+export function riskModelSymbols(companies = [], model) {
+  const symbols = new Set(companies.map(c => c.symbol));
+  if (model !== 'heuristic') symbols.add(MARKET_FACTOR);
+  if (model === 'multi_factor') {
+    companies.forEach(c => {
+      const etf = sectorEtfFor(c);
+      if (etf) symbols.add(etf);
+    });
+  }
+  return [...symbols].sort();
+}
+
+/**
+ * Daily simple returns over consecutive trading days on which every symbol has a bar
+ * Days where any symbol's close was carried forward are skipped, along with
+ * the return into the next day.
+ *
+ * @param {Object} priceHistory - { [symbol]: [{ date, close, adjClose? }] }
+ * @param {string[]} symbols - Column order of the result
+ * @param {string} startDate - YYYY-MM-DD (optional)
+ * @param {string} endDate - YYYY-MM-DD (optional)
+ * @returns {Object} { dates, returns: number[][] (days × symbols), missingSymbols }
+ */
+export function dailyReturnMatrix(priceHistory = {}, symbols = [], startDate, endDate) {
+  const { dates, closes, observed } = alignDailyCloses(priceHistory, symbols, startDate, endDate);
+  const missingSymbols = symbols.filter(symbol => !closes[symbol].some(close => close !== null));
+  if (missingSymbols.length > 0) return { dates: [], returns: [], missingSymbols };
+
+  const complete = dates.map((_, d) => symbols.every(symbol => observed[symbol][d]));
+  const returnDates = [];
+  const returns = [];
+  for (let d = 1; d < dates.length; d++) {
+    if (!complete[d] || !complete[d - 1]) continue;
+    returnDates.push(dates[d]);
+    returns.push(symbols.map(symbol => closes[symbol][d] / closes[symbol][d - 1] - 1));
+  }
+  return { dates: returnDates, returns, missingSymbols };
+}
+
+const columnMeans = (returns) => {
+  const n = returns[0].length;
+  const means = Array(n).fill(0);
+  returns.forEach(row => row.forEach((r, i) => { means[i] += r / returns.length; }));
+  return means;
+};
+
+/**
+ * Sample covariance of daily returns (divides by T − 1)
+ *
+ * @param {number[][]} returns - Days × assets
+ * @returns {Array<Array<number>>} Daily covariance
+ */
+export function sampleCovariance(returns) {
+  const T = returns.length;
+  const n = returns[0]?.length || 0;
+  const means = columnMeans(returns);
+  const cov = Array(n).fill(0).map(() => Array(n).fill(0));
+  returns.forEach(row => {
+    for (let i = 0; i < n; i++) {
+      const xi = row[i] - means[i];
+      for (let j = i; j < n; j++) cov[i][j] += xi * (row[j] - means[j]);
+    }
+  });
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      cov[i][j] /= Math.max(1, T - 1);
+      cov[j][i] = cov[i][j];
+    }
+  }
+  return cov;
+}
+
+/**
+ * Ledoit-Wolf shrinkage toward a constant-correlation target
+ *
+ * @param {number[][]} returns - Days × assets
+ * @returns {Object} { covMatrix (daily), shrinkage (0-1, weight on the target), averageCorrelation }
+ */
+export function ledoitWolfCovariance(returns) {
+  const T = returns.length;
+  const n = returns[0]?.length || 0;
+  const means = columnMeans(returns);
+  const X = returns.map(row => row.map((r, i) => r - means[i]));
+
+  // Maximum-likelihood sample covariance (divides by T), as in the paper
+  const S = Array(n).fill(0).map(() => Array(n).fill(0));
+  X.forEach(row => {
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) S[i][j] += row[i] * row[j] / T;
+  });
+  const sd = S.map((row, i) => Math.sqrt(row[i]));
+
+  let correlationSum = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j) correlationSum += S[i][j] / (sd[i] * sd[j]);
+    }
+  }
+  const rBar = n > 1 ? correlationSum / (n * (n - 1)) : 0;
+  const F = S.map((row, i) => row.map((s, j) => (i === j ? s : rBar * sd[i] * sd[j])));
+
+  // π: asymptotic variance of the sample covariances; ρ: their covariance with the target; γ: misspecification
+  let pi = 0;
+  let rho = 0;
+  let gamma = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      let piIJ = 0;
+      let thetaII = 0;
+      let thetaJJ = 0;
+      X.forEach(row => {
+        const product = row[i] * row[j] - S[i][j];
+        piIJ += product * product;
+        thetaII += (row[i] * row[i] - S[i][i]) * product;
+        thetaJJ += (row[j] * row[j] - S[j][j]) * product;
+      });
+      piIJ /= T;
+      pi += piIJ;
+      if (i === j) {
+        rho += piIJ;
+      } else {
+        rho += (rBar / 2) * ((sd[j] / sd[i]) * thetaII / T + (sd[i] / sd[j]) * thetaJJ / T);
+      }
+      gamma += (F[i][j] - S[i][j]) ** 2;
+    }
+  }
+
+  const kappa = gamma > 0 ? (pi - rho) / gamma : 0;
+  const shrinkage = gamma > 0 ? Math.max(0, Math.min(1, kappa / T)) : 1;
+  return {
+    covMatrix: S.map((row, i) => row.map((s, j) => shrinkage * F[i][j] + (1 - shrinkage) * s)),
+    shrinkage,
+    averageCorrelation: rBar
+  };
+}
+
+/**
+ * Factor-model covariance: Σ = B Σ_F Bᵀ + D
+ *
+ * @param {number[][]} returns - Days × assets
+ * @param {number[][]} factorReturns - Days × factors (same days)
+ * @param {boolean[][]} exposures - exposures[asset][factor]: whether the asset loads on the factor
+ * @returns {Object} { covMatrix (daily), loadings: number[][], rSquared: number[], specificVariance: number[] }
+ */
+export function factorModelCovariance(returns, factorReturns, exposures) {
+  const T = returns.length;
+  const n = returns[0]?.length || 0;
+  const k = factorReturns[0]?.length || 0;
+  const factorCov = sampleCovariance(factorReturns);
+  const loadings = Array(n).fill(0).map(() => Array(k).fill(0));
+  const specificVariance = Array(n).fill(0);
+  const rSquared = Array(n).fill(0);
+
+  // OLS of one asset on an intercept and the given factors, via the normal equations
+  const regress = (i, used) => {
+    const p = used.length + 1;
+    const XtX = Array(p).fill(0).map(() => Array(p).fill(0));
+    const Xty = Array(p).fill(0);
+    factorReturns.forEach((row, t) => {
+      const x = [1, ...used.map(f => row[f])];
+      for (let a = 0; a < p; a++) {
+        Xty[a] += x[a] * returns[t][i];
+        for (let b = 0; b < p; b++) XtX[a][b] += x[a] * x[b];
+      }
+    });
+    return solveLinearSystem(XtX, Xty);
+  };
+
+  for (let i = 0; i < n; i++) {
+    let used = exposures[i].map((on, f) => (on ? f : -1)).filter(f => f >= 0);
+    let coefficients;
+    try {
+      coefficients = regress(i, used);
+    } catch {
+      // Collinear factors: keep the first (market) factor only
+      used = used.slice(0, 1);
+      coefficients = regress(i, used);
+    }
+
+    used.forEach((f, u) => { loadings[i][f] = coefficients[u + 1]; });
+    let residualSum = 0;
+    let totalSum = 0;
+    const mean = returns.reduce((sum, row) => sum + row[i], 0) / T;
+    returns.forEach((row, t) => {
+      const fitted = coefficients[0] + used.reduce((sum, f, u) => sum + coefficients[u + 1] * factorReturns[t][f], 0);
+      residualSum += (row[i] - fitted) ** 2;
+      totalSum += (row[i] - mean) ** 2;
+    });
+    specificVariance[i] = residualSum / Math.max(1, T - used.length - 1);
+    rSquared[i] = totalSum > 0 ? 1 - residualSum / totalSum : 0;
+  }
+
+  const covMatrix = Array(n).fill(0).map(() => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      let systematic = 0;
+      for (let a = 0; a < k; a++) {
+        for (let b = 0; b < k; b++) systematic += loadings[i][a] * factorCov[a][b] * loadings[j][b];
+      }
+      covMatrix[i][j] = systematic + (i === j ? specificVariance[i] : 0);
+    }
+  }
+  return { covMatrix, loadings, rSquared, specificVariance };
+}
+
+/**
+ * Correlation matrix implied by a covariance matrix
+ *
+ * @param {Array<Array<number>>} covMatrix
+ * @returns {Array<Array<number>>}
+ */
+export function correlationFromCovariance(covMatrix) {
+  const sd = covMatrix.map((row, i) => Math.sqrt(row[i]));
+  return covMatrix.map((row, i) => row.map((c, j) => (i === j ? 1 : sd[i] > 0 && sd[j] > 0 ? c / (sd[i] * sd[j]) : 0)));
+}
+
+/**
+ * Estimate a risk model for the given companies from daily prices
+ *
+ * @param {Object} options
+ * @param {string} options.model - Key of RISK_MODELS other than 'heuristic'
+ * @param {Array} options.companies - Company data (symbol, sector)
+ * @param {Object} options.priceHistory - { [symbol]: [{ date, close, adjClose? }] } including riskModelSymbols()
+ * @param {string} options.startDate - YYYY-MM-DD (optional)
+ * @param {string} options.endDate - YYYY-MM-DD (optional)
+ * @returns {Object} {
+ *   model, symbols, observations, startDate, endDate, missingSymbols, error,
+ *   covMatrix (annualized), correlationMatrix, volatilities (%),
+ *   shrinkage, averageCorrelation (Ledoit-Wolf), factors, rSquared: { [symbol] } (factor models)
+ * } — covMatrix is null with an `error` message when the prices cannot support the model
+ */
+export function estimateRiskModel({ model, companies = [], priceHistory = {}, startDate, endDate }) {
+  const symbols = companies.map(c => c.symbol);
+  const base = { model, symbols, observations: 0, startDate: null, endDate: null, missingSymbols: [], covMatrix: null };
+  if (!RISK_MODELS[model] || model === 'heuristic') {
+    return { ...base, error: `${model} is not an estimated risk model` };
+  }
+
+  const factorSymbols = model === 'single_factor' || model === 'multi_factor' ? [MARKET_FACTOR] : [];
+  if (model === 'multi_factor') {
+    [...new Set(companies.map(sectorEtfFor).filter(Boolean))].sort().forEach(etf => {
+      if ((priceHistory[etf] || []).length > 0) factorSymbols.push(etf);
+    });
+  }
+
+  const columns = [...symbols, ...factorSymbols.filter(s => !symbols.includes(s))];
+  const { dates, returns, missingSymbols } = dailyReturnMatrix(priceHistory, columns, startDate, endDate);
+  if (missingSymbols.length > 0) {
+    return { ...base, missingSymbols, error: `No price history for ${missingSymbols.join(', ')}` };
+  }
+  if (returns.length < MIN_OBSERVATIONS) {
+    return {
+      ...base,
+      observations: returns.length,
+      error: `Only ${returns.length} trading days of overlapping prices; at least ${MIN_OBSERVATIONS} are needed`
+    };
+  }
+
+  const index = (symbol) => columns.indexOf(symbol);
+  const assetReturns = returns.map(row => symbols.map(symbol => row[index(symbol)]));
+  const details = {};
+  let dailyCov;
+
+  if (model === 'sample') {
+    dailyCov = sampleCovariance(assetReturns);
+  } else if (model === 'ledoit_wolf') {
+    const shrunk = ledoitWolfCovariance(assetReturns);
+    dailyCov = shrunk.covMatrix;
+    details.shrinkage = shrunk.shrinkage;
+    details.averageCorrelation = shrunk.averageCorrelation;
+  } else {
+    // Market factor, then sector factors as the sector ETF's return over the market's
+    const market = index(MARKET_FACTOR);
+    const sectorFactors = factorSymbols.slice(1);
+    const factorReturns = returns.map(row => [
+      row[market],
+      ...sectorFactors.map(etf => row[index(etf)] - row[market])
+    ]);
+    const exposures = companies.map(c => [true, ...sectorFactors.map(etf => etf === sectorEtfFor(c))]);
+    const fitted = factorModelCovariance(assetReturns, factorReturns, exposures);
+    dailyCov = fitted.covMatrix;
+    details.factors = [MARKET_FACTOR, ...sectorFactors.map(etf => `${etf} − ${MARKET_FACTOR}`)];
+    details.rSquared = Object.fromEntries(symbols.map((symbol, i) => [symbol, fitted.rSquared[i]]));
+  }
+
+  const covMatrix = dailyCov.map(row => row.map(c => c * TRADING_DAYS_PER_YEAR));
+  return {
+    ...base,
+    ...details,
+    observations: returns.length,
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    covMatrix,
+    correlationMatrix: correlationFromCovariance(covMatrix),
+    volatilities: covMatrix.map((row, i) => Math.sqrt(row[i]) * 100)
+  };
+}
+
+/**
+ * A model's covariance rows and columns in the order of `assets`
+ *
+ * @param {Object} riskModel - From estimateRiskModel
+ * @param {Array} assets - Company data (symbol)
+ * @returns {Array<Array<number>>|null} Annualized covariance, or null when the model lacks any asset
+ */
+export function covarianceForAssets(riskModel, assets = []) {
+  if (!riskModel?.covMatrix) return null;
+  const positions = assets.map(asset => riskModel.symbols.indexOf(asset.symbol));
+  if (positions.some(p => p === -1)) return null;
+  return positions.map(i => positions.map(j => riskModel.covMatrix[i][j]));
+}
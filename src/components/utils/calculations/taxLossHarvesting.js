@@ -0,0 +1,294 @@
+/**
+ * Tax-Loss Harvesting Planner
+ *
+ * Finds open lots trading below their (wash-sale adjusted) cost basis, estimates
+ * the tax value of realizing the loss, and proposes replacement securities so
+ * the portfolio stays invested through the 30-day wash-sale window.
+ *
+ * Rules applied:
+ * - Lots come from the replayed ledger (lotAccounting.js / capitalGains.js)
+ * - Short-term losses are valued at the marginal ordinary rate, long-term
+ *   losses at the long-term capital gains rate
+ * - Net capital losses beyond realized gains offset at most $3,000 of ordinary
+ *   income per year (IRC §1211(b)); the remainder carries forward
+ * - Harvesting is blocked if the same (or substantially identical) security was
+ *   bought in the last 30 days and those shares are not among the lots being
+ *   sold, and replacements sold at a loss in the last
+ *   30 days are excluded, since either would trigger IRC §1091
+ *
+ * Replacement correlation uses the same sector/beta heuristic as the
+ * rebalancing simulator: same sector ≈ 0.7, different ≈ 0.4, beta-adjusted.
+ */
+
+import { buildGainsReport } from "./capitalGains";
+import { daysBetween, sortLedger } from "./lotAccounting";
+import { round } from "./financialMath";
+import { SECTOR_ETFS } from "../sectorEtfs";
+
+export const ORDINARY_LOSS_OFFSET_LIMIT = 3000;
+const WASH_SALE_LOOKBACK_DAYS = 30;
+
+/**
+ * Tickers that track the same index or share class and are treated as
+ * substantially identical to each other
+ */
+export const SUBSTANTIALLY_IDENTICAL_GROUPS = [
+  ['SPY', 'VOO', 'IVV', 'SPLG'],
+  ['QQQ', 'QQQM'],
+  ['GOOGL', 'GOOG'],
+  ['BRK.A', 'BRK.B'],
+  ['VTI', 'ITOT', 'SCHB'],
+  ['IWM', 'VTWO']
+];
+
+export function areSubstantiallyIdentical(symbolA, symbolB) {
+  const a = String(symbolA || '').toUpperCase();
+  const b = String(symbolB || '').toUpperCase();
+  if (a === b) return true;
+  return SUBSTANTIALLY_IDENTICAL_GROUPS.some(group => group.includes(a) && group.includes(b));
+}
+
+/**
+ * Heuristic correlation between two securities
+ * Same sector/different sector base as calculateRebalancingImpact (0.7 / 0.4),
+ * reduced as betas diverge. Sector ETFs are treated as members of their sector.
+ */
+export function estimateCorrelation(assetA, assetB) {
+  const sectorA = assetA.sector || 'Unknown';
+  const sectorB = assetB.sector || 'Unknown';
+  const beta1 = assetA.beta || 1.0;
+  const beta2 = assetB.beta || 1.0;
+
+  const baseCor = sectorA === sectorB && sectorA !== 'Unknown' ? 0.7 : 0.4;
+  const betaPenalty = Math.abs(beta1 - beta2) * 0.1;
+  return Math.max(0.1, Math.min(0.95, baseCor - betaPenalty));
+}
+
+/**
+ * Build the replacement universe from Companies and IndexFunds
+ * Index funds inherit a sector when they are a sector SPDR.
+ */
+function buildUniverse(companies = [], indexFunds = []) {
+  const etfSectors = Object.entries(SECTOR_ETFS).reduce((acc, [sector, etf]) => {
+    if (!acc[etf]) acc[etf] = sector;
+    return acc;
+  }, {});
+
+  const universe = companies
+    .filter(c => c?.symbol)
+    .map(c => ({ symbol: c.symbol.toUpperCase(), name: c.name, sector: c.sector, beta: c.beta, kind: 'stock' }));
+
+  indexFunds
+    .filter(f => f?.symbol)
+    .forEach(f => {
+      const symbol = f.symbol.toUpperCase();
+      if (universe.some(u => u.symbol === symbol)) return;
+      universe.push({
+        symbol,
+        name: f.name,
+        sector: etfSectors[symbol] || (f.type === 'broad_market' ? 'Broad Market' : f.sector),
+        beta: f.beta || 1.0,
+        kind: 'fund'
+      });
+    });
+
+  return universe;
+}
+
+/**
+ * Suggest replacement securities for a harvested position
+ *
+ * @param {Object} target - { symbol, sector, beta } of the security being sold
+ * @param {Array} universe - Output of buildUniverse
+ * @param {Set} blockedSymbols - Symbols sold at a loss in the last 30 days
+ * @param {number} limit - Max suggestions
+ * @returns {Array} [{ symbol, name, kind, estimatedCorrelation, reason }]
+ */
+export function suggestReplacements(target, universe, blockedSymbols = new Set(), limit = 3) {
+  return universe
+    .filter(candidate => !areSubstantiallyIdentical(candidate.symbol, target.symbol))
+    .filter(candidate => !blockedSymbols.has(candidate.symbol))
+    .map(candidate => {
+      // Broad-market funds are a reasonable stand-in for any equity
+      const correlation = candidate.sector === 'Broad Market'
+        ? 0.75
+        : estimateCorrelation(target, candidate);
+      const reason = candidate.sector === target.sector
+        ? `Same sector (${target.sector})`
+        : candidate.sector === 'Broad Market'
+          ? 'Broad market exposure'
+          : `Different sector (${candidate.sector || 'Unknown'})`;
+      return {
+        symbol: candidate.symbol,
+        name: candidate.name,
+        kind: candidate.kind,
+        estimatedCorrelation: round(correlation, 2),
+        reason
+      };
+    })
+    .sort((a, b) => b.estimatedCorrelation - a.estimatedCorrelation || a.symbol.localeCompare(b.symbol))
+    .slice(0, limit);
+}
+
+/**
+ * Build a tax-loss harvesting plan
+ *
+ * @param {Array} transactions - Transaction ledger
+ * @param {Object} options
+ *   method: cost basis method
+ *   prices: { [symbol]: currentPrice }
+ *   shortTermRate: marginal ordinary income rate (%)
+ *   longTermRate: long-term capital gains rate (%)
+ *   companies, indexFunds: replacement universe
+ *   minLoss: ignore lots with a loss smaller than this ($)
+ *   asOfDate: YYYY-MM-DD (default today)
+ * @returns {Object} { opportunities, blocked, summary }
+ */
+export function identifyTaxLossOpportunities(transactions = [], options = {}) {
+  const {
+    method,
+    prices = {},
+    shortTermRate = 24,
+    longTermRate = 15,
+    companies = [],
+    indexFunds = [],
+    minLoss = 50,
+    asOfDate = new Date().toISOString().slice(0, 10)
+  } = options;
+
+  const taxYear = Number(asOfDate.slice(0, 4));
+  const report = buildGainsReport(transactions, { method, prices, taxYear, asOfDate });
+  const universe = buildUniverse(companies, indexFunds);
+  const universeBySymbol = Object.fromEntries(universe.map(u => [u.symbol, u]));
+
+  // Lot ids mirror replayLedger, so a recent buy can be matched to the lot it opened
+  const recentBuys = sortLedger(transactions)
+    .map((tx, index) => ({
+      tx,
+      lotId: tx.id || `${String(tx.symbol || '').toUpperCase()}-${String(tx.transaction_date).slice(0, 10)}-${index}`
+    }))
+    .filter(({ tx }) => {
+      const age = daysBetween(tx.transaction_date, asOfDate);
+      return age >= 0 && age <= WASH_SALE_LOOKBACK_DAYS && (tx.type === 'buy' || tx.type === 'dividend_reinvestment');
+    });
+
+  // Symbols realized at a loss inside the window cannot be bought back yet.
+  // Early in January the window reaches back into the prior tax year.
+  const windowStart = new Date(`${asOfDate}T00:00:00Z`);
+  windowStart.setUTCDate(windowStart.getUTCDate() - WASH_SALE_LOOKBACK_DAYS);
+  const windowRows = windowStart.getUTCFullYear() < taxYear
+    ? [...buildGainsReport(transactions, { method, prices, taxYear: taxYear - 1, asOfDate }).realizedRows, ...report.realizedRows]
+    : report.realizedRows;
+  const recentLossSymbols = new Set(
+    windowRows
+      .filter(r => {
+        const age = daysBetween(r.disposedDate, asOfDate);
+        return r.gain < 0 && age >= 0 && age <= WASH_SALE_LOOKBACK_DAYS;
+      })
+      .map(r => r.symbol)
+  );
+
+  // Group losing lots by symbol: a harvest sells every losing lot of the position
+  const bySymbol = {};
+  report.unrealizedRows
+    .filter(lot => lot.gain !== null && lot.gain < 0)
+    .forEach(lot => {
+      bySymbol[lot.symbol] = bySymbol[lot.symbol] || [];
+      bySymbol[lot.symbol].push(lot);
+    });
+
+  const opportunities = [];
+  const blocked = [];
+
+  Object.entries(bySymbol).forEach(([symbol, lots]) => {
+    const shortTermLoss = -lots.filter(l => l.term === 'short').reduce((s, l) => s + l.gain, 0);
+    const longTermLoss = -lots.filter(l => l.term === 'long').reduce((s, l) => s + l.gain, 0);
+    const totalLoss = shortTermLoss + longTermLoss;
+    if (totalLoss < minLoss) return;
+
+    const quantity = lots.reduce((s, l) => s + l.quantity, 0);
+    const costBasis = lots.reduce((s, l) => s + l.costBasis, 0);
+    const marketValue = lots.reduce((s, l) => s + l.marketValue, 0);
+
+    // Shares bought in the window and sold in this harvest are not replacements
+    const harvestedLotIds = new Set(lots.map(l => l.lotId));
+    const conflictingBuy = recentBuys
+      .filter(({ tx, lotId }) => areSubstantiallyIdentical(tx.symbol, symbol) && !harvestedLotIds.has(lotId))
+      .map(({ tx }) => tx)
+      .sort((a, b) => String(b.transaction_date).localeCompare(String(a.transaction_date)))[0];
+
+    const base = {
+      symbol,
+      lots: lots.map(l => ({ lotId: l.lotId, acquiredDate: l.acquiredDate, quantity: l.quantity, loss: -l.gain, term: l.term })),
+      quantity,
+      currentPrice: lots[0].currentPrice,
+      costBasis,
+      marketValue,
+      unrealizedLoss: totalLoss,
+      unrealizedLossPct: costBasis > 0 ? round((-totalLoss / costBasis) * 100, 1) : 0,
+      shortTermLoss,
+      longTermLoss,
+      estimatedTaxSavings: shortTermLoss * (shortTermRate / 100) + longTermLoss * (longTermRate / 100)
+    };
+
+    if (conflictingBuy) {
+      const clearDate = new Date(`${String(conflictingBuy.transaction_date).slice(0, 10)}T00:00:00Z`);
+      clearDate.setUTCDate(clearDate.getUTCDate() + WASH_SALE_LOOKBACK_DAYS + 1);
+      blocked.push({
+        ...base,
+        reason: `${String(conflictingBuy.symbol).toUpperCase()} was bought on ${String(conflictingBuy.transaction_date).slice(0, 10)}; selling at a loss now would be a wash sale`,
+        eligibleDate: clearDate.toISOString().slice(0, 10)
+      });
+      return;
+    }
+
+    const target = universeBySymbol[symbol] || { symbol, sector: 'Unknown', beta: 1.0 };
+    const replacements = suggestReplacements(target, universe, recentLossSymbols);
+    if (target.sector && SECTOR_ETFS[target.sector] && !replacements.some(r => r.symbol === SECTOR_ETFS[target.sector])
+      && !areSubstantiallyIdentical(SECTOR_ETFS[target.sector], symbol) && !recentLossSymbols.has(SECTOR_ETFS[target.sector])) {
+      replacements.push({
+        symbol: SECTOR_ETFS[target.sector],
+        name: `${target.sector} Select Sector SPDR`,
+        kind: 'fund',
+        estimatedCorrelation: 0.8,
+        reason: `Sector ETF for ${target.sector}`
+      });
+    }
+
+    const repurchaseDate = new Date(`${asOfDate}T00:00:00Z`);
+    repurchaseDate.setUTCDate(repurchaseDate.getUTCDate() + WASH_SALE_LOOKBACK_DAYS + 1);
+
+    opportunities.push({
+      ...base,
+      replacements,
+      repurchaseAfter: repurchaseDate.toISOString().slice(0, 10)
+    });
+  });
+
+  opportunities.sort((a, b) => b.estimatedTaxSavings - a.estimatedTaxSavings);
+
+  // §1211(b): losses first offset realized gains, then up to $3,000 of ordinary income
+  const harvestableLoss = opportunities.reduce((s, o) => s + o.unrealizedLoss, 0);
+  const grossTaxSavings = opportunities.reduce((s, o) => s + o.estimatedTaxSavings, 0);
+  const realizedNet = report.realized.total.gain;
+  const offsetCapacity = realizedNet >= 0
+    ? realizedNet + ORDINARY_LOSS_OFFSET_LIMIT
+    : Math.max(0, ORDINARY_LOSS_OFFSET_LIMIT + realizedNet);
+  const usableThisYear = Math.min(harvestableLoss, offsetCapacity);
+
+  return {
+    opportunities,
+    blocked,
+    summary: {
+      taxYear,
+      realizedNetGain: realizedNet,
+      harvestableLoss,
+      usableThisYear,
+      carryforward: Math.max(0, harvestableLoss - usableThisYear),
+      grossTaxSavings,
+      estimatedTaxSavingsThisYear: harvestableLoss > 0 ? grossTaxSavings * (usableThisYear / harvestableLoss) : 0,
+      shortTermRate,
+      longTermRate
+    }
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Walk-Forward Validation
+ *
+ * optimizeAllPortfolios fits weights to the same statistics it reports, so its
+ * Sharpe ratios are in-sample. Walk-forward validation refits the optimizer at
+ * each rebalance date using only the trailing estimation window, holds those
+ * weights until the next rebalance, and chains the realized returns into an
+ * out-of-sample track record.
+ *
+ * References:
+ * - Pardo (2008): The Evaluation and Optimization of Trading Strategies
+ * - DeMiguel, Garlappi & Uppal (2009): Optimal Versus Naive Diversification
+ * - Bailey, Borwein, López de Prado & Zhu (2014): Pseudo-Mathematics and
+ *   Financial Charlatanism: The Effects of Backtest Overfitting
+ *
+ * Conventions:
+ * - Each refit replaces every company's expected_return and risk with the
+ *   annualized mean and volatility of its daily returns over the trailing
+ *   window; the optimizer's correlation model and constraints are unchanged
+ * - Weights are set at the rebalance close, earn returns from the next day
+ *   and drift with prices until the following rebalance
+ * - Turnover per rebalance = ½ Σ |w_new − w_drifted|; the first purchase is excluded
+ * - Results are gross of trading costs
+ */
+
+import {
+  optimizeOptimalPortfolio,
+  optimizeMinimumVariance,
+  optimizeMaximumReturn,
+  calculateQualityScore
+} from "./portfolioOptimization";
+import { BACKTEST_BENCHMARK, TRADING_DAYS_PER_YEAR, alignDailyCloses, backtestMetrics } from "./historicalBacktest";
+import { mean, standardDeviation, round } from "./financialMath";
+import { daysBetween } from "./lotAccounting";
+
+export const WALK_FORWARD_STRATEGIES = {
+  optimal_portfolio: {
+    label: 'Optimal',
+    optimize: (companies, correlationTier) => optimizeOptimalPortfolio(companies, true, correlationTier)
+  },
+  minimum_variance_portfolio: {
+    label: 'Min Variance',
+    optimize: (companies, correlationTier) => optimizeMinimumVariance(companies, true, correlationTier)
+  },
+  maximum_return_portfolio: {
+    label: 'Max Return',
+    optimize: (companies) => optimizeMaximumReturn(companies)
+  }
+};
+
+export const ESTIMATION_WINDOWS = {
+  12: '1 Year',
+  24: '2 Years',
+  36: '3 Years',
+  60: '5 Years'
+};
+
+export const HOLD_PERIODS = {
+  1: 'Monthly',
+  3: 'Quarterly',
+  12: 'Annually'
+};
+
+export const DEFAULT_WALK_FORWARD_SETTINGS = {
+  lookbackYears: 10,
+  estimationMonths: 36,
+  holdMonths: 3
+};
+
+const MIN_RISK = 1; // Annualized %, keeps the covariance matrix invertible for flat series
+
+const monthsBefore = (date, months) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - months);
+  return d.toISOString().slice(0, 10);
+};
+
+const holdPeriodKey = (date, holdMonths) => {
+  const monthIndex = Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7)) - 1;
+  return Math.floor(monthIndex / holdMonths);
+};
+
+/**
+ * Companies with expected_return and risk re-estimated from a window of closes
+ *
+ * @param {Array} companies - Company records (symbol, sector, beta, market_cap, ...)
+ * @param {Object} closes - alignDailyCloses(...).closes
+ * @param {number} fromIndex - First calendar index of the window
+ * @param {number} toIndex - Last calendar index of the window (inclusive)
+ * @returns {Array} Copies of the companies with window statistics (percent)
+ */
+export function estimateWindowStatistics(companies, closes, fromIndex, toIndex) {
+  return companies.map(company => {
+    const series = closes[company.symbol] || [];
+    const returns = [];
+    for (let i = fromIndex + 1; i <= toIndex; i++) {
+      if (series[i - 1] > 0 && series[i] > 0) returns.push(series[i] / series[i - 1] - 1);
+    }
+    return {
+      ...company,
+      expected_return: round(mean(returns) * TRADING_DAYS_PER_YEAR * 100, 4),
+      risk: Math.max(MIN_RISK, round(standardDeviation(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100, 4))
+    };
+  });
+}
+
+/**
+ * Decimal weights from an optimizer result, or null when they are unusable
+ */
+function resultWeights(result, symbols) {
+  const weights = symbols.map(symbol => Number(result?.allocations?.[symbol]) / 100);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (weights.some(w => !Number.isFinite(w) || w < 0) || !(total > 0)) return null;
+  return weights.map(w => w / total);
+}
+
+/**
+ * Walk-forward (rolling re-optimization) validation of the Analysis strategies
+ *
+ * @param {Object} options
+ * @param {Array} options.companies - Company records used by optimizeAllPortfolios
+ * @param {Object} options.priceHistory - { [symbol]: [{ date, close, adjClose? }] }, SPY included
+ * @param {number} options.estimationMonths - Trailing window each refit sees
+ * @param {number} options.holdMonths - Months the weights are held between refits
+ * @param {string} options.correlationTier - Optimizer correlation tier (default: from the companies)
+ * @param {string} options.startDate - YYYY-MM-DD, first date of history to use
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @returns {Object|null} {
+ *   startDate, endDate, estimationMonths, holdMonths, refits,
+ *   missingSymbols (no price history; left out of every refit),
+ *   strategies: { [key]: { label, metrics, averageTurnover, annualTurnover,
+ *     averageFitSharpe, fallbacks, periods: [{ date, weights, fitReturn, fitRisk, fitSharpe, turnover }] } },
+ *   benchmark: metrics | null,
+ *   series: [{ date, [strategyKey]: growth of 100, benchmark }]
+ * } or null when the history is shorter than one estimation window plus a hold period
+ */
+export function runWalkForward({
+  companies = [],
+  priceHistory = {},
+  estimationMonths = DEFAULT_WALK_FORWARD_SETTINGS.estimationMonths,
+  holdMonths = DEFAULT_WALK_FORWARD_SETTINGS.holdMonths,
+  correlationTier,
+  startDate,
+  endDate
+}) {
+  const { dates, closes } = alignDailyCloses(priceHistory, companies.map(c => c.symbol), startDate, endDate);
+  const missingSymbols = companies.map(c => c.symbol).filter(symbol => !closes[symbol].some(close => close !== null));
+  const universe = companies.filter(c => !missingSymbols.includes(c.symbol));
+  const symbols = universe.map(c => c.symbol);
+  if (symbols.length === 0 || dates.length < 2) return null;
+
+  // Every refit needs a full window in which all holdings were trading
+  const firstFull = dates.findIndex((_, i) => symbols.every(symbol => closes[symbol][i] !== null));
+  if (firstFull === -1) return null;
+  const firstRefit = dates.findIndex(date => monthsBefore(date, estimationMonths) >= dates[firstFull]);
+  if (firstRefit === -1 || firstRefit >= dates.length - 1) return null;
+
+  const tier = correlationTier || calculateQualityScore(universe).correlationTier || 'low';
+
+  // Refit every strategy once per rebalance date on the trailing window
+  const refits = {};
+  let windowStart = firstFull;
+  for (let i = firstRefit; i < dates.length; i++) {
+    if (i !== firstRefit && holdPeriodKey(dates[i], holdMonths) === holdPeriodKey(dates[i - 1], holdMonths)) continue;
+    const cutoff = monthsBefore(dates[i], estimationMonths);
+    while (dates[windowStart] < cutoff) windowStart++;
+    const windowCompanies = estimateWindowStatistics(universe, closes, windowStart, i);
+    refits[i] = Object.fromEntries(Object.entries(WALK_FORWARD_STRATEGIES).map(([key, strategy]) => {
+      const result = strategy.optimize(windowCompanies, tier);
+      return [key, { result, weights: resultWeights(result, symbols) }];
+    }));
+  }
+
+  const years = daysBetween(dates[firstRefit], dates[dates.length - 1]) / 365;
+  const strategies = {};
+  const growth = {};
+
+  Object.entries(WALK_FORWARD_STRATEGIES).forEach(([key, { label }]) => {
+    let weights = null;
+    let value = 100;
+    let fallbacks = 0;
+    const periods = [];
+    const values = [];
+
+    for (let i = firstRefit; i < dates.length; i++) {
+      if (weights) {
+        const relatives = symbols.map(symbol => closes[symbol][i] / closes[symbol][i - 1]);
+        const periodGrowth = weights.reduce((sum, w, j) => sum + w * relatives[j], 0);
+        value *= periodGrowth;
+        weights = weights.map((w, j) => w * relatives[j] / periodGrowth);
+      }
+
+      const refit = refits[i]?.[key];
+      if (refit) {
+        let target = refit.weights;
+        if (!target) {
+          fallbacks++;
+          target = weights || symbols.map(() => 1 / symbols.length);
+        }
+        const turnover = weights ? target.reduce((sum, w, j) => sum + Math.abs(w - weights[j]), 0) / 2 : null;
+        periods.push({
+          date: dates[i],
+          weights: Object.fromEntries(symbols.map((symbol, j) => [symbol, round(target[j] * 100, 2)])),
+          fitReturn: round(refit.result?.expected_return, 2),
+          fitRisk: round(refit.result?.risk, 2),
+          fitSharpe: round(refit.result?.sharpe_ratio, 3),
+          turnover: turnover === null ? null : round(turnover * 100, 2)
+        });
+        weights = target;
+      }
+      values.push({ date: dates[i], value });
+    }
+
+    const turnovers = periods.map(p => p.turnover).filter(t => t !== null);
+    const fitSharpes = periods.map(p => p.fitSharpe).filter(Number.isFinite);
+    growth[key] = values;
+    strategies[key] = {
+      label,
+      metrics: backtestMetrics(values),
+      averageTurnover: turnovers.length > 0 ? round(mean(turnovers), 2) : null,
+      annualTurnover: years > 0 ? round(turnovers.reduce((sum, t) => sum + t, 0) / years, 2) : null,
+      averageFitSharpe: fitSharpes.length > 0 ? round(mean(fitSharpes), 3) : null,
+      fallbacks,
+      periods
+    };
+  });
+
+  // Benchmark over the same out-of-sample dates
+  const benchmarkCloses = alignDailyCloses(priceHistory, [BACKTEST_BENCHMARK], dates[firstRefit], dates[dates.length - 1]);
+  const benchmarkByDate = {};
+  const benchmarkBase = benchmarkCloses.closes[BACKTEST_BENCHMARK].find(close => close !== null);
+  benchmarkCloses.dates.forEach((date, i) => {
+    const close = benchmarkCloses.closes[BACKTEST_BENCHMARK][i];
+    if (close !== null && benchmarkBase) benchmarkByDate[date] = 100 * close / benchmarkBase;
+  });
+  const benchmarkValues = Object.entries(benchmarkByDate).map(([date, value]) => ({ date, value }));
+
+  return {
+    startDate: dates[firstRefit],
+    endDate: dates[dates.length - 1],
+    estimationMonths,
+    holdMonths,
+    refits: Object.keys(refits).length,
+    missingSymbols,
+    strategies,
+    benchmark: benchmarkValues.length > 1 ? backtestMetrics(benchmarkValues) : null,
+    series: dates.slice(firstRefit).map((date, i) => ({
+      date,
+      ...Object.fromEntries(Object.keys(strategies).map(key => [key, round(growth[key][i].value, 2)])),
+      benchmark: benchmarkByDate[date] === undefined ? null : round(benchmarkByDate[date], 2)
+    }))
+  };
+}
@@ -0,0 +1,424 @@
+/**
+ * Broker CSV Import
+ *
+ * Turns broker transaction exports into records matching the Transaction
+ * entity (type, symbol, asset_name, quantity, price, transaction_date, fees).
+ *
+ * Supported layouts:
+ * - Fidelity "Accounts History" export
+ * - Schwab "Transactions" export
+ * - Vanguard "Transaction history" export
+ * - Interactive Brokers Flex Query / Activity Statement trades
+ * - Generic: user-supplied column mapping
+ *
+ * Only buy/sell and dividend reinvestment activity maps onto the ledger; cash
+ * dividends, transfers and cash movements are reported as skipped rows rather
+ * than silently dropped.
+ */
+
+import TransactionSchema from "@/entities/Transaction.json";
+import { validateEntity } from "../validation/entitySchemaValidator";
+
+/**
+ * Fields a column mapping can target
+ */
+export const IMPORT_FIELDS = [
+  { key: 'transaction_date', label: 'Date', required: true },
+  { key: 'type', label: 'Action / Type', required: false },
+  { key: 'symbol', label: 'Symbol', required: true },
+  { key: 'asset_name', label: 'Description', required: false },
+  { key: 'quantity', label: 'Quantity', required: true },
+  { key: 'price', label: 'Price', required: true },
+  { key: 'fees', label: 'Fees / Commission', required: false }
+];
+
+/**
+ * Map a broker action string onto a ledger type
+ * Returns null for activity that is not a buy or sell
+ */
+function classifyAction(action, quantity) {
+  const text = String(action || '').toLowerCase();
+
+  if (/reinvest/.test(text)) return 'dividend_reinvestment';
+  if (/\b(bought|buy|purchase)\b/.test(text)) return 'buy';
+  if (/\b(sold|sell|sale)\b/.test(text)) return 'sell';
+  if (/^(b|bot)$/.test(text.trim())) return 'buy';
+  if (/^(s|sld)$/.test(text.trim())) return 'sell';
+
+  // IBKR and some generic exports encode direction in the quantity sign
+  if (!text && Number.isFinite(quantity) && quantity !== 0) {
+    return quantity > 0 ? 'buy' : 'sell';
+  }
+
+  return null;
+}
+
+/**
+ * Broker layouts keyed by id
+ * `signature` headers must all be present (case-insensitive) for auto-detection.
+ * `columns` lists candidate header names per field; the first match wins.
+ * `fees` may sum several columns.
+ */
+export const BROKER_LAYOUTS = {
+  fidelity: {
+    id: 'fidelity',
+    label: 'Fidelity',
+    signature: ['run date', 'action', 'symbol', 'price ($)'],
+    columns: {
+      transaction_date: ['Run Date'],
+      type: ['Action'],
+      symbol: ['Symbol'],
+      asset_name: ['Security Description', 'Description'],
+      quantity: ['Quantity'],
+      price: ['Price ($)'],
+      fees: ['Commission ($)', 'Fees ($)']
+    }
+  },
+  schwab: {
+    id: 'schwab',
+    label: 'Charles Schwab',
+    signature: ['date', 'action', 'symbol', 'fees & comm'],
+    columns: {
+      transaction_date: ['Date'],
+      type: ['Action'],
+      symbol: ['Symbol'],
+      asset_name: ['Description'],
+      quantity: ['Quantity'],
+      price: ['Price'],
+      fees: ['Fees & Comm']
+    }
+  },
+  vanguard: {
+    id: 'vanguard',
+    label: 'Vanguard',
+    signature: ['trade date', 'transaction type', 'shares', 'share price'],
+    columns: {
+      transaction_date: ['Trade Date'],
+      type: ['Transaction Type'],
+      symbol: ['Symbol'],
+      asset_name: ['Investment Name', 'Transaction Description'],
+      quantity: ['Shares'],
+      price: ['Share Price'],
+      fees: ['Commissions and Fees', 'Commission & Fees']
+    }
+  },
+  ibkr: {
+    id: 'ibkr',
+    label: 'Interactive Brokers',
+    signature: ['symbol', 'quantity'],
+    signatureAny: [['tradeprice', 't. price'], ['tradedate', 'date/time']],
+    columns: {
+      transaction_date: ['TradeDate', 'Date/Time'],
+      type: ['Buy/Sell'],
+      symbol: ['Symbol'],
+      asset_name: ['Description'],
+      quantity: ['Quantity'],
+      price: ['TradePrice', 'T. Price'],
+      fees: ['IBCommission', 'Comm/Fee']
+    }
+  },
+  generic: {
+    id: 'generic',
+    label: 'Other (map columns)',
+    signature: [],
+    columns: {}
+  }
+};
+
+/**
+ * Parse CSV text into an array of string arrays
+ * Handles quoted fields, escaped quotes and CRLF line endings
+ *
+ * @param {string} text - Raw CSV contents
+ * @returns {Array<Array<string>>} Rows of cells (blank lines removed)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase();
+
+function matchesLayout(layout, headers) {
+  if (layout.id === 'generic') return false;
+  const normalized = headers.map(normalizeHeader);
+  const hasAll = layout.signature.every(h => normalized.includes(h));
+  const hasAny = (layout.signatureAny || []).every(group => group.some(h => normalized.includes(h)));
+  return hasAll && hasAny;
+}
+
+/**
+ * Locate the header row and broker layout
+ * Broker exports often carry a preamble (account name, date range) before the header.
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Object} { layoutId, headerIndex } - layoutId is 'generic' if nothing matched
+ */
+export function detectBrokerLayout(rows) {
+  const scanLimit = Math.min(rows.length, 15);
+
+  for (let i = 0; i < scanLimit; i++) {
+    // IBKR activity statements prefix each row with section + row kind
+    const candidate = rows[i][0] === 'Trades' && rows[i][1] === 'Header' ? rows[i].slice(2) : rows[i];
+    const layout = Object.values(BROKER_LAYOUTS).find(l => matchesLayout(l, candidate));
+    if (layout) {
+      return { layoutId: layout.id, headerIndex: i };
+    }
+  }
+
+  return { layoutId: 'generic', headerIndex: 0 };
+}
+
+/**
+ * Build a { field: columnIndex | columnIndex[] } mapping for a known layout
+ * @param {string} layoutId - Key of BROKER_LAYOUTS
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column mapping
+ */
+export function buildColumnMapping(layoutId, headers) {
+  const layout = BROKER_LAYOUTS[layoutId];
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  Object.entries(layout?.columns || {}).forEach(([field, candidates]) => {
+    const indexes = candidates
+      .map(name => normalized.indexOf(normalizeHeader(name)))
+      .filter(idx => idx >= 0);
+
+    if (indexes.length === 0) return;
+    // Fees may be split across several columns; every other field takes the first hit
+    mapping[field] = field === 'fees' ? indexes : indexes[0];
+  });
+
+  return mapping;
+}
+
+/**
+ * Parse a broker-formatted number: "$1,234.50", "(12.00)", "-3", ""
+ */
+export function parseBrokerNumber(value) {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (text === '' || text === '--') return NaN;
+
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[()$,\s]/g, '');
+  const parsed = parseFloat(text);
+  if (!Number.isFinite(parsed)) return NaN;
+  return negative ? -parsed : parsed;
+}
+
+/**
+ * Normalize broker date strings to YYYY-MM-DD
+ * Accepts MM/DD/YYYY, MM/DD/YY, YYYY-MM-DD, YYYYMMDD, "YYYY-MM-DD, HH:MM:SS"
+ * and Schwab's "MM/DD/YYYY as of MM/DD/YYYY" (trade date is the first part).
+ *
+ * @returns {string|null} ISO date or null if unparseable
+ */
+export function normalizeBrokerDate(value) {
+  const text = String(value || '').trim().split(/\s+as of\s+/i)[0].split(/[,;T ]/)[0];
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/))) {
+    [, month, day, year] = match;
+    if (year.length === 2) year = `20${year}`;
+  } else {
+    return null;
+  }
+
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const parsed = new Date(`${iso}T00:00:00Z`);
+  if (isNaN(parsed.getTime()) || parsed.getUTCDate() !== Number(day)) return null;
+  return iso;
+}
+
+const cellAt = (row, index) => (index === undefined || index < 0 ? '' : row[index] ?? '');
+
+/**
+ * Convert data rows into Transaction-shaped records using a column mapping
+ *
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Object} mapping - Output of buildColumnMapping or the generic mapper UI
+ * @param {Array<number>} rowNumbers - Source row number for each row, for error reporting
+ * @returns {Array} Preview rows: { rowNumber, status: 'ready'|'skipped'|'invalid', transaction, errors, raw }
+ */
+export function mapRowsToTransactions(rows, mapping, rowNumbers = []) {
+  return rows.map((row, idx) => {
+    const rowNumber = rowNumbers[idx] ?? idx + 2;
+    const rawQuantity = parseBrokerNumber(cellAt(row, mapping.quantity));
+    const action = cellAt(row, mapping.type);
+    const type = classifyAction(action, rawQuantity);
+
+    if (!type) {
+      return {
+        rowNumber,
+        status: 'skipped',
+        transaction: null,
+        errors: [action ? `"${action}" is not a buy or sell` : 'No buy/sell action found'],
+        raw: row
+      };
+    }
+
+    const feeIndexes = Array.isArray(mapping.fees) ? mapping.fees : [mapping.fees];
+    const fees = feeIndexes.reduce((sum, index) => {
+      const fee = parseBrokerNumber(cellAt(row, index));
+      return Number.isFinite(fee) ? sum + Math.abs(fee) : sum;
+    }, 0);
+
+    const symbol = cellAt(row, mapping.symbol).toUpperCase().replace(/\s+/g, '');
+    const transaction = {
+      type,
+      symbol,
+      asset_name: cellAt(row, mapping.asset_name) || symbol,
+      quantity: Math.abs(rawQuantity),
+      price: Math.abs(parseBrokerNumber(cellAt(row, mapping.price))),
+      transaction_date: normalizeBrokerDate(cellAt(row, mapping.transaction_date)),
+      fees: Math.round(fees * 100) / 100,
+      notes: `Imported from CSV row ${rowNumber}`
+    };
+
+    const { errors } = validateEntity(TransactionSchema, transaction);
+    const messages = errors.map(e => e.message);
+    if (transaction.quantity === 0) messages.push('quantity must be greater than 0');
+
+    return {
+      rowNumber,
+      status: messages.length === 0 ? 'ready' : 'invalid',
+      transaction,
+      errors: messages,
+      raw: row
+    };
+  });
+}
+
+/**
+ * Key used to match imported rows against the existing ledger
+ */
+export function transactionFingerprint(tx) {
+  const date = String(tx.transaction_date || '').slice(0, 10);
+  const quantity = Math.round(Number(tx.quantity) * 1e6) / 1e6;
+  const price = Math.round(Number(tx.price) * 1e4) / 1e4;
+  return [date, tx.type, String(tx.symbol || '').toUpperCase(), quantity, price].join('|');
+}
+
+/**
+ * Flag preview rows that already exist in the ledger
+ * Uses multiset matching: two identical fills in the file against one in
+ * the ledger leaves one row importable.
+ *
+ * @param {Array} previewRows - Output of mapRowsToTransactions
+ * @param {Array} existingTransactions - Result of getTransactions
+ * @returns {Array} Preview rows with duplicates marked status 'duplicate'
+ */
+export function markDuplicates(previewRows, existingTransactions = []) {
+  const remaining = new Map();
+  existingTransactions.forEach(tx => {
+    const key = transactionFingerprint(tx);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  });
+
+  return previewRows.map(row => {
+    if (row.status !== 'ready') return row;
+    const key = transactionFingerprint(row.transaction);
+    const count = remaining.get(key) || 0;
+    if (count > 0) {
+      remaining.set(key, count - 1);
+      return { ...row, status: 'duplicate', errors: ['Already in ledger'] };
+    }
+    return row;
+  });
+}
+
+/**
+ * Full pipeline: CSV text → preview rows
+ *
+ * @param {string} text - Raw CSV
+ * @param {Object} options - { layoutId, mapping, existingTransactions }
+ *   layoutId: force a layout (defaults to auto-detect)
+ *   mapping: explicit column mapping (required for 'generic')
+ * @returns {Object} { layoutId, headers, mapping, rows, summary }
+ */
+export function previewBrokerCsv(text, options = {}) {
+  const parsed = parseCsv(text);
+  const detected = detectBrokerLayout(parsed);
+  const layoutId = options.layoutId || detected.layoutId;
+
+  let headerRow = parsed[detected.headerIndex] || [];
+  let dataRows = parsed
+    .slice(detected.headerIndex + 1)
+    .map((cells, idx) => ({ cells, rowNumber: detected.headerIndex + idx + 2 }));
+
+  // IBKR activity statements: keep only "Trades,Data" rows and drop the two prefix cells
+  if (headerRow[0] === 'Trades' && headerRow[1] === 'Header') {
+    headerRow = headerRow.slice(2);
+    dataRows = dataRows
+      .filter(r => r.cells[0] === 'Trades' && r.cells[1] === 'Data')
+      .map(r => ({ ...r, cells: r.cells.slice(2) }));
+  }
+
+  // Drop disclaimer / footer lines that only fill one or two cells
+  dataRows = dataRows.filter(r => r.cells.filter(c => c !== '').length >= 3);
+
+  const mapping = options.mapping || buildColumnMapping(layoutId, headerRow);
+  const mapped = mapRowsToTransactions(
+    dataRows.map(r => r.cells),
+    mapping,
+    dataRows.map(r => r.rowNumber)
+  );
+  const rows = markDuplicates(mapped, options.existingTransactions);
+
+  const summary = rows.reduce((acc, row) => {
+    acc[row.status] = (acc[row.status] || 0) + 1;
+    return acc;
+  }, { ready: 0, duplicate: 0, skipped: 0, invalid: 0 });
+
+  return { layoutId, headers: headerRow, mapping, rows, summary };
+}
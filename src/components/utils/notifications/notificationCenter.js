@@ -0,0 +1,262 @@
+/**
+ * Notification Center
+ *
+ * One per-user inbox for events that used to be alert() popups or banners,
+ * shown by the bell in the Layout header:
+ * - trade_fill: paper trades filled, including resting orders filled on a sync
+ * - alert: user-defined alert rules that fired (alertRules.js)
+ * - challenge: rank changes and badges earned in trading challenges
+ * - health: Portfolio Health readings that got worse since the last check
+ * - analysis: AI portfolio analyses that finished and were saved
+ *
+ * Notifications persist in localStorage (newest first, capped) with read
+ * state, and every change is broadcast as a window event so the header badge
+ * updates without polling. Deep links are stored as a page name plus optional
+ * query string and resolved with createPageUrl by the UI.
+ *
+ * Notification shape: { id, kind, title, message, page, query, createdAt, read }
+ */
+
+export const NOTIFICATION_KINDS = {
+  TRADE_FILL: 'trade_fill',
+  ALERT: 'alert',
+  CHALLENGE: 'challenge',
+  HEALTH: 'health',
+  ANALYSIS: 'analysis'
+};
+
+export const NOTIFICATION_KIND_LABELS = {
+  trade_fill: 'Trade',
+  alert: 'Alert',
+  challenge: 'Challenge',
+  health: 'Health',
+  analysis: 'Analysis'
+};
+
+export const NOTIFICATIONS_EVENT = 'stocksignal:notifications';
+export const MAX_NOTIFICATIONS = 200;
+
+// Points a health metric must worsen by before it is worth a notification
+export const HEALTH_DROP_POINTS = 5;
+
+const storageKey = (userId) => `notifications:${userId || 'anonymous'}`;
+const watchKey = (userId) => `notification-watch:${userId || 'anonymous'}`;
+const currentUserId = () => localStorage.getItem('user_id');
+
+const readJson = (key, fallback) => {
+  try {
+    const value = JSON.parse(localStorage.getItem(key) || 'null');
+    return value ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+function writeNotifications(userId, notifications) {
+  const kept = notifications.slice(0, MAX_NOTIFICATIONS);
+  localStorage.setItem(storageKey(userId), JSON.stringify(kept));
+  window.dispatchEvent(new CustomEvent(NOTIFICATIONS_EVENT, { detail: { userId, notifications: kept } }));
+  return kept;
+}
+
+/**
+ * Load a user's notifications, newest first
+ */
+export function loadNotifications(userId = currentUserId()) {
+  const notifications = readJson(storageKey(userId), []);
+  return Array.isArray(notifications) ? notifications : [];
+}
+
+/**
+ * Add notifications as unread
+ *
+ * @param {string} userId - Owner
+ * @param {Array} items - [{ kind, title, message, page, query?, id?, createdAt? }]
+ */
+export function pushNotifications(userId, items) {
+  if (items.length === 0) return loadNotifications(userId);
+  const now = new Date();
+  const incoming = items.map((item, index) => ({
+    id: item.id || `notif-${now.getTime()}-${index}-${Math.random().toString(36).slice(2, 6)}`,
+    kind: item.kind,
+    title: item.title,
+    message: item.message || '',
+    page: item.page || null,
+    query: item.query || '',
+    createdAt: item.createdAt || now.toISOString(),
+    read: false
+  }));
+  return writeNotifications(userId, [...incoming, ...loadNotifications(userId)]);
+}
+
+/**
+ * Add one notification for the signed-in user
+ *
+ * @param {Object} notification - { kind, title, message, page, query? }
+ */
+export function notify(notification, userId = currentUserId()) {
+  return pushNotifications(userId, [notification]);
+}
+
+/**
+ * Mark notifications as read; all of them when no ids are given
+ */
+export function markNotificationsRead(userId, ids) {
+  const targets = ids ? new Set(ids) : null;
+  return writeNotifications(userId, loadNotifications(userId).map(n => (!targets || targets.has(n.id) ? { ...n, read: true } : n)));
+}
+
+/**
+ * Remove every notification for a user
+ */
+export function clearNotifications(userId) {
+  return writeNotifications(userId, []);
+}
+
+/**
+ * Number of unread notifications
+ */
+export const unreadNotificationCount = (notifications) => notifications.filter(n => !n.read).length;
+
+// Last value seen for a watched key; returns the previous value (undefined the first time)
+function rememberValue(userId, key, value) {
+  const watched = readJson(watchKey(userId), {});
+  const previous = watched[key];
+  localStorage.setItem(watchKey(userId), JSON.stringify({ ...watched, [key]: value }));
+  return previous;
+}
+
+/**
+ * Notification for a paper trade fill
+ *
+ * @param {Object} ticket - { symbol, side, quantity, orderType }
+ * @param {Object} fill - simulateFill result { executedQuantity, executedPrice, remainingQuantity, fees }
+ */
+export function tradeFillNotification(ticket, fill) {
+  const verb = ticket.side === 'sell' ? 'Sold' : 'Bought';
+  const partial = fill.remainingQuantity > 0;
+  const fees = Number(fill.fees?.total) || 0;
+  return {
+    kind: NOTIFICATION_KINDS.TRADE_FILL,
+    title: `${verb} ${fill.executedQuantity} ${ticket.symbol} @ $${Number(fill.executedPrice).toFixed(2)}`,
+    message: [
+      partial ? `Partial fill: ${fill.remainingQuantity} of ${ticket.quantity} still working` : `${String(ticket.orderType || 'market').replace(/_/g, ' ')} order filled`,
+      fees > 0 ? `fees $${fees.toFixed(2)}` : null
+    ].filter(Boolean).join(' · '),
+    page: 'Practice Simulator'
+  };
+}
+
+/**
+ * Notification for a paper order that did not fill on placement
+ * Fills are announced by tradeFillNotification; this covers orders placed to
+ * rest in the book and orders that were rejected.
+ *
+ * @param {Object} ticket - { symbol, side, quantity }
+ * @param {Object} result - placeOrder result { success, filled, message }
+ * @returns {Object|null} Notification fields, or null when the order filled
+ */
+export function orderResultNotification(ticket, result) {
+  if (result?.filled) return null;
+  const order = `${String(ticket.side || '').toUpperCase()} ${ticket.quantity} ${ticket.symbol}`;
+  return {
+    kind: NOTIFICATION_KINDS.TRADE_FILL,
+    title: result?.success ? `${order} order placed` : `${order} order not executed`,
+    message: result?.message || '',
+    page: 'Practice Simulator'
+  };
+}
+
+/**
+ * Notification when a Portfolio Health reading is worse than the previous one
+ * Diversification falling, or fragility, dependency or risk rising, by at
+ * least minPoints counts as a drop.
+ *
+ * @returns {Object|null} Notification fields, or null when nothing got worse
+ */
+export function healthDropNotification(current, previous, minPoints = HEALTH_DROP_POINTS) {
+  if (!current || !previous) return null;
+
+  const metrics = [
+    { key: 'diversification_score', label: 'Diversification', higherIsBetter: true },
+    { key: 'fragility_index', label: 'Fragility', higherIsBetter: false },
+    { key: 'dependency_score', label: 'Dependency', higherIsBetter: false },
+    { key: 'risk_level', label: 'Risk level', higherIsBetter: false }
+  ];
+
+  const worse = metrics
+    .map(m => {
+      const before = Number(previous[m.key]);
+      const after = Number(current[m.key]);
+      if (!Number.isFinite(before) || !Number.isFinite(after)) return null;
+      const change = m.higherIsBetter ? before - after : after - before;
+      return change >= minPoints ? `${m.label} ${Math.round(before)} → ${Math.round(after)}` : null;
+    })
+    .filter(Boolean);
+
+  if (worse.length === 0) return null;
+  return {
+    kind: NOTIFICATION_KINDS.HEALTH,
+    title: 'Portfolio health score dropped',
+    message: worse.join(' · '),
+    page: 'Health Monitor'
+  };
+}
+
+/**
+ * Notify rank changes and new badges across the user's challenges
+ * The first time a challenge is seen its rank and badges are recorded silently.
+ *
+ * @param {Array} myChallenges - Participation records { challenge_id, rank, badges_earned }
+ * @param {Array} challenges - Challenge records, for titles
+ * @returns {Array} Notifications added
+ */
+export function notifyChallengeChanges(myChallenges = [], challenges = [], userId = currentUserId()) {
+  const titles = new Map(challenges.map(c => [c.id, c.title]));
+  const items = [];
+
+  myChallenges.forEach(participation => {
+    const id = participation.challenge_id;
+    const title = titles.get(id) || 'your challenge';
+
+    const rank = Number(participation.rank) || null;
+    const previousRank = rememberValue(userId, `challenge-rank:${id}`, rank);
+    if (rank && previousRank && rank !== previousRank) {
+      items.push({
+        kind: NOTIFICATION_KINDS.CHALLENGE,
+        title: rank < previousRank ? `Up to rank #${rank} in ${title}` : `Dropped to rank #${rank} in ${title}`,
+        message: `Was #${previousRank}`,
+        page: 'Challenges'
+      });
+    }
+
+    const badges = participation.badges_earned || [];
+    const previousBadges = rememberValue(userId, `challenge-badges:${id}`, badges);
+    if (Array.isArray(previousBadges)) {
+      badges.filter(badge => !previousBadges.includes(badge)).forEach(badge => {
+        items.push({
+          kind: NOTIFICATION_KINDS.CHALLENGE,
+          title: `Badge earned in ${title}`,
+          message: String(badge).replace(/_/g, ' '),
+          page: 'Challenges'
+        });
+      });
+    }
+  });
+
+  if (items.length > 0) pushNotifications(userId, items);
+  return items;
+}
+
+/**
+ * Notification for a saved AI portfolio analysis
+ */
+export function analysisCompleteNotification(analysisId, symbols = []) {
+  return {
+    kind: NOTIFICATION_KINDS.ANALYSIS,
+    title: 'AI portfolio analysis ready',
+    message: symbols.length > 0 ? symbols.join(', ') : '',
+    page: 'AI Analysis',
+    query: analysisId ? `?id=${encodeURIComponent(analysisId)}` : ''
+  };
+}
@@ -0,0 +1,521 @@
+/**
+ * Analysis PDF Report
+ *
+ * Turns the current Analysis page result into a paginated, printable PDF
+ * generated in the browser with jsPDF:
+ * - inputs and market regime
+ * - strategy comparison (return, risk, Sharpe) and allocations per strategy
+ * - portfolio quality diagnostics (PortfolioQualityCard)
+ * - stress scenarios, crash probabilities and drawdowns (StressTestingCard)
+ * - VIX-adjusted forward risk (ForwardRiskCard)
+ * - 10-year confidence bands (ConfidenceBandsChart)
+ * - model limitations (ModelLimitationsDisclosure) and a general disclaimer
+ *
+ * buildAnalysisReport derives every number with the same calculations and
+ * inputs the cards use, so the PDF matches the screen. renderAnalysisReportPdf
+ * draws the charts as vector graphics rather than screenshots, which keeps
+ * them sharp when printed. jsPDF is loaded on demand so it stays out of the
+ * main bundle.
+ *
+ * Standard PDF fonts only cover Latin-1, so text is reduced to that range.
+ */
+
+import { STRESS_SCENARIOS, calculateStressImpact, calculateCrashProbability, calculateEnhancedDrawdown } from "../calculations/stressTesting";
+import { projectConfidenceBands } from "../calculations/enhancedScenarios";
+import { round } from "../calculations/financialMath";
+
+export const REPORT_STRATEGIES = [
+  { key: 'optimal_portfolio', label: 'Optimal', subtitle: 'Maximum Sharpe ratio' },
+  { key: 'minimum_variance_portfolio', label: 'Min Variance', subtitle: 'Lowest volatility' },
+  { key: 'maximum_return_portfolio', label: 'Max Return', subtitle: 'Highest expected return' }
+];
+
+export const REPORT_DISCLAIMER =
+  'This report is for educational purposes only and is not investment advice. Projections are model estimates based on ' +
+  'historical data and stated assumptions; actual results will differ. Past performance does not guarantee future results.';
+
+// Same VIX regime scaling the Analysis page applies to portfolio risk
+const REGIME_RISK_MULTIPLIERS = { extreme: 2.0, high: 1.5, elevated: 1.2 };
+
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const pct = (value, decimals = 1) => (num(value) === null ? 'N/A' : `${value.toFixed(decimals)}%`);
+const money = (value) => (num(value) === null ? 'N/A' : `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value)).toLocaleString('en-US')}`);
+const fixed = (value, decimals = 2) => (num(value) === null ? 'N/A' : value.toFixed(decimals));
+
+// Strip anything the standard PDF fonts cannot draw (emoji, arrows, Greek)
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF\n]/g, '').replace(/ {2,}/g, ' ').trim();
+
+/**
+ * Build the report model from an Analysis result
+ *
+ * @param {Object} analysisResult - Analysis page result (companies, *_portfolio, portfolio_quality, forward_risk_metrics, vix_data, ...)
+ * @param {Object} options - { disclosures: MODEL_LIMITATIONS-shaped object, now }
+ * @returns {Object} Report model consumed by renderAnalysisReportPdf
+ */
+export function buildAnalysisReport(analysisResult, { disclosures = {}, now = new Date() } = {}) {
+  const companies = analysisResult.companies || [];
+  const optimal = analysisResult.optimal_portfolio || {};
+  const investment = num(analysisResult.total_investment) ?? 0;
+  const monthly = num(analysisResult.monthly_contribution) ?? 0;
+  const regime = analysisResult.vix_data?.regime || null;
+  const regimeMultiplier = REGIME_RISK_MULTIPLIERS[regime] || 1.0;
+
+  const expectedReturn = num(optimal.expected_return) ?? 8;
+  const adjustedRisk = (num(optimal.risk) ?? 18) * regimeMultiplier;
+
+  const strategies = REPORT_STRATEGIES
+    .filter(({ key }) => analysisResult[key]?.allocations)
+    .map(({ key, label, subtitle }) => {
+      const portfolio = analysisResult[key];
+      return {
+        key,
+        label,
+        subtitle,
+        expectedReturn: num(portfolio.expected_return),
+        risk: num(portfolio.risk),
+        sharpe: num(portfolio.sharpe_ratio),
+        allocations: Object.entries(portfolio.allocations)
+          .map(([symbol, weight]) => ({ symbol, weight: Number(weight) || 0 }))
+          .sort((a, b) => b.weight - a.weight)
+      };
+    });
+
+  // Weights aligned with the companies array, as the cards expect
+  const weights = companies.map(c => (Number(optimal.allocations?.[c.symbol]) || 0) / 100);
+
+  // StressTestingCard is fed the max return portfolio's risk
+  const stressRisk = num(analysisResult.maximum_return_portfolio?.risk) ?? 25;
+  const stress = companies.length === 0 ? [] : Object.keys(STRESS_SCENARIOS)
+    .map(key => calculateStressImpact(companies, weights, key))
+    .filter(Boolean)
+    .map(result => ({
+      scenario: result.scenario,
+      description: result.description,
+      probability: result.probability,
+      portfolioImpact: result.portfolioImpact,
+      dollarImpact: round((result.portfolioImpact / 100) * investment, 0),
+      recoveryTime: result.recoveryTime,
+      hardestHit: result.assetImpacts[0] ? `${result.assetImpacts[0].symbol} ${pct(result.assetImpacts[0].drop)}` : 'N/A'
+    }));
+
+  const forward = analysisResult.forward_risk_metrics?.optimal || null;
+
+  const bands = projectConfidenceBands(expectedReturn, adjustedRisk, investment, monthly)
+    .filter(point => point.month % 12 === 0);
+
+  const quality = analysisResult.portfolio_quality || {};
+
+  return {
+    title: 'Portfolio Analysis Report',
+    generatedAt: now.toISOString(),
+    inputs: {
+      symbols: companies.map(c => c.symbol),
+      investment,
+      monthly,
+      goal: num(analysisResult.investment_goal),
+      regime,
+      vixLevel: num(analysisResult.vix_data?.currentVIX)
+    },
+    strategies,
+    companies: companies.map(c => ({
+      symbol: c.symbol,
+      name: c.name || '',
+      sector: c.sector || 'Unknown',
+      expectedReturn: num(c.expected_return),
+      risk: num(c.risk),
+      beta: num(c.beta)
+    })),
+    quality: {
+      score: num(quality.qualityScore),
+      band: quality.qualityBand || null,
+      explanation: quality.bandExplanation || '',
+      avgSharpe: num(quality.avgSharpe),
+      avgCorrelation: num(quality.avgCorrelation),
+      correlationTier: quality.correlationTier || null,
+      confidenceLevel: quality.confidenceLevel || null,
+      warnings: quality.warnings || []
+    },
+    stress,
+    crashProbabilities: calculateCrashProbability(stressRisk, expectedReturn),
+    drawdown: calculateEnhancedDrawdown(stressRisk, 10, expectedReturn),
+    forwardRisk: forward && {
+      historicalRisk: num(forward.historicalRisk),
+      forwardRisk: num(forward.forwardRisk),
+      regimeImpact: num(forward.regimeImpact),
+      regime: forward.regime,
+      regimeDescription: forward.regimeDescription || '',
+      vixLevel: num(forward.vixLevel),
+      assets: forward.assetAdjustments || []
+    },
+    bands,
+    disclosures: Object.values(disclosures).map(model => ({ title: model.title, limitations: model.limitations || [] }))
+  };
+}
+
+// ============================================================================
+// PDF RENDERING
+// ============================================================================
+
+const COLORS = {
+  ink: [15, 23, 42],        // slate-900
+  muted: [100, 116, 139],   // slate-500
+  rule: [226, 232, 240],    // slate-200
+  zebra: [248, 250, 252],   // slate-50
+  accent: [16, 185, 129],   // emerald-500
+  danger: [225, 29, 72],    // rose-600
+  band2: [237, 233, 254],   // violet-100
+  band1: [196, 181, 253],   // violet-300
+  median: [109, 40, 217],   // violet-700
+  expected: [59, 130, 246]  // blue-500
+};
+
+const PAGE_MARGIN = 40;
+const FOOTER_SPACE = 36;
+
+/**
+ * Render a report model into a jsPDF document (A4 portrait)
+ *
+ * @param {Object} report - buildAnalysisReport result
+ * @returns {Promise<Object>} jsPDF document
+ */
+export async function renderAnalysisReportPdf(report) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  const setColor = (rgb) => doc.setTextColor(...rgb);
+  const font = (style, size, rgb = COLORS.ink) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    setColor(rgb);
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN - FOOTER_SPACE) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+      return true;
+    }
+    return false;
+  };
+
+  const heading = (text) => {
+    ensureSpace(60);
+    y += 8;
+    doc.setFillColor(...COLORS.ink);
+    doc.rect(PAGE_MARGIN, y, contentWidth, 20, 'F');
+    font('bold', 9, [255, 255, 255]);
+    doc.text(pdfText(text).toUpperCase(), PAGE_MARGIN + 8, y + 13.5, { charSpace: 1 });
+    y += 30;
+  };
+
+  const paragraph = (text, { size = 9, style = 'normal', color = COLORS.ink, indent = 0 } = {}) => {
+    font(style, size, color);
+    const lineHeight = size * 1.35;
+    doc.splitTextToSize(pdfText(text), contentWidth - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, PAGE_MARGIN + indent, y + size);
+      y += lineHeight;
+    });
+    y += 4;
+  };
+
+  // Label/value pairs laid out in a row of boxes
+  const metricRow = (metrics) => {
+    ensureSpace(44);
+    const width = contentWidth / metrics.length;
+    metrics.forEach(([label, value], i) => {
+      const x = PAGE_MARGIN + i * width;
+      doc.setDrawColor(...COLORS.rule);
+      doc.rect(x + 2, y, width - 4, 38);
+      font('bold', 7, COLORS.muted);
+      doc.text(pdfText(label).toUpperCase(), x + 8, y + 12);
+      font('bold', 12);
+      doc.text(pdfText(value), x + 8, y + 29);
+    });
+    y += 46;
+  };
+
+  const table = (columns, rows) => {
+    const rowHeight = 16;
+    const totalWeight = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+    const widths = columns.map(c => ((c.width || 1) / totalWeight) * contentWidth);
+
+    const cellX = (i, align) => {
+      const left = PAGE_MARGIN + widths.slice(0, i).reduce((a, b) => a + b, 0);
+      return align === 'right' ? left + widths[i] - 6 : left + 6;
+    };
+
+    const drawHeader = () => {
+      doc.setFillColor(...COLORS.rule);
+      doc.rect(PAGE_MARGIN, y, contentWidth, rowHeight, 'F');
+      font('bold', 7, COLORS.muted);
+      columns.forEach((c, i) => doc.text(pdfText(c.label).toUpperCase(), cellX(i, c.align), y + 11, { align: c.align || 'left' }));
+      y += rowHeight;
+    };
+
+    ensureSpace(rowHeight * 3);
+    drawHeader();
+    rows.forEach((row, r) => {
+      if (ensureSpace(rowHeight)) drawHeader();
+      if (r % 2 === 1) {
+        doc.setFillColor(...COLORS.zebra);
+        doc.rect(PAGE_MARGIN, y, contentWidth, rowHeight, 'F');
+      }
+      font('normal', 8);
+      row.forEach((cell, i) => {
+        const maxWidth = widths[i] - 10;
+        const text = doc.splitTextToSize(pdfText(cell), maxWidth)[0] || '';
+        doc.text(text, cellX(i, columns[i].align), y + 11, { align: columns[i].align || 'left' });
+      });
+      y += rowHeight;
+    });
+    y += 10;
+  };
+
+  // Horizontal bars; negative values are drawn in the danger color
+  const barChart = (items, { format = (v) => pct(v) } = {}) => {
+    const barHeight = 12;
+    const gap = 5;
+    const labelWidth = 110;
+    const valueWidth = 60;
+    const trackWidth = contentWidth - labelWidth - valueWidth;
+    const max = Math.max(...items.map(item => Math.abs(item.value)), 1e-9);
+
+    // Keep short charts on one page
+    ensureSpace(Math.min(items.length * (barHeight + gap), 200));
+
+    items.forEach(item => {
+      ensureSpace(barHeight + gap);
+      font('bold', 8);
+      doc.text(doc.splitTextToSize(pdfText(item.label), labelWidth - 8)[0] || '', PAGE_MARGIN, y + 9);
+      doc.setFillColor(...COLORS.zebra);
+      doc.rect(PAGE_MARGIN + labelWidth, y, trackWidth, barHeight, 'F');
+      doc.setFillColor(...(item.value < 0 ? COLORS.danger : COLORS.accent));
+      doc.rect(PAGE_MARGIN + labelWidth, y, (Math.abs(item.value) / max) * trackWidth, barHeight, 'F');
+      font('normal', 8);
+      doc.text(format(item.value), pageWidth - PAGE_MARGIN, y + 9, { align: 'right' });
+      y += barHeight + gap;
+    });
+    y += 8;
+  };
+
+  // Stacked area bands (2-sigma, 1-sigma) with median and expected lines
+  const bandChart = (points) => {
+    const height = 190;
+    const axisWidth = 52;
+    ensureSpace(height + 40);
+
+    const left = PAGE_MARGIN + axisWidth;
+    const width = contentWidth - axisWidth;
+    const top = y;
+    const bottom = y + height;
+    const maxValue = Math.max(...points.map(p => Math.max(p.upper2sigma, p.expected)), 1);
+    const maxYear = points[points.length - 1]?.year || 1;
+    const px = (year) => left + (year / maxYear) * width;
+    const py = (value) => bottom - (value / maxValue) * height;
+
+    const area = (upperKey, lowerKey, rgb) => {
+      doc.setFillColor(...rgb);
+      for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        // Each segment is a trapezoid drawn as two triangles
+        doc.triangle(px(a.year), py(a[upperKey]), px(b.year), py(b[upperKey]), px(b.year), py(b[lowerKey]), 'F');
+        doc.triangle(px(a.year), py(a[upperKey]), px(b.year), py(b[lowerKey]), px(a.year), py(a[lowerKey]), 'F');
+      }
+    };
+    const line = (key, rgb, width = 1.5) => {
+      doc.setDrawColor(...rgb);
+      doc.setLineWidth(width);
+      for (let i = 1; i < points.length; i++) {
+        doc.line(px(points[i - 1].year), py(points[i - 1][key]), px(points[i].year), py(points[i][key]));
+      }
+    };
+
+    // Grid and axis labels
+    doc.setLineWidth(0.5);
+    doc.setDrawColor(...COLORS.rule);
+    font('normal', 7, COLORS.muted);
+    for (let i = 0; i <= 4; i++) {
+      const value = (maxValue / 4) * i;
+      doc.line(left, py(value), left + width, py(value));
+      doc.text(money(value), left - 6, py(value) + 2.5, { align: 'right' });
+    }
+    points.forEach(p => doc.text(`Y${p.year}`, px(p.year), bottom + 11, { align: 'center' }));
+
+    area('upper2sigma', 'lower2sigma', COLORS.band2);
+    area('upper1sigma', 'lower1sigma', COLORS.band1);
+    line('median', COLORS.median);
+    line('expected', COLORS.expected, 1);
+    doc.setLineWidth(0.5);
+
+    // Legend
+    y = bottom + 20;
+    const legend = [['Median', COLORS.median], ['Expected (arithmetic)', COLORS.expected], ['1-sigma band', COLORS.band1], ['2-sigma band', COLORS.band2]];
+    let x = left;
+    font('normal', 7, COLORS.muted);
+    legend.forEach(([label, rgb]) => {
+      doc.setFillColor(...rgb);
+      doc.rect(x, y - 6, 8, 8, 'F');
+      doc.text(label, x + 12, y + 1);
+      x += doc.getTextWidth(label) + 28;
+    });
+    y += 16;
+    doc.setDrawColor(0, 0, 0);
+  };
+
+  // --- Title ---
+  const generated = new Date(report.generatedAt);
+  font('bold', 20);
+  doc.text(pdfText(report.title), PAGE_MARGIN, y + 18);
+  font('normal', 9, COLORS.muted);
+  doc.text(`Generated ${generated.toLocaleString('en-US')}`, PAGE_MARGIN, y + 34);
+  y += 44;
+  doc.setFillColor(...COLORS.accent);
+  doc.rect(PAGE_MARGIN, y, 60, 3, 'F');
+  y += 14;
+
+  // --- Inputs ---
+  heading('Analysis Inputs');
+  metricRow([
+    ['Initial investment', money(report.inputs.investment)],
+    ['Monthly contribution', money(report.inputs.monthly)],
+    ['Goal', money(report.inputs.goal)],
+    ['VIX regime', report.inputs.regime ? `${report.inputs.regime}${report.inputs.vixLevel !== null ? ` (${fixed(report.inputs.vixLevel, 1)})` : ''}` : 'N/A']
+  ]);
+  paragraph(`Assets analyzed: ${report.inputs.symbols.join(', ') || 'none'}`);
+
+  // --- Strategies ---
+  heading('Strategy Comparison');
+  table(
+    [{ label: 'Strategy', width: 1.4 }, { label: 'Objective', width: 1.6 }, { label: 'Exp. return', align: 'right' }, { label: 'Risk', align: 'right' }, { label: 'Sharpe', align: 'right' }],
+    report.strategies.map(s => [s.label, s.subtitle, pct(s.expectedReturn, 2), pct(s.risk, 2), fixed(s.sharpe, 3)])
+  );
+
+  const symbols = [...new Set(report.strategies.flatMap(s => s.allocations.map(a => a.symbol)))];
+  const weightOf = (strategy, symbol) => strategy.allocations.find(a => a.symbol === symbol)?.weight;
+  const optimalStrategy = report.strategies.find(s => s.key === 'optimal_portfolio');
+  if (optimalStrategy) {
+    paragraph('Optimal portfolio allocation', { style: 'bold', size: 9 });
+    barChart(optimalStrategy.allocations.filter(a => a.weight > 0).map(a => ({ label: a.symbol, value: a.weight })));
+  }
+  table(
+    [{ label: 'Symbol' }, ...report.strategies.map(s => ({ label: s.label, align: 'right' })), { label: 'Amount (optimal)', align: 'right' }],
+    symbols.map(symbol => [
+      symbol,
+      ...report.strategies.map(s => pct(weightOf(s, symbol))),
+      money(((weightOf(optimalStrategy || {}, symbol) ?? 0) / 100) * report.inputs.investment)
+    ])
+  );
+
+  // --- Companies ---
+  heading('Asset Metrics');
+  table(
+    [{ label: 'Symbol', width: 0.8 }, { label: 'Name', width: 2 }, { label: 'Sector', width: 1.6 }, { label: 'Exp. return', align: 'right' }, { label: 'Risk', align: 'right' }, { label: 'Beta', align: 'right', width: 0.7 }],
+    report.companies.map(c => [c.symbol, c.name, c.sector, pct(c.expectedReturn, 2), pct(c.risk, 2), fixed(c.beta)])
+  );
+
+  // --- Quality ---
+  heading('Portfolio Quality');
+  metricRow([
+    ['Quality score', report.quality.score !== null ? `${Math.round(report.quality.score)} / 100` : 'N/A'],
+    ['Quality band', report.quality.band || 'N/A'],
+    ['Avg correlation', report.quality.avgCorrelation !== null ? pct(report.quality.avgCorrelation * 100, 0) : 'N/A'],
+    ['Avg Sharpe', fixed(report.quality.avgSharpe, 3)]
+  ]);
+  if (report.quality.explanation) paragraph(report.quality.explanation);
+  if (report.quality.confidenceLevel) {
+    paragraph(`Correlation tier: ${report.quality.correlationTier || 'N/A'} - optimization confidence: ${report.quality.confidenceLevel}`, { color: COLORS.muted });
+  }
+  report.quality.warnings.forEach(warning => paragraph(`- ${warning}`, { indent: 8 }));
+
+  // --- Stress ---
+  heading('Stress Testing & Tail Risk');
+  if (report.stress.length > 0) {
+    barChart(report.stress.map(s => ({ label: s.scenario, value: s.portfolioImpact })));
+    table(
+      [{ label: 'Scenario', width: 1.6 }, { label: 'Impact', align: 'right' }, { label: 'Loss', align: 'right' }, { label: 'Recovery', align: 'right' }, { label: 'Hardest hit', width: 1.2, align: 'right' }, { label: 'Likelihood', width: 1.1, align: 'right' }],
+      report.stress.map(s => [s.scenario, pct(s.portfolioImpact), money(s.dollarImpact), `${s.recoveryTime} mo`, s.hardestHit, s.probability])
+    );
+  }
+  const { annualProbabilities: annual, tenYearProbabilities: tenYear } = report.crashProbabilities;
+  table(
+    [{ label: 'Decline', width: 1.6 }, { label: 'Annual probability', align: 'right' }, { label: '10-year probability', align: 'right' }],
+    [
+      ['Mild (-20%)', pct(annual.mild, 2), pct(tenYear.mild, 2)],
+      ['Moderate (-35%)', pct(annual.moderate, 2), pct(tenYear.moderate, 2)],
+      ['Severe (-50%)', pct(annual.severe, 2), pct(tenYear.severe, 2)]
+    ]
+  );
+  metricRow([
+    ['10y max drawdown (95%)', pct(report.drawdown.standard, 0)],
+    ['10y tail drawdown (99%)', pct(report.drawdown.tailRisk, 0)],
+    ['Tail delta', `${fixed(report.drawdown.delta, 0)} pts`]
+  ]);
+
+  // --- Forward risk ---
+  heading('Forward-Looking Risk (VIX-Adjusted)');
+  if (report.forwardRisk) {
+    metricRow([
+      ['Historical risk', pct(report.forwardRisk.historicalRisk)],
+      ['Forward risk', pct(report.forwardRisk.forwardRisk)],
+      ['Regime impact', report.forwardRisk.regimeImpact !== null ? `${report.forwardRisk.regimeImpact > 0 ? '+' : ''}${fixed(report.forwardRisk.regimeImpact, 1)} pts` : 'N/A'],
+      ['VIX', fixed(report.forwardRisk.vixLevel, 1)]
+    ]);
+    if (report.forwardRisk.regimeDescription) paragraph(report.forwardRisk.regimeDescription);
+    table(
+      [{ label: 'Symbol' }, { label: 'Weight', align: 'right' }, { label: 'Historical vol', align: 'right' }, { label: 'Forward vol', align: 'right' }, { label: 'Delta', align: 'right' }],
+      report.forwardRisk.assets.map(a => [a.symbol, pct(num(a.weight)), pct(num(a.historical)), pct(num(a.forwardLooking)), fixed(num(a.delta), 1)])
+    );
+  } else {
+    paragraph('VIX data was not available when this analysis ran, so forward-looking risk was not calculated.', { color: COLORS.muted });
+  }
+
+  // --- Confidence bands ---
+  heading('Return Confidence Bands (10 Years)');
+  if (report.bands.length > 1) {
+    bandChart(report.bands);
+    table(
+      [{ label: 'Year' }, { label: 'Pessimistic (2-sigma)', align: 'right', width: 1.3 }, { label: 'Low (1-sigma)', align: 'right' }, { label: 'Median', align: 'right' }, { label: 'High (1-sigma)', align: 'right' }, { label: 'Expected', align: 'right' }],
+      report.bands.filter(p => [1, 3, 5, 10].includes(p.year)).map(p => [`Year ${p.year}`, money(p.lower2sigma), money(p.lower1sigma), money(p.median), money(p.upper1sigma), money(p.expected)])
+    );
+  }
+
+  // --- Disclosures ---
+  heading('Model Limitations & Disclosures');
+  report.disclosures.forEach(model => {
+    paragraph(model.title, { style: 'bold' });
+    model.limitations.forEach(limit => paragraph(`${limit.issue}: ${limit.explanation}`, { indent: 8 }));
+  });
+  paragraph(REPORT_DISCLAIMER, { size: 8, color: COLORS.muted });
+
+  // --- Footer on every page ---
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(...COLORS.rule);
+    doc.line(PAGE_MARGIN, pageHeight - PAGE_MARGIN + 4, pageWidth - PAGE_MARGIN, pageHeight - PAGE_MARGIN + 4);
+    font('normal', 7, COLORS.muted);
+    doc.text(`StockSignal - ${pdfText(report.title)} - ${generated.toLocaleDateString('en-US')}`, PAGE_MARGIN, pageHeight - PAGE_MARGIN + 16);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - PAGE_MARGIN + 16, { align: 'right' });
+  }
+
+  return doc;
+}
+
+/**
+ * Build, render and download the report for an Analysis result
+ *
+ * @returns {Promise<string>} File name that was saved
+ */
+export async function downloadAnalysisReport(analysisResult, options = {}) {
+  const report = buildAnalysisReport(analysisResult, options);
+  const doc = await renderAnalysisReportPdf(report);
+  const fileName = `stocksignal-analysis-${report.generatedAt.split('T')[0]}.pdf`;
+  doc.save(fileName);
+  return fileName;
+}
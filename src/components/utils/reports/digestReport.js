@@ -0,0 +1,326 @@
+/**
+ * Digest Report Builder
+ *
+ * Turns a user-chosen list of sections into the HTML used by the scheduled
+ * weekly/monthly digest emails (sendWeeklySummary / sendMonthlyReport):
+ * - performance: value change over the digest window plus MTD/YTD time-weighted return
+ * - top_movers: best and worst holdings by unrealized gain (as in TopPerformers)
+ * - goal_progress: calculateGoalMetrics for each goal
+ * - health_alerts: latest Portfolio Health reading, worsening metrics and concentration
+ * - stress_summary: calculateStressImpact for one crash scenario
+ * - challenge_deadlines: joined challenges ending within the look-ahead window
+ *
+ * buildDigestData computes every section from already-loaded data so the same
+ * numbers drive the local preview and the saved template. renderDigestHtml
+ * emits table-based markup with inline styles, which is what email clients
+ * render reliably (Campaign Monitor, "The Ultimate Guide to CSS" for email).
+ *
+ * Template shape: { title, frequency, sections: [sectionId], topMoversCount,
+ *                   stressScenario, challengeWindowDays, updatedAt }
+ */
+
+import { PERFORMANCE_PERIODS, calculatePerformance, holdingGains } from "../calculations/performance";
+import { snapshotsToValuations } from "../calculations/portfolioSnapshots";
+import { calculateGoalMetrics } from "../calculations/goalCalculationEngine";
+import { STRESS_SCENARIOS, calculateStressImpact } from "../calculations/stressTesting";
+import { healthDropNotification } from "../notifications/notificationCenter";
+import { round } from "../calculations/financialMath";
+
+export const REPORT_SECTIONS = {
+  performance: { label: 'Performance', description: 'Value change this period, MTD and YTD returns' },
+  top_movers: { label: 'Top Movers', description: 'Best and worst holdings by unrealized gain' },
+  goal_progress: { label: 'Goal Progress', description: 'Progress and monthly gap for each goal' },
+  health_alerts: { label: 'Health Alerts', description: 'Worsening health metrics and concentration' },
+  stress_summary: { label: 'Stress Test', description: 'Estimated loss in a crash scenario' },
+  challenge_deadlines: { label: 'Challenge Deadlines', description: 'Your challenges ending soon' }
+};
+
+export const DIGEST_FREQUENCIES = {
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', days: 30 }
+};
+
+export const DEFAULT_DIGEST_TEMPLATE = {
+  title: 'Your StockSignal Digest',
+  frequency: 'weekly',
+  sections: ['performance', 'top_movers', 'goal_progress', 'health_alerts'],
+  topMoversCount: 3,
+  stressScenario: 'marketCrash',
+  challengeWindowDays: 14
+};
+
+// A single holding above this share of the portfolio is flagged in health alerts
+const CONCENTRATION_LIMIT = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const storageKey = (userId) => `digest-template:${userId || 'anonymous'}`;
+
+/**
+ * Validate a template before saving
+ *
+ * @returns {Array<string>} Error messages; empty when valid
+ */
+export function validateDigestTemplate(template) {
+  const errors = [];
+  if (!String(template.title || '').trim()) errors.push('Give the digest a title');
+  if (!DIGEST_FREQUENCIES[template.frequency]) errors.push('Choose weekly or monthly delivery');
+  if (!Array.isArray(template.sections) || template.sections.length === 0) errors.push('Pick at least one section');
+  if (template.sections?.some(id => !REPORT_SECTIONS[id])) errors.push('Unknown report section');
+  if (!(template.topMoversCount >= 1 && template.topMoversCount <= 10)) errors.push('Top movers must list 1 to 10 holdings');
+  if (!STRESS_SCENARIOS[template.stressScenario]) errors.push('Choose a stress scenario');
+  if (!(template.challengeWindowDays >= 1 && template.challengeWindowDays <= 90)) errors.push('Challenge window must be 1 to 90 days');
+  return errors;
+}
+
+/**
+ * Load the saved template, falling back to the defaults
+ */
+export function loadDigestTemplate(userId = localStorage.getItem('user_id')) {
+  try {
+    return { ...DEFAULT_DIGEST_TEMPLATE, ...JSON.parse(localStorage.getItem(storageKey(userId)) || '{}') };
+  } catch {
+    return { ...DEFAULT_DIGEST_TEMPLATE };
+  }
+}
+
+/**
+ * Cache the template locally (the user profile holds the copy the scheduler reads)
+ */
+export function saveDigestTemplate(userId, template) {
+  const saved = { ...template, updatedAt: new Date().toISOString() };
+  localStorage.setItem(storageKey(userId), JSON.stringify(saved));
+  return saved;
+}
+
+function performanceSection(snapshots, transactions, windowDays, now) {
+  const valuations = snapshotsToValuations(snapshots).filter(v => v.value > 0);
+  if (valuations.length === 0) return null;
+
+  const latest = valuations[valuations.length - 1];
+  const windowStart = new Date(now.getTime() - windowDays * MS_PER_DAY).toISOString().slice(0, 10);
+  const opening = [...valuations].reverse().find(v => v.date <= windowStart) || valuations[0];
+  const change = latest.value - opening.value;
+  const returnFor = (period) => calculatePerformance(valuations, transactions, { period })?.twr ?? null;
+
+  return {
+    value: round(latest.value, 2),
+    asOf: latest.date,
+    since: opening.date,
+    change: round(change, 2),
+    changePercent: opening.value > 0 ? round(change / opening.value * 100, 2) : null,
+    mtd: returnFor(PERFORMANCE_PERIODS.MTD),
+    ytd: returnFor(PERFORMANCE_PERIODS.YTD)
+  };
+}
+
+function topMoversSection(holdings, count) {
+  const ranked = holdingGains(holdings).filter(h => h.costBasis > 0);
+  if (ranked.length === 0) return null;
+  const pick = (h) => ({ symbol: h.symbol, name: h.name || h.symbol, gainLoss: round(h.gainLoss, 2), gainLossPercent: round(h.gainLossPercent, 2) });
+  const gainers = ranked.slice(0, count).filter(h => h.gainLoss >= 0).map(pick);
+  const losers = ranked.slice(-count).reverse().filter(h => h.gainLoss < 0).map(pick);
+  return { gainers, losers };
+}
+
+function goalSection(goals, holdings, now) {
+  if (goals.length === 0) return null;
+  return goals.map(goal => {
+    try {
+      const metrics = calculateGoalMetrics(goal, holdings, now);
+      return {
+        name: goal.goal_name,
+        progressPercent: round(metrics.progressPercent, 1),
+        remainingGap: metrics.remainingGap,
+        requiredMonthly: metrics.requiredMonthlyToCloseGap,
+        targetDate: metrics.targetDate
+      };
+    } catch (error) {
+      return { name: goal.goal_name, error: error.message };
+    }
+  });
+}
+
+function healthSection(healthRecords, holdings) {
+  const [latest, previous] = healthRecords;
+  const concentrated = holdingGains(holdings)
+    .map(h => ({ symbol: h.symbol, value: h.currentValue }))
+    .filter(h => h.value > 0);
+  const total = concentrated.reduce((sum, h) => sum + h.value, 0);
+  const overweight = total > 0
+    ? concentrated.filter(h => h.value / total * 100 > CONCENTRATION_LIMIT).map(h => `${h.symbol} is ${(h.value / total * 100).toFixed(1)}% of the portfolio`)
+    : [];
+
+  if (!latest && overweight.length === 0) return null;
+  const drop = healthDropNotification(latest, previous);
+  return {
+    checkedAt: latest?.analysis_date || null,
+    diversification: latest ? Math.round(latest.diversification_score) : null,
+    fragility: latest ? Math.round(latest.fragility_index) : null,
+    riskLevel: latest ? Math.round(latest.risk_level) : null,
+    alerts: [...(drop ? drop.message.split(' · ').map(m => `Worse since last check: ${m}`) : []), ...overweight]
+  };
+}
+
+function stressSection(holdings, companies, scenario) {
+  const valued = holdingGains(holdings).filter(h => h.currentValue > 0);
+  const total = valued.reduce((sum, h) => sum + h.currentValue, 0);
+  if (total <= 0) return null;
+
+  const bySymbol = new Map(companies.map(c => [String(c.symbol || '').toUpperCase(), c]));
+  const assets = valued.map(h => ({ name: h.name || h.symbol, ...bySymbol.get(String(h.symbol).toUpperCase()), symbol: h.symbol }));
+  const impact = calculateStressImpact(assets, valued.map(h => h.currentValue / total), scenario);
+  return {
+    scenario: impact.scenario,
+    impactPercent: impact.portfolioImpact,
+    estimatedLoss: round(total * impact.portfolioImpact / 100, 2),
+    recoveryMonths: impact.recoveryTime,
+    hardestHit: impact.assetImpacts.slice(0, 3).map(a => `${a.symbol} ${a.drop}%`)
+  };
+}
+
+function challengeSection(myChallenges, challenges, windowDays, now) {
+  const horizon = now.getTime() + windowDays * MS_PER_DAY;
+  const byId = new Map(challenges.map(c => [c.id, c]));
+  const upcoming = myChallenges
+    .map(p => ({ participation: p, challenge: byId.get(p.challenge_id) }))
+    .filter(({ challenge }) => challenge?.end_date)
+    .map(({ participation, challenge }) => ({
+      title: challenge.title,
+      endDate: String(challenge.end_date).slice(0, 10),
+      daysLeft: Math.ceil((new Date(challenge.end_date).getTime() - now.getTime()) / MS_PER_DAY),
+      rank: participation.rank || null
+    }))
+    .filter(c => c.daysLeft >= 0 && new Date(c.endDate).getTime() <= horizon)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+  return upcoming.length > 0 ? upcoming : null;
+}
+
+/**
+ * Compute the data for every section in a template
+ *
+ * @param {Object} template - Digest template
+ * @param {Object} sources - { holdings, snapshots, transactions, goals, companies,
+ *                             healthRecords, challenges, myChallenges }
+ * @returns {Object} { [sectionId]: data | null } (null renders as "nothing to report")
+ */
+export function buildDigestData(template, sources, now = new Date()) {
+  const {
+    holdings = [], snapshots = [], transactions = [], goals = [], companies = [],
+    healthRecords = [], challenges = [], myChallenges = []
+  } = sources;
+  const windowDays = DIGEST_FREQUENCIES[template.frequency]?.days || 7;
+
+  const builders = {
+    performance: () => performanceSection(snapshots, transactions, windowDays, now),
+    top_movers: () => topMoversSection(holdings, template.topMoversCount),
+    goal_progress: () => goalSection(goals, holdings, now),
+    health_alerts: () => healthSection(healthRecords, holdings),
+    stress_summary: () => stressSection(holdings, companies, template.stressScenario),
+    challenge_deadlines: () => challengeSection(myChallenges, challenges, template.challengeWindowDays, now)
+  };
+
+  return Object.fromEntries(template.sections.map(id => [id, builders[id]?.() ?? null]));
+}
+
+// ---------- HTML rendering ----------
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const pct = (value) => (value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`);
+const tone = (value) => (value === null || value === undefined ? '#64748b' : value >= 0 ? '#059669' : '#e11d48');
+
+const STYLES = {
+  cell: 'padding:8px 12px;border-bottom:1px solid #e2e8f0;font-size:14px;color:#334155;',
+  label: 'padding:8px 12px;border-bottom:1px solid #e2e8f0;font-size:11px;font-weight:700;letter-spacing:0.15em;text-transform:uppercase;color:#64748b;',
+  empty: 'padding:8px 12px;font-size:13px;color:#94a3b8;font-style:italic;'
+};
+
+const row = (label, value, color = '#0f172a') => `<tr><td style="${STYLES.label}">${escapeHtml(label)}</td><td style="${STYLES.cell}text-align:right;font-weight:700;color:${color};">${value}</td></tr>`;
+const table = (rows) => `<table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">${rows}</table>`;
+const empty = (text) => `<p style="${STYLES.empty}">${escapeHtml(text)}</p>`;
+
+const SECTION_RENDERERS = {
+  performance: (data) => (!data ? empty('No valuation history yet.') : table([
+    row('Portfolio value', money(data.value)),
+    row(`Change since ${data.since}`, `${money(data.change)} (${pct(data.changePercent)})`, tone(data.change)),
+    row('Month to date (TWR)', pct(data.mtd), tone(data.mtd)),
+    row('Year to date (TWR)', pct(data.ytd), tone(data.ytd))
+  ].join(''))),
+
+  top_movers: (data) => (!data ? empty('No holdings with a cost basis yet.') : table([
+    ...data.gainers.map(h => row(`▲ ${h.symbol}`, `${pct(h.gainLossPercent)} · ${money(h.gainLoss)}`, tone(h.gainLoss))),
+    ...data.losers.map(h => row(`▼ ${h.symbol}`, `${pct(h.gainLossPercent)} · ${money(h.gainLoss)}`, tone(h.gainLoss)))
+  ].join('') || row('Movers', 'No gains or losses yet'))),
+
+  goal_progress: (data) => (!data ? empty('No goals set.') : table(data.map(goal => (goal.error
+    ? row(goal.name, escapeHtml(goal.error), '#e11d48')
+    : row(goal.name, `${goal.progressPercent}% · ${money(goal.remainingGap)} to go · ${money(goal.requiredMonthly)}/mo`, goal.progressPercent >= 100 ? '#059669' : '#0f172a')
+  )).join(''))),
+
+  health_alerts: (data) => {
+    if (!data) return empty('Run a Portfolio Health check to include health alerts.');
+    const scores = data.checkedAt ? table([
+      row('Diversification', `${data.diversification}/100`),
+      row('Fragility', `${data.fragility}/100`),
+      row('Risk level', `${data.riskLevel}/100`)
+    ].join('')) : '';
+    const alerts = data.alerts.length > 0
+      ? `<ul style="margin:12px 0 0;padding-left:20px;color:#b91c1c;font-size:13px;">${data.alerts.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ul>`
+      : empty('No health alerts this period.');
+    return scores + alerts;
+  },
+
+  stress_summary: (data) => (!data ? empty('No holdings to stress test.') : table([
+    row('Scenario', escapeHtml(data.scenario)),
+    row('Portfolio impact', pct(data.impactPercent), tone(data.impactPercent)),
+    row('Estimated loss', money(data.estimatedLoss), '#e11d48'),
+    row('Recovery', `${data.recoveryMonths} months`),
+    row('Hardest hit', escapeHtml(data.hardestHit.join(', ')))
+  ].join(''))),
+
+  challenge_deadlines: (data) => (!data ? empty('No joined challenges ending soon.') : table(data.map(c => row(
+    c.title,
+    `${c.daysLeft === 0 ? 'Ends today' : `${c.daysLeft} day${c.daysLeft === 1 ? '' : 's'} left`} · ${c.endDate}${c.rank ? ` · rank #${c.rank}` : ''}`,
+    c.daysLeft <= 3 ? '#e11d48' : '#0f172a'
+  )).join('')))
+};
+
+/**
+ * Render the digest email
+ *
+ * @param {Object} template - Digest template
+ * @param {Object} data - buildDigestData(...)
+ * @returns {string} Complete HTML document
+ */
+export function renderDigestHtml(template, data, now = new Date()) {
+  const sections = template.sections.map(id => `
+    <tr><td style="padding:24px 32px 0;">
+      <h2 style="margin:0 0 8px;font-size:12px;font-weight:800;letter-spacing:0.25em;text-transform:uppercase;color:#0f172a;border-bottom:3px solid #0f172a;padding-bottom:6px;">${escapeHtml(REPORT_SECTIONS[id].label)}</h2>
+      ${SECTION_RENDERERS[id](data[id])}
+    </td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(template.title)}</title></head>
+<body style="margin:0;padding:24px 0;background:#f1f5f9;font-family:Arial,Helvetica,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0"><tr><td align="center">
+    <table width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border:2px solid #0f172a;">
+      <tr><td style="background:#0f172a;padding:28px 32px;">
+        <p style="margin:0;font-size:10px;font-weight:800;letter-spacing:0.4em;text-transform:uppercase;color:#94a3b8;">StockSignal · ${escapeHtml(DIGEST_FREQUENCIES[template.frequency]?.label || '')} Digest</p>
+        <h1 style="margin:8px 0 0;font-size:24px;color:#ffffff;">${escapeHtml(template.title)}</h1>
+        <p style="margin:6px 0 0;font-size:12px;color:#cbd5e1;">${now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
+      </td></tr>
+      ${sections}
+      <tr><td style="padding:32px;font-size:11px;color:#94a3b8;line-height:1.5;">
+        Educational information only, not investment advice. Manage this digest under Notification Settings.
+      </td></tr>
+    </table>
+  </td></tr></table>
+</body>
+</html>`;
+}
@@ -0,0 +1,31 @@
+/**
+ * Sector ETFs
+ * Select Sector SPDR for each sector name, covering both the Yahoo-style
+ * names on Company records and the GICS names
+ *
+ * Used by:
+ * - Tax-loss harvesting (fallback replacement for a sold position)
+ * - Risk models (sector factors in the multi-factor model)
+ */
+
+/**
+ * Sector → Select Sector SPDR
+ */
+export const SECTOR_ETFS = {
+  'Technology': 'XLK',
+  'Financial Services': 'XLF',
+  'Financials': 'XLF',
+  'Energy': 'XLE',
+  'Healthcare': 'XLV',
+  'Health Care': 'XLV',
+  'Consumer Cyclical': 'XLY',
+  'Consumer Discretionary': 'XLY',
+  'Consumer Defensive': 'XLP',
+  'Consumer Staples': 'XLP',
+  'Industrials': 'XLI',
+  'Utilities': 'XLU',
+  'Real Estate': 'XLRE',
+  'Basic Materials': 'XLB',
+  'Materials': 'XLB',
+  'Communication Services': 'XLC'
+};
@@ -0,0 +1,283 @@
+/**
+ * Paper Fill Model
+ *
+ * Turns a quote into a simulated execution so practice results carry the
+ * costs a real account would pay:
+ * - Half-spread: by daily dollar volume tier, widened for volatile names
+ * - Market impact: square-root law, impact ≈ Y · σ_daily · √(Q / V)
+ * - Partial fills: at most `maxParticipation` of daily volume per evaluation;
+ *   the remainder keeps working in the paper order book
+ * - Commissions: pluggable broker schedules plus US regulatory fees on sells
+ *
+ * References:
+ * - Tóth et al. (2011): Anomalous price impact and the critical nature of liquidity
+ * - Almgren, Thum, Hauptmann & Li (2005): Direct Estimation of Equity Market Impact
+ * - SEC Section 31 fee rate ($27.80 per $1M of sales, FY2025)
+ * - FINRA Trading Activity Fee ($0.000166/share sold, max $8.30 per trade, 2024)
+ * - Interactive Brokers Pro "Fixed" pricing ($0.005/share, $1 min, 1% cap)
+ */
+
+import { clamp, round } from "../calculations/financialMath";
+
+// Shared with LiquidityWarning: order size as a share of daily volume
+export const DEFAULT_DAILY_VOLUME = 500000; // Conservative default when volume is unknown
+export const LIQUIDITY_THRESHOLDS = { WARN: 0.05, MEDIUM: 0.10, HIGH: 0.20 };
+
+const IMPACT_COEFFICIENT = 1.0; // Y in the square-root law
+const DEFAULT_VOLATILITY = 25; // Annualized %, when a company has no risk figure
+const MAX_SLIPPAGE_BPS = 500;
+const SEC_FEE_RATE = 27.80 / 1e6;
+const FINRA_TAF_PER_SHARE = 0.000166;
+const FINRA_TAF_MAX = 8.30;
+
+export const COMMISSION_SCHEDULES = {
+  zero: {
+    label: 'Zero commission',
+    description: 'Most US retail brokers since 2019',
+    calculate: () => 0
+  },
+  per_share: {
+    label: 'Per share',
+    description: '$0.005/share, $1 minimum, capped at 1% of value',
+    calculate: (quantity, notional) => Math.min(Math.max(quantity * 0.005, 1), notional * 0.01)
+  },
+  flat: {
+    label: 'Flat fee',
+    description: '$4.95 per trade',
+    calculate: () => 4.95
+  },
+  percent: {
+    label: 'Percent of value',
+    description: '0.25% of value, $1 minimum',
+    calculate: (quantity, notional) => Math.max(notional * 0.0025, 1)
+  }
+};
+
+export const DEFAULT_FILL_SETTINGS = {
+  enabled: true,
+  commissionSchedule: 'zero',
+  partialFills: true,
+  maxParticipation: 0.10
+};
+
+const SETTINGS_KEY = 'paper-fill-settings';
+
+/**
+ * Daily share volume for a company/quote, falling back to a conservative default
+ */
+export function estimateDailyVolume(company) {
+  const volume = Number(company?.volume);
+  return volume > 0 ? volume : DEFAULT_DAILY_VOLUME;
+}
+
+/**
+ * Severity of an order relative to daily volume
+ *
+ * @param {number} participation - Order shares / daily volume
+ * @returns {string|null} 'high' | 'medium' | 'low', or null below the warning threshold
+ */
+export function liquiditySeverity(participation) {
+  if (participation > LIQUIDITY_THRESHOLDS.HIGH) return 'high';
+  if (participation > LIQUIDITY_THRESHOLDS.MEDIUM) return 'medium';
+  if (participation > LIQUIDITY_THRESHOLDS.WARN) return 'low';
+  return null;
+}
+
+/**
+ * Quoted half-spread in basis points
+ * Tiered on daily dollar volume and scaled by annualized volatility.
+ */
+export function halfSpreadBps(price, dailyVolume, volatility = DEFAULT_VOLATILITY) {
+  const dollarVolume = price * dailyVolume;
+  let bps;
+  if (dollarVolume >= 1e9) bps = 1;
+  else if (dollarVolume >= 1e8) bps = 2;
+  else if (dollarVolume >= 1e7) bps = 5;
+  else if (dollarVolume >= 1e6) bps = 15;
+  else bps = 40;
+  return bps * clamp(volatility / DEFAULT_VOLATILITY, 0.75, 2);
+}
+
+/**
+ * Square-root market impact in basis points
+ */
+export function marketImpactBps(quantity, dailyVolume, volatility = DEFAULT_VOLATILITY) {
+  if (!(quantity > 0) || !(dailyVolume > 0)) return 0;
+  const dailySigma = (volatility / 100) / Math.sqrt(252);
+  return IMPACT_COEFFICIENT * dailySigma * Math.sqrt(quantity / dailyVolume) * 10000;
+}
+
+/**
+ * Commission plus regulatory fees for one execution
+ *
+ * @returns {Object} { commission, regulatoryFees, total }
+ */
+export function calculateFees(side, quantity, price, schedule = 'zero') {
+  const notional = quantity * price;
+  const commission = (COMMISSION_SCHEDULES[schedule] || COMMISSION_SCHEDULES.zero).calculate(quantity, notional);
+  const regulatoryFees = side === 'sell'
+    ? notional * SEC_FEE_RATE + Math.min(quantity * FINRA_TAF_PER_SHARE, FINRA_TAF_MAX)
+    : 0;
+  return {
+    commission: round(commission, 2),
+    regulatoryFees: round(regulatoryFees, 2),
+    total: round(commission + regulatoryFees, 2)
+  };
+}
+
+/**
+ * Simulate one execution of an order against the current quote
+ *
+ * @param {Object} order - { side, quantity, orderType, limitPrice }
+ * @param {Object} market - { price, volume, volatility } (volatility as annualized %)
+ * @param {Object} settings - See DEFAULT_FILL_SETTINGS
+ * @returns {Object} {
+ *   status: 'filled' | 'partially_filled' | 'unfilled',
+ *   executedQuantity, remainingQuantity, executedPrice, quotePrice,
+ *   slippageBps, slippageCost, fees: { commission, regulatoryFees, total },
+ *   participation, liquiditySeverity, reason
+ * }
+ */
+export function simulateFill(order, market, settings = DEFAULT_FILL_SETTINGS) {
+  const quantity = Number(order.quantity) || 0;
+  const quotePrice = Number(market?.price) || 0;
+  const isBuy = order.side === 'buy';
+  const limit = Number(order.limitPrice);
+  const hasLimit = order.orderType === 'limit' && limit > 0;
+
+  const unfilled = (reason) => ({
+    status: 'unfilled',
+    executedQuantity: 0,
+    remainingQuantity: quantity,
+    executedPrice: null,
+    quotePrice,
+    slippageBps: 0,
+    slippageCost: 0,
+    fees: { commission: 0, regulatoryFees: 0, total: 0 },
+    participation: 0,
+    liquiditySeverity: null,
+    reason
+  });
+
+  if (!(quantity > 0) || !(quotePrice > 0)) return unfilled('No quote available');
+  if (hasLimit && (isBuy ? quotePrice > limit : quotePrice < limit)) {
+    return unfilled(`Limit $${limit.toFixed(2)} not marketable at $${quotePrice.toFixed(2)}`);
+  }
+
+  if (!settings?.enabled) {
+    return {
+      status: 'filled',
+      executedQuantity: quantity,
+      remainingQuantity: 0,
+      executedPrice: quotePrice,
+      quotePrice,
+      slippageBps: 0,
+      slippageCost: 0,
+      fees: { commission: 0, regulatoryFees: 0, total: 0 },
+      participation: 0,
+      liquiditySeverity: null,
+      reason: null
+    };
+  }
+
+  const dailyVolume = estimateDailyVolume(market);
+  const volatility = Number(market?.volatility) > 0 ? Number(market.volatility) : DEFAULT_VOLATILITY;
+
+  let executedQuantity = quantity;
+  if (settings.partialFills) {
+    const cap = dailyVolume * (settings.maxParticipation || DEFAULT_FILL_SETTINGS.maxParticipation);
+    executedQuantity = Math.min(quantity, cap);
+    // Whole-share orders fill in whole shares
+    if (Number.isInteger(quantity)) executedQuantity = Math.floor(executedQuantity);
+  }
+  if (!(executedQuantity > 0)) return unfilled('No liquidity available this session');
+
+  const slippageBps = Math.min(
+    halfSpreadBps(quotePrice, dailyVolume, volatility) + marketImpactBps(executedQuantity, dailyVolume, volatility),
+    MAX_SLIPPAGE_BPS
+  );
+  let executedPrice = quotePrice * (1 + (isBuy ? 1 : -1) * slippageBps / 10000);
+  // A limit order never fills through its limit
+  if (hasLimit) executedPrice = isBuy ? Math.min(executedPrice, limit) : Math.max(executedPrice, limit);
+  executedPrice = round(executedPrice, 4);
+
+  const participation = executedQuantity / dailyVolume;
+  const remainingQuantity = round(quantity - executedQuantity, 6);
+
+  return {
+    status: remainingQuantity > 0 ? 'partially_filled' : 'filled',
+    executedQuantity,
+    remainingQuantity,
+    executedPrice,
+    quotePrice,
+    slippageBps: round(Math.abs(executedPrice - quotePrice) / quotePrice * 10000, 2),
+    slippageCost: round(Math.abs(executedPrice - quotePrice) * executedQuantity, 2),
+    fees: calculateFees(order.side, executedQuantity, executedPrice, settings.commissionSchedule),
+    participation,
+    liquiditySeverity: liquiditySeverity(quantity / dailyVolume),
+    reason: null
+  };
+}
+
+/**
+ * Trade record for the executed part of a fill
+ * The record is always 'filled' so ledger consumers count it; a partial fill
+ * keeps the ordered and still-working quantities alongside.
+ *
+ * @param {Object} order - { symbol, side, quantity, orderType, limitPrice }
+ * @param {Object} fill - Result of simulateFill with executedQuantity > 0
+ * @param {Object} settings - See DEFAULT_FILL_SETTINGS
+ * @returns {Object} executePaperTrade payload
+ */
+export function fillTradeRecord(order, fill, settings = DEFAULT_FILL_SETTINGS) {
+  return {
+    symbol: order.symbol,
+    side: order.side,
+    quantity: fill.executedQuantity,
+    orderType: order.orderType,
+    limitPrice: order.limitPrice ?? null,
+    requestedQuantity: order.quantity,
+    unfilledQuantity: fill.remainingQuantity,
+    executedQuantity: fill.executedQuantity,
+    executedPrice: fill.executedPrice,
+    quotePrice: fill.quotePrice,
+    slippageBps: fill.slippageBps,
+    fees: fill.fees.total,
+    commissionSchedule: settings?.enabled ? settings.commissionSchedule : null,
+    status: 'filled'
+  };
+}
+
+/**
+ * Load fill settings from localStorage
+ */
+export function loadFillSettings() {
+  try {
+    return { ...DEFAULT_FILL_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_FILL_SETTINGS };
+  }
+}
+
+/**
+ * Persist fill settings
+ */
+export function saveFillSettings(settings) {
+  const merged = { ...DEFAULT_FILL_SETTINGS, ...settings };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
+  return merged;
+}
+
+/**
+ * One-line summary of a simulated fill for alerts
+ */
+export function describeFill(fill) {
+  if (!fill || fill.executedQuantity <= 0) return fill?.reason || 'Not filled';
+  const parts = [
+    `Filled ${fill.executedQuantity} @ $${fill.executedPrice.toFixed(2)}`,
+    `quote $${fill.quotePrice.toFixed(2)}, slippage ${fill.slippageBps.toFixed(1)} bps ($${fill.slippageCost.toFixed(2)})`,
+    `fees $${fill.fees.total.toFixed(2)}`
+  ];
+  if (fill.remainingQuantity > 0) parts.push(`${fill.remainingQuantity} still working`);
+  return parts.join(' · ');
+}
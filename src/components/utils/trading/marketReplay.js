@@ -0,0 +1,424 @@
+/**
+ * Market Replay Engine
+ *
+ * Steps a paper account through historical daily closes so users can practice
+ * a past market (e.g. the Feb–Apr 2020 crash) at accelerated speed.
+ *
+ * Timing convention (daily bars, closes only):
+ * - The user sees bar d's close and may trade; market and marketable limit
+ *   orders fill at that close through the fill model
+ * - Resting orders placed on bar d are checked against the closes of d+1, d+2, …
+ *   (orders are stamped after d's close, so a DAY order works through d+1)
+ *
+ * Sessions are plain objects; every function returns a new session so the
+ * caller can keep one in React state.
+ */
+
+import { validateBacktestPeriod } from "../assetInceptionDates";
+import { calculateInvestorMetrics } from "../calculations/investorMetrics";
+import { round } from "../calculations/financialMath";
+import {
+  ORDER_CLASSES,
+  ORDER_STATUS,
+  RESTING_ORDER_TYPES,
+  isOpenOrder,
+  isWorkingOrder,
+  needsOrderBook,
+  validateOrder,
+  validateLinkedOrder,
+  createPendingOrder,
+  createLinkedOrders,
+  evaluateOrder,
+  modifyOrder,
+  reconcileLinkedOrders,
+  tradeLinkFields
+} from "./paperOrders";
+import { simulateFill, describeFill, DEFAULT_FILL_SETTINGS } from "./fillModel";
+
+export const REPLAY_BENCHMARK = 'SPY';
+export const DEFAULT_REPLAY_CASH = 100000;
+export const MIN_REPLAY_BARS = 5;
+
+export const REPLAY_PRESETS = [
+  { id: 'covid-crash', label: 'COVID Crash', startDate: '2020-02-03', endDate: '2020-04-30' },
+  { id: 'gfc', label: 'Lehman / GFC', startDate: '2008-09-02', endDate: '2009-03-31' },
+  { id: 'q4-2018', label: 'Q4 2018 Selloff', startDate: '2018-10-01', endDate: '2018-12-31' },
+  { id: 'rate-shock-2022', label: '2022 Rate Shock', startDate: '2022-01-03', endDate: '2022-06-30' },
+  { id: 'dotcom', label: 'Dot-Com Unwind', startDate: '2000-03-01', endDate: '2000-12-29' }
+];
+
+// Bar timestamps (UTC): before the 4 pm ET close in both EST and EDT, and after it
+const barTime = (date) => new Date(`${date}T19:30:00Z`);
+const afterCloseTime = (date) => new Date(`${date}T21:30:00Z`);
+
+/**
+ * Validate a replay window
+ * Uses validateBacktestPeriod for inception checks. Its "shorter than a year"
+ * warning is dropped: replays are short on purpose.
+ *
+ * @returns {Object} { valid, issues: [{ symbol?, issue, message, recommendation }] }
+ */
+export function validateReplayWindow(symbols, startDate, endDate, today = new Date()) {
+  const issues = [];
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { valid: false, issues: [{ issue: 'invalid_dates', message: 'Enter a start and end date', recommendation: 'Pick a preset or both dates' }] };
+  }
+  if (end <= start) {
+    issues.push({ issue: 'end_before_start', message: 'End date must be after the start date', recommendation: 'Swap or widen the window' });
+  }
+  if (end >= today) {
+    issues.push({ issue: 'future_end', message: 'Replay windows must end in the past', recommendation: 'Use live practice trading for current markets' });
+  }
+
+  const period = validateBacktestPeriod([...new Set([...symbols, REPLAY_BENCHMARK])], startDate, endDate);
+  issues.push(...period.issues.filter(i => i.issue !== 'short_period'));
+
+  return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Start a replay session
+ *
+ * @param {Object} options
+ * @param {Object} options.priceHistory - { [symbol]: [{ date, close, volume? }] }
+ * @param {string[]} options.symbols - Watchlist
+ * @param {number} options.startingCash
+ * @param {Object} options.fillSettings - See fillModel.DEFAULT_FILL_SETTINGS
+ * @param {Object} options.liquidity - { [symbol]: { volume, volatility } } fallbacks from Company data
+ * @returns {Object} Session
+ */
+export function createReplaySession({ priceHistory, symbols, startingCash = DEFAULT_REPLAY_CASH, fillSettings = DEFAULT_FILL_SETTINGS, liquidity = {} }) {
+  const closes = {};
+  Object.entries(priceHistory || {}).forEach(([symbol, bars]) => {
+    closes[symbol] = {};
+    (bars || []).forEach(bar => {
+      const close = Number(bar.close);
+      if (close > 0) closes[symbol][String(bar.date).slice(0, 10)] = { close, volume: Number(bar.volume) || null };
+    });
+  });
+
+  const calendarSource = closes[REPLAY_BENCHMARK] && Object.keys(closes[REPLAY_BENCHMARK]).length > 0
+    ? [REPLAY_BENCHMARK]
+    : Object.keys(closes);
+  const dates = [...new Set(calendarSource.flatMap(symbol => Object.keys(closes[symbol])))].sort();
+
+  const session = {
+    dates,
+    cursor: 0,
+    closes,
+    symbols: symbols.filter(s => closes[s] && Object.keys(closes[s]).length > 0),
+    missingSymbols: symbols.filter(s => !closes[s] || Object.keys(closes[s]).length === 0),
+    liquidity,
+    fillSettings,
+    startingCash,
+    cash: startingCash,
+    positions: {},
+    trades: [],
+    orders: [],
+    log: [],
+    equityCurve: [],
+    finished: dates.length === 0
+  };
+
+  return recordEquity(session);
+}
+
+/**
+ * Close of `symbol` on the bar at `cursor`, carrying the last close forward over gaps
+ */
+export function replayPrice(session, symbol, cursor = session.cursor) {
+  const series = session.closes[symbol];
+  if (!series) return null;
+  for (let i = cursor; i >= 0; i--) {
+    const bar = series[session.dates[i]];
+    if (bar) return bar.close;
+  }
+  return null;
+}
+
+export const currentReplayDate = (session) => session.dates[session.cursor] || null;
+
+/**
+ * Mark-to-market value of cash plus positions on the current bar
+ */
+export function replayEquity(session, cursor = session.cursor) {
+  const holdings = Object.entries(session.positions).reduce(
+    (sum, [symbol, p]) => sum + p.quantity * (replayPrice(session, symbol, cursor) || 0),
+    0
+  );
+  return session.cash + holdings;
+}
+
+function recordEquity(session) {
+  const date = currentReplayDate(session);
+  if (!date) return session;
+  const point = {
+    date,
+    value: round(replayEquity(session), 2),
+    benchmark: replayPrice(session, REPLAY_BENCHMARK)
+  };
+  return {
+    ...session,
+    equityCurve: [...session.equityCurve.filter(p => p.date !== date), point]
+  };
+}
+
+function marketFor(session, symbol) {
+  const date = currentReplayDate(session);
+  return {
+    price: replayPrice(session, symbol),
+    volume: session.closes[symbol]?.[date]?.volume || session.liquidity[symbol]?.volume || null,
+    volatility: session.liquidity[symbol]?.volatility || null
+  };
+}
+
+/**
+ * Simulate and book one execution against the current bar
+ * @returns {Object} { session, fill, error }
+ */
+function executeReplayFill(session, ticket, linkFields = {}) {
+  const market = marketFor(session, ticket.symbol);
+  const fill = simulateFill(ticket, market, session.fillSettings);
+  if (fill.executedQuantity <= 0) return { session, fill, error: fill.reason };
+
+  const position = session.positions[ticket.symbol] || { quantity: 0, costBasis: 0 };
+  const gross = fill.executedQuantity * fill.executedPrice;
+  let cash = session.cash;
+  let nextPosition;
+
+  if (ticket.side === 'buy') {
+    if (gross + fill.fees.total > cash + 1e-6) {
+      return { session, fill, error: `Insufficient cash: need $${(gross + fill.fees.total).toFixed(2)}, have $${cash.toFixed(2)}` };
+    }
+    cash -= gross + fill.fees.total;
+    nextPosition = {
+      quantity: position.quantity + fill.executedQuantity,
+      costBasis: position.costBasis + gross + fill.fees.total
+    };
+  } else {
+    if (fill.executedQuantity > position.quantity + 1e-9) {
+      return { session, fill, error: `Only ${position.quantity} ${ticket.symbol} shares held (no short selling in replay)` };
+    }
+    cash += gross - fill.fees.total;
+    const remaining = position.quantity - fill.executedQuantity;
+    nextPosition = {
+      quantity: remaining,
+      costBasis: position.quantity > 0 ? position.costBasis * (remaining / position.quantity) : 0
+    };
+  }
+
+  const positions = { ...session.positions, [ticket.symbol]: nextPosition };
+  if (nextPosition.quantity <= 1e-9) delete positions[ticket.symbol];
+
+  const date = currentReplayDate(session);
+  const trade = {
+    id: `replay-${session.trades.length + 1}`,
+    symbol: ticket.symbol,
+    side: ticket.side,
+    quantity: fill.executedQuantity,
+    requestedQuantity: ticket.quantity,
+    orderType: ticket.orderType,
+    executedPrice: fill.executedPrice,
+    executedQuantity: fill.executedQuantity,
+    quotePrice: fill.quotePrice,
+    slippageBps: fill.slippageBps,
+    fees: fill.fees.total,
+    status: 'filled',
+    timestamp: barTime(date).toISOString(),
+    paper_trade: true,
+    ...linkFields
+  };
+
+  return {
+    session: { ...session, cash: round(cash, 2), positions, trades: [...session.trades, trade] },
+    fill,
+    error: null
+  };
+}
+
+const withLog = (session, message) => ({
+  ...session,
+  log: [...session.log, { date: currentReplayDate(session), message }]
+});
+
+/**
+ * Place a TradeModal ticket on the current bar
+ * Mirrors usePaperOrderBook.placeOrder, against replay prices and cash.
+ *
+ * @returns {Object} { session, success, message }
+ */
+export function submitReplayOrder(session, tradeData) {
+  const referencePrice = replayPrice(session, tradeData.symbol);
+  if (!(referencePrice > 0)) {
+    return { session, success: false, message: `${tradeData.symbol} has no price on ${currentReplayDate(session)}` };
+  }
+
+  const now = afterCloseTime(currentReplayDate(session));
+  const isLinked = [ORDER_CLASSES.BRACKET, ORDER_CLASSES.OCO].includes(tradeData.orderClass);
+  const errors = isLinked ? validateLinkedOrder(tradeData, referencePrice) : validateOrder(tradeData, referencePrice);
+  if (errors.length > 0) return { session, success: false, message: errors.join('\n') };
+
+  if (needsOrderBook(tradeData) && !isLinked) {
+    const order = createPendingOrder(tradeData, { referencePrice, now });
+    const next = withLog({ ...session, orders: [...session.orders, order] }, `Placed ${order.side} ${order.quantity} ${order.symbol} ${order.orderType}`);
+    return { session: next, success: true, message: 'Order placed; it is checked against each following bar.' };
+  }
+
+  let entry = null;
+  let exits = [];
+  if (isLinked) {
+    ({ entry, exits } = createLinkedOrders(tradeData, { referencePrice, now }));
+    if (!entry || RESTING_ORDER_TYPES.includes(entry.orderType)) {
+      const next = { ...session, orders: reconcileLinkedOrders([...session.orders, ...(entry ? [entry] : []), ...exits], now) };
+      return { session: withLog(next, `Placed ${tradeData.orderClass} on ${tradeData.symbol}`), success: true, message: 'Order placed.' };
+    }
+  }
+
+  const base = entry || createPendingOrder(tradeData, { referencePrice, now });
+  const result = executeReplayFill(session, tradeData, entry ? tradeLinkFields(entry) : {});
+
+  if (result.error) {
+    // An unmarketable limit rests; anything else is rejected
+    if (result.fill.executedQuantity <= 0 && tradeData.orderType === 'limit') {
+      const next = { ...session, orders: reconcileLinkedOrders([...session.orders, base, ...exits], now) };
+      return { session: withLog(next, `${result.error}; resting`), success: true, message: `${result.error}. Order is resting.` };
+    }
+    return { session, success: false, message: result.error };
+  }
+
+  const { fill } = result;
+  const booked = fill.remainingQuantity > 0
+    ? [{ ...base, quantity: fill.remainingQuantity, filledQuantity: fill.executedQuantity }]
+    : entry ? [{ ...base, status: ORDER_STATUS.FILLED, filledQuantity: fill.executedQuantity }] : [];
+
+  const next = withLog(
+    recordEquity({ ...result.session, orders: reconcileLinkedOrders([...session.orders, ...booked, ...exits], now) }),
+    `${tradeData.side.toUpperCase()} ${tradeData.symbol}: ${describeFill(fill)}`
+  );
+  return { session: next, success: true, message: describeFill(fill) };
+}
+
+/**
+ * Cancel a working replay order (and, via reconcile, its linked orders)
+ */
+export function cancelReplayOrder(session, orderId) {
+  const now = afterCloseTime(currentReplayDate(session));
+  const orders = session.orders.map(o => (
+    o.id === orderId && isWorkingOrder(o)
+      ? { ...o, status: ORDER_STATUS.CANCELLED, cancelReason: 'Cancelled by user', updatedAt: now.toISOString() }
+      : o
+  ));
+  return { ...session, orders: reconcileLinkedOrders(orders, now) };
+}
+
+/**
+ * Modify a working replay order against the current bar
+ * @returns {Object} { session, errors }
+ */
+export function modifyReplayOrder(session, orderId, changes) {
+  const order = session.orders.find(o => o.id === orderId);
+  if (!order) return { session, errors: ['Order not found'] };
+  const now = afterCloseTime(currentReplayDate(session));
+  const { order: modified, errors } = modifyOrder(order, changes, replayPrice(session, order.symbol), now);
+  if (errors.length > 0) return { session, errors };
+  return {
+    session: { ...session, orders: reconcileLinkedOrders(session.orders.map(o => (o.id === orderId ? modified : o)), now) },
+    errors: []
+  };
+}
+
+/**
+ * Advance one bar and work the order book against its closes
+ */
+export function stepReplay(session) {
+  if (session.finished) return session;
+  if (session.cursor >= session.dates.length - 1) return { ...session, finished: true };
+
+  let next = { ...session, cursor: session.cursor + 1 };
+  const date = currentReplayDate(next);
+  const now = barTime(date);
+  const filledGroups = new Set();
+  const orders = [];
+
+  for (const order of reconcileLinkedOrders(next.orders, now)) {
+    if (!isOpenOrder(order) || (order.ocoGroupId && filledGroups.has(order.ocoGroupId))) {
+      orders.push(order);
+      continue;
+    }
+
+    const { order: evaluated, action, execution } = evaluateOrder(order, replayPrice(next, order.symbol), now);
+    if (action === 'expire') next = withLog(next, `${order.symbol} ${order.orderType} order expired`);
+    if (action !== 'execute') {
+      orders.push(evaluated);
+      continue;
+    }
+
+    const result = executeReplayFill(next, { ...evaluated, ...execution }, tradeLinkFields(evaluated));
+    if (result.error) {
+      const rejected = result.fill.executedQuantity > 0;
+      orders.push(rejected
+        ? { ...evaluated, status: ORDER_STATUS.REJECTED, rejectReason: result.error, updatedAt: now.toISOString() }
+        : evaluated);
+      if (rejected) next = withLog(next, `${order.symbol} order rejected: ${result.error}`);
+      continue;
+    }
+
+    const { fill } = result;
+    next = withLog(result.session, `${evaluated.side.toUpperCase()} ${evaluated.symbol} (${evaluated.orderType}): ${describeFill(fill)}`);
+    if (evaluated.ocoGroupId) filledGroups.add(evaluated.ocoGroupId);
+    const filledQuantity = (Number(evaluated.filledQuantity) || 0) + fill.executedQuantity;
+    orders.push(fill.remainingQuantity > 0
+      ? { ...evaluated, quantity: fill.remainingQuantity, filledQuantity, updatedAt: now.toISOString() }
+      : { ...evaluated, status: ORDER_STATUS.FILLED, filledQuantity, updatedAt: now.toISOString() });
+  }
+
+  next = recordEquity({ ...next, orders: reconcileLinkedOrders(orders, now) });
+  return next.cursor >= next.dates.length - 1 ? { ...next, finished: true } : next;
+}
+
+/**
+ * Score a replay: account return vs the benchmark plus the Investor IQ
+ * behaviour scores from calculateInvestorMetrics
+ *
+ * @returns {Object} { totalReturn, benchmarkReturn, excessReturn, maxDrawdown, endingValue, tradeCount, investorMetrics }
+ */
+export function scoreReplay(session) {
+  const curve = session.equityCurve;
+  const endingValue = replayEquity(session);
+  const totalReturn = session.startingCash > 0 ? (endingValue / session.startingCash - 1) * 100 : 0;
+
+  const firstBenchmark = curve.find(p => p.benchmark > 0)?.benchmark;
+  const lastBenchmark = [...curve].reverse().find(p => p.benchmark > 0)?.benchmark;
+  const benchmarkReturn = firstBenchmark && lastBenchmark ? (lastBenchmark / firstBenchmark - 1) * 100 : null;
+
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  curve.forEach(p => {
+    peak = Math.max(peak, p.value);
+    if (peak > 0) maxDrawdown = Math.min(maxDrawdown, (p.value - peak) / peak);
+  });
+
+  const assets = Object.entries(session.positions).map(([symbol, p]) => ({
+    symbol,
+    quantity: p.quantity,
+    currentPrice: replayPrice(session, symbol) || 0
+  }));
+  // calculateInvestorMetrics expects newest-first, like getUserTrades
+  const investorMetrics = calculateInvestorMetrics([...session.trades].reverse(), {
+    assets,
+    totalValue: assets.reduce((s, a) => s + a.quantity * a.currentPrice, 0) || 1
+  });
+
+  return {
+    totalReturn: round(totalReturn, 2),
+    benchmarkReturn: benchmarkReturn === null ? null : round(benchmarkReturn, 2),
+    excessReturn: benchmarkReturn === null ? null : round(totalReturn - benchmarkReturn, 2),
+    maxDrawdown: round(maxDrawdown * 100, 2),
+    endingValue: round(endingValue, 2),
+    tradeCount: session.trades.length,
+    investorMetrics
+  };
+}
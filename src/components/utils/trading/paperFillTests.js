@@ -0,0 +1,72 @@
+import { simulateFill, fillTradeRecord, DEFAULT_FILL_SETTINGS } from "./fillModel";
+import { tradesToTransactions } from "../calculations/performance";
+
+/**
+ * Regression test suite - paper fills must reach the ledger
+ * Performance, tax and investor metrics only read 'filled' trades
+ */
+export const runPaperFillTests = () => {
+  const tests = [];
+
+  // Thin volume caps participation, so a 1,000 share order fills 100
+  const market = { price: 50, volume: 1000, volatility: 30 };
+  const ticket = { symbol: 'ACME', side: 'buy', quantity: 1000, orderType: 'market' };
+  const settings = { ...DEFAULT_FILL_SETTINGS, partialFills: true, maxParticipation: 0.10 };
+
+  // Test 1: Partial fill is recorded as filled with the remainder alongside
+  const test1 = () => {
+    const fill = simulateFill(ticket, market, settings);
+    const record = fillTradeRecord(ticket, fill, settings);
+
+    if (fill.remainingQuantity <= 0) {
+      return { passed: false, reason: `Expected a partial fill, got ${fill.executedQuantity} of ${ticket.quantity}` };
+    }
+    if (record.status !== 'filled') {
+      return { passed: false, reason: `Expected status 'filled', got '${record.status}'` };
+    }
+    if (record.requestedQuantity !== 1000 || record.unfilledQuantity !== fill.remainingQuantity) {
+      return { passed: false, reason: `Expected requested 1000 / unfilled ${fill.remainingQuantity}, got ${record.requestedQuantity} / ${record.unfilledQuantity}` };
+    }
+    return { passed: true };
+  };
+
+  // Test 2: Executed part of a partial fill reaches tradesToTransactions
+  const test2 = () => {
+    const fill = simulateFill(ticket, market, settings);
+    const trade = { id: 't1', timestamp: '2026-01-05T15:00:00Z', ...fillTradeRecord(ticket, fill, settings) };
+    const transactions = tradesToTransactions([trade]);
+
+    if (transactions.length !== 1) {
+      return { passed: false, reason: `Expected 1 transaction, got ${transactions.length}` };
+    }
+    if (transactions[0].quantity !== fill.executedQuantity || transactions[0].price !== fill.executedPrice) {
+      return {
+        passed: false,
+        reason: `Expected ${fill.executedQuantity} @ ${fill.executedPrice}, got ${transactions[0].quantity} @ ${transactions[0].price}`
+      };
+    }
+    return { passed: true, critical: true };
+  };
+
+  tests.push(
+    { name: "Partial fill record test", fn: test1 },
+    { name: "Partial fill reaches ledger (RELEASE GATE)", fn: test2, critical: true }
+  );
+
+  const results = tests.map(test => {
+    const result = test.fn();
+    return {
+      name: test.name,
+      passed: result.passed,
+      reason: result.reason,
+      critical: test.critical
+    };
+  });
+
+  return {
+    allPassed: results.every(r => r.passed),
+    criticalFailure: results.some(r => r.critical && !r.passed),
+    results,
+    timestamp: new Date().toISOString()
+  };
+};
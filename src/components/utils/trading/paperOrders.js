@@ -0,0 +1,564 @@
+/**
+ * Paper Order Book
+ *
+ * Resting (not immediately filled) orders for the practice simulator.
+ * Market and plain limit orders go straight to executePaperTrade; the order
+ * types below wait in the book until a price sync triggers them. Unmarketable
+ * limits and the unfilled remainder of partial fills (see fillModel.js) also
+ * rest here.
+ *
+ * Trigger rules (SEC Investor Bulletin: "Stop, Stop-Limit and Trailing Stop Orders"):
+ * - Stop: buy triggers when price >= stop, sell when price <= stop; then fills at market
+ * - Stop-limit: same trigger, then becomes a limit order at limitPrice and
+ *   rests until marketable (buy: price <= limit, sell: price >= limit)
+ * - Trailing stop: the stop follows the best price since placement by a fixed
+ *   amount or percent (sell trails the high, buy trails the low)
+ *
+ * Time in force:
+ * - day: expires at the 4:00 pm ET close of the session it was placed in
+ *   (weekend orders roll to Monday; exchange holidays are not modelled)
+ * - gtc: good 'til cancelled, capped at 90 calendar days like most brokers
+ *
+ * Linked orders:
+ * - Bracket: an entry plus a take-profit limit and a stop-loss stop on the
+ *   opposite side. The two exits are held until the entry fills, then work as
+ *   an OCO pair. An entry cancelled or expired after a partial fill releases
+ *   the exits sized to the shares it filled.
+ * - OCO (one-cancels-other): two exits on the same side; when either fills,
+ *   is cancelled or expires, the other is cancelled.
+ */
+
+export const ORDER_TYPES = {
+  MARKET: 'market',
+  LIMIT: 'limit',
+  STOP: 'stop',
+  STOP_LIMIT: 'stop_limit',
+  TRAILING_STOP: 'trailing_stop'
+};
+
+export const ORDER_TYPE_LABELS = {
+  market: 'Market',
+  limit: 'Limit',
+  stop: 'Stop',
+  stop_limit: 'Stop-Limit',
+  trailing_stop: 'Trailing Stop'
+};
+
+export const TIME_IN_FORCE = {
+  DAY: 'day',
+  GTC: 'gtc'
+};
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  TRIGGERED: 'triggered',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  REJECTED: 'rejected',
+  HELD: 'held'
+};
+
+export const ORDER_CLASSES = {
+  SIMPLE: 'simple',
+  BRACKET: 'bracket',
+  OCO: 'oco'
+};
+
+export const ORDER_CLASS_LABELS = {
+  simple: 'Simple',
+  bracket: 'Bracket',
+  oco: 'OCO'
+};
+
+export const ORDER_ROLES = {
+  ENTRY: 'entry',
+  TAKE_PROFIT: 'take_profit',
+  STOP_LOSS: 'stop_loss'
+};
+
+// Order types that rest in the local book instead of filling immediately
+export const RESTING_ORDER_TYPES = [ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT, ORDER_TYPES.TRAILING_STOP];
+
+const OPEN_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.TRIGGERED];
+const GTC_MAX_DAYS = 90;
+const CLOSED_ORDER_RETENTION_DAYS = 30;
+const MARKET_TIME_ZONE = 'America/New_York';
+const SESSION_CLOSE_HOUR = 16;
+
+export const isOpenOrder = (order) => OPEN_STATUSES.includes(order?.status);
+
+/**
+ * Whether a ticket has to go through the order book rather than straight to executePaperTrade
+ */
+export const needsOrderBook = (tradeData) => RESTING_ORDER_TYPES.includes(tradeData?.orderType)
+  || [ORDER_CLASSES.BRACKET, ORDER_CLASSES.OCO].includes(tradeData?.orderClass);
+
+// Open, or held waiting on a parent fill
+export const isWorkingOrder = (order) => isOpenOrder(order) || order?.status === ORDER_STATUS.HELD;
+
+const newOrderId = (now) => `ord-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Wall-clock parts of `date` in New York
+ */
+function marketClockParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hour12: false,
+    weekday: 'short',
+    timeZoneName: 'shortOffset'
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  const offsetMatch = /GMT([+-]\d+)?/.exec(get('timeZoneName') || '');
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')) % 24,
+    weekday: get('weekday'),
+    offsetHours: offsetMatch?.[1] ? Number(offsetMatch[1]) : 0
+  };
+}
+
+/**
+ * The 4:00 pm ET close that ends the session an order placed at `now` belongs to
+ */
+export function sessionCloseAfter(now = new Date()) {
+  const clock = marketClockParts(now);
+  const close = new Date(Date.UTC(clock.year, clock.month - 1, clock.day, SESSION_CLOSE_HOUR - clock.offsetHours));
+
+  if (clock.hour >= SESSION_CLOSE_HOUR) close.setUTCDate(close.getUTCDate() + 1);
+  // Roll Saturday/Sunday (and after-hours Friday) to Monday
+  while (['Sat', 'Sun'].includes(marketClockParts(close).weekday)) {
+    close.setUTCDate(close.getUTCDate() + 1);
+  }
+  return close;
+}
+
+/**
+ * Expiry timestamp for a time-in-force starting at `now`
+ */
+function expiryFor(timeInForce, now) {
+  return timeInForce === TIME_IN_FORCE.GTC
+    ? new Date(now.getTime() + GTC_MAX_DAYS * 24 * 60 * 60 * 1000)
+    : sessionCloseAfter(now);
+}
+
+/**
+ * Validate an order against the current price
+ *
+ * @param {Object} order - { side, quantity, orderType, stopPrice, limitPrice, trailAmount, trailPercent }
+ * @param {number} referencePrice - Latest quote
+ * @returns {Array} Error messages (empty if valid)
+ */
+export function validateOrder(order, referencePrice) {
+  const errors = [];
+  const isBuy = order.side === 'buy';
+  const price = Number(referencePrice);
+
+  if (!(Number(order.quantity) > 0)) errors.push('Quantity must be greater than 0');
+
+  if (order.orderType === ORDER_TYPES.LIMIT && !(Number(order.limitPrice) > 0)) {
+    errors.push('Enter a limit price');
+  }
+
+  if (order.orderType === ORDER_TYPES.STOP || order.orderType === ORDER_TYPES.STOP_LIMIT) {
+    const stop = Number(order.stopPrice);
+    if (!(stop > 0)) {
+      errors.push('Enter a stop price');
+    } else if (price > 0 && isBuy && stop <= price) {
+      errors.push(`Buy stop must be above the current price ($${price.toFixed(2)})`);
+    } else if (price > 0 && !isBuy && stop >= price) {
+      errors.push(`Sell stop must be below the current price ($${price.toFixed(2)})`);
+    }
+  }
+
+  if (order.orderType === ORDER_TYPES.STOP_LIMIT) {
+    const stop = Number(order.stopPrice);
+    const limit = Number(order.limitPrice);
+    if (!(limit > 0)) {
+      errors.push('Enter a limit price');
+    } else if (stop > 0 && isBuy && limit < stop) {
+      errors.push('Buy stop-limit: limit price should be at or above the stop price');
+    } else if (stop > 0 && !isBuy && limit > stop) {
+      errors.push('Sell stop-limit: limit price should be at or below the stop price');
+    }
+  }
+
+  if (order.orderType === ORDER_TYPES.TRAILING_STOP) {
+    const amount = Number(order.trailAmount);
+    const percent = Number(order.trailPercent);
+    if (!(amount > 0) && !(percent > 0)) {
+      errors.push('Enter a trail amount or trail percent');
+    } else if (percent >= 100) {
+      errors.push('Trail percent must be below 100%');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Current stop level of a trailing stop
+ */
+export function trailingStopPrice(order) {
+  const anchor = Number(order.trailAnchor);
+  if (!(anchor > 0)) return null;
+  const offset = Number(order.trailPercent) > 0
+    ? anchor * (Number(order.trailPercent) / 100)
+    : Number(order.trailAmount) || 0;
+  return order.side === 'buy' ? anchor + offset : anchor - offset;
+}
+
+/**
+ * Create a resting order
+ *
+ * @param {Object} tradeData - Output of TradeModal
+ * @param {Object} options - { referencePrice, now }
+ * @returns {Object} Order in PENDING status
+ */
+export function createPendingOrder(tradeData, { referencePrice, now = new Date() } = {}) {
+  const timeInForce = tradeData.timeInForce === TIME_IN_FORCE.GTC ? TIME_IN_FORCE.GTC : TIME_IN_FORCE.DAY;
+  const expiresAt = expiryFor(timeInForce, now);
+
+  const order = {
+    id: newOrderId(now),
+    symbol: String(tradeData.symbol || '').toUpperCase(),
+    side: tradeData.side,
+    quantity: Number(tradeData.quantity),
+    orderType: tradeData.orderType,
+    stopPrice: tradeData.stopPrice ?? null,
+    limitPrice: tradeData.limitPrice ?? null,
+    trailAmount: tradeData.trailAmount ?? null,
+    trailPercent: tradeData.trailPercent ?? null,
+    timeInForce,
+    status: ORDER_STATUS.PENDING,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    referencePrice: Number(referencePrice) || null
+  };
+
+  if (order.orderType === ORDER_TYPES.TRAILING_STOP) {
+    order.trailAnchor = Number(referencePrice) || null;
+    order.stopPrice = trailingStopPrice(order);
+  }
+
+  return order;
+}
+
+/**
+ * Evaluate one open order against a new price
+ *
+ * @param {Object} order - Open order
+ * @param {number} price - Latest quote
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { order, action, execution }
+ *   action: 'none' | 'expire' | 'execute'
+ *   execution: { orderType, limitPrice } to send to executePaperTrade
+ */
+export function evaluateOrder(order, price, now = new Date()) {
+  if (!isOpenOrder(order)) return { order, action: 'none' };
+
+  if (order.expiresAt && now >= new Date(order.expiresAt)) {
+    return {
+      order: { ...order, status: ORDER_STATUS.EXPIRED, updatedAt: now.toISOString() },
+      action: 'expire'
+    };
+  }
+
+  const last = Number(price);
+  if (!(last > 0)) return { order, action: 'none' };
+
+  const isBuy = order.side === 'buy';
+  let next = { ...order, lastPrice: last };
+
+  // Remainder of a partially filled market order: keep working every sync
+  if (next.orderType === ORDER_TYPES.MARKET) {
+    return { order: next, action: 'execute', execution: { orderType: ORDER_TYPES.MARKET, limitPrice: null } };
+  }
+
+  // Resting limit (bracket/OCO take-profit or unmarketable limit): fills once marketable
+  if (next.orderType === ORDER_TYPES.LIMIT) {
+    const limit = Number(next.limitPrice);
+    const marketable = isBuy ? last <= limit : last >= limit;
+    if (!marketable) return { order: next, action: 'none' };
+    return {
+      order: next,
+      action: 'execute',
+      execution: { orderType: ORDER_TYPES.LIMIT, limitPrice: limit }
+    };
+  }
+
+  // Ratchet the trailing anchor before testing the stop
+  if (next.orderType === ORDER_TYPES.TRAILING_STOP) {
+    const anchor = Number(next.trailAnchor) || last;
+    next.trailAnchor = isBuy ? Math.min(anchor, last) : Math.max(anchor, last);
+    next.stopPrice = trailingStopPrice(next);
+  }
+
+  const stop = Number(next.stopPrice);
+  const stopHit = next.status === ORDER_STATUS.TRIGGERED || (isBuy ? last >= stop : last <= stop);
+  if (!stopHit) return { order: next, action: 'none' };
+
+  if (next.status === ORDER_STATUS.PENDING) {
+    next = { ...next, status: ORDER_STATUS.TRIGGERED, triggeredAt: now.toISOString(), triggerPrice: last };
+  }
+
+  if (next.orderType === ORDER_TYPES.STOP_LIMIT) {
+    const limit = Number(next.limitPrice);
+    const marketable = isBuy ? last <= limit : last >= limit;
+    if (!marketable) return { order: { ...next, updatedAt: now.toISOString() }, action: 'none' };
+    return {
+      order: next,
+      action: 'execute',
+      execution: { orderType: ORDER_TYPES.LIMIT, limitPrice: limit }
+    };
+  }
+
+  return {
+    order: next,
+    action: 'execute',
+    execution: { orderType: ORDER_TYPES.MARKET, limitPrice: null }
+  };
+}
+
+/**
+ * Apply user edits to an open order
+ * Quantity, prices, trail and time in force may change; symbol/side/type may not.
+ *
+ * @returns {Object} { order, errors }
+ */
+export function modifyOrder(order, changes, referencePrice, now = new Date()) {
+  if (!isOpenOrder(order)) return { order, errors: ['Only open orders can be modified'] };
+
+  const merged = {
+    ...order,
+    ...['quantity', 'stopPrice', 'limitPrice', 'trailAmount', 'trailPercent', 'timeInForce']
+      .filter(key => changes[key] !== undefined)
+      .reduce((acc, key) => ({ ...acc, [key]: changes[key] }), {})
+  };
+
+  // A triggered stop-limit only has a working limit left to edit
+  const errors = order.status === ORDER_STATUS.TRIGGERED
+    ? (Number(merged.limitPrice) > 0 ? [] : ['Enter a limit price'])
+    : validateOrder(merged, referencePrice);
+  if (errors.length > 0) return { order, errors };
+
+  if (merged.orderType === ORDER_TYPES.TRAILING_STOP) {
+    merged.stopPrice = trailingStopPrice(merged);
+  }
+  if (merged.timeInForce !== order.timeInForce) {
+    merged.expiresAt = expiryFor(merged.timeInForce, now).toISOString();
+  }
+
+  return { order: { ...merged, updatedAt: now.toISOString() }, errors: [] };
+}
+
+/**
+ * Price the entry of a bracket is expected to fill at
+ */
+function bracketEntryPrice(tradeData, referencePrice) {
+  switch (tradeData.orderType) {
+    case ORDER_TYPES.LIMIT:
+    case ORDER_TYPES.STOP_LIMIT:
+      return Number(tradeData.limitPrice);
+    case ORDER_TYPES.STOP:
+      return Number(tradeData.stopPrice);
+    default:
+      return Number(referencePrice);
+  }
+}
+
+/**
+ * Validate a bracket or OCO order
+ *
+ * Bracket: takeProfitPrice and stopLossPrice must straddle the entry price
+ * (buy: stop < entry < target; sell: target < entry < stop).
+ * OCO: both exits must straddle the current price on the side they close.
+ *
+ * @param {Object} tradeData - { orderClass, side, quantity, orderType, takeProfitPrice, stopLossPrice, ... }
+ * @param {number} referencePrice - Latest quote
+ * @returns {Array} Error messages (empty if valid)
+ */
+export function validateLinkedOrder(tradeData, referencePrice) {
+  const takeProfit = Number(tradeData.takeProfitPrice);
+  const stopLoss = Number(tradeData.stopLossPrice);
+  const isBracket = tradeData.orderClass === ORDER_CLASSES.BRACKET;
+  const errors = isBracket
+    ? validateOrder(tradeData, referencePrice)
+    : (Number(tradeData.quantity) > 0 ? [] : ['Quantity must be greater than 0']);
+
+  if (!(takeProfit > 0)) errors.push('Enter a take-profit price');
+  if (!(stopLoss > 0)) errors.push('Enter a stop-loss price');
+  if (errors.length > 0) return errors;
+
+  // Side the exits trade on: opposite of the entry for brackets
+  const exitSide = isBracket ? (tradeData.side === 'buy' ? 'sell' : 'buy') : tradeData.side;
+  const pivot = isBracket ? bracketEntryPrice(tradeData, referencePrice) : Number(referencePrice);
+  const pivotLabel = isBracket ? 'entry' : 'current';
+  if (!(pivot > 0)) return [`No ${pivotLabel} price to check the exits against`];
+
+  if (exitSide === 'sell') {
+    if (takeProfit <= pivot) errors.push(`Take-profit must be above the ${pivotLabel} price ($${pivot.toFixed(2)})`);
+    if (stopLoss >= pivot) errors.push(`Stop-loss must be below the ${pivotLabel} price ($${pivot.toFixed(2)})`);
+  } else {
+    if (takeProfit >= pivot) errors.push(`Take-profit must be below the ${pivotLabel} price ($${pivot.toFixed(2)})`);
+    if (stopLoss <= pivot) errors.push(`Stop-loss must be above the ${pivotLabel} price ($${pivot.toFixed(2)})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build the orders for a bracket or OCO ticket
+ *
+ * @param {Object} tradeData - Output of TradeModal
+ * @param {Object} options - { referencePrice, now }
+ * @returns {Object} { entry, exits } - entry is null for OCO; bracket exits are HELD
+ */
+export function createLinkedOrders(tradeData, { referencePrice, now = new Date() } = {}) {
+  const isBracket = tradeData.orderClass === ORDER_CLASSES.BRACKET;
+  const ocoGroupId = `oco-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+  const exitSide = isBracket ? (tradeData.side === 'buy' ? 'sell' : 'buy') : tradeData.side;
+
+  const entry = isBracket
+    ? {
+        ...createPendingOrder(tradeData, { referencePrice, now }),
+        orderClass: ORDER_CLASSES.BRACKET,
+        orderRole: ORDER_ROLES.ENTRY
+      }
+    : null;
+
+  // Bracket exits default to GTC so they outlive a day entry
+  const exitTimeInForce = isBracket ? TIME_IN_FORCE.GTC : tradeData.timeInForce;
+  const exitBase = {
+    symbol: tradeData.symbol,
+    side: exitSide,
+    quantity: tradeData.quantity,
+    timeInForce: exitTimeInForce
+  };
+
+  const exits = [
+    {
+      ...createPendingOrder({ ...exitBase, orderType: ORDER_TYPES.LIMIT, limitPrice: Number(tradeData.takeProfitPrice) }, { referencePrice, now }),
+      orderRole: ORDER_ROLES.TAKE_PROFIT
+    },
+    {
+      ...createPendingOrder({ ...exitBase, orderType: ORDER_TYPES.STOP, stopPrice: Number(tradeData.stopLossPrice) }, { referencePrice, now }),
+      orderRole: ORDER_ROLES.STOP_LOSS
+    }
+  ].map(order => ({
+    ...order,
+    orderClass: isBracket ? ORDER_CLASSES.BRACKET : ORDER_CLASSES.OCO,
+    ocoGroupId,
+    parentOrderId: entry?.id ?? null,
+    // Held exits get their expiry when the entry fills
+    ...(isBracket ? { status: ORDER_STATUS.HELD, expiresAt: null } : {})
+  }));
+
+  if (entry) entry.childOrderIds = exits.map(o => o.id);
+
+  return { entry, exits };
+}
+
+/**
+ * Propagate fills and cancellations across linked orders
+ * - Held bracket exits activate when their entry fills; if it closes any
+ *   other way they protect the shares it did fill, or are cancelled if none
+ * - Once any member of an OCO group closes, the rest are cancelled
+ * - Working OCO legs are trimmed to the smallest remaining quantity
+ * Safe to run repeatedly.
+ *
+ * @param {Array} orders - Order book
+ * @param {Date} now
+ * @returns {Array} Updated order book
+ */
+export function reconcileLinkedOrders(orders, now = new Date()) {
+  const byId = Object.fromEntries(orders.map(o => [o.id, o]));
+  const stamp = now.toISOString();
+
+  let next = orders.map(order => {
+    if (order.status !== ORDER_STATUS.HELD) return order;
+    const parent = byId[order.parentOrderId];
+    if (parent && isWorkingOrder(parent)) return order;
+
+    // An entry that expired or was cancelled after a partial fill still leaves shares to protect
+    const filledQuantity = Number(parent?.filledQuantity) || 0;
+    if (parent?.status !== ORDER_STATUS.FILLED && filledQuantity <= 0) {
+      return { ...order, status: ORDER_STATUS.CANCELLED, cancelReason: 'Entry did not fill', updatedAt: stamp };
+    }
+    return {
+      ...order,
+      status: ORDER_STATUS.PENDING,
+      ...(parent.status !== ORDER_STATUS.FILLED ? { quantity: filledQuantity } : {}),
+      expiresAt: expiryFor(order.timeInForce, now).toISOString(),
+      updatedAt: stamp
+    };
+  });
+
+  const closedGroups = new Set(
+    next.filter(o => o.ocoGroupId && !isWorkingOrder(o)).map(o => o.ocoGroupId)
+  );
+  next = next.map(order => (
+    order.ocoGroupId && closedGroups.has(order.ocoGroupId) && isWorkingOrder(order)
+      ? { ...order, status: ORDER_STATUS.CANCELLED, cancelReason: 'Other side of OCO closed', updatedAt: stamp }
+      : order
+  ));
+
+  // A partial fill on one leg shrinks the other to the shares still held
+  const groupQuantity = {};
+  next.filter(o => o.ocoGroupId && isWorkingOrder(o)).forEach(o => {
+    groupQuantity[o.ocoGroupId] = Math.min(groupQuantity[o.ocoGroupId] ?? Infinity, Number(o.quantity));
+  });
+  next = next.map(order => (
+    order.ocoGroupId && isWorkingOrder(order) && Number(order.quantity) > groupQuantity[order.ocoGroupId]
+      ? { ...order, quantity: groupQuantity[order.ocoGroupId], updatedAt: stamp }
+      : order
+  ));
+
+  return next;
+}
+
+/**
+ * Fields that link an order's Trade record to its bracket/OCO siblings
+ */
+export function tradeLinkFields(order) {
+  return {
+    orderId: order.id,
+    orderClass: order.orderClass || ORDER_CLASSES.SIMPLE,
+    orderRole: order.orderRole || null,
+    parentOrderId: order.parentOrderId || null,
+    childOrderIds: order.childOrderIds || [],
+    ocoGroupId: order.ocoGroupId || null
+  };
+}
+
+const storageKey = (userId) => `paper-order-book:${userId || 'anonymous'}`;
+
+/**
+ * Load the order book from localStorage
+ */
+export function loadOrderBook(userId) {
+  try {
+    const orders = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]');
+    return Array.isArray(orders) ? orders : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the order book, dropping closed orders older than the retention window
+ */
+export function saveOrderBook(userId, orders, now = new Date()) {
+  const cutoff = now.getTime() - CLOSED_ORDER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = orders.filter(o => isWorkingOrder(o) || new Date(o.updatedAt || o.createdAt).getTime() >= cutoff);
+  localStorage.setItem(storageKey(userId), JSON.stringify(kept));
+  return kept;
+}
@@ -0,0 +1,92 @@
+/**
+ * Entity Schema Validator
+ * Checks plain records against the JSON definitions in src/entities
+ *
+ * Validates:
+ * - Required fields present and non-empty
+ * - Primitive types (string, number, boolean, array, object)
+ * - Enum membership
+ * - "date" / "date-time" string formats
+ * - Array items and nested object properties (reported as e.g. assets[2].symbol)
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+// Check one value against its property definition, recursing into arrays and objects
+function checkValue(definition, value, field, errors, options) {
+  if (value === undefined || value === null) return;
+
+  if (definition.type && !matchesType(value, definition.type)) {
+    errors.push({ field, message: `${field} must be of type ${definition.type}` });
+    return;
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    errors.push({ field, message: `${field} must be one of: ${definition.enum.join(', ')}` });
+  }
+
+  if (definition.format === 'date') {
+    const validDate = DATE_PATTERN.test(value) || (options.allowTimestamps && DATE_PATTERN.test(String(value).slice(0, 10)));
+    if (!(validDate && !isNaN(Date.parse(value)))) {
+      errors.push({ field, message: `${field} must be a YYYY-MM-DD date` });
+    }
+  }
+
+  if (definition.format === 'date-time' && isNaN(Date.parse(value))) {
+    errors.push({ field, message: `${field} must be an ISO date-time` });
+  }
+
+  if (Array.isArray(value) && definition.items) {
+    value.forEach((item, i) => checkValue(definition.items, item, `${field}[${i}]`, errors, options));
+  }
+
+  if (definition.type === 'object' && definition.properties) {
+    Object.entries(definition.properties).forEach(([key, child]) => checkValue(child, value[key], `${field}.${key}`, errors, options));
+  }
+}
+
+/**
+ * Validate a record against an entity schema
+ * @param {Object} schema - Entity definition (e.g. Transaction.json)
+ * @param {Object} record - Record to check
+ * @param {Object} options - { allowTimestamps: accept full ISO timestamps in "date" fields }
+ * @returns {Object} { valid, errors: [{ field, message }] }
+ */
+export function validateEntity(schema, record, options = {}) {
+  const errors = [];
+  const properties = schema?.properties || {};
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { valid: false, errors: [{ field: null, message: `${schema?.name || 'Record'} must be an object` }] };
+  }
+
+  (schema?.required || []).forEach(field => {
+    const value = record[field];
+    if (value === undefined || value === null || value === '') {
+      errors.push({ field, message: `${field} is required` });
+    }
+  });
+
+  Object.entries(properties).forEach(([field, definition]) => checkValue(definition, record[field], field, errors, options));
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,116 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { awsApi } from "@/components/utils/api/awsApi";
+import { extractLLMText } from "@/components/utils/api/llmStream";
+
+export const LLM_STATUS = {
+  IDLE: 'idle',
+  STREAMING: 'streaming',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+// Transient network failures get one silent retry before the error UI shows
+const AUTO_RETRIES = 1;
+const isRetryable = (error) => error?.name === 'TypeError' || /HTTP 5\d\d|timeout/i.test(error?.message || '');
+
+// A non-OK status or a missing function means the streaming Lambda isn't deployed
+const isStreamUnavailable = (error) => /HTTP \d{3}|unknown function|function not found|ResourceNotFound/i.test(error?.message || '');
+
+/**
+ * Stream the reply, falling back to the buffered invokeLLM when streaming is unavailable
+ * The fallback reply arrives through onToken in one piece.
+ */
+async function requestReply(prompt, context, signal, onToken) {
+  try {
+    return await awsApi.invokeLLMStream(prompt, { context, signal, onToken });
+  } catch (err) {
+    if (signal.aborted || !isStreamUnavailable(err)) throw err;
+    console.warn("LLM stream unavailable, falling back to invokeLLM:", err);
+    const reply = extractLLMText(await awsApi.invokeLLM(prompt, context));
+    signal.throwIfAborted();
+    onToken(reply, reply);
+    return reply;
+  }
+}
+
+/**
+ * Streaming invokeLLM with cancel and retry, shared by every AI panel
+ *
+ * run(prompt, context) resolves to the full reply, or null when cancelled;
+ * it rejects after marking the hook as errored so callers can keep their
+ * own try/catch. `text` grows token by token while streaming.
+ */
+export default function useLLMStream() {
+  const [text, setText] = useState("");
+  const [status, setStatus] = useState(LLM_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const lastRequestRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const run = useCallback(async (prompt, context) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    lastRequestRef.current = { prompt, context };
+
+    setText("");
+    setError(null);
+    setStatus(LLM_STATUS.STREAMING);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const reply = await requestReply(prompt, context, controller.signal, (delta, full) => setText(full));
+        if (controllerRef.current !== controller) return null;
+        setText(reply);
+        setStatus(LLM_STATUS.DONE);
+        return reply;
+      } catch (err) {
+        if (err?.name === 'AbortError' || controller.signal.aborted) {
+          if (controllerRef.current === controller) setStatus(LLM_STATUS.CANCELLED);
+          return null;
+        }
+        if (attempt < AUTO_RETRIES && isRetryable(err)) {
+          setText("");
+          continue;
+        }
+        console.error("LLM stream failed:", err);
+        setError(err?.message || 'The AI service did not respond');
+        setStatus(LLM_STATUS.ERROR);
+        throw err;
+      }
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // Re-send the last prompt; callers with multi-step flows pass their own retry instead
+  const retry = useCallback(() => {
+    if (!lastRequestRef.current) return Promise.resolve(null);
+    const { prompt, context } = lastRequestRef.current;
+    return run(prompt, context).catch(() => null);
+  }, [run]);
+
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setText("");
+    setError(null);
+    setStatus(LLM_STATUS.IDLE);
+  }, []);
+
+  return {
+    text,
+    status,
+    error,
+    isStreaming: status === LLM_STATUS.STREAMING,
+    run,
+    cancel,
+    retry,
+    reset
+  };
+}
@@ -0,0 +1,325 @@
+import { useRef, useState } from "react";
+import { awsApi } from "@/components/utils/api/awsApi";
+import {
+  ORDER_CLASSES,
+  ORDER_STATUS,
+  RESTING_ORDER_TYPES,
+  isOpenOrder,
+  needsOrderBook,
+  validateOrder,
+  validateLinkedOrder,
+  createPendingOrder,
+  createLinkedOrders,
+  evaluateOrder,
+  modifyOrder,
+  reconcileLinkedOrders,
+  tradeLinkFields,
+  loadOrderBook,
+  saveOrderBook
+} from "@/components/utils/trading/paperOrders";
+import {
+  simulateFill,
+  fillTradeRecord,
+  describeFill,
+  loadFillSettings,
+  saveFillSettings
+} from "@/components/utils/trading/fillModel";
+import { notify, tradeFillNotification } from "@/components/utils/notifications/notificationCenter";
+
+const currentUserId = () => localStorage.getItem('user_id');
+
+// Company volume/volatility change slowly; load them once per session
+let companiesPromise = null;
+const loadCompanies = () => {
+  if (!companiesPromise) {
+    companiesPromise = awsApi.getCompanies().catch(() => []);
+  }
+  return companiesPromise;
+};
+
+/**
+ * Latest quote plus the liquidity inputs the fill model needs
+ * @returns {Promise<Object>} { [symbol]: { price, volume, volatility } }
+ */
+async function fetchMarket(symbols) {
+  const market = {};
+  try {
+    const [response, companies] = await Promise.all([awsApi.getStockBatch(symbols), loadCompanies()]);
+    (response?.stocks || []).forEach(s => {
+      if (!s?.symbol) return;
+      const symbol = s.symbol.toUpperCase();
+      const company = companies.find(c => c.symbol?.toUpperCase() === symbol) || {};
+      market[symbol] = {
+        price: Number(s.current_price),
+        volume: Number(s.volume ?? company.volume) || null,
+        volatility: Number(s.risk ?? company.risk) || null
+      };
+    });
+  } catch (error) {
+    console.error('Error fetching quotes for order book:', error);
+  }
+  return market;
+}
+
+/**
+ * Paper order book for the practice simulator
+ * Every execution runs through the fill model; stop, trailing, bracket and
+ * OCO tickets, unmarketable limits and partial-fill remainders rest in
+ * localStorage and are checked against fresh quotes whenever processOrderBook runs.
+ */
+export default function usePaperOrderBook() {
+  const [orders, setOrders] = useState(() => loadOrderBook(currentUserId()));
+  const [fillSettings, setFillSettings] = useState(loadFillSettings);
+  // Run in flight; overlapping syncs (mount, Sync button, StrictMode) share it
+  const processingRef = useRef(null);
+
+  const persist = (nextOrders) => {
+    const saved = saveOrderBook(currentUserId(), reconcileLinkedOrders(nextOrders));
+    setOrders(saved);
+    return saved;
+  };
+
+  const updateFillSettings = (changes) => {
+    setFillSettings(saveFillSettings({ ...fillSettings, ...changes }));
+  };
+
+  /**
+   * Simulate a fill and record the executed part with executePaperTrade
+   * @returns {Promise<Object>} { fill, response } - response is null when nothing filled
+   */
+  const executeWithFillModel = async (ticket, quote, linkFields = {}) => {
+    const fill = simulateFill(ticket, quote, fillSettings);
+    if (fill.executedQuantity <= 0) return { fill, response: null };
+
+    const response = await awsApi.executePaperTrade({
+      ...fillTradeRecord(ticket, fill, fillSettings),
+      ...linkFields
+    });
+    if (response?.success) notify(tradeFillNotification(ticket, fill));
+    return { fill, response };
+  };
+
+  /**
+   * Check every working order against fresh quotes
+   * Calls made while a run is in flight get that run's result instead of
+   * evaluating the same book again and executing a triggered order twice.
+   * @returns {Promise<number>} Number of executions recorded
+   */
+  const processOrderBook = () => {
+    if (!processingRef.current) {
+      processingRef.current = runOrderBook().finally(() => {
+        processingRef.current = null;
+      });
+    }
+    return processingRef.current;
+  };
+
+  const runOrderBook = async () => {
+    const book = reconcileLinkedOrders(loadOrderBook(currentUserId()));
+    const openOrders = book.filter(isOpenOrder);
+    if (openOrders.length === 0) {
+      persist(book);
+      return 0;
+    }
+
+    const market = await fetchMarket([...new Set(openOrders.map(o => o.symbol))]);
+    const now = new Date();
+    const filledGroups = new Set();
+    const nextBook = [];
+    let fillCount = 0;
+
+    for (const order of book) {
+      // The other leg of this OCO already filled in this pass
+      if (!isOpenOrder(order) || (order.ocoGroupId && filledGroups.has(order.ocoGroupId))) {
+        nextBook.push(order);
+        continue;
+      }
+
+      const quote = market[order.symbol];
+      const { order: evaluated, action, execution } = evaluateOrder(order, quote?.price, now);
+      if (action !== 'execute') {
+        nextBook.push(evaluated);
+        continue;
+      }
+
+      try {
+        const { fill, response } = await executeWithFillModel(
+          { ...evaluated, ...execution },
+          quote,
+          tradeLinkFields(evaluated)
+        );
+
+        if (!response) {
+          nextBook.push(evaluated);
+        } else if (!response.success) {
+          nextBook.push({
+            ...evaluated,
+            status: ORDER_STATUS.REJECTED,
+            rejectReason: response.error || response.message || 'Trade was rejected',
+            updatedAt: now.toISOString()
+          });
+        } else {
+          fillCount++;
+          if (evaluated.ocoGroupId) filledGroups.add(evaluated.ocoGroupId);
+          const filledQuantity = (Number(evaluated.filledQuantity) || 0) + fill.executedQuantity;
+          nextBook.push(fill.remainingQuantity > 0
+            ? { ...evaluated, quantity: fill.remainingQuantity, filledQuantity, updatedAt: now.toISOString() }
+            : { ...evaluated, status: ORDER_STATUS.FILLED, filledQuantity, updatedAt: now.toISOString() });
+        }
+      } catch (error) {
+        // Leave it working so the next sync retries
+        console.error('❌ Order book execution error:', error);
+        nextBook.push(evaluated);
+      }
+    }
+
+    persist(nextBook);
+    return fillCount;
+  };
+
+  /**
+   * Execute a market/limit order now; an unmarketable limit or the unfilled
+   * remainder is added to the book.
+   * @returns {Promise<Object>} { success, filled, message, order } - order is the booked remainder, if any
+   */
+  const executeNow = async (ticket, quote, bookedOrder = null) => {
+    const { fill, response } = await executeWithFillModel(ticket, quote, bookedOrder ? tradeLinkFields(bookedOrder) : {});
+
+    if (!response) {
+      if (fill.remainingQuantity > 0 && ticket.orderType === 'limit') {
+        const order = bookedOrder || createPendingOrder(ticket, { referencePrice: quote?.price });
+        return { success: true, filled: false, message: `${fill.reason}. Order is resting in the order book.`, order };
+      }
+      return { success: false, filled: false, message: fill.reason };
+    }
+
+    if (!response.success) {
+      return { success: false, filled: false, message: response.error || response.message || 'Trade was rejected' };
+    }
+
+    const now = new Date().toISOString();
+    const base = bookedOrder || createPendingOrder(ticket, { referencePrice: quote?.price });
+    const order = fill.remainingQuantity > 0
+      ? { ...base, quantity: fill.remainingQuantity, filledQuantity: fill.executedQuantity, updatedAt: now }
+      : { ...base, status: ORDER_STATUS.FILLED, filledQuantity: fill.executedQuantity, updatedAt: now };
+
+    return {
+      success: true,
+      filled: true,
+      message: `${response.message || 'Trade executed'}\n${describeFill(fill)}`,
+      // Fully filled simple orders don't need a book entry
+      order: fill.remainingQuantity > 0 || bookedOrder ? order : null
+    };
+  };
+
+  /**
+   * Place any ticket from TradeModal
+   * Market/limit orders execute immediately through the fill model; a bracket
+   * with a market or limit entry executes the entry and books the exits;
+   * everything else rests until triggered.
+   *
+   * @returns {Promise<Object>} { success, filled, message }
+   */
+  const placeOrder = async (tradeData) => {
+    const market = await fetchMarket([tradeData.symbol]);
+    const quote = market[tradeData.symbol];
+    const referencePrice = quote?.price;
+    if (!(referencePrice > 0)) {
+      return { success: false, filled: false, message: `Could not get a quote for ${tradeData.symbol}` };
+    }
+
+    const book = loadOrderBook(currentUserId());
+
+    if (!needsOrderBook(tradeData)) {
+      const errors = validateOrder(tradeData, referencePrice);
+      if (errors.length > 0) return { success: false, filled: false, message: errors.join('\n') };
+
+      const { order, ...result } = await executeNow(tradeData, quote);
+      if (order) persist([...book, order]);
+      return result;
+    }
+
+    const isLinked = [ORDER_CLASSES.BRACKET, ORDER_CLASSES.OCO].includes(tradeData.orderClass);
+    const errors = isLinked
+      ? validateLinkedOrder(tradeData, referencePrice)
+      : validateOrder(tradeData, referencePrice);
+    if (errors.length > 0) {
+      return { success: false, filled: false, message: errors.join('\n') };
+    }
+
+    if (!isLinked) {
+      const order = createPendingOrder(tradeData, { referencePrice });
+      persist([...book, order]);
+      return {
+        success: true,
+        filled: false,
+        message: `${order.side.toUpperCase()} ${order.quantity} ${order.symbol} order placed. It will be checked on each portfolio sync.`
+      };
+    }
+
+    const { entry, exits } = createLinkedOrders(tradeData, { referencePrice });
+
+    if (!entry) {
+      persist([...book, ...exits]);
+      return {
+        success: true,
+        filled: false,
+        message: `OCO placed for ${tradeData.quantity} ${tradeData.symbol}: take-profit $${Number(tradeData.takeProfitPrice).toFixed(2)} / stop-loss $${Number(tradeData.stopLossPrice).toFixed(2)}.`
+      };
+    }
+
+    if (RESTING_ORDER_TYPES.includes(entry.orderType)) {
+      persist([...book, entry, ...exits]);
+      return {
+        success: true,
+        filled: false,
+        message: `Bracket placed. Exits activate once the ${entry.symbol} entry triggers and fills.`
+      };
+    }
+
+    const { order, ...result } = await executeNow(tradeData, quote, entry);
+    if (!result.success) return result;
+
+    persist([...book, order, ...exits]);
+    return {
+      ...result,
+      message: order.status === ORDER_STATUS.FILLED
+        ? `${result.message}\n\nTake-profit and stop-loss are now working in the order book.`
+        : `${result.message}\n\nTake-profit and stop-loss activate once the entry is fully filled.`
+    };
+  };
+
+  const cancelOrder = (orderId) => {
+    const now = new Date().toISOString();
+    persist(orders.map(o => (
+      o.id === orderId && (isOpenOrder(o) || o.status === ORDER_STATUS.HELD)
+        ? { ...o, status: ORDER_STATUS.CANCELLED, cancelReason: 'Cancelled by user', updatedAt: now }
+        : o
+    )));
+  };
+
+  /**
+   * @returns {Promise<Array>} Validation errors (empty on success)
+   */
+  const updateOrder = async (orderId, changes) => {
+    const order = orders.find(o => o.id === orderId);
+    if (!order) return ['Order not found'];
+
+    const market = await fetchMarket([order.symbol]);
+    const { order: modified, errors } = modifyOrder(order, changes, market[order.symbol]?.price);
+    if (errors.length > 0) return errors;
+
+    persist(orders.map(o => (o.id === orderId ? modified : o)));
+    return [];
+  };
+
+  return {
+    orders,
+    fillSettings,
+    updateFillSettings,
+    processOrderBook,
+    placeOrder,
+    cancelOrder,
+    updateOrder
+  };
+}
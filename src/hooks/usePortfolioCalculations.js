@@ -10,6 +10,8 @@
  * - Used exclusively by TempAnalysisAWS.js
  */
 
+import { randomNormal } from "@/components/utils/calculations/downsideRiskOptimization";
+
 // ==================== MATRIX CALCULATIONS ====================
 
 /**
@@ -392,64 +394,6 @@ export const calculateStressTestExtended = (companiesData, weights, initialCapit
 
 // ==================== STATISTICAL ANALYSIS ====================
 
-/**
- * Run historical backtest projection
- * @param {Array} companiesData - Array of company objects
- * @param {Array<number>} weights - Portfolio weights (decimal)
- * @param {number} years - Number of years to project
- * @returns {Array} Backtest results by year
- */
-export const runHistoricalBacktest = (companiesData, weights, years = 5) => {
-  if (!companiesData || !weights || companiesData.length === 0) return [];
-  
-  const results = [];
-  for (let year = 0; year <= years; year++) {
-    const portfolioReturn = calculateWeightedReturn(companiesData, weights);
-    const projectedValue = 100000 * Math.pow(1 + portfolioReturn / 100, year);
-    const volatility = calculateWeightedRisk(companiesData, weights);
-    
-    results.push({
-      year,
-      value: Math.round(projectedValue),
-      volatility: volatility.toFixed(2),
-      return: portfolioReturn.toFixed(2)
-    });
-  }
-  return results;
-};
-
-/**
- * Calculate drawdown series (peak-to-trough decline tracking)
- * @param {Array} companiesData - Array of company objects
- * @param {Array<number>} weights - Portfolio weights (decimal)
- * @param {number} periods - Number of months to track
- * @returns {Array} Drawdown data by month
- */
-export const calculateDrawdownSeries = (companiesData, weights, periods = 60) => {
-  if (!companiesData || !weights || companiesData.length === 0) return [];
-  
-  const drawdowns = [];
-  let peak = 100000;
-  
-  for (let i = 0; i < periods; i++) {
-    const portfolioReturn = calculateWeightedReturn(companiesData, weights);
-    const monthlyReturn = 1 + (portfolioReturn / 100) / 12;
-    const value = (drawdowns[i - 1]?.value || 100000) * monthlyReturn;
-    
-    if (value > peak) peak = value;
-    const drawdown = ((value - peak) / peak) * 100;
-    
-    drawdowns.push({
-      month: i,
-      value: Math.round(value),
-      drawdown: drawdown.toFixed(2),
-      peak: Math.round(peak)
-    });
-  }
-  
-  return drawdowns;
-};
-
 /**
  * Calculate confidence bands (68% and 95%)
  * @param {Array} companiesData - Array of company objects
@@ -490,36 +434,49 @@ export const calculateConfidenceBands = (companiesData, weights, periods = 60) =
  * @param {number} initialCapital - Starting capital
  * @param {number} years - Number of years
  * @param {number} simulations - Number of simulation paths
- * @returns {Object} Monte Carlo statistics
+ * @param {Object} options - { assetPaths } from simulateAssetReturnPaths (downsideRiskOptimization); when given, each path
+ *   compounds the monthly-rebalanced weighted asset returns instead of a fresh portfolio-level draw
+ * @returns {Object} Monte Carlo statistics. Each result carries maxDrawdown (lowest value
+ *   versus initial capital) and peakDrawdown (largest peak-to-trough fall), both in %
  */
-export const runMonteCarloSimulation = (companiesData, weights, initialCapital, years = 5, simulations = 10000) => {
+export const runMonteCarloSimulation = (companiesData, weights, initialCapital, years = 5, simulations = 10000, options = {}) => {
   if (!companiesData || !weights || companiesData.length === 0) {
     return { mean: 0, median: 0, percentile5: 0, percentile95: 0, min: 0, max: 0, results: [] };
   }
+  const { assetPaths = null } = options;
+  const pathCount = assetPaths ? assetPaths.length : simulations;
+  if (pathCount === 0) {
+    return { mean: 0, median: 0, percentile5: 0, percentile95: 0, min: 0, max: 0, results: [] };
+  }
   
-  const results = Array(simulations).fill(0).map(() => {
+  const results = Array(pathCount).fill(0).map((_, simulation) => {
     let value = initialCapital;
     let minValue = value;
-    const monthsTotal = years * 12;
+    let peakValue = value;
+    let peakDrawdown = 0;
+    const monthsTotal = assetPaths ? Math.min(years * 12, assetPaths[simulation].length) : years * 12;
     
     for (let month = 0; month < monthsTotal; month++) {
-      const portfolioReturn = calculateWeightedReturn(companiesData, weights);
-      const portfolioRisk = calculateWeightedRisk(companiesData, weights);
-      const monthlyReturn = portfolioReturn / 100 / 12;
-      const monthlyStdDev = portfolioRisk / 100 / Math.sqrt(12);
-      
-      // Box-Muller transform for normal random variable
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const randomNormal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      
-      value = value * (1 + monthlyReturn + monthlyStdDev * randomNormal);
+      if (assetPaths) {
+        const assetReturns = assetPaths[simulation][month];
+        value = value * (1 + assetReturns.reduce((sum, r, i) => sum + r * (weights[i] || 0), 0));
+      } else {
+        const portfolioReturn = calculateWeightedReturn(companiesData, weights);
+        const portfolioRisk = calculateWeightedRisk(companiesData, weights);
+        const monthlyReturn = portfolioReturn / 100 / 12;
+        const monthlyStdDev = portfolioRisk / 100 / Math.sqrt(12);
+        
+        value = value * (1 + monthlyReturn + monthlyStdDev * randomNormal(Math.random));
+      }
       minValue = Math.min(minValue, value);
+      peakValue = Math.max(peakValue, value);
+      peakDrawdown = Math.min(peakDrawdown, (value - peakValue) / peakValue);
     }
     
     return {
       finalValue: value,
       maxDrawdown: ((minValue - initialCapital) / initialCapital) * 100,
+      peakDrawdown: peakDrawdown * 100,
       gain: value - initialCapital
     };
   });
@@ -2,10 +2,13 @@ import './globals.css';
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { QueryProvider } from './components/utils/api/QueryProvider';
 import './aws-config'; // Load Amplify config
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <QueryProvider>
+      <App />
+    </QueryProvider>
   </React.StrictMode>
 );
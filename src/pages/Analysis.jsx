@@ -36,12 +36,15 @@ import {
   ShoppingCart,
   ChevronRight,
   ChevronDown,
+  ShieldAlert,
+  Gauge,
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import TradeModal from "@/components/trading/TradeModal";
+import usePaperOrderBook from "@/hooks/usePaperOrderBook";
 import { useNavigate, Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
-import { optimizeOptimalPortfolio, optimizeMinimumVariance, optimizeMaximumReturn, calculateGoalProbability, calculateExpectedDrawdown, getCorrelationMatrix } from "@/components/utils/calculations/portfolioOptimization";
+import { optimizeOptimalPortfolio, optimizeMinimumVariance, optimizeMaximumReturn, optimizeDownsideRiskPortfolios, calculateGoalProbability, calculateExpectedDrawdown, getCorrelationMatrix } from "@/components/utils/calculations/portfolioOptimization";
 import { futureValue as calculateFutureValue, timeToGoal as calculateTimeToGoal } from "@/components/utils/calculations/financialMath";
 import { calculateForwardLookingRisk } from "@/components/utils/calculations/forwardLookingRisk"; // ✅ NEW: VIX-adjusted risk
 import { 
@@ -71,6 +74,13 @@ import ForwardRiskCard from "@/components/analysis/ForwardRiskCard";
 import PortfolioStorytellingChart from "@/components/analysis/PortfolioStorytellingChart";
 import AssetExplanation from "@/components/analysis/AssetExplanation";
 import TransactionCostCard from "@/components/analysis/TransactionCostCard";
+import HistoricalBacktestCard from "@/components/analysis/HistoricalBacktestCard";
+import WalkForwardValidationCard from "@/components/analysis/WalkForwardValidationCard";
+import BlackLittermanCard from "@/components/analysis/BlackLittermanCard";
+import StrategyCards from "@/components/analysis/StrategyCards";
+import EfficientFrontierCard from "@/components/analysis/EfficientFrontierCard";
+import ConstraintBuilderCard from "@/components/analysis/ConstraintBuilderCard";
+import RiskModelCard from "@/components/analysis/RiskModelCard";
 import ConfidenceBandsChart from "@/components/analysis/ConfidenceBandsChart";
 import GoalProbabilityCard from "@/components/analysis/GoalProbabilityCard";
 import PlatformPositioning from "@/components/analysis/PlatformPositioning";
@@ -91,7 +101,9 @@ import SpeculativeContributionBadge from "@/components/analysis/SpeculativeContr
 import DataSourceLabel from "@/components/analysis/DataSourceLabel";
 import MarketCapTierLabel from "@/components/analysis/MarketCapTierLabel";
 import PortfolioQualityCard from "@/components/analysis/PortfolioQualityCard";
+import AnalysisReportButton from "@/components/analysis/AnalysisReportButton";
 import { safeToFixed } from "@/components/utils/safeToFixed";
+import { notify, analysisCompleteNotification } from "@/components/utils/notifications/notificationCenter";
 
 export default function Analysis() {
   const navigate = useNavigate();
@@ -104,6 +116,7 @@ export default function Analysis() {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [selectedStrategy, setSelectedStrategy] = useState("optimal");
   const [isTradeModalOpen, setIsTradeModalOpen] = useState(false);
+  const { placeOrder } = usePaperOrderBook();
   const [tradeSymbol, setTradeSymbol] = useState("");
   const [suggestedQuantity, setSuggestedQuantity] = useState(0);
   const [showMethodology, setShowMethodology] = useState(false);
@@ -112,6 +125,7 @@ export default function Analysis() {
   const [isCachedResults, setIsCachedResults] = useState(false);
   const [cacheTimestamp, setCacheTimestamp] = useState(null);
   const [currentAnalysisId, setCurrentAnalysisId] = useState(null);
+  const [riskAnalysisSelection, setRiskAnalysisSelection] = useState(null);
 
   // ✅ NEW: VIX State Management
   const [vixData, setVixData] = useState(null);
@@ -123,6 +137,71 @@ export default function Analysis() {
     fetchVIXData();
   }, []);
 
+  // A frontier point or constrained portfolio belongs to the analysis it came from
+  useEffect(() => {
+    setRiskAnalysisSelection(null);
+  }, [analysisResult]);
+
+  // Downside-risk strategies, scored together with the existing ones on the same simulated paths.
+  // The scenario search takes up to a few seconds, so it runs in a worker while the results render.
+  const [strategyComparison, setStrategyComparison] = useState(null);
+  useEffect(() => {
+    setStrategyComparison(null);
+    if (!analysisResult?.companies || analysisResult.companies.length < 2) return;
+
+    const strategyKeys = ['optimal_portfolio', 'minimum_variance_portfolio', 'maximum_return_portfolio'];
+    const strategies = {};
+    strategyKeys.forEach(key => { if (analysisResult[key]) strategies[key] = analysisResult[key]; });
+
+    const showComparison = (downside) => {
+      if (!downside) return;
+      const comparison = {
+        min_cvar_portfolio: downside.min_cvar_portfolio,
+        max_sortino_portfolio: downside.max_sortino_portfolio,
+        min_drawdown_portfolio: downside.min_drawdown_portfolio
+      };
+      strategyKeys.forEach(key => {
+        if (analysisResult[key]) {
+          comparison[key] = { ...analysisResult[key], downside_metrics: downside.strategy_downside_metrics[key] };
+        }
+      });
+      setStrategyComparison(comparison);
+    };
+
+    // Without a worker, run after the results have rendered
+    let timer = null;
+    const runInline = () => {
+      timer = setTimeout(() => {
+        showComparison(optimizeDownsideRiskPortfolios(analysisResult.companies, { strategies }));
+      }, 0);
+    };
+    if (typeof Worker === 'undefined') {
+      runInline();
+      return () => clearTimeout(timer);
+    }
+
+    const worker = new Worker(
+      new URL("../components/utils/calculations/downsideRisk.worker.js", import.meta.url),
+      { type: 'module' }
+    );
+    worker.onmessage = ({ data }) => {
+      if (data.error) console.error('Downside risk optimization failed:', data.error);
+      else showComparison(data.result);
+      worker.terminate();
+    };
+    // The worker script failed to load
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      runInline();
+    };
+    worker.postMessage({ companies: analysisResult.companies, options: { strategies } });
+    return () => {
+      worker.terminate();
+      clearTimeout(timer);
+    };
+  }, [analysisResult]);
+
   // ✅ NEW: VIX Fetch Function
   const fetchVIXData = async () => {
     setVixLoading(true);
@@ -1557,6 +1636,7 @@ If analyzing similar companies (same sector), focus on:
         setCurrentAnalysisId(savedAnalysis.id);
         
         console.log(`✅ Analysis saved with ID: ${savedAnalysis.id}`);
+        notify(analysisCompleteNotification(savedAnalysis.id, selectedSymbols));
       } catch (saveError) {
         console.error("❌ Failed to save analysis:", saveError);
         // Non-critical error - continue with analysis display
@@ -1593,15 +1673,48 @@ If analyzing similar companies (same sector), focus on:
         return analysisResult.minimum_variance_portfolio;
       case "maximum_return":
         return analysisResult.maximum_return_portfolio;
+      case "min_cvar":
+      case "max_sortino":
+      case "min_drawdown":
+        return strategyComparison?.[`${selectedStrategy}_portfolio`] || analysisResult.optimal_portfolio;
       default:
         return analysisResult.optimal_portfolio;
     }
   };
 
+  // Portfolio fed to the stress test, forward risk and transaction cost cards
+  const getRiskAnalysisPortfolio = () => riskAnalysisSelection || analysisResult?.optimal_portfolio;
+
+  // source: 'frontier' | 'constraints' | 'risk_model'
+  const handleSelectRiskPortfolio = (portfolio, source) => {
+    if (!portfolio) {
+      setRiskAnalysisSelection(current => (current?.source === source ? null : current));
+      return;
+    }
+    let forwardRisk = null;
+    if (vixData && !vixError) {
+      try {
+        const weights = analysisResult.companies.map(c => (portfolio.allocations[c.symbol] || 0) / 100);
+        forwardRisk = calculateForwardLookingRisk(
+          analysisResult.companies,
+          weights,
+          getCorrelationMatrix(analysisResult.companies, portfolio.risk_model),
+          vixData
+        );
+      } catch (error) {
+        console.warn('Forward risk for selected portfolio failed:', error);
+      }
+    }
+    setRiskAnalysisSelection({ ...portfolio, source, forward_risk: forwardRisk });
+  };
+
   const getStrategyIcon = (strategy) => {
     switch(strategy) {
       case "minimum_variance": return Shield;
       case "maximum_return": return Zap;
+      case "min_cvar": return ShieldAlert;
+      case "max_sortino": return Gauge;
+      case "min_drawdown": return TrendingDown;
       default: return Scale;
     }
   };
@@ -1610,6 +1723,9 @@ If analyzing similar companies (same sector), focus on:
     switch(strategy) {
       case "minimum_variance": return "from-emerald-600 to-teal-600";
       case "maximum_return": return "from-orange-600 to-red-600";
+      case "min_cvar": return "from-rose-600 to-pink-600";
+      case "max_sortino": return "from-cyan-600 to-sky-600";
+      case "min_drawdown": return "from-slate-600 to-slate-800";
       default: return "from-blue-600 to-indigo-600";
     }
   };
@@ -1626,14 +1742,12 @@ If analyzing similar companies (same sector), focus on:
 
   const handleExecuteTrade = async (tradeData) => {
     try {
-      // AWS Lambda call to execute paper trade (replaces base44.functions.invoke)
-      const response = await callAwsFunction('executePaperTrade', tradeData);
-      
-      if (response.success) {
-        alert(response.message + '\n\nCheck your Portfolio page to see updated positions.');
-      } else {
-        alert(response.message || 'Trade was rejected');
-      }
+      // Runs through the paper fill model; stops, brackets and OCO pairs rest in the Practice Trading order book
+      const result = await placeOrder(tradeData);
+      const note = result.filled
+        ? '\n\nCheck your Portfolio page to see updated positions.'
+        : result.success ? '\n\nManage working orders on the Practice Trading page.' : '';
+      alert(result.message + note);
     } catch (error) {
       alert('Error executing trade: ' + (error.message || 'Unknown error'));
     }
@@ -2297,12 +2411,36 @@ ForwardRiskCard component will display VIX-adjusted risk metrics
                 />
               )}
 
+              {/* Efficient Frontier (click a point to analyze it below) */}
+              <EfficientFrontierCard
+                analysisResult={analysisResult}
+                currentStrategy={`${selectedStrategy}_portfolio`}
+                selectedPoint={riskAnalysisSelection?.source === 'frontier' ? riskAnalysisSelection : null}
+                onSelectPoint={(point) => handleSelectRiskPortfolio(point, 'frontier')}
+              />
+
+              {/* Custom Constraints (optionally analyzed below) */}
+              <ConstraintBuilderCard
+                analysisResult={analysisResult}
+                analyzing={riskAnalysisSelection?.source === 'constraints'}
+                onAnalyzePortfolio={(portfolio) => handleSelectRiskPortfolio(portfolio, 'constraints')}
+              />
+
+              {/* Risk Model (heuristic vs covariance estimated from prices) */}
+              <RiskModelCard
+                analysisResult={analysisResult}
+                analyzing={riskAnalysisSelection?.source === 'risk_model'}
+                onAnalyzePortfolio={(portfolio) => handleSelectRiskPortfolio(portfolio, 'risk_model')}
+              />
+
               {/* Phase 2: Stress Testing & Tail Risk */}
               <StressTestingCard
                 companies={analysisResult.companies}
-                weights={Object.values(analysisResult?.optimal_portfolio?.allocations || {}).map(a => (a < 1 ? a : a / 100))}
-                portfolioRisk={analysisResult?.maximum_return_portfolio?.risk || 25}
-                expectedReturn={Number(analysisResult?.optimal_portfolio?.expected_return) || 8}
+                weights={riskAnalysisSelection
+                  ? analysisResult.companies.map(c => (riskAnalysisSelection.allocations[c.symbol] || 0) / 100)
+                  : Object.values(analysisResult?.optimal_portfolio?.allocations || {}).map(a => (a < 1 ? a : a / 100))}
+                portfolioRisk={riskAnalysisSelection ? riskAnalysisSelection.risk : (analysisResult?.maximum_return_portfolio?.risk || 25)}
+                expectedReturn={Number(getRiskAnalysisPortfolio()?.expected_return) || 8}
               />
 
               {/* Consecutive Crisis Scenarios */}
@@ -2327,13 +2465,15 @@ ForwardRiskCard component will display VIX-adjusted risk metrics
               {/* ✅ Phase 4: Forward-Looking Risk Analysis (VIX-ADJUSTED) */}
               <ForwardRiskCard
                 companies={analysisResult.companies}
-                weights={Object.values(analysisResult?.optimal_portfolio?.allocations || {}).map(a => (a < 1 ? a : a / 100))}
-                correlationMatrix={getCorrelationMatrix(analysisResult.companies)}
-                portfolioRisk={(analysisResult?.optimal_portfolio?.risk || 18) * (vixData?.regime === "extreme" ? 2.0 : (vixData?.regime === "high" ? 1.5 : (vixData?.regime === "elevated" ? 1.2 : 1.0)))}
-                expectedReturn={Number(analysisResult?.optimal_portfolio?.expected_return) || 8}
+                weights={riskAnalysisSelection
+                  ? analysisResult.companies.map(c => (riskAnalysisSelection.allocations[c.symbol] || 0) / 100)
+                  : Object.values(analysisResult?.optimal_portfolio?.allocations || {}).map(a => (a < 1 ? a : a / 100))}
+                correlationMatrix={getCorrelationMatrix(analysisResult.companies, riskAnalysisSelection?.risk_model)}
+                portfolioRisk={(getRiskAnalysisPortfolio()?.risk || 18) * (vixData?.regime === "extreme" ? 2.0 : (vixData?.regime === "high" ? 1.5 : (vixData?.regime === "elevated" ? 1.2 : 1.0)))}
+                expectedReturn={Number(getRiskAnalysisPortfolio()?.expected_return) || 8}
                 qualityScore={analysisResult?.portfolio_quality?.qualityScore}
                 vixData={vixData}
-                forwardRiskMetrics={analysisResult.forward_risk_metrics?.optimal}
+                forwardRiskMetrics={riskAnalysisSelection ? riskAnalysisSelection.forward_risk : analysisResult.forward_risk_metrics?.optimal}
               />
 
               {/* Portfolio Storytelling with Tail Events */}
@@ -2356,11 +2496,20 @@ ForwardRiskCard component will display VIX-adjusted risk metrics
 
               {/* Transaction Costs */}
               <TransactionCostCard
-                allocations={analysisResult?.optimal_portfolio?.allocations}
+                allocations={getRiskAnalysisPortfolio()?.allocations}
                 companies={analysisResult.companies}
                 investmentAmount={parseFloat(investmentAmount)}
               />
 
+              {/* Historical Backtest (actual prices) */}
+              <HistoricalBacktestCard
+                allocations={analysisResult?.optimal_portfolio?.allocations}
+                companies={analysisResult.companies}
+              />
+
+              {/* Walk-Forward (out-of-sample) Validation */}
+              <WalkForwardValidationCard analysisResult={analysisResult} />
+
               {/* Return Cap Notifications */}
               {analysisResult.return_cap_adjustments && analysisResult.return_cap_adjustments.length > 0 && (
                 <Card className="border-2 border-blue-200 bg-blue-50 rounded-xl shadow-md">
@@ -2644,6 +2793,22 @@ ForwardRiskCard component will display VIX-adjusted risk metrics
                 )}
               </div>
 
+              {/* Downside-Risk Strategies (CVaR, Sortino, drawdown on simulated paths) */}
+              {strategyComparison ? (
+                <StrategyCards
+                  analysisResult={strategyComparison}
+                  selectedStrategy={`${selectedStrategy}_portfolio`}
+                  onStrategySelect={(key) => setSelectedStrategy(key.replace(/_portfolio$/, ''))}
+                />
+              ) : analysisResult.companies?.length >= 2 && (
+                <div className="border-2 border-slate-200 bg-white py-8 flex items-center justify-center gap-2 text-[10px] font-black uppercase tracking-[0.3em] text-slate-400">
+                  <Loader2 className="w-4 h-4 animate-spin" />Simulating downside scenarios
+                </div>
+              )}
+
+              {/* Black-Litterman Views */}
+              <BlackLittermanCard analysisResult={analysisResult} companyRecords={companies} />
+
               {/* Negative Return Warning */}
               {(() => {
               const currentPortfolio = getCurrentPortfolio();
@@ -3133,12 +3298,18 @@ VIX portfolio-level metrics are displayed in Section 5 (ForwardRiskCard) and Sec
                               {selectedStrategy === "minimum_variance" && "Minimum Variance Strategy"}
                               {selectedStrategy === "maximum_return" && "Maximum Return Strategy"}
                               {selectedStrategy === "optimal" && "Optimal Balanced Strategy"}
+                              {selectedStrategy === "min_cvar" && "Minimum CVaR Strategy"}
+                              {selectedStrategy === "max_sortino" && "Maximum Sortino Strategy"}
+                              {selectedStrategy === "min_drawdown" && "Minimum Drawdown Strategy"}
                             </span>
                           </CardTitle>
                           <p className="text-white/90 text-xs md:text-sm mt-2 leading-relaxed">
                             {selectedStrategy === "minimum_variance" && "Conservative approach minimizing portfolio volatility"}
                             {selectedStrategy === "maximum_return" && "Aggressive approach maximizing expected returns"}
                             {selectedStrategy === "optimal" && "Balanced approach optimizing risk-adjusted returns"}
+                            {selectedStrategy === "min_cvar" && "Defensive approach minimizing the average loss in the worst 5% of simulated years"}
+                            {selectedStrategy === "max_sortino" && "Growth approach maximizing return per unit of downside volatility"}
+                            {selectedStrategy === "min_drawdown" && "Defensive approach minimizing peak-to-trough falls on simulated paths"}
                           </p>
                         </div>
                         <Button
@@ -3485,7 +3656,8 @@ VIX portfolio-level metrics are displayed in Section 5 (ForwardRiskCard) and Sec
                 </Card>
               )}
 
-              <div className="flex justify-center gap-4">
+              <div className="flex justify-center items-start gap-4">
+                <AnalysisReportButton analysisResult={analysisResult} />
                 {isCachedResults ? (
                   <>
                     <Button
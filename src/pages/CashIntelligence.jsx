@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -19,11 +20,15 @@ import { motion } from "framer-motion";
 import { checkUsageLimit, incrementUsage, getRemainingUsage } from "@/components/utils/usageLimit";
 import { format } from "date-fns";
 import { calculateCashOpportunityMetrics, estimateMarketUncertainty } from "@/components/utils/calculations/cashOpportunityMetrics";
+import { parseLLMJson } from "@/components/utils/api/llmStream";
+import LLMResponse from "@/components/LLMResponse";
+import useLLMStream from "@/hooks/useLLMStream";
 
 export default function CashIntelligence() {
   const [analysis, setAnalysis] = useState(null);
   const [holdings, setHoldings] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const aiStream = useLLMStream();
   const [idleCashAmount, setIdleCashAmount] = useState("");
   const [idleCashMonths, setIdleCashMonths] = useState("");
   const [remainingUsage, setRemainingUsage] = useState(null);
@@ -43,7 +48,7 @@ export default function CashIntelligence() {
  const loadData = async () => {
     try {
       // Professional approach: Use syncPortfolio to get fresh prices on load
-      const response = await awsApi.syncPortfolio(null);
+      const response = await syncPortfolioAndRecord(null);
       
       if (response && response.portfolio) {
         setHoldings(response.portfolio.assets || []);
@@ -162,7 +167,7 @@ export default function CashIntelligence() {
 
     try {
       // 1. Sync Portfolio for mark-to-market live valuations
-      const syncResponse = await awsApi.syncPortfolio(null);
+      const syncResponse = await syncPortfolioAndRecord(null);
       const livePortfolio = syncResponse?.portfolio || { assets: holdings, totalValue: 0 };
       
       // 2. Telemetry: Fetch Market Volatility (VIX)
@@ -194,10 +199,9 @@ RETURN ONLY VALID JSON:
 {"signal": "...", "reasoning": "...", "actions": ["...", "...", "..."]}`;
 
       // 5. Invoke LLM and Parse
-      const aiResponse = await awsApi.invokeLLM(prompt);
-      const raw = aiResponse?.response || aiResponse?.analysis || "{}";
-      const jsonMatch = raw.match(/\{[\s\S]*\}/);
-      const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : raw);
+      const aiText = await aiStream.run(prompt).catch(() => undefined);
+      if (aiText == null) return; // Cancelled, or failed with retry offered in the stream panel
+      const parsed = parseLLMJson(aiText);
 
       // 6. Finalize Analysis Data
      // --- INDUSTRIAL DECAY CALCULATION ---
@@ -371,6 +375,7 @@ RETURN ONLY VALID JSON:
                   )}
                 </Button>
               </div>
+              <LLMResponse stream={aiStream} markdown={false} label="Strategic Audit" onRetry={analyzeCashOpportunity} className="mt-6" />
             </CardContent>
           </Card>
         </div>
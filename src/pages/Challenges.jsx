@@ -31,6 +31,8 @@ import {
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { format, differenceInDays, isAfter, isBefore } from "date-fns";
+import { notify, notifyChallengeChanges, NOTIFICATION_KINDS } from "@/components/utils/notifications/notificationCenter";
+import { checkChallengesAfterSync } from "@/components/utils/api/portfolioSync";
 
 export default function Challenges() {
   const [user, setUser] = useState(null);
@@ -66,6 +68,7 @@ export default function Challenges() {
       setUser(data.user);
       setChallenges(data.challenges || []);
       setMyChallenges(data.my_challenges || []);
+      notifyChallengeChanges(data.my_challenges || [], data.challenges || []);
     } catch (error) {
       console.error("Error loading data:", error);
     }
@@ -92,14 +95,26 @@ export default function Challenges() {
     try {
       await awsApi.syncChallengePortfolios(challengeId);
       setLastSyncTimes(prev => ({ ...prev, [challengeId]: Date.now() }));
+      // Ranks and badges are recomputed by the sync
+      checkChallengesAfterSync();
       
       if (!silent) {
-        alert("✅ Portfolios synced and badges awarded!");
+        notify({
+          kind: NOTIFICATION_KINDS.CHALLENGE,
+          title: 'Challenge portfolios synced',
+          message: 'Returns, ranks and badges are up to date',
+          page: 'Challenges'
+        });
       }
     } catch (error) {
       console.error("Error syncing portfolios:", error);
       if (!silent) {
-        alert("Error syncing portfolios. Please try again.");
+        notify({
+          kind: NOTIFICATION_KINDS.CHALLENGE,
+          title: 'Challenge sync failed',
+          message: 'Error syncing portfolios. Please try again.',
+          page: 'Challenges'
+        });
       }
     }
   };
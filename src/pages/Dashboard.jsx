@@ -7,6 +7,8 @@ import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { motion } from "framer-motion";
 import { format } from "date-fns";
+import PerformanceCard from "@/components/dashboard/PerformanceCard";
+import { usePortfolioSnapshots } from "@/components/utils/api/queries";
 import InvestmentDisclaimer from "@/components/legal/InvestmentDisclaimer";
 import WelcomeModal from "@/components/tutorial/WelcomeModal";
 import TutorialOverlay from "@/components/tutorial/TutorialOverlay";
@@ -14,10 +16,12 @@ import { dashboardSteps } from "@/components/tutorial/tutorialSteps";
 
 export default function Dashboard() {
   const [analyses, setAnalyses] = useState([]);
+  const [transactions, setTransactions] = useState([]);
   const [portfolioSummary, setPortfolioSummary] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showWelcome, setShowWelcome] = useState(false);
   const [showTutorial, setShowTutorial] = useState(false);
+  const { data: snapshots } = usePortfolioSnapshots();
 
   useEffect(() => {
     checkFirstVisit();
@@ -47,7 +51,11 @@ export default function Dashboard() {
     if (isLoading) return;
     setIsLoading(true);
     try {
-      const response = await awsApi.getUserDashboardData();
+      const [response, transactionData] = await Promise.all([
+        awsApi.getUserDashboardData(),
+        awsApi.getTransactions().catch(() => [])
+      ]);
+      setTransactions(Array.isArray(transactionData) ? transactionData : []);
       
       if (response?.success && response?.data) {
         const dashboardData = response.data;
@@ -177,6 +185,17 @@ export default function Dashboard() {
           </motion.div>
         )}
 
+        {transactions.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 }}
+            className="mb-8"
+          >
+            <PerformanceCard transactions={transactions} snapshots={snapshots} />
+          </motion.div>
+        )}
+
         {/* INDUSTRIAL NAVIGATION GRID */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           {[
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -124,7 +125,7 @@ const loadData = async () => {
       // 2. Fetch REAL Portfolio (Matching Holdings.jsx logic)
       // This calls the Lambda that queries the 'portfolios' table ($194k)
       console.log("📡 [GoalIntelligence] Calling syncPortfolio for live assets...");
-      const response = await awsApi.syncPortfolio({ userId });
+      const response = await syncPortfolioAndRecord({ userId });
       
       // The SyncPortfolio Lambda returns data in response.portfolio.assets
       const assets = response?.portfolio?.assets || [];
@@ -2,6 +2,7 @@ import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import React, { useState, useEffect } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Card, CardContent } from "@/components/ui/card";
@@ -10,19 +11,23 @@ import { motion, AnimatePresence } from "framer-motion";
 import { Table, TableHeader, TableRow, TableHead, TableBody, TableCell } from "@/components/ui/Table";
 import { Lightbulb, TrendingDown, TrendingUp, Search, RefreshCw, Loader2, Building2 } from "lucide-react";
 import TableSkeleton from "@/components/ui/TableSkeleton";
-
-// === Markdown rendering import added below ===
-import ReactMarkdown from 'react-markdown';
+import LedgerReconciliation from "@/components/holdings/LedgerReconciliation";
+import CapitalGainsReport from "@/components/holdings/CapitalGainsReport";
+import TaxLossHarvestingPlanner from "@/components/holdings/TaxLossHarvestingPlanner";
+import { COST_BASIS_METHODS } from "@/components/utils/calculations/lotAccounting";
+import LLMResponse from "@/components/LLMResponse";
+import useLLMStream, { LLM_STATUS } from "@/hooks/useLLMStream";
 
 export default function Holdings() {
   const [portfolio, setPortfolio] = useState(null);
   const [holdings, setHoldings] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [costBasisMethod, setCostBasisMethod] = useState(COST_BASIS_METHODS.FIFO);
   const [filteredHoldings, setFilteredHoldings] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
   const [isLoading, setIsLoading] = useState(true);
   const [showExplanation, setShowExplanation] = useState(false);
-  const [explanation, setExplanation] = useState(null);
-  const [isExplaining, setIsExplaining] = useState(false);
+  const explanation = useLLMStream();
   const [isSyncing, setIsSyncing] = useState(false);
 
   useEffect(() => {
@@ -56,7 +61,11 @@ export default function Holdings() {
     setIsLoading(true);
     try {
       const userId = localStorage.getItem('user_id');
-      const response = await awsApi.syncPortfolio({ userId });
+      const [response, txData] = await Promise.all([
+        syncPortfolioAndRecord({ userId }),
+        awsApi.getTransactions().catch(() => [])
+      ]);
+      setTransactions(txData || []);
       if (response && response.portfolio && response.portfolio.assets) {
         const cleanAssets = response.portfolio.assets.map(dynamoItemToJS);
         setPortfolio(response.portfolio);
@@ -85,7 +94,7 @@ export default function Holdings() {
         return stockData ? { ...asset, currentPrice: stockData.current_price } : asset;
       });
       const newTotalValue = updatedAssets.reduce((sum, a) => sum + (a.quantity * (a.currentPrice || a.avgCost)), 0);
-      await awsApi.syncPortfolio({ userId, assets: updatedAssets, totalValue: newTotalValue, lastUpdated: new Date().toISOString() });
+      const response = await syncPortfolioAndRecord({ userId, assets: updatedAssets, totalValue: newTotalValue, lastUpdated: new Date().toISOString() });
       setPortfolio({ ...portfolio, assets: updatedAssets, totalValue: newTotalValue });
       setHoldings(updatedAssets);
       setFilteredHoldings(updatedAssets);
@@ -104,8 +113,7 @@ export default function Holdings() {
     return { currentValue, costBasis, gainLoss, gainLossPercent };
   };
 
-  const explainPortfolio = async () => {
-    setIsExplaining(true);
+  const explainPortfolio = () => {
     setShowExplanation(true);
     const totalValue = holdings.reduce((sum, h) => sum + (h.quantity * h.currentPrice), 0);
     const holdingsList = holdings.map(h => {
@@ -113,34 +121,8 @@ export default function Holdings() {
       return { symbol: h.symbol, value: h.quantity * h.currentPrice, gain_loss_percent: gainLossPercent };
     });
     const prompt = `Explain this portfolio like I'm 10. Simple language, analogies. Portfolio: ${JSON.stringify(holdingsList)} Total: $${totalValue.toLocaleString()}. Why own these? What risks? Why better/worse? What know?`;
-    try {
-      const result = await awsApi.invokeLLM(prompt);
-      console.log("LLM Response:", result);
-      if (typeof result === "string") {
-        setExplanation(result);
-      } else if (
-        typeof result === "object" &&
-        result !== null
-      ) {
-        let text = "";
-        if (result.response && typeof result.response === "string") {
-          text = result.response;
-        } else if (result.content && typeof result.content === "string") {
-          text = result.content;
-        } else if (result.message && typeof result.message === "string") {
-          text = result.message;
-        } else {
-          text = "[Unable to parse portfolio explanation]\n" + JSON.stringify(result, null, 2);
-        }
-        setExplanation(text);
-      } else {
-        setExplanation("Unable to interpret explanation response from AI.");
-      }
-    } catch (error) {
-      console.error("Error explaining:", error);
-      setExplanation("Unable to generate explanation.");
-    }
-    setIsExplaining(false);
+    // Errors surface in the LLMResponse panel with a retry button
+    explanation.run(prompt).catch(() => {});
   };
 
   return (
@@ -175,10 +157,10 @@ export default function Holdings() {
           <Card className="border-2 border-purple-200 shadow-sm p-4 bg-gradient-to-br from-purple-50 to-pink-50">
             <Button
               onClick={explainPortfolio}
-              disabled={isExplaining || holdings.length === 0}
+              disabled={explanation.isStreaming || holdings.length === 0}
               className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700"
             >
-              {isExplaining ? (
+              {explanation.isStreaming ? (
                 <><Loader2 className="w-4 h-4 mr-2 animate-spin" />Explaining...</>
               ) : (
                 <><Lightbulb className="w-4 h-4 mr-2" />Explain My Portfolio Like I'm 10</>
@@ -186,22 +168,14 @@ export default function Holdings() {
             </Button>
           </Card>
         </div>
-        {showExplanation && explanation && (
+        {showExplanation && explanation.status !== LLM_STATUS.IDLE && (
           <Card className="border-2 border-purple-200 shadow-lg bg-gradient-to-br from-purple-50 to-pink-50 mb-6">
             <CardContent className="p-6">
               <h3 className="font-bold text-lg text-slate-900 mb-4 flex items-center gap-2">
                 <Lightbulb className="w-5 h-5 text-purple-600" />Your Portfolio Explained
               </h3>
               <div className="bg-white rounded-lg p-4">
-                {/* === Markdown rendering fix applied here === */}
-                <ReactMarkdown className="text-slate-700 leading-relaxed">
-                  {typeof explanation === "string"
-                    ? explanation
-                    : (explanation && typeof explanation === "object" && explanation.response
-                      ? explanation.response
-                      : "[Unable to display explanation]")
-                  }
-                </ReactMarkdown>
+                <LLMResponse stream={explanation} label="Explanation" />
               </div>
             </CardContent>
           </Card>
@@ -293,6 +267,29 @@ export default function Holdings() {
             </div>
           )}
         </Card>
+
+        {!isLoading && (
+          <>
+            <LedgerReconciliation
+              holdings={holdings}
+              transactions={transactions}
+              method={costBasisMethod}
+              onMethodChange={setCostBasisMethod}
+            />
+            <CapitalGainsReport
+              holdings={holdings}
+              transactions={transactions}
+              method={costBasisMethod}
+              onMethodChange={setCostBasisMethod}
+            />
+            <TaxLossHarvestingPlanner
+              holdings={holdings}
+              transactions={transactions}
+              method={costBasisMethod}
+              onMethodChange={setCostBasisMethod}
+            />
+          </>
+        )}
       </div>
     </div>
   );
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { fetchAuthSession } from 'aws-amplify/auth';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -20,6 +21,9 @@ import { motion } from "framer-motion";
 import { getRemainingUsage } from "@/components/utils/usageLimit";
 import { format } from "date-fns";
 import { calculateInvestorMetrics } from "@/components/utils/calculations/investorMetrics";
+import { parseLLMJson } from "@/components/utils/api/llmStream";
+import LLMResponse from "@/components/LLMResponse";
+import useLLMStream from "@/hooks/useLLMStream";
 
 export default function InvestorScore() {
   const [score, setScore] = useState(null);
@@ -31,6 +35,7 @@ export default function InvestorScore() {
   const [userEmail, setUserEmail] = useState("");
   const [previousScore, setPreviousScore] = useState(null);
   const isInternalUpdate = useRef(false);
+  const aiStream = useLLMStream();
 
   useEffect(() => {
     loadData();
@@ -55,7 +60,7 @@ export default function InvestorScore() {
 
       const [txResponse, syncResponse] = await Promise.all([
         awsApi.getTransactions(null).catch(() => ({ transactions: [] })),
-        awsApi.syncPortfolio(null).catch(() => ({ portfolio: { assets: [], totalValue: 0 } }))
+        syncPortfolioAndRecord(null).catch(() => ({ portfolio: { assets: [], totalValue: 0 } }))
       ]);
       setTransactions(txResponse.transactions || []);
       const portfolioData = { 
@@ -110,11 +115,15 @@ export default function InvestorScore() {
         "improvement_suggestions": ["string"] 
       }`;
 
-      const aiResponse = await awsApi.invokeLLM(prompt);
+      const aiText = await aiStream.run(prompt);
+      if (aiText === null) {
+        // Cancelled: keep the previous analysis on screen
+        isInternalUpdate.current = false;
+        return;
+      }
       let aiResult = {};
       try {
-        const rawJson = aiResponse?.response || aiResponse?.analysis || "{}";
-        aiResult = typeof rawJson === 'string' ? JSON.parse(rawJson) : rawJson;
+        aiResult = parseLLMJson(aiText);
       } catch (e) {
         console.error("Failed to parse AI JSON:", e);
         aiResult = { biases_detected: [], improvement_suggestions: [] };
@@ -151,6 +160,7 @@ export default function InvestorScore() {
       }
     } catch (error) {
       console.error("Analysis failed:", error);
+      isInternalUpdate.current = false;
     } finally {
       setIsAnalyzing(false);
     }
@@ -246,6 +256,7 @@ export default function InvestorScore() {
               </div>
             </CardContent>
           </Card>
+          <LLMResponse stream={aiStream} markdown={false} label="Behavioral Analysis" onRetry={analyzeDecisionQuality} className="mt-4" />
         </div>
 
         {!score ? (
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Switch } from "@/components/ui/switch";
@@ -11,6 +12,9 @@ import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Bell, Mail, TrendingUp, Calendar, CheckCircle, AlertCircle, Send, Loader2, Sparkles, Star, RefreshCw, ShieldCheck, Database, Zap } from "lucide-react";
 import { motion } from "framer-motion";
+import AlertRulesBuilder from "@/components/alerts/AlertRulesBuilder";
+import DigestReportBuilder from "@/components/reports/DigestReportBuilder";
+import UserDataArchiveCard from "@/components/archive/UserDataArchiveCard";
 export default function NotificationSettings() {
   const [user, setUser] = useState(null);
   const [settings, setSettings] = useState({
@@ -36,7 +40,7 @@ export default function NotificationSettings() {
   const handleSyncPortfolio = async () => {
     setIsSyncing(true);
     try {
-      const result = await awsApi.syncPortfolio();
+      const result = await syncPortfolioAndRecord();
       alert(
         `Sync Complete! Updated ${result.portfolio.assets.length} assets. Total Value: $${result.portfolio.totalValue.toLocaleString()}`
       );
@@ -153,7 +157,8 @@ export default function NotificationSettings() {
         userId: user?.cognito_sub || user?.userId, // Map both naming possibilities
         userEmail: newsletterData.email,           // Explicitly pass email for Lambda validation
         interests: newsletterData.interests,
-        frequency: newsletterData.frequency 
+        frequency: newsletterData.frequency,
+        digestTemplate: user?.digest_template || null // Sections chosen in the Digest Report Builder
       };
 
       console.log(`🛠️ [System] Dispatch Payload Check:`, payload);
@@ -490,6 +495,12 @@ export default function NotificationSettings() {
           </CardContent>
         </Card>
 
+        <DigestReportBuilder
+          remoteTemplate={user?.digest_template}
+          email={newsletterData.email}
+          onSaved={(template) => setUser((prev) => ({ ...prev, digest_template: template }))}
+        />
+
         {/* Daily Alerts */}
         <Card className="border-4 border-slate-900 shadow-[8px_8px_0px_0px_rgba(15,23,42,1)] rounded-[2rem] overflow-hidden mb-10 bg-white transition-all hover:translate-y-[-2px]">
           <CardHeader className="bg-slate-900 text-white py-3 px-6 border-b-4 border-slate-900">
@@ -533,6 +544,22 @@ export default function NotificationSettings() {
           </CardContent>
         </Card>
 
+        {/* User-defined alert rules */}
+        <h2 className="text-xl font-black text-slate-900 mb-6 uppercase tracking-[0.2em] italic flex items-center gap-3">
+          <Bell className="w-5 h-5 text-rose-500" />
+          Alert Rules
+        </h2>
+
+        <AlertRulesBuilder remoteRules={user?.alert_rules} />
+
+        {/* Data export and restore */}
+        <h2 className="text-xl font-black text-slate-900 mb-6 uppercase tracking-[0.2em] italic flex items-center gap-3">
+          <Database className="w-5 h-5 text-sky-500" />
+          Your Data
+        </h2>
+
+        <UserDataArchiveCard />
+
         {/* End of System Configuration */}
         <div className="mt-8 flex items-center justify-center p-6 border-t-4 border-slate-900/10">
           <p className="text-[10px] text-slate-400 font-black uppercase tracking-[0.4em]">
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -21,6 +22,10 @@ import { motion } from "framer-motion";
 import { checkUsageLimit, incrementUsage, getRemainingUsage } from "@/components/utils/usageLimit";
 import { format, differenceInDays } from "date-fns";
 import { Line, LineChart as RechartsLine, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { parseLLMJson } from "@/components/utils/api/llmStream";
+import LLMResponse from "@/components/LLMResponse";
+import useLLMStream from "@/hooks/useLLMStream";
+import { notify, healthDropNotification } from "@/components/utils/notifications/notificationCenter";
 
 // 5. HealthGauge Component
 const HealthGauge = ({ score, colorClass }) => {
@@ -48,6 +53,7 @@ export default function PortfolioHealth() {
   const [currentHealth, setCurrentHealth] = useState(null);
   const [portfolio, setPortfolio] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const aiStream = useLLMStream();
   const [previousHealth, setPreviousHealth] = useState(null);
   const [remainingUsage, setRemainingUsage] = useState(null);
   const [userEmail, setUserEmail] = useState("");
@@ -64,7 +70,7 @@ export default function PortfolioHealth() {
 
   const loadData = async () => {
     try {
-      const syncResponse = await awsApi.syncPortfolio(null);
+      const syncResponse = await syncPortfolioAndRecord(null);
       if (syncResponse && syncResponse.portfolio) {
         setPortfolio(syncResponse.portfolio);
         const email = syncResponse.userEmail || "";
@@ -116,15 +122,12 @@ INSTRUCTIONS:
 2. Provide a one-sentence diagnosis and one-sentence prescription.
 Return ONLY JSON: {"diagnosis": "...", "prescription": "...", "weekly_summary": "..."}`;
 
-       const aiResponse = await awsApi.invokeLLM(prompt);
+        const aiText = await aiStream.run(prompt);
+        if (aiText === null) return; // Cancelled: keep the last health record
         let docInsights = { weekly_summary: "", diagnosis: "", prescription: "" };
 
         try {
-          // Extract JSON from AI response
-          const raw = aiResponse?.response || aiResponse?.analysis || "{}";
-          const jsonMatch = raw.match(/\{[\s\S]*\}/);
-          const cleanJson = jsonMatch ? jsonMatch[0] : raw;
-          const parsed = typeof cleanJson === 'string' ? JSON.parse(cleanJson) : cleanJson;
+          const parsed = parseLLMJson(aiText);
           
           // Map the parsed data to our object
           docInsights = {
@@ -152,6 +155,9 @@ Return ONLY JSON: {"diagnosis": "...", "prescription": "...", "weekly_summary":
         setHealthRecords(updatedRecords);
         setCurrentHealth(finalHealthData);
         if (updatedRecords.length > 1) setPreviousHealth(updatedRecords[1]);
+
+        const healthDrop = healthDropNotification(finalHealthData, updatedRecords[1]);
+        if (healthDrop) notify(healthDrop);
       }
     } catch (error) {
       console.error("Sophisticated Analysis Failed:", error);
@@ -298,6 +304,7 @@ Return ONLY JSON: {"diagnosis": "...", "prescription": "...", "weekly_summary":
               </div>
             </CardContent>
           </Card>
+          <LLMResponse stream={aiStream} markdown={false} label="Health Diagnosis" onRetry={analyzePortfolioHealth} className="mt-4" />
         </div>
 
         {!currentHealth ? (
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { awsApi } from "@/utils/awsClient";
+import { syncPortfolioAndRecord } from "@/components/utils/api/portfolioSync";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -116,7 +117,7 @@ const loadScenarios = async () => {
     try {
       // 📡 Calling syncPortfolio. 
       // awsClient.js will automatically inject the userId/cognitoSub from your session.
-      const response = await awsApi.syncPortfolio(); 
+      const response = await syncPortfolioAndRecord(); 
       
       console.log("📡 syncPortfolio Response:", response);
 
@@ -16,11 +16,30 @@ import {
   History, 
   Target,
   Clock,
-  RefreshCw
+  RefreshCw,
+  Upload
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { format } from "date-fns";
 import { Badge } from "@/components/ui/badge";
+import BrokerImportDialog from "@/components/transactions/BrokerImportDialog";
+import { parseLLMJson } from "@/components/utils/api/llmStream";
+import LLMResponse from "@/components/LLMResponse";
+import useLLMStream from "@/hooks/useLLMStream";
+
+const TRANSACTION_TYPE_LABELS = {
+  buy: "BUY",
+  sell: "SELL",
+  dividend_reinvestment: "DRIP",
+  split: "SPLIT"
+};
+
+const TRANSACTION_TYPE_STYLES = {
+  buy: "bg-emerald-100 text-emerald-900 border-emerald-200",
+  sell: "bg-rose-100 text-rose-900 border-rose-200",
+  dividend_reinvestment: "bg-sky-100 text-sky-900 border-sky-200",
+  split: "bg-violet-100 text-violet-900 border-violet-200"
+};
 
 export default function Transactions() {
   const [transactions, setTransactions] = useState([]);
@@ -29,7 +48,8 @@ export default function Transactions() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showJournalInsights, setShowJournalInsights] = useState(false);
   const [journalInsights, setJournalInsights] = useState(null);
-  const [isGeneratingInsights, setIsGeneratingInsights] = useState(false);
+  const aiStream = useLLMStream();
+  const [showImportDialog, setShowImportDialog] = useState(false);
   const [formData, setFormData] = useState({
     type: "buy",
     symbol: "",
@@ -47,6 +67,8 @@ export default function Transactions() {
     loadData();
   }, []);
 
+  const isSplit = formData.type === "split";
+
   const loadData = async () => {
     try {
       const [txData, holdingsData, journalData] = await Promise.all([
@@ -74,7 +96,7 @@ export default function Transactions() {
         symbol: formData.symbol,
         asset_name: formData.asset_name,
         quantity: parseFloat(formData.quantity),
-        price: parseFloat(formData.price),
+        price: formData.type === "split" ? 0 : parseFloat(formData.price),
         fees: parseFloat(formData.fees || 0),
         transaction_date: formData.transaction_date,
         notes: formData.notes
@@ -103,30 +125,22 @@ export default function Transactions() {
 
   // Industrial "robust" behavioral audit function with strict JSON extraction
   const generateBehavioralInsights = async () => {
-    setIsGeneratingInsights(true);
     setShowJournalInsights(true);
-    try {
-      const recentJournals = journals.slice(0, 20);
-      // Forced Zero-Entropy Prompt
-      const prompt = `[NO_PROSE]
+    const recentJournals = journals.slice(0, 20);
+    // Forced Zero-Entropy Prompt
+    const prompt = `[NO_PROSE]
       Analyze behavioral patterns: ${JSON.stringify(recentJournals)}
       Return ONLY a JSON object. No intro. No summary.
       REQUIRED SCHEMA: {"patterns": ["bias 1", "bias 2"], "recommendations": ["action 1", "action 2"]}`;
-      
-      const aiResponse = await awsApi.invokeLLM(prompt);
-      const raw = aiResponse?.response || aiResponse?.analysis || "";
-      // Industrial Grade JSON Extraction
-      const jsonStart = raw.indexOf('{');
-      const jsonEnd = raw.lastIndexOf('}') + 1;
-      const jsonString = raw.slice(jsonStart, jsonEnd);
-      
-      const parsed = JSON.parse(jsonString);
-      setJournalInsights(parsed);
+
+    const aiText = await aiStream.run(prompt).catch(() => undefined);
+    if (aiText == null) return; // Cancelled, or failed with retry offered in the stream panel
+    try {
+      setJournalInsights(parseLLMJson(aiText));
     } catch (error) {
       console.error("Audit Failure:", error);
       setJournalInsights({ patterns: ["Pattern analysis timeout"], recommendations: ["Ensure journals are populated"] });
     }
-    setIsGeneratingInsights(false);
   };
 
   return (
@@ -143,20 +157,37 @@ export default function Transactions() {
             <p className="text-slate-500 text-sm mt-1 font-medium">Internal log of verified buy and sell orders.</p>
           </motion.div>
           
-          <Button 
-            onClick={generateBehavioralInsights} 
-            disabled={isGeneratingInsights}
-            className="bg-[#4353FF] hover:bg-[#3544CC] text-white font-medium px-6 py-2 rounded-lg transition-all flex items-center gap-2 shadow-md border-0"
-          >
-            {isGeneratingInsights ? (
-              <Loader2 className="w-5 h-5 animate-spin" />
-            ) : (
-              <RefreshCw className="w-5 h-5" />
-            )}
-            <span className="text-[16px]">Behavioral Audit</span>
-          </Button>
+          <div className="flex items-center gap-3">
+            <Button
+              onClick={() => setShowImportDialog(true)}
+              variant="outline"
+              className="font-medium px-6 py-2 rounded-lg flex items-center gap-2 border-slate-300"
+            >
+              <Upload className="w-5 h-5" />
+              <span className="text-[16px]">Import CSV</span>
+            </Button>
+            <Button 
+              onClick={generateBehavioralInsights} 
+              disabled={aiStream.isStreaming}
+              className="bg-[#4353FF] hover:bg-[#3544CC] text-white font-medium px-6 py-2 rounded-lg transition-all flex items-center gap-2 shadow-md border-0"
+            >
+              {aiStream.isStreaming ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : (
+                <RefreshCw className="w-5 h-5" />
+              )}
+              <span className="text-[16px]">Behavioral Audit</span>
+            </Button>
+          </div>
         </header>
 
+        <BrokerImportDialog
+          isOpen={showImportDialog}
+          onClose={() => setShowImportDialog(false)}
+          existingTransactions={transactions}
+          onImported={loadData}
+        />
+
         <div className="grid lg:grid-cols-12 gap-8">
           {/* Sidebar Entry Form */}
           <div className="lg:col-span-4">
@@ -176,16 +207,14 @@ export default function Transactions() {
                         <SelectTrigger className="border-slate-300 bg-white text-slate-900 font-bold shadow-sm h-10 w-full px-3 flex justify-between items-center">
                           {/* We manually display the state here so it CANNOT be invisible */}
                           <span className="text-slate-900 uppercase">
-                            {formData.type === "buy"
-                              ? "BUY"
-                              : formData.type === "sell"
-                              ? "SELL"
-                              : "Select Type"}
+                            {TRANSACTION_TYPE_LABELS[formData.type] || "Select Type"}
                           </span>
                         </SelectTrigger>
                         <SelectContent className="bg-white border-slate-200 shadow-xl">
                           <SelectItem value="buy">BUY</SelectItem>
                           <SelectItem value="sell">SELL</SelectItem>
+                          <SelectItem value="dividend_reinvestment">DRIP (Reinvested Dividend)</SelectItem>
+                          <SelectItem value="split">STOCK SPLIT</SelectItem>
                         </SelectContent>
                       </Select>
                     </div>
@@ -202,12 +231,12 @@ export default function Transactions() {
 
                   <div className="grid grid-cols-2 gap-4">
                     <div className="space-y-2">
-                      <Label className="text-[10px] uppercase font-black text-slate-400">Quantity</Label>
-                      <Input type="number" step="any" className="border-slate-200" value={formData.quantity} onChange={(e) => setFormData({...formData, quantity: e.target.value})} required />
+                      <Label className="text-[10px] uppercase font-black text-slate-400">{isSplit ? "Split Ratio" : "Quantity"}</Label>
+                      <Input type="number" step="any" className="border-slate-200" placeholder={isSplit ? "2 = 2-for-1" : ""} value={formData.quantity} onChange={(e) => setFormData({...formData, quantity: e.target.value})} required />
                     </div>
                     <div className="space-y-2">
                       <Label className="text-[10px] uppercase font-black text-slate-400">Entry Price</Label>
-                      <Input type="number" step="any" className="border-slate-200" value={formData.price} onChange={(e) => setFormData({...formData, price: e.target.value})} required />
+                      <Input type="number" step="any" className="border-slate-200" value={isSplit ? "" : formData.price} onChange={(e) => setFormData({...formData, price: e.target.value})} disabled={isSplit} required={!isSplit} />
                     </div>
                   </div>
 
@@ -247,6 +276,9 @@ export default function Transactions() {
 
           {/* Main Content Ledger */}
           <div className="lg:col-span-8 space-y-6">
+            {showJournalInsights && (
+              <LLMResponse stream={aiStream} markdown={false} label="Behavioral Audit" onRetry={generateBehavioralInsights} />
+            )}
             {showJournalInsights && journalInsights && (
               <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }}>
                 <Card className="border border-blue-100 shadow-sm bg-blue-50/30 overflow-hidden">
@@ -310,10 +342,8 @@ export default function Transactions() {
                       {transactions.map((tx, idx) => (
                         <tr key={idx} className="hover:bg-slate-50/50 transition-colors group">
                           <td className="px-6 py-4">
-                            <Badge className={tx.type === 'buy' 
-                              ? 'bg-emerald-100 text-emerald-900 border-emerald-200 shadow-none font-black' 
-                              : 'bg-rose-100 text-rose-900 border-rose-200 shadow-none font-black'}>
-                              {tx.type.toUpperCase()}
+                            <Badge className={`${TRANSACTION_TYPE_STYLES[tx.type] || TRANSACTION_TYPE_STYLES.sell} shadow-none font-black`}>
+                              {TRANSACTION_TYPE_LABELS[tx.type] || tx.type.toUpperCase()}
                             </Badge>
                           </td>
                           <td className="px-6 py-4">
@@ -1,4 +1,5 @@
 import { fetchAuthSession } from 'aws-amplify/auth';
+import { createStreamDecoder } from '@/components/utils/api/llmStream';
 
 // Proxy configuration 
 const PROXY_CONFIG = {
@@ -32,7 +33,13 @@ const LAMBDA_KEY_MAPPING = {
     "sendWeeklySummary",
     "sendDailyAlert",
     "sendMonthlyReport",
-    "sendNewsletter"
+    "sendNewsletter",
+    "getPortfolioSnapshots",
+    "savePortfolioSnapshots",
+    "getChatThreads",
+    "saveChatThread",
+    "deleteChatThread",
+    "sendAlertNotification"
   ],
   user_email: [
     "checkSubscription",
@@ -137,43 +144,52 @@ const getAuthHeaders = async () => {
   return headers;
 };
 
-// Generic proxy invocation - calls through apiGatewayProxy
-const invokeProxy = async (functionName, payload = {}) => {
-  try {
-    console.log(`📡 invokeProxy - Starting invocation for: ${functionName}`, { payload });
-    
-    const headers = await getAuthHeaders();
-    const { cognitoSub, userEmail } = await getAuthData();
-    
-    const keyType = getKeyTypeForFunction(functionName);
-    const enhancedPayload = { ...payload };
-    
-    if (keyType === 'user_id' && cognitoSub) {
-      headers['x-user-id'] = cognitoSub;
-      enhancedPayload.userId = cognitoSub;
-    } else if (keyType === 'cognito_sub' && cognitoSub) {
-      enhancedPayload.cognitoSub = cognitoSub;
-   } else if (keyType === 'user_email' && userEmail) {
-      enhancedPayload.userEmail = userEmail;
-      enhancedPayload.email = userEmail; 
-      enhancedPayload.user_email = userEmail; // Only added to support the Simulation Lab Lambda naming convention
-    }
-    
-    console.log(`📡 invokeProxy - Request details for ${functionName}:`, {
-      url: `${PROXY_CONFIG.API_GATEWAY_URL}/${PROXY_CONFIG.PROXY_ENDPOINT}`,
-      keyType,
-      headersKeys: Object.keys(headers),
-      payload: enhancedPayload
-    });
-    
-    const response = await fetch(`${PROXY_CONFIG.API_GATEWAY_URL}/${PROXY_CONFIG.PROXY_ENDPOINT}`, {
+// Build the apiGatewayProxy request for a function, attaching the identity key it expects
+const buildProxyRequest = async (functionName, payload = {}) => {
+  const headers = await getAuthHeaders();
+  const { cognitoSub, userEmail } = await getAuthData();
+  
+  const keyType = getKeyTypeForFunction(functionName);
+  const enhancedPayload = { ...payload };
+  
+  if (keyType === 'user_id' && cognitoSub) {
+    headers['x-user-id'] = cognitoSub;
+    enhancedPayload.userId = cognitoSub;
+  } else if (keyType === 'cognito_sub' && cognitoSub) {
+    enhancedPayload.cognitoSub = cognitoSub;
+ } else if (keyType === 'user_email' && userEmail) {
+    enhancedPayload.userEmail = userEmail;
+    enhancedPayload.email = userEmail; 
+    enhancedPayload.user_email = userEmail; // Only added to support the Simulation Lab Lambda naming convention
+  }
+  
+  console.log(`📡 invokeProxy - Request details for ${functionName}:`, {
+    url: `${PROXY_CONFIG.API_GATEWAY_URL}/${PROXY_CONFIG.PROXY_ENDPOINT}`,
+    keyType,
+    headersKeys: Object.keys(headers),
+    payload: enhancedPayload
+  });
+
+  return {
+    url: `${PROXY_CONFIG.API_GATEWAY_URL}/${PROXY_CONFIG.PROXY_ENDPOINT}`,
+    init: {
       method: 'POST',
       headers,
       body: JSON.stringify({
         functionName,
         payload: enhancedPayload
       })
-    });
+    }
+  };
+};
+
+// Generic proxy invocation - calls through apiGatewayProxy
+const invokeProxy = async (functionName, payload = {}) => {
+  try {
+    console.log(`📡 invokeProxy - Starting invocation for: ${functionName}`, { payload });
+    
+    const { url, init } = await buildProxyRequest(functionName, payload);
+    const response = await fetch(url, init);
 
     console.log(`📡 invokeProxy - Response status for ${functionName}: ${response.status} ${response.statusText}`);
 
@@ -208,11 +224,50 @@ const invokeProxy = async (functionName, payload = {}) => {
   }
 };
 
+// Streaming proxy invocation: reads the body incrementally and reports each
+// text delta through onToken. Resolves with the full text; rejects with an
+// AbortError when `signal` is aborted.
+const invokeProxyStream = async (functionName, payload = {}, { signal, onToken } = {}) => {
+  const { url, init } = await buildProxyRequest(functionName, payload);
+  init.headers.Accept = 'text/event-stream, text/plain, application/json';
+
+  const response = await fetch(url, { ...init, signal });
+  console.log(`📡 invokeProxyStream - Response status for ${functionName}: ${response.status} ${response.statusText}`);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const decoder = createStreamDecoder(response.headers.get('content-type') || '');
+  const textDecoder = new TextDecoder();
+  let text = '';
+  const emit = (delta) => {
+    if (!delta) return;
+    text += delta;
+    onToken?.(delta, text);
+  };
+
+  if (response.body?.getReader) {
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      emit(decoder.push(textDecoder.decode(value, { stream: true })));
+    }
+  } else {
+    emit(decoder.push(await response.text()));
+  }
+  emit(decoder.end());
+
+  return text;
+};
+
 // Export all API methods
 export const awsApi = {
   callAwsFunction: (functionName, payload) => invokeProxy(functionName, payload),
   getStockQuote: (symbol) => invokeProxy("getStockQuote", { symbol }),
   getStockBatch: (symbols, forceRefresh = true) => invokeProxy("getStockBatch", { symbols, forceRefresh }),
+  getHistoricalPrices: async (symbols, startDate, endDate) => { const response = await invokeProxy("getHistoricalPrices", { symbols, startDate, endDate }); return response?.prices || {}; },
   getStockAnalysis: (payload) => invokeProxy("getStockAnalysis", payload),
   getVIXData: () => invokeProxy("getVIXData", {}),
   executePaperTrade: (tradeData) => invokeProxy("executePaperTrade", tradeData),
@@ -223,6 +278,7 @@ sendWeeklySummary: (payload) => invokeProxy("sendWeeklySummary", payload),
 sendDailyAlert: (payload) => invokeProxy("sendDailyAlert", payload),
 sendMonthlyReport: (payload) => invokeProxy("sendMonthlyReport", payload),
 sendNewsletter: (payload) => invokeProxy("sendNewsletter", payload),
+  sendAlertNotification: (payload) => invokeProxy("sendAlertNotification", payload),
   sendSupportEmail: (data) => invokeProxy("sendSupportEmail", data),
   getShadowPortfolios: (email) => invokeProxy("getShadowPortfolios", { email }),
   createShadowPortfolio: (data) => invokeProxy("createShadowPortfolio", data),
@@ -247,6 +303,11 @@ sendNewsletter: (payload) => invokeProxy("sendNewsletter", payload),
     return response?.transactions || [];
   },
   createTransaction: async (data) => invokeProxy("createTransaction", data),
+  getPortfolioSnapshots: async (startDate, endDate) => { const response = await invokeProxy("getPortfolioSnapshots", { startDate, endDate }); return response?.snapshots || response?.Items || response?.items || []; },
+  savePortfolioSnapshots: async (snapshots) => invokeProxy("savePortfolioSnapshots", { snapshots }),
+  getChatThreads: async () => { const response = await invokeProxy("getChatThreads", {}); return response?.threads || response?.Items || response?.items || []; },
+  saveChatThread: async (thread) => invokeProxy("saveChatThread", { thread }),
+  deleteChatThread: async (threadId) => invokeProxy("deleteChatThread", { threadId }),
   getHoldings: async () => { const response = await invokeProxy("getHoldings", {}); return response?.Items || response?.items || []; },
   createHolding: async (data) => invokeProxy("createHolding", data),
   updateHolding: async (symbol, data) => invokeProxy("updateHolding", { symbol, ...data }),
@@ -289,6 +350,7 @@ sendNewsletter: (payload) => invokeProxy("sendNewsletter", payload),
  cacheMarketInsights: (payload) => invokeProxy("cacheMarketInsights", payload),
   getUserTrades: () => invokeProxy("getUserTrades", {}),
   invokeLLM: (prompt, context) => invokeProxy("invokeLLM", { prompt, context }),
+  invokeLLMStream: (prompt, { context, signal, onToken } = {}) => invokeProxyStream("invokeLLMStream", { prompt, context }, { signal, onToken }),
   getSimulationLabData: (payload = {}) => invokeProxy("getSimulationLabData", payload),
   sendEmail: (data) => invokeProxy("sendEmail", data),
   getUserDashboardData: async () => { const response = await invokeProxy("getUserDashboardData", {}); return response; },